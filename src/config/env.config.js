@@ -126,4 +126,68 @@ export const env = {
   DATAFORSEO_LOGIN: process.env.DATAFORSEO_LOGIN,
   DATAFORSEO_PASSWORD: process.env.DATAFORSEO_PASSWORD,
   DATAFORSEO_API_URL: process.env.DATAFORSEO_API_URL || "https://sandbox.dataforseo.com",
+
+  // Audit Job Queue
+  AUDIT_WORKER_ENABLED: process.env.AUDIT_WORKER_ENABLED !== "false",
+  AUDIT_WORKER_INTERVAL_MS: parseInt(process.env.AUDIT_WORKER_INTERVAL_MS) || 5000,
+  AUDIT_JOB_MAX_ATTEMPTS: parseInt(process.env.AUDIT_JOB_MAX_ATTEMPTS) || 3,
+  // One queue drain stops claiming jobs after this long (keep it under the function's maxDuration)
+  AUDIT_JOB_RUN_BUDGET_MS: parseInt(process.env.AUDIT_JOB_RUN_BUDGET_MS) || 45000,
+
+  // Recurring audit schedules
+  AUDIT_SCHEDULER_INTERVAL_MS: parseInt(process.env.AUDIT_SCHEDULER_INTERVAL_MS) || 60000,
+  SCHEDULE_SCORE_CHANGE_THRESHOLD: parseInt(process.env.SCHEDULE_SCORE_CHANGE_THRESHOLD) || 5,
+
+  // Keyword rank tracking
+  RANK_TRACKER_INTERVAL_MS: parseInt(process.env.RANK_TRACKER_INTERVAL_MS) || 5 * 60 * 1000,
+  // Upper bound on plan.limits.tracked_keywords
+  RANK_TRACKING_MAX_KEYWORDS: parseInt(process.env.RANK_TRACKING_MAX_KEYWORDS) || 100,
+  RANK_DROP_ALERT_THRESHOLD: parseInt(process.env.RANK_DROP_ALERT_THRESHOLD) || 5,
+  // One tracker run stops claiming keywords after this long (keep it under the function's maxDuration)
+  RANK_TRACKER_RUN_BUDGET_MS: parseInt(process.env.RANK_TRACKER_RUN_BUDGET_MS) || 45000,
+  // Keywords checked at the same time within one run
+  RANK_TRACKER_CONCURRENCY: Math.min(parseInt(process.env.RANK_TRACKER_CONCURRENCY) || 5, 20),
+
+  // Deep competitor benchmark (SEO audits with deepCompetitors)
+  DEEP_COMPETITOR_PAGES: Math.min(parseInt(process.env.DEEP_COMPETITOR_PAGES) || 5, 10),
+
+  // Lighthouse runs take longer than other DataForSEO calls
+  LIGHTHOUSE_TIMEOUT_MS: parseInt(process.env.LIGHTHOUSE_TIMEOUT_MS) || 120000,
+
+  // SEO audit credits charged for device 'both' (admin setting `seo_dual_device_credits` overrides it)
+  SEO_DUAL_DEVICE_CREDITS: parseInt(process.env.SEO_DUAL_DEVICE_CREDITS) || 2,
+
+  // Hreflang audits: alternate versions crawled besides the start page (max 20)
+  HREFLANG_MAX_PAGES: Math.min(parseInt(process.env.HREFLANG_MAX_PAGES) || 10, 20),
+
+  // robots.txt / sitemap check of SEO audits: sitemap files read and listed URLs fetched (max 50)
+  CRAWLABILITY_MAX_SITEMAPS: parseInt(process.env.CRAWLABILITY_MAX_SITEMAPS) || 10,
+  CRAWLABILITY_SITEMAP_SAMPLE: Math.min(parseInt(process.env.CRAWLABILITY_SITEMAP_SAMPLE) || 20, 50),
+
+  // Bulk SEO audits: rows per batch, and audits of one batch queued at the same time
+  BULK_AUDIT_MAX_ROWS: parseInt(process.env.BULK_AUDIT_MAX_ROWS) || 200,
+  BULK_AUDIT_CONCURRENCY: parseInt(process.env.BULK_AUDIT_CONCURRENCY) || 3,
+
+  // Geo-grid scans: Local Finder queries run at once, map zoom of each point, and grid points one extra GEO credit covers
+  GEO_GRID_CONCURRENCY: parseInt(process.env.GEO_GRID_CONCURRENCY) || 5,
+  GEO_GRID_ZOOM: Math.min(Math.max(parseInt(process.env.GEO_GRID_ZOOM) || 15, 3), 21),
+  GEO_GRID_POINTS_PER_CREDIT: parseInt(process.env.GEO_GRID_POINTS_PER_CREDIT) || 25,
+
+  // NAP citation check of GEO audits: listing source ('dataforseo' or 'fixture'), directories checked
+  // (comma-separated, admin setting `citation_directories` overrides it) and the fixture provider's JSON file
+  CITATION_PROVIDER: process.env.CITATION_PROVIDER || 'dataforseo',
+  CITATION_DIRECTORIES: process.env.CITATION_DIRECTORIES || 'google,goldenpages,pagesjaunes,detelefoongids,infobel,yelp,facebook',
+  CITATION_FIXTURE_FILE: process.env.CITATION_FIXTURE_FILE || null,
+
+  // GBP review analysis: newest reviews fetched (DataForSEO bills them per 10), and how often and how long
+  // the reviews task is polled before the audit completes without them
+  GBP_REVIEWS_DEPTH: parseInt(process.env.GBP_REVIEWS_DEPTH) || 100,
+  GBP_REVIEWS_POLL_INTERVAL_MS: parseInt(process.env.GBP_REVIEWS_POLL_INTERVAL_MS) || 20000,
+  GBP_REVIEWS_TIMEOUT_MS: parseInt(process.env.GBP_REVIEWS_TIMEOUT_MS) || 10 * 60 * 1000,
+
+  // Site crawl audits
+  SITE_AUDIT_MAX_PAGES: parseInt(process.env.SITE_AUDIT_MAX_PAGES) || 100,
+  SITE_AUDIT_POLL_INTERVAL_MS: parseInt(process.env.SITE_AUDIT_POLL_INTERVAL_MS) || 30000,
+  SITE_AUDIT_CRAWL_TIMEOUT_MS: parseInt(process.env.SITE_AUDIT_CRAWL_TIMEOUT_MS) || 30 * 60 * 1000,
+  CRON_SECRET: process.env.CRON_SECRET,
 };
\ No newline at end of file
@@ -152,6 +152,68 @@ export const updateUserCredits = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get credit ledger entries across all users
+ * @route   GET /api/v1/admin/credits/transactions
+ * @access  Admin
+ */
+export const getCreditTransactions = async (req, res, next) => {
+  try {
+    const options = req.validatedQuery || req.query;
+    const result = await adminService.getCreditTransactions(options);
+    res.json(new ApiResponse(200, result, 'Credit transactions retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a user's credit ledger
+ * @route   GET /api/v1/admin/users/:userId/credits/history
+ * @access  Admin
+ */
+export const getUserCreditHistory = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const options = req.validatedQuery || req.query;
+    const result = await adminService.getUserCreditHistory(userId, options);
+    res.json(new ApiResponse(200, result, 'Credit history retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Compare a user's balances with the credit ledger
+ * @route   GET /api/v1/admin/users/:userId/credits/reconcile
+ * @access  Admin
+ */
+export const getCreditReconciliation = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const result = await adminService.reconcileUserCredits(userId, req.user._id);
+    res.json(new ApiResponse(200, result, result.balanced ? 'Ledger matches balances' : 'Ledger drift detected'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Write adjustment entries so the ledger matches a user's balances
+ * @route   POST /api/v1/admin/users/:userId/credits/reconcile
+ * @access  Admin
+ */
+export const reconcileUserCredits = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { note } = req.body;
+    const result = await adminService.reconcileUserCredits(userId, req.user._id, { apply: true, note });
+    res.json(new ApiResponse(200, result, `Ledger reconciled with ${result.adjustments.length} adjustment(s)`));
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Get all audits with pagination
  * @route   GET /api/v1/admin/audits
@@ -0,0 +1,67 @@
+import { ApiResponse } from '../utils/index.js';
+import { auditComparisonService, pdfService } from '../services/index.js';
+
+// Used in PDF filenames
+const FILENAME_PREFIX_BY_TYPE = {
+  seo: 'seo-audit',
+  geo: 'local-seo-audit',
+  gbp: 'gbp-audit',
+};
+
+/**
+ * @desc    Diff two audits of the same target: scores, checks, recommendations and competitors
+ * @route   GET /api/v1/{seo|geo|gbp}-audits/compare?a=&b=
+ * @access  Private
+ * @param {string} type - 'seo' | 'geo' | 'gbp'
+ */
+export const compareAudits = (type) => async (req, res, next) => {
+  try {
+    const { a, b } = req.validatedQuery;
+
+    const { comparison } = await auditComparisonService.compareById(type, req.user._id, a, b);
+
+    res.json(new ApiResponse(200, { comparison }, 'Audits compared successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Before/after PDF of two audits of the same target (supports ?view=true)
+ * @route   GET /api/v1/{seo|geo|gbp}-audits/compare/pdf?a=&b=
+ * @access  Private
+ * @param {string} type - 'seo' | 'geo' | 'gbp'
+ */
+export const downloadComparisonPDF = (type) => async (req, res, next) => {
+  try {
+    const { a, b, view } = req.validatedQuery;
+
+    const { previous, current, comparison } = await auditComparisonService.compareById(type, req.user._id, a, b);
+
+    const pdfBuffer = pdfService.generateComparisonReport(type, previous, current, comparison, req.user);
+
+    const targetSlug = (auditComparisonService.getTargetKey(type, current) || 'audit')
+      .replace(/[^a-z0-9]+/gi, '-')
+      .substring(0, 40);
+    const dateOf = (audit) => new Date(audit.createdAt).toISOString().split('T')[0];
+    const filename = `${FILENAME_PREFIX_BY_TYPE[type]}-comparison-${targetSlug}-${dateOf(previous)}-${dateOf(current)}.pdf`;
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Length', pdfBuffer.byteLength);
+
+    const disposition = view === 'true' ? 'inline' : 'attachment';
+    res.setHeader('Content-Disposition', `${disposition}; filename="${filename}"; filename*=UTF-8''${encodeURIComponent(filename)}`);
+
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    res.send(Buffer.from(pdfBuffer));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const auditComparisonController = {
+  compareAudits,
+  downloadComparisonPDF,
+};
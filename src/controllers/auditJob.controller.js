@@ -0,0 +1,81 @@
+import { ApiResponse, ApiError, paginate } from '../utils/index.js';
+import { AuditJob } from '../models/index.js';
+import { auditQueueService } from '../services/index.js';
+
+// Fields a client needs to render progress; payload and lock details stay internal
+const JOB_PUBLIC_FIELDS = 'type audit audit_model status progress stage attempts max_attempts error_message started_at completed_at createdAt updatedAt';
+
+/**
+ * @desc    List the current user's audit jobs
+ * @route   GET /api/v1/audit-jobs
+ * @access  Private
+ */
+export const getUserJobs = async (req, res, next) => {
+  try {
+    const { page, limit, status, type } = req.validatedQuery;
+
+    const query = { user: req.user._id };
+    if (status) query.status = status;
+    if (type && type !== 'all') query.type = type;
+
+    const { data: jobs, pagination } = await paginate(AuditJob, query, {
+      page,
+      limit,
+      select: JOB_PUBLIC_FIELDS,
+    });
+
+    res.json(new ApiResponse(200, { jobs, pagination }, 'Audit jobs retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Poll a single audit job; includes the audit once it has finished
+ * @route   GET /api/v1/audit-jobs/:jobId
+ * @access  Private
+ */
+export const getJobById = async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+
+    const job = await AuditJob.findOne({ _id: jobId, user: req.user._id })
+      .select(JOB_PUBLIC_FIELDS)
+      .lean();
+
+    if (!job) {
+      throw new ApiError(404, 'Audit job not found');
+    }
+
+    let audit = null;
+    if (job.status === 'completed' || job.status === 'failed') {
+      const AuditModel = auditQueueService.getAuditModel(job.type);
+      audit = await AuditModel.findById(job.audit).select('-raw_data').lean();
+    }
+
+    res.json(new ApiResponse(200, { job, audit }, 'Audit job retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Drain the queue from a scheduler (serverless deployments have no resident worker)
+ * @route   GET /api/v1/audit-jobs/process
+ * @access  Cron (CRON_SECRET)
+ */
+export const processQueue = async (req, res, next) => {
+  try {
+    const processed = await auditQueueService.processPending();
+
+    res.json(new ApiResponse(200, { processed }, 'Audit queue processed'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const auditJobController = {
+  getUserJobs,
+  getJobById,
+  processQueue,
+};
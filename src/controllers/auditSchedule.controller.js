@@ -0,0 +1,116 @@
+import { ApiResponse, ApiError, paginate } from '../utils/index.js';
+import { AuditSchedule } from '../models/index.js';
+import { auditScheduleService } from '../services/index.js';
+
+/**
+ * @desc    Run an audit on a recurring schedule, either from an existing audit or from explicit inputs
+ * @route   POST /api/v1/audit-schedules
+ * @access  Private
+ */
+export const createSchedule = async (req, res, next) => {
+  try {
+    const schedule = await auditScheduleService.createSchedule(req.user._id, req.body);
+
+    res.status(201).json(new ApiResponse(201, { schedule }, 'Audit schedule created successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List the current user's audit schedules
+ * @route   GET /api/v1/audit-schedules
+ * @access  Private
+ */
+export const getUserSchedules = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const { data: schedules, pagination } = await paginate(AuditSchedule, { user: req.user._id }, {
+      page,
+      limit,
+      select: '-history',
+    });
+
+    res.json(new ApiResponse(200, { schedules, pagination }, 'Audit schedules retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a schedule with its run history and latest comparison
+ * @route   GET /api/v1/audit-schedules/:scheduleId
+ * @access  Private
+ */
+export const getScheduleById = async (req, res, next) => {
+  try {
+    const schedule = await AuditSchedule.findOne({ _id: req.params.scheduleId, user: req.user._id }).lean();
+
+    if (!schedule) {
+      throw new ApiError(404, 'Schedule not found');
+    }
+
+    res.json(new ApiResponse(200, { schedule }, 'Audit schedule retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change the frequency, pause/resume or toggle change emails
+ * @route   PATCH /api/v1/audit-schedules/:scheduleId
+ * @access  Private
+ */
+export const updateSchedule = async (req, res, next) => {
+  try {
+    const schedule = await auditScheduleService.updateSchedule(req.user._id, req.params.scheduleId, req.body);
+
+    res.json(new ApiResponse(200, { schedule }, 'Audit schedule updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a schedule; audits it already ran are kept
+ * @route   DELETE /api/v1/audit-schedules/:scheduleId
+ * @access  Private
+ */
+export const deleteSchedule = async (req, res, next) => {
+  try {
+    const schedule = await AuditSchedule.findOneAndDelete({ _id: req.params.scheduleId, user: req.user._id });
+
+    if (!schedule) {
+      throw new ApiError(404, 'Schedule not found');
+    }
+
+    res.json(new ApiResponse(200, null, 'Audit schedule deleted successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Start due schedules from a cron (serverless deployments have no resident scheduler)
+ * @route   GET /api/v1/audit-schedules/run
+ * @access  Cron (CRON_SECRET)
+ */
+export const runDueSchedules = async (req, res, next) => {
+  try {
+    const result = await auditScheduleService.runDue();
+
+    res.json(new ApiResponse(200, result, 'Due audit schedules started'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const auditScheduleController = {
+  createSchedule,
+  getUserSchedules,
+  getScheduleById,
+  updateSchedule,
+  deleteSchedule,
+  runDueSchedules,
+};
@@ -0,0 +1,140 @@
+import { ApiResponse } from '../utils/index.js';
+import { AuditBatch } from '../models/index.js';
+import { bulkAuditService, pdfService } from '../services/index.js';
+import { DEFAULT_LOCALE } from '../config/index.js';
+
+/**
+ * @desc    Queue SEO audits for a list of (url, keyword, locale, device) rows sent as JSON or CSV.
+ *          The credits of every row are reserved up front; a failed row gets its credits back.
+ * @route   POST /api/v1/bulk-audits
+ * @access  Private
+ */
+export const createBatch = async (req, res, next) => {
+  try {
+    const { name, locale, rows } = req.validatedBody;
+
+    const batch = await bulkAuditService.createBatch(
+      req.user._id,
+      { name, locale: locale || DEFAULT_LOCALE, rows },
+      req.creditInfo?.reservation
+    );
+
+    res.status(202).json(
+      new ApiResponse(202, {
+        batch: await bulkAuditService.getBatch(req.user._id, batch._id),
+        progress: bulkAuditService.getProgress(batch),
+      }, 'Bulk audit queued. Poll the batch for its status.')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Batch status: each row with its audit, job and score, plus counts per status
+ * @route   GET /api/v1/bulk-audits/:batchId
+ * @access  Private
+ */
+export const getBatchById = async (req, res, next) => {
+  try {
+    const batch = await bulkAuditService.getBatch(req.user._id, req.params.batchId);
+
+    res.json(new ApiResponse(200, { batch, progress: bulkAuditService.getProgress(batch) }, 'Bulk audit retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Paginated bulk audits of the user, without their rows
+ * @route   GET /api/v1/bulk-audits
+ * @access  Private
+ */
+export const getUserBatches = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const { page = 1, limit = 10 } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [batches, total] = await Promise.all([
+      AuditBatch.find({ user: userId })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .select('-items'),
+      AuditBatch.countDocuments({ user: userId }),
+    ]);
+
+    res.json(
+      new ApiResponse(200, {
+        batches,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      }, 'Bulk audits retrieved successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+const batchFilename = (batch, extension) => {
+  const slug = (batch.name || 'bulk-audit').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 40) || 'bulk-audit';
+  const dateStr = new Date(batch.createdAt).toISOString().split('T')[0];
+  return `${slug}-${dateStr}.${extension}`;
+};
+
+/**
+ * @desc    Summary CSV, one line per row (rows still running are listed with their status)
+ * @route   GET /api/v1/bulk-audits/:batchId/csv
+ * @access  Private
+ */
+export const downloadSummaryCSV = async (req, res, next) => {
+  try {
+    const { batch, audits } = await bulkAuditService.getBatchWithAudits(req.user._id, req.params.batchId);
+    const filename = batchFilename(batch, 'csv');
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    // BOM so that Excel reads the UTF-8 accents correctly
+    res.send(`﻿${bulkAuditService.buildSummaryCsv(batch, audits)}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Merged PDF report: a summary page, then one page per URL
+ * @route   GET /api/v1/bulk-audits/:batchId/pdf
+ * @access  Private
+ */
+export const downloadBatchPDF = async (req, res, next) => {
+  try {
+    const { batch, audits } = await bulkAuditService.getBatchWithAudits(req.user._id, req.params.batchId);
+    const pdfBuffer = pdfService.generateBulkAuditReport(batch, audits, req.user);
+    const filename = batchFilename(batch, 'pdf');
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Length', pdfBuffer.byteLength);
+
+    const disposition = req.query.view === 'true' ? 'inline' : 'attachment';
+    res.setHeader('Content-Disposition', `${disposition}; filename="${filename}"; filename*=UTF-8''${encodeURIComponent(filename)}`);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    res.send(Buffer.from(pdfBuffer));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const bulkAuditController = {
+  createBatch,
+  getBatchById,
+  getUserBatches,
+  downloadSummaryCSV,
+  downloadBatchPDF,
+};
@@ -1,5 +1,5 @@
 import { ApiResponse, ApiError } from '../utils/index.js';
-import { claudeService, pdfService, emailService } from '../services/index.js';
+import { claudeService, pdfService, emailService, creditService } from '../services/index.js';
 import { User } from '../models/index.js';
 import { AIContent } from '../models/index.js';
 
@@ -41,26 +41,6 @@ export const optimizeContent = async (req, res) => {
       normalizedLocale = "en-us";
     }
 
-    // ================= Credits =================
-
-    if (creditInfo) {
-      const { subscription, userCredits } = creditInfo;
-
-      if (
-        subscription &&
-        subscription.usage?.ai_generations_used <
-          (subscription.plan_id?.limits?.ai_generations || 0)
-      ) {
-        await subscription.incrementUsage("ai_generations", 1);
-      } else if (userCredits > 0) {
-        const user = await User.findById(userId);
-        if (user?.credits?.ai_generations > 0) {
-          user.credits.ai_generations -= 1;
-          await user.save();
-        }
-      }
-    }
-
     // ================= AI =================
 
     const optimizedContent = await claudeService.generateSEOContent({
@@ -87,6 +67,11 @@ export const optimizeContent = async (req, res) => {
       status: "completed",
     });
 
+    // ================= Credits =================
+
+    // The credit was reserved by checkCredit; it only becomes final once content exists
+    await creditService.commit(creditInfo?.reservation, { model: 'AIContent', id: aiContent._id });
+
     // Fire-and-forget email
     (async () => {
       try {
@@ -122,6 +107,8 @@ export const optimizeContent = async (req, res) => {
   } catch (error) {
     console.error("optimizeContent error:", error);
 
+    await creditService.release(req.creditInfo?.reservation).catch(() => {});
+
     return res.status(500).json(
       new ApiResponse(500, null, "Internal server error")
     );
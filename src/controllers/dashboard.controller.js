@@ -1,5 +1,6 @@
 import { ApiResponse, ApiError } from '../utils/index.js';
 import { User, Subscription, SEOAudit, GBPAudit, GeoAudit } from '../models/index.js';
+import { creditService } from '../services/index.js';
 
 export const getCredits = async (req, res, next) => {
   try {
@@ -71,6 +72,10 @@ export const getCredits = async (req, res, next) => {
         },
         credits,
         lastReset: usage.last_reset,
+        usagePeriod: {
+          start: usage.period_start,
+          end: usage.period_end,
+        },
       }, 'Credits retrieved successfully')
     );
   } catch (error) {
@@ -189,7 +194,23 @@ export const getStats = async (req, res, next) => {
   }
 };
 
+export const getCreditHistory = async (req, res, next) => {
+  try {
+    // userId is an admin-only filter; users always get their own ledger
+    const { userId, ...filters } = req.validatedQuery;
+
+    const { transactions, pagination } = await creditService.getHistory(req.user._id, filters);
+
+    res.json(
+      new ApiResponse(200, { transactions, pagination }, 'Credit history retrieved successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
 export const dashboardController = {
   getCredits,
   getStats,
+  getCreditHistory,
 };
\ No newline at end of file
@@ -1,13 +1,12 @@
 import { ApiResponse, ApiError } from '../utils/index.js';
-import { GBPAudit, User } from '../models/index.js';
-import { emailService, gbpService, pdfService } from '../services/index.js';
+import { GBPAudit } from '../models/index.js';
+import { auditQueueService, pdfService } from '../services/index.js';
 import { DEFAULT_LOCALE } from '../config/index.js';
 
 export const runAudit = async (req, res, next) => {
   try {
     const { businessName, gbpLink, locale, location } = req.body;
     const userId = req.user._id;
-    const { creditInfo } = req;
 
     // Business name is REQUIRED for search to work properly
     if (!businessName || businessName.trim().length === 0) {
@@ -16,66 +15,25 @@ export const runAudit = async (req, res, next) => {
       );
     }
 
-    // Run audit with business name, optional GBP link for place_id extraction, and location
-    const auditResult = await gbpService.runAudit(
-      businessName.trim(),
-      gbpLink || null,
-      locale || DEFAULT_LOCALE,
-      location || null  // Allow explicit location override (e.g., "Belgium", "France")
-    );
-
     const audit = await GBPAudit.create({
       user: userId,
       businessName: businessName.trim(),
       gbpLink: gbpLink || null,
       locale: locale || DEFAULT_LOCALE,
-      placeId: auditResult.placeId || null,
-      score: auditResult.score,
-      businessInfo: auditResult.businessInfo,
-      checklist: auditResult.checklist,
-      recommendations: auditResult.recommendations,
-      raw_data: auditResult.raw,
-      status: auditResult.found ? 'completed' : 'not_found',
+      status: 'pending',
     });
 
-    // Decrement credits after successful audit (only if audit was found)
-    if (auditResult.found && creditInfo) {
-      const { subscription, userCredits } = creditInfo;
-
-      if (subscription && subscription.usage?.gbp_audits_used < (subscription.plan_id?.limits?.gbp_audits || 0)) {
-        await subscription.incrementUsage('gbp_audits', 1);
-      } else if (userCredits > 0) {
-        const user = await User.findById(userId);
-        if (user && user.credits?.gbp_audits > 0) {
-          user.credits.gbp_audits = Math.max(0, user.credits.gbp_audits - 1);
-          await user.save();
-        }
-      }
-    }
-
-    // Send audit completion email (non-blocking) - only if found
-
-     if (auditResult.found) {
-      const auditData = {
-        _id: audit._id,
-        businessName: audit.businessName,
-        status: audit.status,
-        score: audit.score,
-        locale: audit.locale,
-        recommendations: audit.recommendations,
-      };
-      
-      emailService.sendGBPAuditEmail(req.user.email, {
-        audit: auditData,
-        userName: req.user.name,
-      });
-    }
-
+    // The worker marks the audit `not_found` (uncharged) when the business cannot be matched
+    const job = await auditQueueService.enqueue({
+      userId,
+      type: 'gbp',
+      audit,
+      reservation: req.creditInfo?.reservation,
+      payload: { businessName, gbpLink, locale, location },
+    });
 
-    res.status(201).json(
-      new ApiResponse(201, { audit }, auditResult.found
-        ? 'GBP audit completed successfully'
-        : 'Business not found. Please verify the name.')
+    res.status(202).json(
+      new ApiResponse(202, { audit, job }, 'GBP audit queued. Poll the job or the audit for its status.')
     );
   } catch (error) {
     next(error);
@@ -177,6 +135,10 @@ export const downloadAuditPDF = async (req, res, next) => {
       throw new ApiError(404, 'GBP audit not found');
     }
 
+    if (audit.status === 'pending') {
+      throw new ApiError(409, 'Audit is still processing. Try again once it has completed.');
+    }
+
     const pdfBuffer = pdfService.generateGBPAuditReport(audit, req.user);
 
     const businessSlug = audit.businessName
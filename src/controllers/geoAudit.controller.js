@@ -1,18 +1,20 @@
 import { ApiResponse, ApiError } from '../utils/index.js';
-import { GeoAudit, User } from '../models/index.js';
+import { GeoAudit } from '../models/index.js';
 
 import { DEFAULT_LOCALE } from '../config/index.js';
 
-import { emailService, geoAuditService, pdfService } from '../services/index.js';
+import { auditQueueService, pdfService } from '../services/index.js';
 
 
 export const runAudit = async (req, res, next) => {
   try {
-    const { keyword, city, region, country, googleDomain, language, businessName, locale } = req.body;
+    const { keyword, keywords, city, region, country, googleDomain, language, businessName, locale, grid, placeId, phone, website, address } = req.body;
     const userId = req.user._id;
-    const { creditInfo } = req;
 
-    if (!keyword) {
+    // A keyword set, or a single keyword; the first one is the primary keyword
+    const keywordSet = keywords?.length ? keywords : [keyword].filter(Boolean);
+
+    if (!keywordSet.length) {
       return res.status(400).json(
         new ApiResponse(400, null, 'Keyword is required for geo audit')
       );
@@ -32,64 +34,29 @@ export const runAudit = async (req, res, next) => {
 
     const effectiveLocale = locale || DEFAULT_LOCALE;
 
-    const auditResult = await geoAuditService.runGeoAudit(
-      keyword,
-      city,
-      region || null,
-      country,
-      googleDomain || null,
-      language || null,
-      effectiveLocale
-    );
+    // Same "City,Region,Country" format the service sends to DataForSEO
+    const location = region ? `${city},${region},${country}` : `${city},${country}`;
 
     const audit = await GeoAudit.create({
       user: userId,
-      businessName: businessName || keyword, // Store provided businessName or keyword
-      location: auditResult.location,
-      keyword: auditResult.keyword,
+      businessName: businessName || keywordSet[0], // Store provided businessName or keyword
+      location,
+      keyword: keywordSet[0],
+      keywords: keywordSet,
       locale: effectiveLocale,
-      localVisibilityScore: auditResult.localVisibilityScore,
-      competitors: auditResult.competitors || [],
-      recommendations: auditResult.recommendations || [],
-      napIssues: auditResult.napIssues || {
-        nameConsistency: true,
-        addressConsistency: true,
-        phoneConsistency: true,
-        issues: [],
-      },
-      citationIssues: auditResult.citationIssues || {
-        missingCitations: [],
-        inconsistentData: [],
-      },
-      raw_data: auditResult.raw,
-      status: 'completed',
+      status: 'pending',
     });
 
-    // Decrement credits after successful audit
-    if (creditInfo) {
-      const { subscription, userCredits } = creditInfo;
-
-      if (subscription && subscription.usage?.geo_audits_used < (subscription.plan_id?.limits?.geo_audits || 0)) {
-        await subscription.incrementUsage('geo_audits', 1);
-      } else if (userCredits > 0) {
-        const user = await User.findById(userId);
-        if (user && user.credits?.geo_audits > 0) {
-          user.credits.geo_audits = Math.max(0, user.credits.geo_audits - 1);
-          await user.save();
-        }
-      }
-    }
-    
-
-    //  Send audit completion email (non-blocking)
-    emailService.sendGeoAuditEmail(req.user.email, {
-      audit: audit.toObject(),
-      userName: req.user.name,
+    const job = await auditQueueService.enqueue({
+      userId,
+      type: 'geo',
+      audit,
+      reservation: req.creditInfo?.reservation,
+      payload: { keyword: keywordSet[0], keywords: keywordSet, city, region, country, googleDomain, language, locale: effectiveLocale, businessName, grid, placeId, phone, website, address },
     });
 
-
-    res.status(201).json(
-      new ApiResponse(201, { audit }, 'Geo audit completed successfully')
+    res.status(202).json(
+      new ApiResponse(202, { audit, job }, 'Geo audit queued. Poll the job or the audit for its status.')
     );
   } catch (error) {
     next(error);
@@ -191,6 +158,10 @@ export const downloadAuditPDF = async (req, res, next) => {
       throw new ApiError(404, 'Geo audit not found');
     }
 
+    if (audit.status === 'pending') {
+      throw new ApiError(409, 'Audit is still processing. Try again once it has completed.');
+    }
+
     const pdfBuffer = pdfService.generateGeoAuditReport(audit, req.user);
 
     const businessSlug = audit.businessName
@@ -0,0 +1,122 @@
+import { ApiResponse, ApiError } from '../utils/index.js';
+import { HreflangAudit } from '../models/index.js';
+import { auditQueueService, dataForSEOService } from '../services/index.js';
+import { DEFAULT_LOCALE } from '../config/index.js';
+
+/**
+ * @desc    Queue a multilingual audit: hreflang annotations of a page and its language versions,
+ *          and (with `keywords`) whether each version ranks in its own market
+ * @route   POST /api/v1/hreflang-audits
+ * @access  Private
+ */
+export const runAudit = async (req, res, next) => {
+  try {
+    const { url, locale, keywords } = req.body;
+    const userId = req.user._id;
+
+    const audit = await HreflangAudit.create({
+      user: userId,
+      url,
+      domain: dataForSEOService.extractDomain(url),
+      locale: locale || DEFAULT_LOCALE,
+      keywords: keywords || {},
+      status: 'pending',
+    });
+
+    const job = await auditQueueService.enqueue({
+      userId,
+      type: 'hreflang',
+      audit,
+      reservation: req.creditInfo?.reservation,
+      payload: { url, locale, keywords },
+    });
+
+    res.status(202).json(
+      new ApiResponse(202, { audit, job }, 'Hreflang audit queued. Poll the job or the audit for its status.')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Hreflang audit with its pages, rankings and recommendations
+ * @route   GET /api/v1/hreflang-audits/:auditId
+ * @access  Private
+ */
+export const getAuditById = async (req, res, next) => {
+  try {
+    const audit = await HreflangAudit.findOne({ _id: req.params.auditId, user: req.user._id });
+
+    if (!audit) {
+      throw new ApiError(404, 'Audit not found');
+    }
+
+    res.json(new ApiResponse(200, { audit }, 'Audit retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Paginated hreflang audits of the user, without the per-page details
+ * @route   GET /api/v1/hreflang-audits
+ * @access  Private
+ */
+export const getUserAudits = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const { page = 1, limit = 10 } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [audits, total] = await Promise.all([
+      HreflangAudit.find({ user: userId })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .select('-pages'),
+      HreflangAudit.countDocuments({ user: userId }),
+    ]);
+
+    res.json(
+      new ApiResponse(200, {
+        audits,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      }, 'Audits retrieved successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete an hreflang audit
+ * @route   DELETE /api/v1/hreflang-audits/:auditId
+ * @access  Private
+ */
+export const deleteAudit = async (req, res, next) => {
+  try {
+    const audit = await HreflangAudit.findOneAndDelete({ _id: req.params.auditId, user: req.user._id });
+
+    if (!audit) {
+      throw new ApiError(404, 'Audit not found');
+    }
+
+    res.json(new ApiResponse(200, null, 'Audit deleted successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const hreflangAuditController = {
+  runAudit,
+  getAuditById,
+  getUserAudits,
+  deleteAudit,
+};
@@ -4,9 +4,17 @@ export * as planController from './plan.controller.js';
 export * as subscriptionController from './subscription.controller.js';
 export * as webhookController from './webhook.controller.js';
 export * as seoAuditController from './seoAudit.controller.js';
+export * as siteAuditController from './siteAudit.controller.js';
+export * as hreflangAuditController from './hreflangAudit.controller.js';
+export * as bulkAuditController from './bulkAudit.controller.js';
+export * as serpController from './serp.controller.js';
 export * as geoAuditController from './geoAudit.controller.js';
 export * as claudeController from './claude.controller.js';
 export * as gbpAuditController from './gbpAudit.controller.js';
+export * as auditJobController from './auditJob.controller.js';
+export * as auditScheduleController from './auditSchedule.controller.js';
+export * as auditComparisonController from './auditComparison.controller.js';
+export * as rankTrackingController from './rankTracking.controller.js';
 export * as dashboardController from './dashboard.controller.js';
 export * as adminController from './admin.controller.js';
 export * as supportController from './support.controller.js';
\ No newline at end of file
@@ -0,0 +1,184 @@
+import { ApiResponse, ApiError } from '../utils/index.js';
+import { TrackedKeyword, KeywordRanking } from '../models/index.js';
+import { rankTrackerService } from '../services/index.js';
+import { DEFAULT_LOCALE } from '../config/index.js';
+
+/**
+ * @desc    Start tracking a (domain, keyword, locale, device) pair; the first check runs on the next tracker tick
+ * @route   POST /api/v1/rank-tracking/keywords
+ * @access  Private (active subscription, up to plan.limits.tracked_keywords)
+ */
+export const addKeyword = async (req, res, next) => {
+  try {
+    const keyword = await rankTrackerService.addKeyword(req.user._id, {
+      ...req.body,
+      locale: req.body.locale || DEFAULT_LOCALE,
+    }, req.subscription);
+
+    res.status(201).json(new ApiResponse(201, { keyword }, 'Keyword tracking started'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List tracked keywords with their latest position (optionally ?project=)
+ * @route   GET /api/v1/rank-tracking/keywords
+ * @access  Private
+ */
+export const getKeywords = async (req, res, next) => {
+  try {
+    const { project } = req.validatedQuery;
+
+    const query = { user: req.user._id };
+    if (project) query.project = project;
+
+    const keywords = await TrackedKeyword.find(query)
+      .sort({ project: 1, keyword: 1 })
+      .select('-locked_until')
+      .lean();
+
+    res.json(new ApiResponse(200, { keywords }, 'Tracked keywords retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Tracked keyword with its position history over the last ?days= days (default 30)
+ * @route   GET /api/v1/rank-tracking/keywords/:keywordId
+ * @access  Private
+ */
+export const getKeywordById = async (req, res, next) => {
+  try {
+    const keyword = await TrackedKeyword.findOne({ _id: req.params.keywordId, user: req.user._id })
+      .select('-locked_until')
+      .lean();
+
+    if (!keyword) {
+      throw new ApiError(404, 'Tracked keyword not found');
+    }
+
+    const history = await rankTrackerService.getKeywordHistory(keyword, req.validatedQuery.days);
+
+    res.json(new ApiResponse(200, { keyword, ...history }, 'Tracked keyword retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Move to another project, pause/resume or change the drop alert threshold
+ * @route   PATCH /api/v1/rank-tracking/keywords/:keywordId
+ * @access  Private
+ */
+export const updateKeyword = async (req, res, next) => {
+  try {
+    const { project, is_active, alertThreshold } = req.body;
+
+    const update = {};
+    if (project !== undefined) update.project = project;
+    if (is_active !== undefined) update.is_active = is_active;
+    if (alertThreshold !== undefined) update.alert_threshold = alertThreshold;
+
+    const keyword = await TrackedKeyword.findOneAndUpdate(
+      { _id: req.params.keywordId, user: req.user._id },
+      { $set: update },
+      { new: true }
+    ).select('-locked_until');
+
+    if (!keyword) {
+      throw new ApiError(404, 'Tracked keyword not found');
+    }
+
+    // History rows carry the project so project reports don't need a join
+    if (project !== undefined) {
+      await KeywordRanking.updateMany({ tracked_keyword: keyword._id }, { $set: { project } });
+    }
+
+    res.json(new ApiResponse(200, { keyword }, 'Tracked keyword updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Stop tracking a keyword and delete its history
+ * @route   DELETE /api/v1/rank-tracking/keywords/:keywordId
+ * @access  Private
+ */
+export const deleteKeyword = async (req, res, next) => {
+  try {
+    const keyword = await TrackedKeyword.findOneAndDelete({ _id: req.params.keywordId, user: req.user._id });
+
+    if (!keyword) {
+      throw new ApiError(404, 'Tracked keyword not found');
+    }
+
+    await KeywordRanking.deleteMany({ tracked_keyword: keyword._id });
+
+    res.json(new ApiResponse(200, null, 'Tracked keyword deleted successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Projects with their current average position and visibility index
+ * @route   GET /api/v1/rank-tracking/projects
+ * @access  Private
+ */
+export const getProjects = async (req, res, next) => {
+  try {
+    const projects = await rankTrackerService.getProjects(req.user._id);
+
+    res.json(new ApiResponse(200, { projects }, 'Projects retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Average position and visibility of a project, with daily history over ?days= (default 30)
+ * @route   GET /api/v1/rank-tracking/projects/:project
+ * @access  Private
+ */
+export const getProjectSummary = async (req, res, next) => {
+  try {
+    const summary = await rankTrackerService.getProjectSummary(
+      req.user._id,
+      req.params.project,
+      req.validatedQuery.days
+    );
+
+    res.json(new ApiResponse(200, summary, 'Project summary retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Check due keywords from a cron (serverless deployments have no resident tracker)
+ * @route   GET /api/v1/rank-tracking/run
+ * @access  Cron (CRON_SECRET)
+ */
+export const runDueChecks = async (req, res, next) => {
+  try {
+    const result = await rankTrackerService.runDue();
+
+    res.json(new ApiResponse(200, result, 'Due rank checks completed'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const rankTrackingController = {
+  addKeyword,
+  getKeywords,
+  getKeywordById,
+  updateKeyword,
+  deleteKeyword,
+  getProjects,
+  getProjectSummary,
+  runDueChecks,
+};
@@ -1,13 +1,12 @@
 import { ApiResponse, ApiError } from '../utils/index.js';
-import { SEOAudit, User } from '../models/index.js';
-import { dataForSEOService, emailService, pdfService } from '../services/index.js';
-import { getLocaleConfig, DEFAULT_LOCALE } from '../config/index.js';
+import { SEOAudit } from '../models/index.js';
+import { auditQueueService, pdfService } from '../services/index.js';
+import { DEFAULT_LOCALE } from '../config/index.js';
 
 export const runAudit = async (req, res, next) => {
   try {
-    const { url, keyword, locale, device } = req.body;
+    const { url, keyword, locale, device, deepCompetitors, pageType } = req.body;
     const userId = req.user._id;
-    const { creditInfo } = req;
 
     if (!keyword) {
       return res.status(400).json(
@@ -15,57 +14,25 @@ export const runAudit = async (req, res, next) => {
       );
     }
 
-    // Get locale config for API parameters
-    const localeConfig = getLocaleConfig(locale || DEFAULT_LOCALE);
-
-    const auditResult = await dataForSEOService.runOnPageAudit(
-      url,
-      keyword,
-      locale || DEFAULT_LOCALE,
-      device || 'desktop'
-    );
-
     const audit = await SEOAudit.create({
       user: userId,
       url,
       keyword,
       locale: locale || DEFAULT_LOCALE,
-      score: auditResult.score,
-      checks: auditResult.checks,
-      keywordAnalysis: auditResult.keywordAnalysis,
-      recommendations: auditResult.recommendations,
-      competitors: auditResult.competitors || [],
-      serpInfo: auditResult.serpInfo || null,
-      raw_data: auditResult.raw,
-      status: 'completed',
+      status: 'pending',
     });
 
-    // Decrement credits after successful audit
-    if (creditInfo) {
-      const { subscription, userCredits } = creditInfo;
-
-      if (subscription && subscription.usage?.seo_audits_used < (subscription.plan_id?.limits?.seo_audits || 0)) {
-        await subscription.incrementUsage('seo_audits', 1);
-      } else if (userCredits > 0) {
-        const user = await User.findById(userId);
-        if (user && user.credits?.seo_audits > 0) {
-          user.credits.seo_audits = Math.max(0, user.credits.seo_audits - 1);
-          await user.save();
-        }
-      }
-    }
-
-
-    // Send audit completion email (non-blocking)
-    emailService.sendSEOAuditEmail(req.user.email, {
-      audit: audit.toObject(),
-      userName: req.user.name,
+    // DataForSEO runs in the background worker, which commits the reserved credit on success
+    const job = await auditQueueService.enqueue({
+      userId,
+      type: 'seo',
+      audit,
+      reservation: req.creditInfo?.reservation,
+      payload: { url, keyword, locale, device, deepCompetitors, pageType },
     });
 
-
-
-    res.status(201).json(
-      new ApiResponse(201, { audit }, 'SEO audit completed successfully')
+    res.status(202).json(
+      new ApiResponse(202, { audit, job }, 'SEO audit queued. Poll the job or the audit for its status.')
     );
   } catch (error) {
     next(error);
@@ -167,6 +134,10 @@ export const downloadAuditPDF = async (req, res, next) => {
       throw new ApiError(404, 'Audit not found');
     }
 
+    if (audit.status === 'pending') {
+      throw new ApiError(409, 'Audit is still processing. Try again once it has completed.');
+    }
+
     const pdfBuffer = pdfService.generateSEOAuditReport(audit, req.user);
 
     let urlDomain = 'website';
@@ -0,0 +1,87 @@
+import { ApiResponse, Logger } from '../utils/index.js';
+import { serpService } from '../services/index.js';
+
+/**
+ * Give back searches taken by checkSearchQuota. A failed release is only logged, so the
+ * DataForSEO error (or the results) still reach the client.
+ */
+const releaseSearches = async (req, amount) => {
+  const { searchQuota } = req;
+  if (!searchQuota?.subscription || amount <= 0) return;
+
+  try {
+    await searchQuota.subscription.releaseUsage('search', amount, searchQuota.reservedAt);
+  } catch (error) {
+    Logger.error(`Failed to release ${amount} search(es) for user ${req.user._id}:`, error.message);
+  }
+};
+
+export const search = async (req, res, next) => {
+  try {
+    const { keyword, locationName, languageName, device, depth } = req.body;
+
+    let result;
+    try {
+      result = await serpService.getCompetitorResults(
+        keyword,
+        locationName,
+        languageName,
+        device,
+        depth
+      );
+    } catch (error) {
+      // checkSearchQuota took the search; it is only charged once DataForSEO has answered
+      await releaseSearches(req, 1);
+      throw error;
+    }
+
+    res.json(
+      new ApiResponse(200, result, 'Competitor results retrieved successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const bulkSearch = async (req, res, next) => {
+  try {
+    const { keywords, locationName, languageName, device } = req.body;
+    const { searchQuota } = req;
+
+    let results;
+    try {
+      results = await serpService.getMultipleKeywordResults(
+        keywords,
+        locationName,
+        languageName,
+        device
+      );
+    } catch (error) {
+      await releaseSearches(req, keywords.length);
+      throw error;
+    }
+
+    // Failed keywords come back with an `error` field and are not charged: give their searches back
+    const succeeded = results.filter((result) => !result.error).length;
+    await releaseSearches(req, keywords.length - succeeded);
+
+    res.json(
+      new ApiResponse(200, {
+        results,
+        summary: {
+          requested: keywords.length,
+          succeeded,
+          failed: keywords.length - succeeded,
+          searches_remaining: Math.max(0, (searchQuota?.remaining || 0) + keywords.length - succeeded),
+        },
+      }, 'Competitor results retrieved successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const serpController = {
+  search,
+  bulkSearch,
+};
@@ -0,0 +1,148 @@
+import { ApiResponse, ApiError } from '../utils/index.js';
+import { SiteAudit } from '../models/index.js';
+import { auditQueueService, dataForSEOService, pdfService } from '../services/index.js';
+import { env, DEFAULT_LOCALE } from '../config/index.js';
+
+export const runAudit = async (req, res, next) => {
+  try {
+    const { url, locale } = req.body;
+    const maxPages = req.body.maxPages || env.SITE_AUDIT_MAX_PAGES;
+    const userId = req.user._id;
+
+    const audit = await SiteAudit.create({
+      user: userId,
+      url,
+      domain: dataForSEOService.extractDomain(url),
+      locale: locale || DEFAULT_LOCALE,
+      max_pages: maxPages,
+      status: 'pending',
+    });
+
+    // The crawl is polled by the background worker, which commits the reserved credit on success
+    const job = await auditQueueService.enqueue({
+      userId,
+      type: 'site',
+      audit,
+      reservation: req.creditInfo?.reservation,
+      payload: { url, maxPages, locale },
+    });
+
+    res.status(202).json(
+      new ApiResponse(202, { audit, job }, 'Site crawl queued. Poll the job or the audit for its status.')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getAuditById = async (req, res, next) => {
+  try {
+    const { auditId } = req.params;
+    const userId = req.user._id;
+
+    const audit = await SiteAudit.findOne({ _id: auditId, user: userId });
+
+    if (!audit) {
+      throw new ApiError(404, 'Audit not found');
+    }
+
+    res.json(new ApiResponse(200, { audit }, 'Audit retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getUserAudits = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const { page = 1, limit = 10 } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // The page list can be large; fetch a single audit for the details
+    const [audits, total] = await Promise.all([
+      SiteAudit.find({ user: userId })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .select('-raw_data -pages -issues'),
+      SiteAudit.countDocuments({ user: userId }),
+    ]);
+
+    res.json(
+      new ApiResponse(200, {
+        audits,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      }, 'Audits retrieved successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deleteAudit = async (req, res, next) => {
+  try {
+    const { auditId } = req.params;
+    const userId = req.user._id;
+
+    const audit = await SiteAudit.findOneAndDelete({ _id: auditId, user: userId });
+
+    if (!audit) {
+      throw new ApiError(404, 'Audit not found');
+    }
+
+    res.json(new ApiResponse(200, null, 'Audit deleted successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const downloadAuditPDF = async (req, res, next) => {
+  try {
+    const { auditId } = req.params;
+    const userId = req.user._id;
+    const { view } = req.query;
+
+    const audit = await SiteAudit.findOne({ _id: auditId, user: userId }).lean();
+
+    if (!audit) {
+      throw new ApiError(404, 'Audit not found');
+    }
+
+    if (audit.status === 'pending' || audit.status === 'crawling') {
+      throw new ApiError(409, 'Site crawl is still running. Try again once it has completed.');
+    }
+
+    const pdfBuffer = pdfService.generateSiteAuditReport(audit, req.user);
+
+    const domainSlug = (audit.domain || 'website').replace(/[^a-z0-9.-]/gi, '-');
+    const dateStr = new Date(audit.createdAt).toISOString().split('T')[0];
+    const filename = `site-audit-${domainSlug}-${dateStr}.pdf`;
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Length', pdfBuffer.byteLength);
+
+    const disposition = view === 'true' ? 'inline' : 'attachment';
+    res.setHeader('Content-Disposition', `${disposition}; filename="${filename}"; filename*=UTF-8''${encodeURIComponent(filename)}`);
+
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    res.send(Buffer.from(pdfBuffer));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const siteAuditController = {
+  runAudit,
+  getAuditById,
+  getUserAudits,
+  deleteAudit,
+  downloadAuditPDF,
+};
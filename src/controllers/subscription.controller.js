@@ -181,6 +181,8 @@ export const getCredits = async (req, res, next) => {
         plan_id: subscription.plan_id?._id,
         status: subscription.status,
         current_period_end: subscription.current_period_end,
+        usage_period_start: subscription.usage?.period_start || null,
+        usage_period_end: subscription.usage?.period_end || null,
       } : null,
     };
 
@@ -190,5 +192,40 @@ export const getCredits = async (req, res, next) => {
   }
 };
 
+export const getUsageHistory = async (req, res, next) => {
+  try {
+    const subscription = await Subscription.findOne({
+      user_id: req.user._id,
+      status: { $in: [enums.SUBSCRIPTION_STATUS.ACTIVE, enums.SUBSCRIPTION_STATUS.TRIAL, enums.SUBSCRIPTION_STATUS.LIFETIME] }
+    }).populate('plan_id', 'name limits');
+
+    if (!subscription) {
+      return res.json(new ApiResponse(200, { current: null, history: [] }, "No active subscription"));
+    }
+
+    // Close the current window first so an expired period shows up in the history
+    await subscription.resetMonthlyUsage();
+
+    const { usage } = subscription;
+    const history = [...(subscription.usage_history || [])].reverse();
+
+    res.json(new ApiResponse(200, {
+      current: {
+        period_start: usage.period_start,
+        period_end: usage.period_end,
+        seo_audits_used: usage.seo_audits_used,
+        geo_audits_used: usage.geo_audits_used,
+        gbp_audits_used: usage.gbp_audits_used,
+        ai_generations_used: usage.ai_generations_used,
+        searches_performed: usage.searches_performed,
+        api_calls_made: usage.api_calls_made,
+      },
+      history,
+    }, "Usage history retrieved successfully"));
+  } catch (error) {
+    next(error);
+  }
+};
+
 
 
@@ -42,4 +42,14 @@ export const auth = async (req, res, next) => {
       return next(new ApiError(401, "Invalid or expired refresh token"));
     }
   }
-};
\ No newline at end of file
+};
+
+// Scheduled invocations (Vercel Cron sends `Authorization: Bearer <CRON_SECRET>`)
+export const cronAuth = (req, res, next) => {
+  if (!env.CRON_SECRET) return next(new ApiError(503, "Cron endpoint disabled – CRON_SECRET not configured"));
+
+  const token = req.headers.authorization?.startsWith("Bearer ") ? req.headers.authorization.split(" ")[1] : null;
+  if (token !== env.CRON_SECRET) return next(new ApiError(401, "Unauthorized – invalid cron secret"));
+
+  return next();
+};
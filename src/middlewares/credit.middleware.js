@@ -1,62 +1,37 @@
 // middlewares/credit.middleware.js
-import { ApiError, ApiResponse } from '../utils/index.js';
-import { User, Subscription } from '../models/index.js';
+import { ApiError, ApiResponse, Logger } from '../utils/index.js';
+import { Subscription } from '../models/index.js';
 import { enums } from '../utils/index.js';
+import { creditService } from '../services/credit.service.js';
 
 /**
- * Middleware to check if user has available credits for a specific audit type
+ * Middleware to reserve the credits of a specific audit type before the controller runs.
+ * The reservation is taken atomically (see creditService.reserve) and exposed as
+ * `req.creditInfo.reservation`; the controller commits it on success or releases it on failure.
+ * Any reservation still open when the response finishes with an error status is released here.
  * @param {string} creditType - Type of credit to check: 'seo_audits', 'geo_audits', 'gbp_audits', 'ai_generations'
+ * @param {Function} [getCost] - `(req) => number | Promise<number>` when a request can cost more than one credit
  */
-export const checkCredit = (creditType) => {
+export const checkCredit = (creditType, getCost = null) => {
   return async (req, res, next) => {
     try {
       const userId = req.user._id;
+      const cost = getCost ? await getCost(req) : 1;
 
-      // Get user with credits
-      const user = await User.findById(userId);
-      if (!user) {
+      const balance = await creditService.getBalance(userId, creditType);
+      if (!balance.user) {
         throw new ApiError(404, 'User not found');
       }
 
-      // Get active subscription
-      const subscription = await Subscription.findOne({
-        user_id: userId,
-        status: { $in: [enums.SUBSCRIPTION_STATUS.ACTIVE, enums.SUBSCRIPTION_STATUS.TRIAL, enums.SUBSCRIPTION_STATUS.LIFETIME] }
-      }).populate('plan_id');
+      const { subscription, userCredits, subscriptionLimit, subscriptionUsed, availableCredits } = balance;
 
-      // Reset monthly usage if needed
-      if (subscription) {
-        await subscription.resetMonthlyUsage();
-      }
-
-      // Calculate available credits
-      let availableCredits = 0;
-      let totalLimit = 0;
-      let used = 0;
-
-      // Get user's addon credits (one-time purchases)
-      const userCredits = user.credits?.[creditType] || 0;
-
-      // Get subscription limits and usage
-      if (subscription?.plan_id && subscription.isActive()) {
-        const planLimits = subscription.plan_id.limits || {};
-        const subscriptionLimit = planLimits[creditType] || 0;
-        const usageKey = `${creditType}_used`;
-        const subscriptionUsed = subscription.usage?.[usageKey] || 0;
-
-        totalLimit = subscriptionLimit;
-        used = subscriptionUsed;
-        const subscriptionAvailable = Math.max(0, subscriptionLimit - subscriptionUsed);
-        
-        // Total available = addon credits + subscription available
-        availableCredits = userCredits + subscriptionAvailable;
-      } else {
-        // No active subscription, only addon credits available
-        availableCredits = userCredits;
-      }
+      // Reserve only when the balance says there is something to take; a null
+      // reservation also covers losing the race for the last credit
+      const reservation = availableCredits >= cost
+        ? await creditService.reserve(userId, creditType, cost, subscription)
+        : null;
 
-      // Check if user has available credits
-      if (availableCredits <= 0) {
+      if (!reservation) {
         const creditTypeNames = {
           seo_audits: 'SEO Audits',
           geo_audits: 'GEO Audits',
@@ -69,22 +44,33 @@ export const checkCredit = (creditType) => {
         return res.status(403).json(
           new ApiResponse(403, {
             credit_type: creditType,
+            required: cost,
             available: availableCredits,
-            used: used,
-            limit: totalLimit,
+            used: subscriptionUsed,
+            limit: subscriptionLimit,
             addon_credits: userCredits
           }, `Insufficient ${creditName} credits. Please upgrade your plan or purchase addon credits.`)
         );
       }
 
+      res.on('finish', () => {
+        if (res.statusCode >= 400 && !reservation.job) {
+          creditService.release(reservation).catch((error) => {
+            Logger.error(`Failed to release ${creditType} credit for user ${userId}:`, error.message);
+          });
+        }
+      });
+
       // Attach credit info to request for use in controller
       req.creditInfo = {
         creditType,
+        cost,
         availableCredits,
         userCredits,
-        subscriptionLimit: totalLimit,
-        subscriptionUsed: used,
-        subscription
+        subscriptionLimit,
+        subscriptionUsed,
+        subscription,
+        reservation
       };
 
       next();
@@ -94,6 +80,65 @@ export const checkCredit = (creditType) => {
   };
 };
 
+/**
+ * Middleware to take searches from the monthly SERP search quota (plan.limits.searches_per_month).
+ * Searches are a subscription-only allowance: there are no addon search credits.
+ * A request costs one search per keyword (`keyword` or `keywords[]` in the body). They are
+ * taken here with a conditional `$inc`, like credit reservations, so parallel requests cannot
+ * exceed the quota; the controller gives back the searches that failed.
+ */
+export const checkSearchQuota = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+
+    const subscription = await Subscription.findOne({
+      user_id: userId,
+      status: { $in: [enums.SUBSCRIPTION_STATUS.ACTIVE, enums.SUBSCRIPTION_STATUS.TRIAL, enums.SUBSCRIPTION_STATUS.LIFETIME] }
+    }).populate('plan_id');
+
+    if (!subscription || !subscription.isActive()) {
+      return res.status(403).json(
+        new ApiResponse(403, null, 'Active subscription required. Please subscribe to a plan.')
+      );
+    }
+
+    await subscription.resetMonthlyUsage();
+
+    const limit = subscription.plan_id?.limits?.searches_per_month || 0;
+    const requested = Array.isArray(req.body?.keywords) ? req.body.keywords.length : 1;
+    const reservedAt = new Date();
+    const taken = requested <= limit ? await subscription.incrementUsage('search', requested, limit) : null;
+
+    if (!taken) {
+      const used = subscription.usage?.searches_performed || 0;
+      const remaining = Math.max(0, limit - used);
+      return res.status(403).json(
+        new ApiResponse(403, {
+          credit_type: 'searches',
+          requested,
+          available: remaining,
+          used,
+          limit
+        }, `Insufficient searches remaining this month (${remaining} left, ${requested} requested). Please upgrade your plan.`)
+      );
+    }
+
+    const used = subscription.usage.searches_performed;
+    req.searchQuota = {
+      limit,
+      used,
+      remaining: Math.max(0, limit - used),
+      requested,
+      reservedAt,
+      subscription
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Middleware to check if user has active subscription
  */
@@ -1,5 +1,5 @@
-export { auth } from './auth.middleware.js';
+export { auth, cronAuth } from './auth.middleware.js';
 export { authorizeRoles as authorize } from './authorize.middleware.js';
 export { errorHandler, notFoundHandler } from './error.middleware.js';
 export { validate } from './validate.middleware.js';
-export { checkCredit, requireSubscription } from './credit.middleware.js';
\ No newline at end of file
+export { checkCredit, checkSearchQuota, requireSubscription } from './credit.middleware.js';
\ No newline at end of file
@@ -1,4 +1,6 @@
 import Joi from "joi";
+import { env, getSupportedLocales } from "../config/index.js";
+import { parseCsv, enums } from "../utils/index.js";
 
 // Helper function to validate request body
 const validateRequest = (schema) => (req, res, next) => {
@@ -100,21 +102,158 @@ const changePassword = validateRequest(Joi.object({
   confirmPassword: confirmPassword('newPassword')
 }));
 
-const runSEOAudit = validateRequest(Joi.object({
+// Audit input schemas are shared with audit schedules
+const seoAuditSchema = Joi.object({
   url,
   keyword,
   locale: Joi.string().max(10).optional(),
-  device: Joi.string().valid('desktop', 'mobile', 'tablet').optional(),
-}));
+  // 'both' runs the audit for mobile and desktop
+  device: Joi.string().valid('desktop', 'mobile', 'tablet', 'both').optional(),
+  deepCompetitors: Joi.boolean().optional(),
+  // Scoring profile; 'auto' detects it from the page
+  pageType: Joi.string().valid('auto', ...enums.getSeoScoringProfilesArray()).optional(),
+});
+
+const runSEOAudit = validateRequest(seoAuditSchema);
 
 const auditIdParam = validateParams(Joi.object({
   auditId: mongoId,
 }));
+
+const runSiteAudit = validateRequest(Joi.object({
+  url: url.pattern(/^https?:\/\//i).messages({
+    'string.pattern.base': 'URL must start with http:// or https://',
+  }),
+  maxPages: Joi.number().integer().min(1).max(env.SITE_AUDIT_MAX_PAGES).optional().messages({
+    'number.max': `maxPages cannot exceed ${env.SITE_AUDIT_MAX_PAGES}`,
+  }),
+  locale,
+}));
+
+// Keywords are per market: { fr_be: '...', nl_be: '...', default: '...' }
+const runHreflangAudit = validateRequest(Joi.object({
+  url: url.pattern(/^https?:\/\//i).messages({
+    'string.pattern.base': 'URL must start with http:// or https://',
+  }),
+  locale,
+  keywords: Joi.object().pattern(
+    Joi.string().valid(...getSupportedLocales(), 'default'),
+    Joi.string().trim().min(1).max(100)
+  ).optional(),
+}));
+
+// Bulk SEO audits: `rows` as JSON (or a bare JSON array), or `csv` text (or a text/csv body)
+// with a url,keyword,locale,device header. Rows inherit the batch locale and device.
+const CSV_COLUMNS = ['url', 'keyword', 'locale', 'device'];
+
+const bulkAuditRow = Joi.object({
+  url: url.pattern(/^https?:\/\//i).messages({
+    'string.pattern.base': 'URL must start with http:// or https://',
+  }),
+  keyword: Joi.string().trim().min(1).max(100).required(),
+  locale: Joi.string().max(10).optional(),
+  device: Joi.string().valid('desktop', 'mobile', 'tablet', 'both').optional(),
+});
+
+const csvToRows = (csv) => {
+  const lines = parseCsv(csv);
+  const header = (lines[0] || []).map((cell) => cell.toLowerCase());
+  // Without a header line the columns are read in the default order
+  const columns = header.includes('url') ? header : CSV_COLUMNS;
+  const dataLines = header.includes('url') ? lines.slice(1) : lines;
+
+  return dataLines.map((cells) => Object.fromEntries(
+    columns
+      .map((column, index) => [column, cells[index]])
+      .filter(([column, value]) => CSV_COLUMNS.includes(column) && value)
+  ));
+};
+
+const runBulkSEOAudit = (req, res, next) => {
+  let body = req.body || {};
+  if (typeof body === 'string') body = { csv: body };
+  if (Array.isArray(body)) body = { rows: body };
+
+  const schema = Joi.object({
+    name: Joi.string().trim().max(100).optional(),
+    locale,
+    device: Joi.string().valid('desktop', 'mobile', 'tablet', 'both').optional(),
+    rows: Joi.array().items(Joi.object()).min(1),
+    csv: Joi.string().min(1).max(1024 * 1024),
+  }).xor('rows', 'csv').messages({
+    'object.xor': 'Provide either rows or csv',
+    'object.missing': 'Provide either rows or csv',
+  });
+
+  const { error, value } = schema.validate(body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      error: error.details[0].message,
+    });
+  }
+
+  const rows = (value.rows || csvToRows(value.csv)).map((row) => ({
+    ...row,
+    locale: row.locale || value.locale,
+    device: row.device || value.device,
+  }));
+
+  const rowsSchema = Joi.array().items(bulkAuditRow).min(1).max(env.BULK_AUDIT_MAX_ROWS)
+    .unique((a, b) => a.url === b.url && a.keyword === b.keyword && a.locale === b.locale && a.device === b.device)
+    .messages({
+      'array.min': 'At least one row is required',
+      'array.max': `A maximum of ${env.BULK_AUDIT_MAX_ROWS} rows is allowed per bulk audit`,
+      'array.unique': 'Duplicate row: {#label}',
+    });
+
+  const rowsResult = rowsSchema.validate(rows, { stripUnknown: true });
+  if (rowsResult.error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      error: rowsResult.error.details[0].message,
+    });
+  }
+
+  req.validatedBody = { name: value.name, locale: value.locale, rows: rowsResult.value };
+  next();
+};
+
+const batchIdParam = validateParams(Joi.object({
+  batchId: mongoId,
+}));
+
 // SERP validations
+const serpOptions = {
+  locationName: Joi.string().max(200).optional(),
+  languageName: Joi.string().max(100).optional(),
+  device: Joi.string().valid('desktop', 'mobile', 'tablet').optional(),
+};
+
+const serpSearch = validateRequest(Joi.object({
+  keyword: Joi.string().trim().min(1).max(200).required().messages({
+    'any.required': 'Keyword is required',
+    'string.empty': 'Keyword cannot be empty',
+  }),
+  ...serpOptions,
+  depth: Joi.number().integer().min(10).max(100).optional(),
+}));
+
+const serpBulkSearch = validateRequest(Joi.object({
+  keywords: Joi.array().items(Joi.string().trim().min(1).max(200)).min(1).max(10).unique().required().messages({
+    'any.required': 'Keywords array is required',
+    'array.min': 'At least one keyword is required',
+    'array.max': 'A maximum of 10 keywords is allowed per request',
+    'array.unique': 'Keywords must be unique',
+  }),
+  ...serpOptions,
+}));
 
 
 // GBP Audit validations
-const runGBPAudit = validateRequest(Joi.object({
+const gbpAuditSchema = Joi.object({
   businessName: Joi.string().min(2).max(200).required().messages({
     'any.required': 'Business name is required',
     'string.empty': 'Business name cannot be empty',
@@ -127,18 +266,30 @@ const runGBPAudit = validateRequest(Joi.object({
   location: Joi.string().max(100).optional().messages({
     'string.max': 'Location must be less than 100 characters',
   }),
-}));
+});
+
+const runGBPAudit = validateRequest(gbpAuditSchema);
 
 const gbpAuditIdParam = validateParams(Joi.object({
   auditId: mongoId,
 }));
 
 // Geo Audit validations
-const runGeoAudit = validateRequest(Joi.object({
-  keyword: Joi.string().min(1).max(200).required().messages({
-    'any.required': 'Keyword is required',
+const geoAuditSchema = Joi.object({
+  keyword: Joi.string().min(1).max(200).messages({
     'string.empty': 'Keyword cannot be empty',
   }),
+  // Keyword set, audited in one run; the first keyword is the primary one
+  keywords: Joi.array()
+    .items(Joi.string().trim().min(1).max(200))
+    .min(1)
+    .max(10)
+    .unique((a, b) => a.toLowerCase() === b.toLowerCase())
+    .messages({
+      'array.min': 'Keywords cannot be empty',
+      'array.max': 'A geo audit takes up to 10 keywords',
+      'array.unique': 'Keywords must be unique',
+    }),
   city: Joi.string().min(1).max(200).required().messages({
     'any.required': 'City is required',
     'string.empty': 'City cannot be empty',
@@ -158,6 +309,158 @@ const runGeoAudit = validateRequest(Joi.object({
   }),
   businessName: Joi.string().min(1).max(200).optional(),
   locale: Joi.string().max(10).optional(),
+  // Geo-grid scan: one Local Finder query per point of a size × size grid around the center
+  grid: Joi.object({
+    lat: Joi.number().min(-90).max(90).required(),
+    lng: Joi.number().min(-180).max(180).required(),
+    radiusKm: Joi.number().min(0.1).max(50).required(),
+    size: Joi.number().integer().valid(3, 5, 7, 9).required().messages({
+      'any.only': 'Grid size must be 3, 5, 7 or 9',
+    }),
+  }).optional(),
+  // Identify the business in the results (besides its name)
+  placeId: Joi.string().max(200).optional(),
+  phone: Joi.string().max(50).optional(),
+  website: Joi.string().max(500).optional(),
+  // Address compared with the directory listings (the Google listing's otherwise)
+  address: Joi.string().max(300).optional(),
+}).with('grid', 'businessName').xor('keyword', 'keywords').messages({
+  'object.with': 'businessName is required for a geo-grid scan',
+  'object.missing': 'Keyword is required',
+  'object.xor': 'Send either keyword or keywords, not both',
+});
+
+const runGeoAudit = validateRequest(geoAuditSchema);
+
+// Audit job validations
+const auditJobsQuery = (req, res, next) => {
+  const schema = Joi.object({
+    page: Joi.number().integer().min(1).optional().default(1),
+    limit: Joi.number().integer().min(1).max(100).optional().default(20),
+    status: Joi.string().valid('queued', 'processing', 'completed', 'failed').optional(),
+    type: Joi.string().valid('seo', 'geo', 'gbp', 'site', 'hreflang', 'all').optional().default('all'),
+  });
+
+  const { error, value } = schema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      error: error.details[0].message,
+    });
+  }
+
+  req.validatedQuery = value;
+  next();
+};
+
+const jobIdParam = validateParams(Joi.object({
+  jobId: mongoId,
+}));
+
+// Rank tracking validations
+const rankDevice = Joi.string().valid('desktop', 'mobile');
+const rankProject = Joi.string().trim().min(1).max(100);
+const alertThreshold = Joi.number().integer().min(1).max(100).allow(null);
+
+const trackKeyword = validateRequest(Joi.object({
+  domain: Joi.string().trim().min(3).max(253).required().messages({
+    'any.required': 'Domain is required',
+  }),
+  keyword: Joi.string().trim().min(1).max(200).required().messages({
+    'any.required': 'Keyword is required',
+  }),
+  locale,
+  device: rankDevice.optional(),
+  project: rankProject.optional(),
+  alertThreshold: alertThreshold.optional(),
+}));
+
+const updateTrackedKeyword = validateRequest(Joi.object({
+  project: rankProject.optional(),
+  is_active: Joi.boolean().optional(),
+  alertThreshold: alertThreshold.optional(),
+}).min(1));
+
+const trackedKeywordIdParam = validateParams(Joi.object({
+  keywordId: mongoId,
+}));
+
+const rankHistoryQuery = (req, res, next) => {
+  const schema = Joi.object({
+    days: Joi.number().integer().min(1).max(365).optional().default(30),
+    project: rankProject.optional(),
+  });
+
+  const { error, value } = schema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      error: error.details[0].message,
+    });
+  }
+
+  req.validatedQuery = value;
+  next();
+};
+
+// Audit comparison: ?a=<baseline audit>&b=<newer audit>
+const compareAuditsQuery = (req, res, next) => {
+  const schema = Joi.object({
+    a: mongoId,
+    b: mongoId.invalid(Joi.ref('a')).messages({
+      'any.invalid': 'Audits a and b must be different',
+    }),
+    view: Joi.string().valid('true', 'false').optional(),
+  });
+
+  const { error, value } = schema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      error: error.details[0].message,
+    });
+  }
+
+  req.validatedQuery = value;
+  next();
+};
+
+// Audit schedule validations
+const scheduleFrequency = Joi.string().valid('daily', 'weekly', 'monthly').messages({
+  'any.only': 'Frequency must be daily, weekly or monthly',
+});
+
+// Either copy the inputs of an existing audit (auditId) or pass them explicitly (inputs)
+const createAuditSchedule = validateRequest(Joi.object({
+  type: Joi.string().valid('seo', 'geo', 'gbp').required(),
+  frequency: scheduleFrequency.required(),
+  auditId: Joi.string().regex(/^[a-fA-F0-9]{24}$/).messages({
+    'string.pattern.base': 'Invalid audit ID format',
+  }),
+  inputs: Joi.when('type', {
+    switch: [
+      { is: 'seo', then: seoAuditSchema.keys({ keyword: Joi.string().min(1).max(100).required() }) },
+      { is: 'geo', then: geoAuditSchema },
+      { is: 'gbp', then: gbpAuditSchema },
+    ],
+  }),
+  notify: Joi.boolean().optional(),
+}).xor('auditId', 'inputs').messages({
+  'object.xor': 'Provide either auditId or inputs',
+  'object.missing': 'Provide either auditId or inputs',
+}));
+
+const updateAuditSchedule = validateRequest(Joi.object({
+  frequency: scheduleFrequency.optional(),
+  is_active: Joi.boolean().optional(),
+  notify: Joi.boolean().optional(),
+}).min(1));
+
+const scheduleIdParam = validateParams(Joi.object({
+  scheduleId: mongoId,
 }));
 
 // Checkout validations
@@ -198,12 +501,59 @@ const processRefund = validateRequest(Joi.object({
   }),
 }));
 
+// Admin - SEO scoring overrides (setting `seo_scoring`): a partial scoring profile per page type.
+// Weight sums and threshold order are checked by scoringService once merged with the defaults.
+const scoringWeights = (...keys) => Joi.object(Object.fromEntries(keys.map((key) => [key, Joi.number().min(0).max(1)])));
+const scoringRange = Joi.object({
+  min: Joi.number().integer().min(0),
+  max: Joi.number().integer().min(0),
+  acceptableMin: Joi.number().integer().min(0),
+  acceptableMax: Joi.number().integer().min(0),
+});
+const scoringSteps = Joi.array().items(Joi.object({
+  min: Joi.number().min(0).required(),
+  score: Joi.number().min(0).max(100).required(),
+})).min(1).has(Joi.object({ min: Joi.valid(0) }).unknown()).messages({
+  'array.hasUnknown': '{#label} needs a step with min 0',
+});
+const scoringProfile = Joi.object({
+  weights: scoringWeights('serp', 'content', 'technical'),
+  serpWeights: scoringWeights('length', 'keyword', 'structure', 'pageType'),
+  contentWeights: scoringWeights('wordCount', 'headings', 'keywordPlacement'),
+  title: scoringRange,
+  description: scoringRange,
+  wordCount: Joi.object({
+    good: Joi.number().integer().min(0),
+    acceptable: Joi.number().integer().min(0),
+    thin: Joi.number().integer().min(0),
+  }),
+  wordCountSteps: scoringSteps,
+  h2Steps: scoringSteps,
+  penalties: Joi.object({
+    brokenLinks: Joi.number().min(0).max(100),
+    missingCanonical: Joi.number().min(0).max(100),
+    slowLoad: Joi.number().min(0).max(100),
+    invalidSchema: Joi.number().min(0).max(100),
+    missingSchema: Joi.number().min(0).max(100),
+    cannibalization: Joi.number().min(0).max(100),
+  }),
+});
+const scoringOverrides = Joi.object(Object.fromEntries(
+  enums.getSeoScoringProfilesArray().map((profile) => [profile, scoringProfile])
+));
+
 // Admin - Update Setting
 const updateSetting = validateRequest(Joi.object({
   key: Joi.string().required().messages({
     'any.required': 'Setting key is required',
   }),
-  value: Joi.any().required().messages({
+  value: Joi.when('key', {
+    switch: [
+      { is: 'seo_scoring', then: scoringOverrides.required() },
+      { is: 'citation_directories', then: Joi.array().items(Joi.string().valid(...enums.getCitationDirectoriesArray())).min(1).unique().required() },
+    ],
+    otherwise: Joi.any().required(),
+  }).messages({
     'any.required': 'Setting value is required',
   }),
 }));
@@ -249,6 +599,35 @@ const updateCredits = validateRequest(Joi.object({
   'object.min': 'At least one credit type must be provided',
 }));
 
+const creditHistoryQuery = (req, res, next) => {
+  const schema = Joi.object({
+    page: Joi.number().integer().min(1).optional().default(1),
+    limit: Joi.number().integer().min(1).max(100).optional().default(20),
+    credit_type: Joi.string().valid('seo_audits', 'geo_audits', 'gbp_audits', 'ai_generations', 'searches').optional(),
+    type: Joi.string().valid('grant', 'consumption', 'refund', 'reset', 'adjustment').optional(),
+    pool: Joi.string().valid('subscription', 'addon').optional(),
+    startDate: Joi.date().iso().optional(),
+    endDate: Joi.date().iso().optional(),
+    userId: Joi.string().regex(/^[a-fA-F0-9]{24}$/).optional(),
+  });
+
+  const { error, value } = schema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      error: error.details[0].message,
+    });
+  }
+
+  req.validatedQuery = value;
+  next();
+};
+
+const reconcileCredits = validateRequest(Joi.object({
+  note: Joi.string().max(500).optional().allow('', null),
+}));
+
 const creditTrendQuery = (req, res, next) => {
   const schema = Joi.object({
     period: Joi.string().valid('7days', '1year').optional().default('7days'),
@@ -377,6 +756,20 @@ export const validate = {
   // SEO Audit
   runSEOAudit,
   auditIdParam,
+
+  // Site Audit
+  runSiteAudit,
+
+  // Hreflang Audit
+  runHreflangAudit,
+
+  // Bulk SEO Audit
+  runBulkSEOAudit,
+  batchIdParam,
+
+  // SERP
+  serpSearch,
+  serpBulkSearch,
   
   // GBP Audit
   runGBPAudit,
@@ -385,12 +778,32 @@ export const validate = {
   // Geo Audit
   runGeoAudit,
 
+  // Audit Jobs
+  auditJobsQuery,
+  jobIdParam,
+
+  // Audit Schedules
+  createAuditSchedule,
+  updateAuditSchedule,
+  scheduleIdParam,
+
+  // Audit Comparison
+  compareAuditsQuery,
+
+  // Rank Tracking
+  trackKeyword,
+  updateTrackedKeyword,
+  trackedKeywordIdParam,
+  rankHistoryQuery,
+
   // Checkout
   createCheckout,
 
   // Admin
   userIdParam,
   updateCredits,
+  creditHistoryQuery,
+  reconcileCredits,
   creditTrendQuery,
   paginationQuery,
 
@@ -0,0 +1,69 @@
+// models/auditBatch.model.js
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+export const BATCH_ITEM_STATUS = {
+  // Not queued yet: waits for a free slot (BULK_AUDIT_CONCURRENCY)
+  WAITING: 'waiting',
+  QUEUED: 'queued',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+};
+
+const BatchItemSchema = new Schema({
+  url: { type: String, required: true },
+  keyword: { type: String, required: true },
+  locale: { type: String, default: null },
+  device: { type: String, default: 'desktop' },
+  cost: { type: Number, default: 1 },
+
+  status: {
+    type: String,
+    enum: Object.values(BATCH_ITEM_STATUS),
+    default: BATCH_ITEM_STATUS.WAITING
+  },
+  // Set once the row is queued
+  audit: { type: Schema.Types.ObjectId, ref: 'SEOAudit', default: null },
+  job: { type: Schema.Types.ObjectId, ref: 'AuditJob', default: null },
+  score: { type: Number, default: null },
+  error_message: { type: String, default: null },
+
+  // This row's part of the batch reservation; handed to the job when the row is queued
+  credit_reservation: { type: Schema.Types.Mixed, default: null }
+});
+
+const AuditBatchSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: { type: String, default: null },
+  // Language of the summary CSV and merged PDF
+  locale: { type: String, default: 'en' },
+
+  items: {
+    type: [BatchItemSchema],
+    default: []
+  },
+  total: { type: Number, required: true },
+  credits: { type: Number, default: 0 },
+
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing',
+    index: true
+  },
+  completed_at: { type: Date, default: null }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+AuditBatchSchema.index({ user: 1, createdAt: -1 });
+AuditBatchSchema.index({ 'items.audit': 1 });
+
+export const AuditBatch = model('AuditBatch', AuditBatchSchema);
@@ -0,0 +1,95 @@
+// models/auditJob.model.js
+import mongoose from 'mongoose';
+import { enums } from '../utils/index.js';
+
+const { Schema, model } = mongoose;
+
+// Maps a job type to the audit model that holds its result
+export const AUDIT_MODEL_BY_TYPE = {
+  seo: 'SEOAudit',
+  geo: 'GeoAudit',
+  gbp: 'GBPAudit',
+  site: 'SiteAudit',
+  hreflang: 'HreflangAudit',
+};
+
+const AuditJobSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: enums.getAuditJobTypesArray(),
+    required: true
+  },
+
+  // The audit document created in `pending` state when the job was queued
+  audit_model: {
+    type: String,
+    enum: Object.values(AUDIT_MODEL_BY_TYPE),
+    required: true
+  },
+  audit: {
+    type: Schema.Types.ObjectId,
+    refPath: 'audit_model',
+    required: true
+  },
+
+  // Original request body, replayed by the worker
+  payload: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Set when the job was started by a recurring schedule
+  schedule: {
+    type: Schema.Types.ObjectId,
+    ref: 'AuditSchedule',
+    default: null
+  },
+
+  // Set when the job runs one row of a bulk audit
+  batch: {
+    type: Schema.Types.ObjectId,
+    ref: 'AuditBatch',
+    default: null
+  },
+
+  // Credit taken by checkCredit when the job was queued; committed or released by the worker
+  credit_reservation: {
+    type: Schema.Types.Mixed,
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: enums.getAuditJobStatusArray(),
+    default: enums.AUDIT_JOB_STATUS.QUEUED,
+    index: true
+  },
+  progress: { type: Number, default: 0, min: 0, max: 100 },
+  stage: { type: String, default: 'queued' },
+
+  // Retry / locking
+  attempts: { type: Number, default: 0 },
+  max_attempts: { type: Number, default: 3 },
+  run_after: { type: Date, default: Date.now },
+  locked_at: { type: Date, default: null },
+  locked_by: { type: String, default: null },
+
+  started_at: { type: Date, default: null },
+  completed_at: { type: Date, default: null },
+  error_message: { type: String, default: null }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Worker pick-up order and user polling
+AuditJobSchema.index({ status: 1, run_after: 1, createdAt: 1 });
+AuditJobSchema.index({ user: 1, createdAt: -1 });
+
+export const AuditJob = model('AuditJob', AuditJobSchema);
@@ -0,0 +1,101 @@
+// models/auditSchedule.model.js
+import mongoose from 'mongoose';
+import { enums } from '../utils/index.js';
+import { AUDIT_MODEL_BY_TYPE } from './auditJob.model.js';
+import { addMonthsClamped } from './subscription.model.js';
+
+const { Schema, model } = mongoose;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How many past runs are kept on the schedule
+export const SCHEDULE_HISTORY_LIMIT = 20;
+
+/**
+ * First run slot strictly after `after`, counted from `anchor` so monthly runs keep
+ * their day of month (clamped in short months) and missed slots are skipped, not replayed.
+ * @param {Date} anchor - Time of the first run
+ * @param {string} frequency - 'daily' | 'weekly' | 'monthly'
+ * @param {Date} after
+ * @returns {Date}
+ */
+export const computeNextRun = (anchor, frequency, after = new Date()) => {
+  if (anchor > after) return new Date(anchor);
+
+  if (frequency === enums.SCHEDULE_FREQUENCIES.MONTHLY) {
+    let months = (after.getUTCFullYear() - anchor.getUTCFullYear()) * 12 + (after.getUTCMonth() - anchor.getUTCMonth());
+    while (addMonthsClamped(anchor, months) <= after) months++;
+    return addMonthsClamped(anchor, months);
+  }
+
+  const step = frequency === enums.SCHEDULE_FREQUENCIES.DAILY ? DAY_MS : 7 * DAY_MS;
+  const slots = Math.floor((after - anchor) / step) + 1;
+  return new Date(anchor.getTime() + slots * step);
+};
+
+const ScheduleRunSchema = new Schema({
+  audit: { type: Schema.Types.ObjectId, refPath: 'audit_model' },
+  audit_model: { type: String },
+  ran_at: { type: Date, default: Date.now },
+  status: { type: String, enum: ['completed', 'failed', 'skipped'] },
+  score: { type: Number, default: null },
+  score_delta: { type: Number, default: null },
+  significant: { type: Boolean, default: false },
+  notified: { type: Boolean, default: false },
+  message: { type: String, default: null }
+}, { _id: false });
+
+const AuditScheduleSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['seo', 'geo', 'gbp'],
+    required: true
+  },
+  audit_model: {
+    type: String,
+    enum: Object.values(AUDIT_MODEL_BY_TYPE),
+    required: true
+  },
+  // Request body replayed on every run, same shape as POST /<type>-audits
+  inputs: {
+    type: Schema.Types.Mixed,
+    required: true
+  },
+  frequency: {
+    type: String,
+    enum: enums.getScheduleFrequenciesArray(),
+    required: true
+  },
+  is_active: { type: Boolean, default: true },
+  // Email a summary when a run differs significantly from the previous one
+  notify: { type: Boolean, default: true },
+
+  anchor_at: { type: Date, required: true },
+  next_run_at: { type: Date, required: true },
+  locked_until: { type: Date, default: null },
+
+  last_run_at: { type: Date, default: null },
+  last_job: { type: Schema.Types.ObjectId, ref: 'AuditJob', default: null },
+  // Latest completed audit, the baseline for the next comparison
+  last_audit: { type: Schema.Types.ObjectId, refPath: 'audit_model', default: null },
+  last_comparison: { type: Schema.Types.Mixed, default: null },
+  last_error: { type: String, default: null },
+
+  run_count: { type: Number, default: 0 },
+  history: { type: [ScheduleRunSchema], default: [] }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Scheduler pick-up
+AuditScheduleSchema.index({ is_active: 1, next_run_at: 1 });
+AuditScheduleSchema.index({ user: 1, createdAt: -1 });
+
+export const AuditSchedule = model('AuditSchedule', AuditScheduleSchema);
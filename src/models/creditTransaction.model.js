@@ -0,0 +1,139 @@
+// models/creditTransaction.model.js
+import mongoose from 'mongoose';
+import { enums } from '../utils/index.js';
+
+const { Schema, model } = mongoose;
+
+/**
+ * Append-only credit ledger. Every change to `user.credits` (addon pool) or
+ * `subscription.usage.*_used` (subscription pool) writes one entry.
+ *
+ * `amount` is the signed change in *available* credits: a consumption is -1,
+ * a refund +1, a monthly reset restores the used quota (+used).
+ * `balance_after` is the pool's available balance right after the change:
+ * `user.credits[type]` for the addon pool, `limit - used` for the subscription pool.
+ */
+const CreditTransactionSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  credit_type: {
+    type: String,
+    enum: enums.getLedgerCreditTypesArray(),
+    required: true
+  },
+  pool: {
+    type: String,
+    enum: enums.getCreditPoolsArray(),
+    required: true
+  },
+  type: {
+    type: String,
+    enum: enums.getCreditTransactionTypesArray(),
+    required: true,
+    index: true
+  },
+  amount: { type: Number, required: true },
+  balance_after: { type: Number, default: null },
+
+  // Document that caused the change (audit, AI content, plan, subscription...)
+  source_model: {
+    type: String,
+    enum: ['SEOAudit', 'GeoAudit', 'GBPAudit', 'SiteAudit', 'HreflangAudit', 'AuditBatch', 'AIContent', 'AuditJob', 'Plan', 'Subscription', 'User', null],
+    default: null
+  },
+  source_id: {
+    type: Schema.Types.ObjectId,
+    refPath: 'source_model',
+    default: null
+  },
+  subscription: {
+    type: Schema.Types.ObjectId,
+    ref: 'Subscription',
+    default: null
+  },
+  // Refunds point back at the consumption they reverse
+  related_transaction: {
+    type: Schema.Types.ObjectId,
+    ref: 'CreditTransaction',
+    default: null
+  },
+  // External reference, e.g. the Stripe checkout session id
+  reference: { type: String, default: null },
+  description: { type: String, default: null },
+
+  performed_by: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // null means system / self, otherwise the admin who made the change
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+CreditTransactionSchema.index({ user: 1, createdAt: -1 });
+CreditTransactionSchema.index({ user: 1, credit_type: 1, pool: 1, createdAt: 1 });
+// A Stripe checkout session grants each credit type once, however often its webhook is delivered
+CreditTransactionSchema.index(
+  { reference: 1, credit_type: 1 },
+  { unique: true, partialFilterExpression: { type: 'grant', reference: { $type: 'string' } } }
+);
+
+// Subscription usage counter behind each ledger credit type
+export const USAGE_KEY_BY_CREDIT_TYPE = {
+  seo_audits: 'seo_audits_used',
+  geo_audits: 'geo_audits_used',
+  gbp_audits: 'gbp_audits_used',
+  ai_generations: 'ai_generations_used',
+  searches: 'searches_performed',
+};
+
+// Plan limit behind each ledger credit type
+export const LIMIT_KEY_BY_CREDIT_TYPE = {
+  seo_audits: 'seo_audits',
+  geo_audits: 'geo_audits',
+  gbp_audits: 'gbp_audits',
+  ai_generations: 'ai_generations',
+  searches: 'searches_per_month',
+};
+
+// Static method to record a ledger entry
+CreditTransactionSchema.statics.record = async function(data) {
+  return this.create(data);
+};
+
+/**
+ * Record one `reset` entry per counter that was non-zero before a usage reset
+ * @param {Object} subscription - Subscription document (plan_id may be populated)
+ * @param {Object} previousUsage - `subscription.usage` as it was before the reset
+ * @param {Object} options - { description, performedBy }
+ */
+CreditTransactionSchema.statics.recordUsageReset = async function(subscription, previousUsage = {}, options = {}) {
+  const limits = subscription.plan_id?.limits || null;
+  const userId = subscription.user_id?._id || subscription.user_id;
+
+  const entries = Object.entries(USAGE_KEY_BY_CREDIT_TYPE)
+    .filter(([, usageKey]) => (previousUsage[usageKey] || 0) > 0)
+    .map(([creditType, usageKey]) => ({
+      user: userId,
+      credit_type: creditType,
+      pool: 'subscription',
+      type: 'reset',
+      amount: previousUsage[usageKey],
+      balance_after: limits ? (limits[LIMIT_KEY_BY_CREDIT_TYPE[creditType]] || 0) : null,
+      source_model: 'Subscription',
+      source_id: subscription._id,
+      subscription: subscription._id,
+      description: options.description || 'Monthly usage reset',
+      performed_by: options.performedBy || null,
+    }));
+
+  if (entries.length === 0) return [];
+  return this.insertMany(entries);
+};
+
+export const CreditTransaction = model('CreditTransaction', CreditTransactionSchema);
@@ -80,6 +80,16 @@ const GBPAuditSchema = new Schema(
       type: Schema.Types.Mixed,
       default: null,
     },
+    // DataForSEO reviews task the audit waits on after the profile was audited
+    reviews_task: {
+      id: { type: String, default: null },
+      posted_at: { type: Date, default: null },
+    },
+    // reviewAnalysisService.analyze: velocity, rating distribution, owner responses, sentiment, themes, keywords
+    reviewAnalysis: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
     status: {
       type: String,
       enum: ['pending', 'completed', 'failed', 'not_found'],
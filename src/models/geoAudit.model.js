@@ -22,6 +22,8 @@ const CompetitorSchema = new Schema({
   website: { type: String },
   category: { type: String },
   placeId: { type: String },
+  // The audited business (see localRank)
+  isTarget: { type: Boolean },
 }, { _id: false });
 
 const GeoAuditSchema = new Schema(
@@ -40,10 +42,16 @@ const GeoAuditSchema = new Schema(
       type: String,
       required: true,
     },
+    // Primary keyword: the one the detailed sections are about
     keyword: {
       type: String,
       required: true,
     },
+    // The whole keyword set, primary keyword first
+    keywords: {
+      type: [String],
+      default: [],
+    },
     locale: {
       type: String,
       default: 'en',
@@ -66,6 +74,16 @@ const GeoAuditSchema = new Schema(
       latitude: { type: Number, default: null },
       longitude: { type: Number, default: null },
     },
+    // Where the audited business ranks; found: false when it is not in the top `depth` results
+    localRank: {
+      found: { type: Boolean, default: false },
+      position: { type: Number, default: null },
+      depth: { type: Number, default: null },
+      inLocalPack: { type: Boolean, default: false },
+      competitorsAbove: { type: Number, default: null },
+      confidence: { type: Number, default: null },
+      matchedBy: { type: [String], default: [] },
+    },
     competitors: {
       type: [CompetitorSchema],
       default: [],
@@ -84,6 +102,21 @@ const GeoAuditSchema = new Schema(
       missingCitations: { type: [String], default: [] },
       inconsistentData: { type: [String], default: [] },
     },
+    // Multi-keyword audit: rank per keyword, most frequent competitors and aggregate score (see geoAuditService.buildKeywordMatrix)
+    keywordMatrix: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    // Geo-grid scan: rank of the business at each grid point, summary and GeoJSON heatmap (see geoGridService)
+    grid: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    // NAP citation check: the business's listing on each directory and its mismatches (see citationService)
+    citations: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
     raw_data: {
       type: Schema.Types.Mixed,
       default: null,
@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+const RecommendationSchema = new Schema({
+  priority: { type: String, enum: ['critical', 'high', 'medium', 'low'] },
+  category: { type: String },
+  issue: { type: String },
+  action: { type: String },
+  impact: { type: String, enum: ['high', 'medium', 'low'] },
+  effort: { type: String, enum: ['easy', 'moderate', 'difficult'] },
+}, { _id: false });
+
+const HreflangPageSchema = new Schema({
+  url: { type: String, required: true },
+  status_code: { type: Number, default: null },
+  html_lang: { type: String, default: null },
+  canonical: { type: String, default: null },
+  // Annotations found on this page
+  hreflang: {
+    type: [{ _id: false, code: String, href: String, valid: Boolean, reason: String }],
+    default: [],
+  },
+  // Code the other versions use for this page, and the supported locale it maps to
+  code: { type: String, default: null },
+  locale: { type: String, default: null },
+  // Issue codes, see HREFLANG_ISSUES in hreflangAudit.service.js
+  issues: { type: [String], default: [] },
+}, { _id: false });
+
+const HreflangAuditSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    domain: {
+      type: String,
+      required: true,
+    },
+    // Report language
+    locale: {
+      type: String,
+      default: 'en',
+    },
+    // Keyword per locale code (fr_be, nl_be, ...) plus `default`, for the ranking checks
+    keywords: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+
+    // Share of checked pages without hreflang issues (0-100)
+    score: {
+      type: Number,
+      default: 0,
+    },
+    // Per-issue page counts, invalid codes and missing Belgian locales
+    summary: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+    pages: {
+      type: [HreflangPageSchema],
+      default: [],
+    },
+    rankings: {
+      type: [{
+        _id: false,
+        locale: String,
+        keyword: String,
+        se_domain: String,
+        expected_url: String,
+        position: Number,
+        ranking_url: String,
+        ranking_locale: String,
+        // ok | wrong_version | other_page | not_ranking | unavailable
+        status: String,
+      }],
+      default: [],
+    },
+    recommendations: {
+      type: [RecommendationSchema],
+      default: [],
+    },
+
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed'],
+      default: 'pending',
+    },
+    error_message: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+HreflangAuditSchema.index({ user: 1, createdAt: -1 });
+
+export const HreflangAudit = model('HreflangAudit', HreflangAuditSchema);
@@ -7,4 +7,12 @@ export { Subscription } from './subscription.model.js';
 export { AIContent } from './aiContent.model.js';
 export { Settings } from './settings.model.js';
 export { ActivityLog } from './activity.model.js';
-export { SupportTicket } from './supportTicket.model.js';
\ No newline at end of file
+export { SupportTicket } from './supportTicket.model.js';
+export { AuditJob } from './auditJob.model.js';
+export { CreditTransaction } from './creditTransaction.model.js';
+export { SiteAudit } from './siteAudit.model.js';
+export { AuditSchedule } from './auditSchedule.model.js';
+export { TrackedKeyword } from './trackedKeyword.model.js';
+export { KeywordRanking } from './keywordRanking.model.js';
+export { HreflangAudit } from './hreflangAudit.model.js';
+export { AuditBatch } from './auditBatch.model.js';
\ No newline at end of file
@@ -0,0 +1,34 @@
+// models/keywordRanking.model.js
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+// One row per tracked keyword per day
+const KeywordRankingSchema = new Schema({
+  tracked_keyword: {
+    type: Schema.Types.ObjectId,
+    ref: 'TrackedKeyword',
+    required: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  project: { type: String, default: 'default' },
+  // UTC day (YYYY-MM-DD); a second check on the same day overwrites the first
+  date: { type: String, required: true },
+  checked_at: { type: Date, default: Date.now },
+  position: { type: Number, default: null },
+  url: { type: String, default: null },
+  serp_features: { type: [String], default: [] },
+  // Position lost since the previous check triggered an alert
+  alerted: { type: Boolean, default: false }
+}, {
+  versionKey: false
+});
+
+KeywordRankingSchema.index({ tracked_keyword: 1, date: 1 }, { unique: true });
+KeywordRankingSchema.index({ user: 1, project: 1, date: 1 });
+
+export const KeywordRanking = model('KeywordRanking', KeywordRankingSchema);
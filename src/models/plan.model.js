@@ -36,6 +36,8 @@ const PlanSchema = new Schema({
     geo_audits: { type: Number, default: 0 },
     gbp_audits: { type: Number, default: 0 },
     ai_generations: { type: Number, default: 0 },
+    // Keywords the rank tracker checks every day
+    tracked_keywords: { type: Number, default: 0 },
   },
 
   // Credits for addon plans
@@ -51,6 +51,8 @@ const SEOAuditSchema = new Schema(
         domain: String,
         description: String,
         breadcrumb: String,
+        // Measured content, set when the audit ran with deepCompetitors
+        page: Schema.Types.Mixed,
       }],
       default: [],
     },
@@ -58,6 +60,26 @@ const SEOAuditSchema = new Schema(
       type: Schema.Types.Mixed,
       default: null,
     },
+    // Competitor topics and whether this page covers them (see contentGapService)
+    contentGap: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    // Lighthouse metrics per device: { mobile, desktop } (see performanceService)
+    performance: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    // Scoring version and profile the score was computed with, and their rules (see scoringService)
+    scoring: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    // Dual-device audits only: { mobileWeight, mobile, desktop, differences } (see combineDeviceResults)
+    devices: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
     raw_data: {
       type: Schema.Types.Mixed,
       default: null,
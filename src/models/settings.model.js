@@ -15,7 +15,7 @@ const SettingsSchema = new Schema({
   },
   category: {
     type: String,
-    enum: ['general', 'localization', 'credits', 'cache', 'notifications'],
+    enum: ['general', 'localization', 'credits', 'cache', 'notifications', 'scoring'],
     default: 'general'
   },
   description: { 
@@ -0,0 +1,145 @@
+import mongoose from 'mongoose';
+
+const { Schema, model } = mongoose;
+
+const RecommendationSchema = new Schema({
+  priority: { type: String, enum: ['critical', 'high', 'medium', 'low'] },
+  category: { type: String },
+  issue: { type: String },
+  action: { type: String },
+  impact: { type: String, enum: ['high', 'medium', 'low'] },
+  effort: { type: String, enum: ['easy', 'moderate', 'difficult'] },
+}, { _id: false });
+
+const SitePageSchema = new Schema({
+  url: { type: String, required: true },
+  status_code: { type: Number, default: null },
+  title: { type: String, default: null },
+  description: { type: String, default: null },
+  h1_count: { type: Number, default: 0 },
+  word_count: { type: Number, default: 0 },
+  load_time: { type: Number, default: null }, // seconds
+  click_depth: { type: Number, default: null },
+  internal_links: { type: Number, default: 0 },
+  inbound_links: { type: Number, default: 0 },
+  broken_links: { type: Number, default: 0 },
+  score: { type: Number, default: null },
+  // Issue codes, see SITE_ISSUES in siteAudit.service.js
+  issues: { type: [String], default: [] },
+}, { _id: false });
+
+const SiteAuditSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    domain: {
+      type: String,
+      required: true,
+    },
+    locale: {
+      type: String,
+      default: 'en',
+    },
+    max_pages: {
+      type: Number,
+      default: 100,
+    },
+
+    // DataForSEO on_page task driving the crawl
+    task_id: {
+      type: String,
+      default: null,
+    },
+    crawl: {
+      started_at: { type: Date, default: null },
+      finished_at: { type: Date, default: null },
+      pages_crawled: { type: Number, default: 0 },
+      pages_in_queue: { type: Number, default: 0 },
+      // True when the crawl hit SITE_AUDIT_CRAWL_TIMEOUT_MS and was analysed as-is
+      partial: { type: Boolean, default: false },
+    },
+
+    // Aggregate scores (0-100)
+    score: {
+      type: Number,
+      default: 0,
+    },
+    scores: {
+      metadata: { type: Number, default: 0 },
+      content: { type: Number, default: 0 },
+      links: { type: Number, default: 0 },
+      technical: { type: Number, default: 0 },
+    },
+
+    // Per-issue page counts, e.g. { missing_h1: 4, duplicate_title: 6 }
+    summary: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+    issues: {
+      duplicate_titles: {
+        type: [{ _id: false, title: String, urls: [String] }],
+        default: [],
+      },
+      duplicate_descriptions: {
+        type: [{ _id: false, description: String, urls: [String] }],
+        default: [],
+      },
+      missing_h1: { type: [String], default: [] },
+      orphan_pages: { type: [String], default: [] },
+      broken_links: {
+        type: [{ _id: false, from: String, to: String, status_code: Number, internal: Boolean }],
+        default: [],
+      },
+      redirect_chains: {
+        type: [{ _id: false, urls: [String], is_loop: Boolean }],
+        default: [],
+      },
+    },
+    pages: {
+      type: [SitePageSchema],
+      default: [],
+    },
+    recommendations: {
+      type: [RecommendationSchema],
+      default: [],
+    },
+
+    raw_data: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'crawling', 'completed', 'failed'],
+      default: 'pending',
+    },
+    error_message: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      transform(doc, ret) {
+        delete ret.raw_data;
+        return ret;
+      },
+    },
+  }
+);
+
+SiteAuditSchema.index({ user: 1, createdAt: -1 });
+SiteAuditSchema.index({ domain: 1, createdAt: -1 });
+
+export const SiteAudit = model('SiteAudit', SiteAuditSchema);
@@ -1,9 +1,63 @@
 // models/subscription.model.js
 import mongoose from 'mongoose';
 import { enums } from '../utils/index.js';
+import { CreditTransaction, USAGE_KEY_BY_CREDIT_TYPE, LIMIT_KEY_BY_CREDIT_TYPE } from './creditTransaction.model.js';
 
 const { Schema, model } = mongoose;
 
+const USAGE_COUNTERS = [
+  'searches_performed',
+  'api_calls_made',
+  'seo_audits_used',
+  'geo_audits_used',
+  'gbp_audits_used',
+  'ai_generations_used'
+];
+
+/**
+ * Same day-of-month `months` later, clamped to the last day of shorter months
+ * (an anchor on Jan 31 gives Feb 28/29, Mar 31, Apr 30...). Always computed from
+ * the original anchor so the day never drifts.
+ */
+export const addMonthsClamped = (anchor, months) => {
+  const year = anchor.getUTCFullYear();
+  const month = anchor.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(
+    year,
+    month,
+    Math.min(anchor.getUTCDate(), lastDay),
+    anchor.getUTCHours(),
+    anchor.getUTCMinutes(),
+    anchor.getUTCSeconds(),
+    anchor.getUTCMilliseconds()
+  ));
+};
+
+/**
+ * Usage window containing `now`: monthly sub-periods counted from the billing anchor.
+ * For a monthly plan this is exactly the Stripe period; a yearly plan gets twelve
+ * windows starting on the anniversary day, the last one ending at `current_period_end`.
+ * @param {Date} anchor - current_period_start (or creation date when there is no billing period)
+ * @param {Date|null} periodEnd - current_period_end
+ * @param {Date} now
+ * @returns {{ start: Date, end: Date }}
+ */
+export const computeUsageWindow = (anchor, periodEnd, now = new Date()) => {
+  let months = (now.getUTCFullYear() - anchor.getUTCFullYear()) * 12 + (now.getUTCMonth() - anchor.getUTCMonth());
+  if (months < 0) months = 0;
+  if (months > 0 && addMonthsClamped(anchor, months) > now) months -= 1;
+
+  const start = addMonthsClamped(anchor, months);
+  let end = addMonthsClamped(anchor, months + 1);
+
+  if (periodEnd && start < periodEnd && end > periodEnd) {
+    end = new Date(periodEnd);
+  }
+
+  return { start, end };
+};
+
 const SubscriptionSchema = new Schema({
   user_id: { 
     type: Schema.Types.ObjectId, 
@@ -47,8 +101,25 @@ const SubscriptionSchema = new Schema({
     geo_audits_used: { type: Number, default: 0 },
     gbp_audits_used: { type: Number, default: 0 },
     ai_generations_used: { type: Number, default: 0 },
-    last_reset: { type: Date, default: Date.now }
-  }
+    last_reset: { type: Date, default: Date.now },
+    // Current usage window, see computeUsageWindow()
+    period_start: { type: Date, default: null },
+    period_end: { type: Date, default: null }
+  },
+
+  // Closed usage windows, oldest first
+  usage_history: [{
+    _id: false,
+    period_start: Date,
+    period_end: Date,
+    searches_performed: { type: Number, default: 0 },
+    api_calls_made: { type: Number, default: 0 },
+    seo_audits_used: { type: Number, default: 0 },
+    geo_audits_used: { type: Number, default: 0 },
+    gbp_audits_used: { type: Number, default: 0 },
+    ai_generations_used: { type: Number, default: 0 },
+    closed_at: { type: Date, default: Date.now }
+  }]
 }, { 
   timestamps: true,
   versionKey: false 
@@ -62,52 +133,177 @@ SubscriptionSchema.methods.isActive = function() {
   return false;
 };
 
+SubscriptionSchema.methods.getUsageWindow = function(now = new Date()) {
+  const anchor = this.current_period_start || this.createdAt || this.usage.last_reset;
+  return computeUsageWindow(new Date(anchor), this.current_period_end || null, now);
+};
+
+// True when the stored usage window has ended and the counters are due for a reset
+SubscriptionSchema.methods.isUsageWindowExpired = function(now = new Date()) {
+  if (!this.usage.period_end) {
+    return this.usage.last_reset < this.getUsageWindow(now).start;
+  }
+  return now >= this.usage.period_end;
+};
+
 SubscriptionSchema.methods.canPerformSearch = function(planLimits) {
   if (!this.isActive()) return false;
   
-  // Reset monthly counter if needed
-  const now = new Date();
-  const lastReset = this.usage.last_reset;
-  if (now.getMonth() !== lastReset.getMonth() || now.getFullYear() !== lastReset.getFullYear()) {
-    this.usage.searches_performed = 0;
-    this.usage.api_calls_made = 0;
-    this.usage.last_reset = now;
-    this.save();
-  }
-  
-  // Check limits
-  if (planLimits?.searches_per_month && this.usage.searches_performed >= planLimits.searches_per_month) {
+  // An expired window counts as empty; the counters are reset by resetMonthlyUsage()
+  const used = this.isUsageWindowExpired() ? 0 : this.usage.searches_performed;
+
+  // Check limits (same rule as checkSearchQuota: no searches_per_month means no searches)
+  if (used >= (planLimits?.searches_per_month || 0)) {
     return false;
   }
   
   return true;
 };
 
-SubscriptionSchema.methods.incrementUsage = async function(creditType, amount = 1) {
-  const usageKey = `${creditType}_used`;
-  if (this.usage[usageKey] !== undefined) {
-    this.usage[usageKey] = (this.usage[usageKey] || 0) + amount;
-  } else if (creditType === 'search') {
-    this.usage.searches_performed += amount;
-  } else if (creditType === 'api_call') {
-    this.usage.api_calls_made += amount;
+// Usage counter of a credit type ('seo_audits', 'search', 'api_call'...) and its ledger credit type
+const resolveUsageCounter = (usage, creditType) => {
+  if (usage[`${creditType}_used`] !== undefined) return { counter: `${creditType}_used`, ledgerType: creditType };
+  if (creditType === 'search') return { counter: 'searches_performed', ledgerType: 'searches' };
+  if (creditType === 'api_call') return { counter: 'api_calls_made', ledgerType: null };
+  return { counter: null, ledgerType: null };
+};
+
+/**
+ * Add `amount` to a usage counter with an atomic `$inc`, so concurrent requests never
+ * overwrite each other's increments. With `limit`, the update only matches while the
+ * counter stays within it, so parallel requests cannot spend the same allowance.
+ * @returns {Promise<Object|null>} This subscription, or null when `limit` would be exceeded
+ */
+SubscriptionSchema.methods.incrementUsage = async function(creditType, amount = 1, limit = null) {
+  const { counter, ledgerType } = resolveUsageCounter(this.usage, creditType);
+  if (!counter) return this;
+
+  const usageKey = `usage.${counter}`;
+  const updated = await this.constructor.findOneAndUpdate(
+    limit === null ? { _id: this._id } : { _id: this._id, [usageKey]: { $lte: limit - amount } },
+    { $inc: { [usageKey]: amount } },
+    { new: true }
+  );
+  if (!updated) return null;
+  this.usage[counter] = updated.usage[counter];
+
+  // API calls are metered but are not a credit, so they stay out of the ledger
+  if (ledgerType) {
+    const planLimit = this.plan_id?.limits?.[LIMIT_KEY_BY_CREDIT_TYPE[ledgerType]];
+    await CreditTransaction.record({
+      user: this.user_id?._id || this.user_id,
+      credit_type: ledgerType,
+      pool: 'subscription',
+      type: 'consumption',
+      amount: -amount,
+      balance_after: planLimit !== undefined ? planLimit - this.usage[USAGE_KEY_BY_CREDIT_TYPE[ledgerType]] : null,
+      subscription: this._id,
+    });
   }
-  return this.save();
+
+  return this;
+};
+
+/**
+ * Give back usage taken with incrementUsage, unless the counters were reset since `since`
+ * (that usage is gone with the old window anyway)
+ * @returns {Promise<boolean>} true if the usage was given back
+ */
+SubscriptionSchema.methods.releaseUsage = async function(creditType, amount, since) {
+  const { counter, ledgerType } = resolveUsageCounter(this.usage, creditType);
+  if (!counter || amount <= 0) return false;
+
+  const usageKey = `usage.${counter}`;
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, [usageKey]: { $gte: amount }, 'usage.last_reset': { $lte: new Date(since) } },
+    { $inc: { [usageKey]: -amount } },
+    { new: true }
+  );
+  if (!updated) return false;
+  this.usage[counter] = updated.usage[counter];
+
+  if (ledgerType) {
+    const planLimit = this.plan_id?.limits?.[LIMIT_KEY_BY_CREDIT_TYPE[ledgerType]];
+    await CreditTransaction.record({
+      user: this.user_id?._id || this.user_id,
+      credit_type: ledgerType,
+      pool: 'subscription',
+      type: 'refund',
+      amount,
+      balance_after: planLimit !== undefined ? planLimit - this.usage[USAGE_KEY_BY_CREDIT_TYPE[ledgerType]] : null,
+      subscription: this._id,
+    });
+  }
+
+  return true;
 };
 
+/**
+ * Roll the usage counters over when the billing-aligned usage window has ended
+ * (see closeUsageWindow).
+ * @returns {Promise<boolean>} true if this call performed the reset
+ */
 SubscriptionSchema.methods.resetMonthlyUsage = async function() {
   const now = new Date();
-  const lastReset = this.usage.last_reset;
-
-  if (now.getMonth() !== lastReset.getMonth() || now.getFullYear() !== lastReset.getFullYear()) {
-    this.usage.seo_audits_used = 0;
-    this.usage.geo_audits_used = 0;
-    this.usage.gbp_audits_used = 0;
-    this.usage.ai_generations_used = 0;
-    this.usage.searches_performed = 0;
-    this.usage.api_calls_made = 0;
-    this.usage.last_reset = now;
-    await this.save();
+  const window = this.getUsageWindow(now);
+
+  // First call for a subscription created before usage windows existed: adopt the
+  // current window and keep the counters unless they belong to an earlier window
+  if (!this.usage.period_start && !this.isUsageWindowExpired(now)) {
+    await this.constructor.updateOne(
+      { _id: this._id, 'usage.period_start': null },
+      { $set: { 'usage.period_start': window.start, 'usage.period_end': window.end } }
+    );
+    this.usage.period_start = window.start;
+    this.usage.period_end = window.end;
+    return false;
+  }
+
+  if (!this.isUsageWindowExpired(now)) return false;
+
+  return this.closeUsageWindow({ now });
+};
+
+/**
+ * Append the current usage window to `usage_history` and zero the counters, in one update
+ * conditional on last_reset so parallel callers close it only once, then record the reset
+ * in the credit ledger. A window closed before its end (admin reset) is followed by one
+ * running to the end of the billing window, so the next monthly reset stays on schedule.
+ * @param {Object} [options] - { now, description, performedBy }
+ * @returns {Promise<boolean>} true if this call closed the window
+ */
+SubscriptionSchema.methods.closeUsageWindow = async function({ now = new Date(), description = 'Usage period reset', performedBy = null } = {}) {
+  const window = this.getUsageWindow(now);
+  const early = !this.isUsageWindowExpired(now);
+
+  const previousUsage = { ...(this.toObject().usage || {}) };
+  const closedWindow = {
+    period_start: previousUsage.period_start || previousUsage.last_reset,
+    period_end: early ? now : previousUsage.period_end || window.start,
+    closed_at: now,
+  };
+  const resetUsage = {
+    'usage.last_reset': now,
+    'usage.period_start': early ? now : window.start,
+    'usage.period_end': window.end,
+  };
+  for (const counter of USAGE_COUNTERS) {
+    closedWindow[counter] = previousUsage[counter] || 0;
+    resetUsage[`usage.${counter}`] = 0;
+  }
+
+  const result = await this.constructor.updateOne(
+    { _id: this._id, 'usage.last_reset': previousUsage.last_reset },
+    { $set: resetUsage, $push: { usage_history: closedWindow } }
+  );
+
+  const fresh = await this.constructor.findById(this._id).select('usage').lean();
+  if (fresh) {
+    this.usage = fresh.usage;
+  }
+
+  if (result.modifiedCount > 0) {
+    await CreditTransaction.recordUsageReset(this, previousUsage, { description, performedBy });
     return true;
   }
   return false;
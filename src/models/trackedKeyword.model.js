@@ -0,0 +1,69 @@
+// models/trackedKeyword.model.js
+import mongoose from 'mongoose';
+import { enums } from '../utils/index.js';
+
+const { Schema, model } = mongoose;
+
+// Latest check, denormalized so keyword lists don't need the ranking history
+const RankSnapshotSchema = new Schema({
+  position: { type: Number, default: null },   // null = not in the tracked depth
+  url: { type: String, default: null },
+  serp_features: { type: [String], default: [] },
+  checked_at: { type: Date, default: null }
+}, { _id: false });
+
+const TrackedKeywordSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Free-form grouping; visibility and average position are reported per project
+  project: {
+    type: String,
+    trim: true,
+    default: 'default'
+  },
+  domain: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  keyword: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  locale: {
+    type: String,
+    default: 'en'
+  },
+  device: {
+    type: String,
+    enum: enums.getRankTrackingDevicesArray(),
+    default: enums.RANK_TRACKING_DEVICES.DESKTOP
+  },
+  is_active: { type: Boolean, default: true },
+  // Email when the keyword loses at least this many positions between two checks
+  alert_threshold: { type: Number, default: null, min: 1 },
+
+  current: { type: RankSnapshotSchema, default: () => ({}) },
+  previous_position: { type: Number, default: null },
+  best_position: { type: Number, default: null },
+
+  next_check_at: { type: Date, default: Date.now },
+  locked_until: { type: Date, default: null },
+  last_error: { type: String, default: null }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+TrackedKeywordSchema.index({ user: 1, domain: 1, keyword: 1, locale: 1, device: 1 }, { unique: true });
+TrackedKeywordSchema.index({ user: 1, project: 1 });
+// Tracker pick-up
+TrackedKeywordSchema.index({ is_active: 1, next_check_at: 1 });
+
+export const TrackedKeyword = model('TrackedKeyword', TrackedKeywordSchema);
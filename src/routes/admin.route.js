@@ -32,9 +32,17 @@ router.get('/users', validate.paginationQuery, adminController.getAllUsers);
 router.get('/users/:userId', validate.userIdParam, adminController.getUserById);
 router.get('/users/:userId/activity', validate.userIdParam, validate.paginationQuery, adminController.getUserActivityLogs);
 router.patch('/users/:userId/credits', validate.userIdParam, validate.updateCredits, adminController.updateUserCredits);
+router.get('/users/:userId/credits/history', validate.userIdParam, validate.creditHistoryQuery, adminController.getUserCreditHistory);
+router.get('/users/:userId/credits/reconcile', validate.userIdParam, adminController.getCreditReconciliation);
+router.post('/users/:userId/credits/reconcile', validate.userIdParam, validate.reconcileCredits, adminController.reconcileUserCredits);
 router.post('/users/:userId/suspend', validate.userIdParam, validate.suspendUser, adminController.suspendUser);
 router.post('/users/:userId/reactivate', validate.userIdParam, adminController.reactivateUser);
 
+// ============================================
+// CREDIT LEDGER
+// ============================================
+router.get('/credits/transactions', validate.creditHistoryQuery, adminController.getCreditTransactions);
+
 // ============================================
 // AUDITS
 // ============================================
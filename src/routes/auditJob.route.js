@@ -0,0 +1,15 @@
+import { Router } from 'express';
+import { auth, cronAuth, validate } from '../middlewares/index.js';
+import { auditJobController } from '../controllers/auditJob.controller.js';
+
+const router = Router();
+
+// Scheduler entry point - must be registered before the user-auth routes
+router.get('/process', cronAuth, auditJobController.processQueue);
+
+router.use(auth);
+
+router.get('/', validate.auditJobsQuery, auditJobController.getUserJobs);
+router.get('/:jobId', validate.jobIdParam, auditJobController.getJobById);
+
+export default router;
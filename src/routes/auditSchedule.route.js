@@ -0,0 +1,19 @@
+import { Router } from 'express';
+import { auth, cronAuth, validate } from '../middlewares/index.js';
+import { auditScheduleController } from '../controllers/auditSchedule.controller.js';
+
+const router = Router();
+
+// Scheduler entry point - must be registered before the user-auth routes
+router.get('/run', cronAuth, auditScheduleController.runDueSchedules);
+
+router.use(auth);
+
+// Credits are charged per run by the scheduler, not when the schedule is created
+router.post('/', validate.createAuditSchedule, auditScheduleController.createSchedule);
+router.get('/', auditScheduleController.getUserSchedules);
+router.get('/:scheduleId', validate.scheduleIdParam, auditScheduleController.getScheduleById);
+router.patch('/:scheduleId', validate.scheduleIdParam, validate.updateAuditSchedule, auditScheduleController.updateSchedule);
+router.delete('/:scheduleId', validate.scheduleIdParam, auditScheduleController.deleteSchedule);
+
+export default router;
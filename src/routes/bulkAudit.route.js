@@ -0,0 +1,26 @@
+import express, { Router } from 'express';
+import { auth, validate, checkCredit } from '../middlewares/index.js';
+import { bulkAuditController } from '../controllers/bulkAudit.controller.js';
+import { bulkAuditService } from '../services/index.js';
+
+const router = Router();
+
+router.use(auth);
+
+// The whole batch is reserved up front: one SEO audit credit per row, more for device 'both'
+const bulkAuditCost = (req) => bulkAuditService.getBatchCost(req.validatedBody.rows);
+
+// A CSV file can also be posted as the raw body (Content-Type: text/csv)
+router.post(
+  '/',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+  validate.runBulkSEOAudit,
+  checkCredit('seo_audits', bulkAuditCost),
+  bulkAuditController.createBatch
+);
+router.get('/', bulkAuditController.getUserBatches);
+router.get('/:batchId', validate.batchIdParam, bulkAuditController.getBatchById);
+router.get('/:batchId/csv', validate.batchIdParam, bulkAuditController.downloadSummaryCSV);
+router.get('/:batchId/pdf', validate.batchIdParam, bulkAuditController.downloadBatchPDF);
+
+export default router;
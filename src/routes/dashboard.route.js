@@ -1,12 +1,13 @@
 import { Router } from 'express';
 import { dashboardController } from '../controllers/index.js';
-import { auth } from '../middlewares/index.js';
+import { auth, validate } from '../middlewares/index.js';
 
 const router = Router();
 
 router.use(auth);
 
 router.get('/credits', dashboardController.getCredits);
+router.get('/credits/history', validate.creditHistoryQuery, dashboardController.getCreditHistory);
 router.get('/stats', dashboardController.getStats);
 
 export default router;
\ No newline at end of file
@@ -1,5 +1,5 @@
 import { Router } from 'express';
-import { gbpAuditController } from '../controllers/index.js';
+import { gbpAuditController, auditComparisonController } from '../controllers/index.js';
 import { auth, validate, checkCredit } from '../middlewares/index.js';
 
 const router = Router();
@@ -8,6 +8,11 @@ router.use(auth);
 
 router.post('/', validate.runGBPAudit, checkCredit('gbp_audits'), gbpAuditController.runAudit);
 router.get('/', gbpAuditController.getUserAudits);
+
+// Audit comparison (?a=<older>&b=<newer>)
+router.get('/compare', validate.compareAuditsQuery, auditComparisonController.compareAudits('gbp'));
+router.get('/compare/pdf', validate.compareAuditsQuery, auditComparisonController.downloadComparisonPDF('gbp'));
+
 router.get('/:auditId', validate.gbpAuditIdParam, gbpAuditController.getAuditById);
 router.get('/:auditId/raw', validate.gbpAuditIdParam, gbpAuditController.getAuditWithRawData);
 router.get('/:auditId/pdf', validate.gbpAuditIdParam, gbpAuditController.downloadAuditPDF);
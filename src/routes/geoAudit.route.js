@@ -1,13 +1,23 @@
 import { Router } from 'express';
 import { auth, validate, checkCredit } from '../middlewares/index.js';
 import { geoAuditController } from '../controllers/geoAudit.controller.js';
+import { auditComparisonController } from '../controllers/auditComparison.controller.js';
+import { creditService } from '../services/index.js';
 
 const router = Router();
 
 router.use(auth);
 
-router.post('/', validate.runGeoAudit, checkCredit('geo_audits'), geoAuditController.runAudit);
+// A credit per keyword; a geo-grid scan runs one Local Finder query per point and costs extra credits
+const geoAuditCost = (req) => creditService.getAuditCost('geo', req.body);
+
+router.post('/', validate.runGeoAudit, checkCredit('geo_audits', geoAuditCost), geoAuditController.runAudit);
 router.get('/', geoAuditController.getUserAudits);
+
+// Audit comparison (?a=<older>&b=<newer>)
+router.get('/compare', validate.compareAuditsQuery, auditComparisonController.compareAudits('geo'));
+router.get('/compare/pdf', validate.compareAuditsQuery, auditComparisonController.downloadComparisonPDF('geo'));
+
 router.get('/:auditId', validate.auditIdParam, geoAuditController.getAuditById);
 router.get('/:auditId/raw', validate.auditIdParam, geoAuditController.getAuditWithRawData);
 router.delete('/:auditId', validate.auditIdParam, geoAuditController.deleteAudit);
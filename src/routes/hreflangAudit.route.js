@@ -0,0 +1,15 @@
+import { Router } from 'express';
+import { auth, validate, checkCredit } from '../middlewares/index.js';
+import { hreflangAuditController } from '../controllers/hreflangAudit.controller.js';
+
+const router = Router();
+
+router.use(auth);
+
+// Like a site crawl, a multilingual audit costs one SEO audit credit
+router.post('/', validate.runHreflangAudit, checkCredit('seo_audits'), hreflangAuditController.runAudit);
+router.get('/', hreflangAuditController.getUserAudits);
+router.get('/:auditId', validate.auditIdParam, hreflangAuditController.getAuditById);
+router.delete('/:auditId', validate.auditIdParam, hreflangAuditController.deleteAudit);
+
+export default router;
@@ -1,9 +1,16 @@
 import { Router } from 'express';
 import authRoutes from './auth.route.js';
 import claudeRoutes from './claude.route.js';
+import serpRoutes from './serp.route.js';
 import seoAuditRoutes from './seoAudit.route.js';
+import siteAuditRoutes from './siteAudit.route.js';
+import hreflangAuditRoutes from './hreflangAudit.route.js';
+import bulkAuditRoutes from './bulkAudit.route.js';
 import geoAuditRoutes from './geoAudit.route.js';
 import gbpAuditRoutes from './gbpAudit.route.js';
+import auditJobRoutes from './auditJob.route.js';
+import auditScheduleRoutes from './auditSchedule.route.js';
+import rankTrackingRoutes from './rankTracking.route.js';
 import subscriptionRoutes from './subscription.route.js';
 import planRoutes from './plan.route.js';
 import dashboardRoutes from './dashboard.route.js';
@@ -16,9 +23,16 @@ const router = Router();
 
 router.use('/auth', authRoutes);
 router.use('/claude', claudeRoutes);
+router.use('/serp', serpRoutes);
 router.use('/seo-audits', seoAuditRoutes);
+router.use('/site-audits', siteAuditRoutes);
+router.use('/hreflang-audits', hreflangAuditRoutes);
+router.use('/bulk-audits', bulkAuditRoutes);
 router.use('/geo-audits', geoAuditRoutes);
 router.use('/gbp-audits', gbpAuditRoutes);
+router.use('/audit-jobs', auditJobRoutes);
+router.use('/audit-schedules', auditScheduleRoutes);
+router.use('/rank-tracking', rankTrackingRoutes);
 router.use('/subscriptions', subscriptionRoutes);
 router.use('/plans', planRoutes);
 router.use('/dashboard', dashboardRoutes);
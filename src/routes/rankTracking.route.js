@@ -0,0 +1,22 @@
+import { Router } from 'express';
+import { auth, cronAuth, requireSubscription, validate } from '../middlewares/index.js';
+import { rankTrackingController } from '../controllers/rankTracking.controller.js';
+
+const router = Router();
+
+// Daily tracker entry point - must be registered before the user-auth routes
+router.get('/run', cronAuth, rankTrackingController.runDueChecks);
+
+router.use(auth);
+
+// Tracked keywords count against plan.limits.tracked_keywords
+router.post('/keywords', requireSubscription, validate.trackKeyword, rankTrackingController.addKeyword);
+router.get('/keywords', validate.rankHistoryQuery, rankTrackingController.getKeywords);
+router.get('/keywords/:keywordId', validate.trackedKeywordIdParam, validate.rankHistoryQuery, rankTrackingController.getKeywordById);
+router.patch('/keywords/:keywordId', validate.trackedKeywordIdParam, validate.updateTrackedKeyword, rankTrackingController.updateKeyword);
+router.delete('/keywords/:keywordId', validate.trackedKeywordIdParam, rankTrackingController.deleteKeyword);
+
+router.get('/projects', rankTrackingController.getProjects);
+router.get('/projects/:project', validate.rankHistoryQuery, rankTrackingController.getProjectSummary);
+
+export default router;
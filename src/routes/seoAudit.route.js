@@ -1,13 +1,23 @@
 import { Router } from 'express';
 import { auth, validate, checkCredit } from '../middlewares/index.js';
 import { seoAuditController } from '../controllers/seoAudit.controller.js';
+import { auditComparisonController } from '../controllers/auditComparison.controller.js';
+import { creditService } from '../services/index.js';
 
 const router = Router();
 
 router.use(auth);
 
-router.post('/', validate.runSEOAudit, checkCredit('seo_audits'), seoAuditController.runAudit);
+// Dual-device audits (device: 'both') cost more than one credit
+const seoAuditCost = (req) => creditService.getAuditCost('seo', req.body);
+
+router.post('/', validate.runSEOAudit, checkCredit('seo_audits', seoAuditCost), seoAuditController.runAudit);
 router.get('/', seoAuditController.getUserAudits);
+
+// Before/after diff of two audits (?a=<older>&b=<newer>) - registered before the /:auditId routes
+router.get('/compare', validate.compareAuditsQuery, auditComparisonController.compareAudits('seo'));
+router.get('/compare/pdf', validate.compareAuditsQuery, auditComparisonController.downloadComparisonPDF('seo'));
+
 router.get('/:auditId', validate.auditIdParam, seoAuditController.getAuditById);
 router.get('/:auditId/raw', validate.auditIdParam, seoAuditController.getAuditWithRawData);
 router.delete('/:auditId', validate.auditIdParam, seoAuditController.deleteAudit);
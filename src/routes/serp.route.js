@@ -0,0 +1,13 @@
+import { Router } from 'express';
+import { auth, validate, checkSearchQuota } from '../middlewares/index.js';
+import { serpController } from '../controllers/serp.controller.js';
+
+const router = Router();
+
+router.use(auth);
+
+// Each keyword counts against plan.limits.searches_per_month
+router.post('/search', validate.serpSearch, checkSearchQuota, serpController.search);
+router.post('/bulk-search', validate.serpBulkSearch, checkSearchQuota, serpController.bulkSearch);
+
+export default router;
@@ -0,0 +1,18 @@
+import { Router } from 'express';
+import { auth, validate, checkCredit } from '../middlewares/index.js';
+import { siteAuditController } from '../controllers/siteAudit.controller.js';
+
+const router = Router();
+
+router.use(auth);
+
+// A site crawl costs one SEO audit credit
+router.post('/', validate.runSiteAudit, checkCredit('seo_audits'), siteAuditController.runAudit);
+router.get('/', siteAuditController.getUserAudits);
+router.get('/:auditId', validate.auditIdParam, siteAuditController.getAuditById);
+router.delete('/:auditId', validate.auditIdParam, siteAuditController.deleteAudit);
+
+// PDF download/view - supports ?view=true to open in browser
+router.get('/:auditId/pdf', validate.auditIdParam, siteAuditController.downloadAuditPDF);
+
+export default router;
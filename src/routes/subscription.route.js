@@ -16,6 +16,9 @@ router.get('/current', subscriptionController.getCurrentSubscription);
 // Get user's credit balance
 router.get('/credits', subscriptionController.getCredits);
 
+// Get usage for the current and previous billing windows
+router.get('/usage-history', subscriptionController.getUsageHistory);
+
 // Create checkout session
 router.post('/checkout', validate.createCheckout, subscriptionController.createCheckout);
 
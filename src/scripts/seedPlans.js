@@ -22,8 +22,9 @@ const plansData = [
       geo_audits: 10,
       gbp_audits: 5,
       ai_generations: 0,
+      tracked_keywords: 25,
     },
-    features: ['SEO Audits', 'GEO Audits', 'GBP Audits'],
+    features: ['SEO Audits', 'GEO Audits', 'GBP Audits', 'Rank Tracking'],
     is_active: true,
     sort_order: 1,
     is_popular: false,
@@ -41,8 +42,9 @@ const plansData = [
       geo_audits: 40,
       gbp_audits: 20,
       ai_generations: 50,
+      tracked_keywords: 100,
     },
-    features: ['SEO Audits', 'GEO Audits', 'GBP Audits', 'AI Generations'],
+    features: ['SEO Audits', 'GEO Audits', 'GBP Audits', 'AI Generations', 'Rank Tracking'],
     is_active: true,
     sort_order: 2,
     is_popular: true,
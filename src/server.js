@@ -4,12 +4,16 @@ import app from './app.js';
 import connectDB from './config/db.js';
 import { env } from './config/index.js';
 import { Logger } from './utils/index.js';
+import { auditQueueService, auditScheduleService, rankTrackerService } from './services/index.js';
 
 const PORT = env.PORT;
 
 // Graceful shutdown handler
 const gracefulShutdown = (signal) => {
   Logger.log(`${signal} received. Shutting down gracefully...`);
+  auditQueueService.stop();
+  auditScheduleService.stop();
+  rankTrackerService.stop();
   process.exit(0);
 };
 
@@ -27,6 +31,13 @@ const startServer = async () => {
       Logger.log(`Environment: ${env.NODE_ENV}`);
     });
 
+    // Background worker for queued audits, scheduled runs and rank checks (serverless deployments use the cron endpoints instead)
+    if (env.AUDIT_WORKER_ENABLED) {
+      auditQueueService.start();
+      auditScheduleService.start();
+      rankTrackerService.start();
+    }
+
     server.on('error', (error) => {
       if (error.code === 'EADDRINUSE') {
         Logger.error(`Port ${PORT} is already in use`);
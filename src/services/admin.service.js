@@ -1,8 +1,10 @@
-import { User, Subscription, SEOAudit, GBPAudit, GeoAudit, Plan, Settings, ActivityLog, AIContent, SupportTicket } from '../models/index.js';
+import { User, Subscription, SEOAudit, GBPAudit, GeoAudit, Plan, Settings, ActivityLog, AIContent, SupportTicket, CreditTransaction } from '../models/index.js';
 import { ApiError, paginate } from '../utils/index.js';
 import Stripe from 'stripe';
 import { env } from '../config/index.js';
 import { emailService } from './email.service.js';
+import { creditService } from './credit.service.js';
+import { scoringService, SCORING_SETTING_KEY } from './scoring.service.js';
 
 const stripe = new Stripe(env.STRIPE_SECRET_KEY);
 
@@ -566,6 +568,7 @@ export const updateUserCredits = async (userId, credits, adminId = null) => {
 
   const updateFields = {};
   const oldCredits = { ...user.credits };
+  const previousCredits = user.toObject().credits || {};
   
   if (credits.seo_audits !== undefined) {
     updateFields['credits.seo_audits'] = Math.max(0, credits.seo_audits);
@@ -586,6 +589,26 @@ export const updateUserCredits = async (userId, credits, adminId = null) => {
     { new: true }
   ).select('name email credits');
 
+  // Ledger: one adjustment per credit type that actually changed
+  const adjustments = Object.keys(updateFields)
+    .map((field) => field.replace('credits.', ''))
+    .filter((creditType) => (updatedUser.credits?.[creditType] || 0) !== (previousCredits[creditType] || 0))
+    .map((creditType) => ({
+      user: updatedUser._id,
+      credit_type: creditType,
+      pool: 'addon',
+      type: 'adjustment',
+      amount: (updatedUser.credits?.[creditType] || 0) - (previousCredits[creditType] || 0),
+      balance_after: updatedUser.credits?.[creditType] || 0,
+      source_model: 'User',
+      source_id: updatedUser._id,
+      description: 'Admin credit update',
+      performed_by: adminId
+    }));
+  if (adjustments.length) {
+    await CreditTransaction.insertMany(adjustments);
+  }
+
   // Log activity
   await ActivityLog.log({
     user_id: userId,
@@ -597,6 +620,76 @@ export const updateUserCredits = async (userId, credits, adminId = null) => {
   return updatedUser;
 };
 
+/**
+ * Get credit ledger entries across all users, newest first
+ */
+export const getCreditTransactions = async (options = {}) => {
+  const { page = 1, limit = 20, userId, credit_type, type, pool, startDate, endDate } = options;
+
+  const query = {};
+  if (userId) query.user = userId;
+  if (credit_type) query.credit_type = credit_type;
+  if (type) query.type = type;
+  if (pool) query.pool = pool;
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) query.createdAt.$lte = new Date(endDate);
+  }
+
+  return paginate(CreditTransaction, query, {
+    page,
+    limit,
+    sort: 'createdAt',
+    order: 'desc',
+    populate: [
+      { path: 'user', select: 'name email' },
+      { path: 'performed_by', select: 'name email' }
+    ]
+  });
+};
+
+/**
+ * Get one user's credit ledger
+ */
+export const getUserCreditHistory = async (userId, options = {}) => {
+  const user = await User.findById(userId).select('_id');
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
+
+  return creditService.getHistory(userId, options);
+};
+
+/**
+ * Compare a user's balances with their ledger. With `apply`, write adjustment
+ * entries so the ledger matches the balances (the balances are left untouched).
+ */
+export const reconcileUserCredits = async (userId, adminId, options = {}) => {
+  const { apply = false, note = null } = options;
+
+  if (!apply) {
+    return creditService.reconcile(userId);
+  }
+
+  const result = await creditService.applyReconciliation(userId, adminId, note);
+
+  if (result.adjustments.length) {
+    await ActivityLog.log({
+      user_id: userId,
+      action: 'credits_adjusted',
+      details: {
+        reconciliation: true,
+        adjustments: result.adjustments.map(({ credit_type, pool, amount }) => ({ credit_type, pool, amount })),
+        note
+      },
+      performed_by: adminId
+    });
+  }
+
+  return result;
+};
+
 /**
  * Get all audits with pagination
  * When type is 'all', combines all audit types, sorts them, and paginates the combined result
@@ -1193,13 +1286,21 @@ export const getSystemSettings = async () => {
     claude: { configured: !!env.CLAUDE_API_KEY, key: maskApiKey(env.CLAUDE_API_KEY) }
   };
 
-  return { settings: grouped, apiStatus };
+  // Scoring profiles as applied, defaults included
+  const scoring = await scoringService.getConfig();
+
+  return { settings: grouped, apiStatus, scoring };
 };
 
 /**
  * Update system settings
  */
 export const updateSystemSettings = async (key, value, adminId) => {
+  // Scoring overrides are checked against the defaults and versioned
+  if (key === SCORING_SETTING_KEY) {
+    return scoringService.updateConfig(value, adminId);
+  }
+
   const setting = await Settings.setSetting(key, value, { updated_by: adminId });
   return setting;
 };
@@ -1370,21 +1471,18 @@ export const changeUserSubscription = async (subscriptionId, newPlanId, adminId,
   // Update subscription in database
   subscription.plan_id = newPlanId;
   
-  // Optionally reset usage counters (useful for upgrades)
+  await subscription.save();
+
+  // Optionally reset usage counters (useful for upgrades): the current window is archived
+  // in usage_history and the ledger records the reset against the new plan's limits
   if (resetUsage) {
-    subscription.usage = {
-      searches_performed: 0,
-      api_calls_made: 0,
-      seo_audits_used: 0,
-      geo_audits_used: 0,
-      gbp_audits_used: 0,
-      ai_generations_used: 0,
-      last_reset: new Date()
-    };
+    await subscription.populate('plan_id');
+    await subscription.closeUsageWindow({
+      description: `Usage reset on plan change to ${newPlan.name}`,
+      performedBy: adminId,
+    });
   }
 
-  await subscription.save();
-
   // Log activity
   await ActivityLog.log({
     user_id: user._id,
@@ -1486,6 +1584,9 @@ export const adminService = {
   getAllUsers,
   getUserById,
   updateUserCredits,
+  getCreditTransactions,
+  getUserCreditHistory,
+  reconcileUserCredits,
   getAllAudits,
   getAuditById,
   getAllSubscriptions,
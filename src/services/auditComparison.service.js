@@ -0,0 +1,296 @@
+import { SEOAudit, GeoAudit, GBPAudit } from '../models/index.js';
+import { env, getLocaleConfig } from '../config/index.js';
+import { ApiError } from '../utils/index.js';
+import { t } from '../locales/index.js';
+
+// Field holding the headline score of each audit type
+const SCORE_FIELD_BY_TYPE = {
+  seo: 'score',
+  geo: 'localVisibilityScore',
+  gbp: 'score',
+  site: 'score',
+};
+
+// A competitor moving at least this many places counts as significant
+const SIGNIFICANT_POSITION_CHANGE = 3;
+const PRIORITY_ORDER = { critical: 0, high: 1, medium: 2, low: 3 };
+// Ranking of the SEO check statuses, used to tell an improvement from a regression
+const STATUS_RANK = { poor: 0, needsImprovement: 1, good: 2 };
+
+const AUDIT_MODELS = { seo: SEOAudit, geo: GeoAudit, gbp: GBPAudit };
+
+class AuditComparisonService {
+  /**
+   * Compare two runs of the same audit
+   * @param {string} type - 'seo' | 'geo' | 'gbp' | 'site'
+   * @param {Object} previous - Older audit (plain object)
+   * @param {Object} current - Newer audit (plain object)
+   * @returns {Object} { score, checks, recommendations, competitors, significant, reasons }
+   */
+  compare(type, previous, current) {
+    const scoreField = SCORE_FIELD_BY_TYPE[type] || 'score';
+    const previousScore = previous?.[scoreField] ?? null;
+    const currentScore = current?.[scoreField] ?? null;
+    const delta = previousScore !== null && currentScore !== null
+      ? Math.round((currentScore - previousScore) * 100) / 100
+      : null;
+
+    const checks = this.diffChecks(type, previous || {}, current || {});
+    const recommendations = this.diffRecommendations(previous?.recommendations || [], current?.recommendations || []);
+    const competitors = this.diffCompetitors(type, previous?.competitors || [], current?.competitors || []);
+
+    const reasons = [];
+    if (delta !== null && Math.abs(delta) >= env.SCHEDULE_SCORE_CHANGE_THRESHOLD) {
+      reasons.push(delta > 0 ? 'score_increased' : 'score_decreased');
+    }
+    if (recommendations.new.some((rec) => rec.priority === 'critical' || rec.priority === 'high')) {
+      reasons.push('new_priority_issues');
+    }
+    if (recommendations.resolved.length > 0) {
+      reasons.push('issues_resolved');
+    }
+    if (competitors.moved.some((c) => Math.abs(c.change) >= SIGNIFICANT_POSITION_CHANGE)
+      || competitors.entered.some((c) => c.position <= 3)) {
+      reasons.push('competitor_changes');
+    }
+
+    return {
+      previous_audit: previous?._id || null,
+      current_audit: current?._id || null,
+      score: { previous: previousScore, current: currentScore, delta },
+      checks,
+      recommendations,
+      competitors,
+      significant: reasons.length > 0,
+      reasons,
+    };
+  }
+
+  /**
+   * Load two audits of the same target owned by the user and compare them (`a` is the baseline)
+   * @returns {Promise<Object>} { previous, current, comparison }
+   */
+  async compareById(type, userId, aId, bId) {
+    const AuditModel = AUDIT_MODELS[type];
+    const [previous, current] = await Promise.all([
+      AuditModel.findOne({ _id: aId, user: userId }).select('-raw_data').lean(),
+      AuditModel.findOne({ _id: bId, user: userId }).select('-raw_data').lean(),
+    ]);
+
+    if (!previous || !current) {
+      throw new ApiError(404, 'Audit not found');
+    }
+    if (previous.status !== 'completed' || current.status !== 'completed') {
+      throw new ApiError(409, 'Only completed audits can be compared');
+    }
+    if (this.getTargetKey(type, previous) !== this.getTargetKey(type, current)) {
+      throw new ApiError(400, 'Both audits must be for the same target');
+    }
+
+    return { previous, current, comparison: this.compare(type, previous, current) };
+  }
+
+  /**
+   * What makes two audits comparable: the page for SEO, the business (and search) for GEO and GBP
+   */
+  getTargetKey(type, audit) {
+    const normalize = (value) => (value || '').trim().toLowerCase();
+
+    if (type === 'seo') {
+      return normalize(audit.url).replace(/^https?:\/\/(www\.)?/, '').replace(/\/+$/, '');
+    }
+    if (type === 'geo') {
+      const keywords = audit.keywords?.length ? audit.keywords : [audit.keyword];
+      return `${normalize(audit.businessName)}|${keywords.map(normalize).join(',')}|${normalize(audit.location)}`;
+    }
+    return audit.placeId || normalize(audit.businessName);
+  }
+
+  /**
+   * Per-check diff. Every check of either audit is listed with its before/after value and a
+   * `change` of 'improved', 'regressed', 'changed' (different but not better or worse) or 'unchanged'.
+   */
+  diffChecks(type, previous, current) {
+    if (type === 'seo') {
+      return this.diffSEOChecks(previous.checks || {}, current.checks || {});
+    }
+    if (type === 'gbp') {
+      return this.diffGBPChecklist(previous.checklist || [], current.checklist || []);
+    }
+    if (type === 'geo') {
+      return this.diffGeoChecks(previous, current);
+    }
+    return [];
+  }
+
+  diffSEOChecks(previous, current) {
+    const keys = [...new Set([...Object.keys(previous), ...Object.keys(current)])];
+
+    return keys.map((key) => {
+      const before = previous[key] || {};
+      const after = current[key] || {};
+
+      // Labels are presentation only; compare the measured values
+      const details = {};
+      const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+      for (const field of fields) {
+        if (field === 'label' || field.endsWith('Label') || field === 'status') continue;
+        if (JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)) {
+          details[field] = { previous: before[field] ?? null, current: after[field] ?? null };
+        }
+      }
+
+      const previousRank = STATUS_RANK[before.status];
+      const currentRank = STATUS_RANK[after.status];
+      let change = Object.keys(details).length > 0 ? 'changed' : 'unchanged';
+      if (previousRank !== undefined && currentRank !== undefined && previousRank !== currentRank) {
+        change = currentRank > previousRank ? 'improved' : 'regressed';
+      }
+
+      return {
+        key,
+        label: after.label || before.label || key,
+        previous: before.status ?? null,
+        current: after.status ?? null,
+        change,
+        details,
+      };
+    });
+  }
+
+  diffGBPChecklist(previous, current) {
+    const previousByField = new Map(previous.map((item) => [item.field, item]));
+    const currentByField = new Map(current.map((item) => [item.field, item]));
+    const fields = [...new Set([...previousByField.keys(), ...currentByField.keys()])];
+
+    return fields.map((field) => {
+      const before = previousByField.get(field);
+      const after = currentByField.get(field);
+      const wasDone = Boolean(before?.completed);
+      const isDone = Boolean(after?.completed);
+      const valueChanged = JSON.stringify(before?.value ?? null) !== JSON.stringify(after?.value ?? null);
+
+      let change = valueChanged ? 'changed' : 'unchanged';
+      if (wasDone !== isDone) change = isDone ? 'improved' : 'regressed';
+
+      return {
+        key: field,
+        label: after?.label || before?.label || field,
+        previous: wasDone,
+        current: isDone,
+        change,
+        details: valueChanged ? { value: { previous: before?.value ?? null, current: after?.value ?? null } } : {},
+      };
+    });
+  }
+
+  /**
+   * GEO audits have no check list; NAP consistency flags, citation issue counts and the
+   * business rank and rating stand in for it
+   */
+  diffGeoChecks(previous, current) {
+    const lang = getLocaleConfig(current.locale)?.language || 'en';
+    const entry = (key, label, before, after, higherIsBetter) => {
+      let change = 'unchanged';
+      if (before !== after) {
+        change = before === null || after === null
+          ? 'changed'
+          : (Number(after) > Number(before)) === higherIsBetter ? 'improved' : 'regressed';
+      }
+      return { key, label, previous: before, current: after, change, details: {} };
+    };
+
+    const checks = ['nameConsistency', 'addressConsistency', 'phoneConsistency'].map((key) => entry(
+      key,
+      t(lang, `geo.nap.${key}`),
+      previous.napIssues?.[key] ?? null,
+      current.napIssues?.[key] ?? null,
+      true
+    ));
+
+    for (const key of ['missingCitations', 'inconsistentData']) {
+      checks.push(entry(
+        key,
+        t(lang, `geo.citations.${key}`),
+        previous.citationIssues?.[key]?.length ?? 0,
+        current.citationIssues?.[key]?.length ?? 0,
+        false
+      ));
+    }
+
+    checks.push(
+      entry('localRank', t(lang, 'geo.labels.localRank'), previous.localRank?.position ?? null, current.localRank?.position ?? null, false),
+      entry('rating', t(lang, 'geo.labels.rating'), previous.businessInfo?.rating ?? null, current.businessInfo?.rating ?? null, true),
+      entry('reviews', t(lang, 'geo.labels.reviews'), previous.businessInfo?.reviews ?? null, current.businessInfo?.reviews ?? null, true)
+    );
+
+    // Keyword sets: the rank for each keyword besides the primary one (localRank above)
+    for (const row of current.keywordMatrix?.keywords.slice(1) || []) {
+      const before = previous.keywordMatrix?.keywords.find((item) => item.keyword === row.keyword);
+      checks.push(entry(`localRank:${row.keyword}`, t(lang, 'geo.labels.keywordRank', { keyword: row.keyword }), before?.position ?? null, row.position, false));
+    }
+
+    return checks;
+  }
+
+  /**
+   * Recommendations are matched on category + issue text with numbers blanked out,
+   * so "3 broken links" and "5 broken links" are the same issue.
+   */
+  diffRecommendations(previous, current) {
+    const key = (rec) => `${rec.category || ''}:${(rec.issue || '').replace(/\d+([.,]\d+)?/g, '#').toLowerCase()}`;
+    const previousKeys = new Set(previous.map(key));
+    const currentKeys = new Set(current.map(key));
+    const byPriority = (a, b) => (PRIORITY_ORDER[a.priority] ?? 4) - (PRIORITY_ORDER[b.priority] ?? 4);
+    const pick = ({ priority, category, issue }) => ({ priority, category, issue });
+
+    return {
+      new: current.filter((rec) => !previousKeys.has(key(rec))).sort(byPriority).map(pick),
+      resolved: previous.filter((rec) => !currentKeys.has(key(rec))).sort(byPriority).map(pick),
+      unchanged: current.filter((rec) => previousKeys.has(key(rec))).length,
+    };
+  }
+
+  /**
+   * SEO competitors are matched by domain, local (GEO) competitors by place id or name
+   */
+  diffCompetitors(type, previous, current) {
+    const identify = type === 'geo'
+      ? (c) => c.placeId || (c.name || '').toLowerCase()
+      : (c) => (c.domain || c.url || '').toLowerCase();
+    const label = (c) => c.domain || c.name || c.url || '';
+
+    const previousById = new Map(previous.map((c) => [identify(c), c]));
+    const currentById = new Map(current.map((c) => [identify(c), c]));
+
+    const moved = [];
+    const entered = [];
+    for (const [id, competitor] of currentById) {
+      if (!id) continue;
+      const before = previousById.get(id);
+      if (!before) {
+        entered.push({ name: label(competitor), position: competitor.position });
+      } else if (before.position !== competitor.position) {
+        moved.push({
+          name: label(competitor),
+          previous: before.position,
+          current: competitor.position,
+          // Positive means the competitor climbed
+          change: before.position - competitor.position,
+        });
+      }
+    }
+
+    const dropped = [...previousById]
+      .filter(([id]) => id && !currentById.has(id))
+      .map(([, competitor]) => ({ name: label(competitor), position: competitor.position }));
+
+    moved.sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+    entered.sort((a, b) => a.position - b.position);
+    dropped.sort((a, b) => a.position - b.position);
+
+    return { moved, entered, dropped };
+  }
+}
+
+export const auditComparisonService = new AuditComparisonService();
@@ -0,0 +1,670 @@
+import os from 'os';
+import { AuditJob, SEOAudit, GeoAudit, GBPAudit, SiteAudit, HreflangAudit, User } from '../models/index.js';
+import { env, DEFAULT_LOCALE, getLocaleConfig } from '../config/index.js';
+import { ApiError, Logger, enums, countryCodeOf } from '../utils/index.js';
+import { dataForSEOService } from './dataforseo.service.js';
+import { geoAuditService } from './geoAudit.service.js';
+import { geoGridService } from './geoGrid.service.js';
+import { citationService } from './citation.service.js';
+import { gbpService } from './gbp.service.js';
+import { reviewAnalysisService } from './reviewAnalysis.service.js';
+import { emailService } from './email.service.js';
+import { creditService, RESERVATION_STATUS } from './credit.service.js';
+import { siteAuditService } from './siteAudit.service.js';
+import { hreflangAuditService } from './hreflangAudit.service.js';
+
+const { AUDIT_JOB_STATUS, AUDIT_JOB_TYPES } = enums;
+
+// A job still "processing" after this long is assumed to belong to a dead worker
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+// Delay before a failed attempt is retried, multiplied by the attempt number
+const RETRY_BACKOFF_MS = 30 * 1000;
+
+class AuditQueueService {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.draining = false;
+    this.listeners = [];
+
+    this.handlers = {
+      [AUDIT_JOB_TYPES.SEO]: (job) => this.runSEOJob(job),
+      [AUDIT_JOB_TYPES.GEO]: (job) => this.runGeoJob(job),
+      [AUDIT_JOB_TYPES.GBP]: (job) => this.runGBPJob(job),
+      [AUDIT_JOB_TYPES.SITE]: (job) => this.runSiteJob(job),
+      [AUDIT_JOB_TYPES.HREFLANG]: (job) => this.runHreflangJob(job),
+    };
+  }
+
+  /**
+   * Queue an audit for background processing
+   * @param {Object} params
+   * @param {string} params.userId - Owner of the audit
+   * @param {string} params.type - 'seo' | 'geo' | 'gbp' | 'site' | 'hreflang'
+   * @param {Object} params.audit - Audit document created in `pending` state
+   * @param {Object} params.payload - Request body replayed by the worker
+   * @param {Object} [params.reservation] - Credit reservation from checkCredit; the job settles it
+   * @param {string} [params.schedule] - AuditSchedule that started the run, if any
+   * @param {string} [params.batch] - AuditBatch the audit is a row of, if any
+   * @returns {Promise<Object>} The created job
+   */
+  async enqueue({ userId, type, audit, payload, reservation = null, schedule = null, batch = null }) {
+    const job = await AuditJob.create({
+      user: userId,
+      type,
+      audit: audit._id,
+      audit_model: audit.constructor.modelName,
+      payload,
+      credit_reservation: reservation ? { ...reservation } : null,
+      schedule,
+      batch,
+      max_attempts: env.AUDIT_JOB_MAX_ATTEMPTS,
+    });
+
+    // The reservation now belongs to the job, so the request must not release it
+    if (reservation) {
+      reservation.job = job._id;
+    }
+
+    // Long-running servers pick the job up immediately; serverless relies on the cron drain
+    this.kick();
+
+    return job;
+  }
+
+  /**
+   * Atomically claim the next runnable job (queued, or processing with an expired lock and
+   * attempts left; see failAbandoned for the others)
+   */
+  async claimNext() {
+    const now = new Date();
+
+    return AuditJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: AUDIT_JOB_STATUS.QUEUED, run_after: { $lte: now } },
+          {
+            status: AUDIT_JOB_STATUS.PROCESSING,
+            locked_at: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) },
+            $expr: { $lt: ['$attempts', '$max_attempts'] },
+          },
+        ],
+      },
+      {
+        $set: {
+          status: AUDIT_JOB_STATUS.PROCESSING,
+          stage: 'starting',
+          progress: 5,
+          locked_at: now,
+          locked_by: this.workerId,
+          started_at: now,
+        },
+        $inc: { attempts: 1 },
+      },
+      { sort: { run_after: 1, createdAt: 1 }, new: true }
+    );
+  }
+
+  async setProgress(job, progress, stage) {
+    job.progress = progress;
+    job.stage = stage;
+    await AuditJob.updateOne({ _id: job._id }, { $set: { progress, stage, locked_at: new Date() } });
+  }
+
+  /**
+   * Fail the jobs whose worker died on their last attempt (processing, lock expired, no attempts
+   * left). Without this a job cut off on every run, e.g. by a serverless time limit, would be
+   * claimed again forever and never give its credits back.
+   * @returns {Promise<number>} Number of jobs failed
+   */
+  async failAbandoned() {
+    let failed = 0;
+
+    for (;;) {
+      const job = await AuditJob.findOneAndUpdate(
+        {
+          status: AUDIT_JOB_STATUS.PROCESSING,
+          locked_at: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) },
+          $expr: { $gte: ['$attempts', '$max_attempts'] },
+        },
+        { $set: { locked_at: new Date(), locked_by: this.workerId } },
+        { new: true }
+      );
+      if (!job) return failed;
+
+      Logger.error(`Audit job ${job._id} (${job.type}) was interrupted on its last attempt`);
+      await this.failJob(job, 'Audit timed out');
+      failed++;
+    }
+  }
+
+  /**
+   * Run a claimed job and record the outcome on both the job and its audit.
+   * A handler that is waiting on an external task returns `{ deferMs }`: the job goes
+   * back to the queue for a later run without using up an attempt.
+   */
+  async processJob(job) {
+    const handler = this.handlers[job.type];
+
+    try {
+      if (!handler) {
+        throw new ApiError(500, `Unknown audit job type: ${job.type}`);
+      }
+
+      const outcome = await handler(job);
+
+      if (outcome?.deferMs) {
+        await AuditJob.updateOne({ _id: job._id }, {
+          $set: {
+            status: AUDIT_JOB_STATUS.QUEUED,
+            run_after: new Date(Date.now() + outcome.deferMs),
+            locked_at: null,
+            locked_by: null,
+          },
+          $inc: { attempts: -1 },
+        });
+        return;
+      }
+
+      await AuditJob.updateOne({ _id: job._id }, {
+        $set: {
+          status: AUDIT_JOB_STATUS.COMPLETED,
+          progress: 100,
+          stage: 'completed',
+          completed_at: new Date(),
+          locked_at: null,
+          locked_by: null,
+          error_message: null,
+        },
+      });
+
+      await this.notifyFinished(job, { status: AUDIT_JOB_STATUS.COMPLETED });
+    } catch (error) {
+      Logger.error(`Audit job ${job._id} (${job.type}) attempt ${job.attempts} failed:`, error.message);
+
+      // Client errors (bad input, not found) will not succeed on retry
+      const retryable = !(error instanceof ApiError && error.statusCode < 500);
+
+      if (retryable && job.attempts < job.max_attempts) {
+        await AuditJob.updateOne({ _id: job._id }, {
+          $set: {
+            status: AUDIT_JOB_STATUS.QUEUED,
+            stage: 'retrying',
+            run_after: new Date(Date.now() + RETRY_BACKOFF_MS * job.attempts),
+            locked_at: null,
+            locked_by: null,
+            error_message: error.message,
+          },
+        });
+        return;
+      }
+
+      await this.failJob(job, error.message);
+    }
+  }
+
+  /**
+   * Mark a job and its audit failed for good and release the job's credits
+   */
+  async failJob(job, message) {
+    await AuditJob.updateOne({ _id: job._id }, {
+      $set: {
+        status: AUDIT_JOB_STATUS.FAILED,
+        stage: 'failed',
+        completed_at: new Date(),
+        locked_at: null,
+        locked_by: null,
+        error_message: message,
+      },
+    });
+
+    const AuditModel = this.getAuditModel(job.type);
+    await AuditModel.updateOne(
+      { _id: job.audit },
+      { $set: { status: 'failed', error_message: message } }
+    );
+
+    await this.settleCredit(job, 'release');
+    await this.notifyFinished(job, { status: AUDIT_JOB_STATUS.FAILED, error: message });
+  }
+
+  /**
+   * Register a listener called once a job has finally completed or failed
+   * (not on deferrals or retries). Lets other services react to finished audits
+   * without the queue importing them.
+   * @param {Function} listener - (job, { status, error }) => Promise|void
+   */
+  onJobFinished(listener) {
+    this.listeners.push(listener);
+  }
+
+  async notifyFinished(job, outcome) {
+    for (const listener of this.listeners) {
+      try {
+        await listener(job, outcome);
+      } catch (error) {
+        Logger.error(`Audit job ${job._id} finish listener failed:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Process up to `limit` runnable jobs sequentially. No job is claimed once `budgetMs` has
+   * passed, so a cron invocation ends before the platform stops it.
+   * @returns {Promise<number>} Number of jobs processed
+   */
+  async processPending({ limit = 5, budgetMs = env.AUDIT_JOB_RUN_BUDGET_MS } = {}) {
+    const deadline = Date.now() + budgetMs;
+    let processed = 0;
+
+    await this.failAbandoned();
+
+    while (processed < limit && Date.now() < deadline) {
+      const job = await this.claimNext();
+      if (!job) break;
+
+      await this.processJob(job);
+      processed++;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Trigger a drain without blocking the caller; overlapping calls are ignored
+   */
+  kick() {
+    if (this.draining) return;
+    this.draining = true;
+
+    setImmediate(async () => {
+      try {
+        await this.processPending();
+      } catch (error) {
+        Logger.error('Audit queue drain failed:', error.message);
+      } finally {
+        this.draining = false;
+      }
+    });
+  }
+
+  /**
+   * Start polling for jobs (long-running server only)
+   */
+  start(intervalMs = env.AUDIT_WORKER_INTERVAL_MS) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.kick(), intervalMs);
+    this.timer.unref?.();
+    Logger.log(`Audit worker ${this.workerId} polling every ${intervalMs}ms`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getAuditModel(type) {
+    const models = {
+      [AUDIT_JOB_TYPES.SEO]: SEOAudit,
+      [AUDIT_JOB_TYPES.GEO]: GeoAudit,
+      [AUDIT_JOB_TYPES.GBP]: GBPAudit,
+      [AUDIT_JOB_TYPES.SITE]: SiteAudit,
+      [AUDIT_JOB_TYPES.HREFLANG]: HreflangAudit,
+    };
+    return models[type];
+  }
+
+  /**
+   * Commit or release the job's credit reservation exactly once. The job document is
+   * flipped first so that a second worker (e.g. after a lock timeout) cannot settle it again.
+   * @param {Object} job
+   * @param {'commit'|'release'} outcome
+   */
+  async settleCredit(job, outcome) {
+    if (!job.credit_reservation) return;
+
+    const status = outcome === 'commit' ? RESERVATION_STATUS.COMMITTED : RESERVATION_STATUS.RELEASED;
+    const claimed = await AuditJob.findOneAndUpdate(
+      { _id: job._id, 'credit_reservation.status': RESERVATION_STATUS.RESERVED },
+      { $set: { 'credit_reservation.status': status, 'credit_reservation.settled_at': new Date() } }
+    );
+    if (!claimed) return;
+
+    const reservation = { ...job.credit_reservation, status: RESERVATION_STATUS.RESERVED };
+    if (outcome === 'commit') {
+      await creditService.commit(reservation, { model: job.audit_model, id: job.audit });
+    } else {
+      await creditService.release(reservation);
+    }
+  }
+
+  // ----- Job handlers -----
+
+  async runSEOJob(job) {
+    const { url, keyword, locale, device, deepCompetitors, pageType } = job.payload;
+
+    await this.setProgress(job, 20, 'fetching_data');
+    const auditResult = await dataForSEOService.runOnPageAudit(
+      url,
+      keyword,
+      locale || DEFAULT_LOCALE,
+      device || 'desktop',
+      { deepCompetitors: Boolean(deepCompetitors), pageType: pageType || 'auto' }
+    );
+
+    await this.setProgress(job, 80, 'saving');
+    const audit = await SEOAudit.findByIdAndUpdate(job.audit, {
+      $set: {
+        score: auditResult.score,
+        checks: auditResult.checks,
+        keywordAnalysis: auditResult.keywordAnalysis,
+        recommendations: auditResult.recommendations,
+        contentGap: auditResult.contentGap || null,
+        performance: auditResult.performance || null,
+        devices: auditResult.devices || null,
+        scoring: auditResult.scoring || null,
+        competitors: auditResult.competitors || [],
+        serpInfo: auditResult.serpInfo || null,
+        raw_data: auditResult.raw,
+        status: 'completed',
+        error_message: null,
+      },
+    }, { new: true });
+
+    await this.settleCredit(job, 'commit');
+
+    // Scheduled runs only email a summary when something changed (see auditScheduleService);
+    // bulk audits are followed through their batch
+    if (job.schedule || job.batch) return;
+
+    const user = await User.findById(job.user).select('email name');
+    if (audit && user) {
+      emailService.sendSEOAuditEmail(user.email, {
+        audit: audit.toObject(),
+        userName: user.name,
+      });
+    }
+  }
+
+  async runGeoJob(job) {
+    const { keyword, keywords, city, region, country, googleDomain, language, locale, businessName, grid, placeId, phone, website, address } = job.payload;
+    const effectiveLocale = locale || DEFAULT_LOCALE;
+    const localeConfig = getLocaleConfig(effectiveLocale);
+    const target = { name: businessName || null, placeId: placeId || null, phone: phone || null, website: website || null };
+
+    await this.setProgress(job, 20, 'fetching_data');
+    const { primary: auditResult, results: keywordResults, matrix } = await geoAuditService.runKeywordSet(
+      keywords?.length ? keywords : [keyword],
+      city,
+      region || null,
+      country,
+      googleDomain || null,
+      language || null,
+      effectiveLocale,
+      target
+    );
+
+    // NAP citations: the business as it describes itself, completed from its Google listing
+    let citations = null;
+    if (businessName) {
+      await this.setProgress(job, 25, 'checking_citations');
+      const listing = auditResult.businessInfo || {};
+      citations = await citationService.checkCitations(
+        {
+          name: businessName,
+          address: address || listing.address || null,
+          phone: phone || listing.phone || null,
+          website: website || listing.website || null,
+        },
+        {
+          country: countryCodeOf(country) || localeConfig.region,
+          city,
+          locationName: country,
+          languageName: localeConfig.languageName,
+          latitude: listing.latitude ?? null,
+          longitude: listing.longitude ?? null,
+        }
+      );
+    }
+
+    let gridResult = null;
+    // The grid scan covers the primary keyword only
+    if (grid) {
+      await this.setProgress(job, 30, 'scanning_grid');
+      gridResult = await geoGridService.scan(
+        { keyword: auditResult.keyword, language, googleDomain, grid, target },
+        // One progress write per grid row is enough
+        (done, total) => (done % grid.size === 0 ? this.setProgress(job, 30 + Math.round((done / total) * 45), 'scanning_grid') : null)
+      );
+    }
+    const gridRecommendations = gridResult
+      ? geoGridService.buildRecommendations(gridResult, localeConfig.language || 'en')
+      : [];
+    const citationRecommendations = citations ? citationService.buildRecommendations(citations, localeConfig.language || 'en') : [];
+    const keywordRecommendations = geoAuditService.buildKeywordRecommendations(matrix, target, localeConfig.language || 'en');
+
+    await this.setProgress(job, 80, 'saving');
+    const audit = await GeoAudit.findByIdAndUpdate(job.audit, {
+      $set: {
+        location: auditResult.location,
+        keyword: auditResult.keyword,
+        keywords: keywordResults.map((result) => result.keyword),
+        // The keyword set's aggregate score; the primary keyword's own is in keywordMatrix
+        localVisibilityScore: matrix ? matrix.summary.localVisibilityScore : auditResult.localVisibilityScore,
+        keywordMatrix: matrix,
+        businessInfo: auditResult.businessInfo || {},
+        localRank: auditResult.localRank,
+        competitors: auditResult.competitors || [],
+        recommendations: [...gridRecommendations, ...keywordRecommendations, ...citationRecommendations, ...(auditResult.recommendations || [])],
+        grid: gridResult,
+        citations,
+        // Measured on the directories when the citation check ran, estimated from the competitors otherwise
+        napIssues: (citations && citationService.toNapIssues(citations, localeConfig.language || 'en')) || auditResult.napIssues || {
+          nameConsistency: true,
+          addressConsistency: true,
+          phoneConsistency: true,
+          issues: [],
+        },
+        citationIssues: (citations && citationService.toCitationIssues(citations, localeConfig.language || 'en')) || auditResult.citationIssues || {
+          missingCitations: [],
+          inconsistentData: [],
+        },
+        raw_data: matrix ? keywordResults.map((result) => ({ keyword: result.keyword, data: result.raw })) : auditResult.raw,
+        status: 'completed',
+        error_message: null,
+      },
+    }, { new: true });
+
+    await this.settleCredit(job, 'commit');
+
+    if (job.schedule) return;
+
+    const user = await User.findById(job.user).select('email name');
+    if (audit && user) {
+      emailService.sendGeoAuditEmail(user.email, {
+        audit: audit.toObject(),
+        userName: user.name,
+      });
+    }
+  }
+
+  /**
+   * The profile is audited live; its reviews come from a DataForSEO task, so a found business
+   * waits for them in a second phase, polled every GBP_REVIEWS_POLL_INTERVAL_MS like site crawls.
+   * When the reviews cannot be fetched the audit completes without their analysis.
+   */
+  async runGBPJob(job) {
+    const existing = await GBPAudit.findById(job.audit);
+    if (existing?.reviews_task?.id) {
+      return this.collectGBPReviews(job, existing);
+    }
+
+    const { businessName, gbpLink, locale, location } = job.payload;
+
+    await this.setProgress(job, 20, 'fetching_data');
+    const auditResult = await gbpService.runAudit(
+      businessName.trim(),
+      gbpLink || null,
+      locale || DEFAULT_LOCALE,
+      location || null
+    );
+
+    let reviewsTaskId = null;
+    let reviewAnalysis = null;
+    if (auditResult.found) {
+      try {
+        reviewsTaskId = await gbpService.postReviewsTask(auditResult.raw, locale || DEFAULT_LOCALE, location || null);
+      } catch (error) {
+        Logger.error(`GBP reviews task for audit ${job.audit} failed:`, error.message);
+        reviewAnalysis = reviewAnalysisService.unavailable(error.message);
+      }
+    }
+
+    await this.setProgress(job, reviewsTaskId ? 40 : 80, 'saving');
+    const audit = await GBPAudit.findByIdAndUpdate(job.audit, {
+      $set: {
+        placeId: auditResult.placeId || null,
+        score: auditResult.score,
+        businessInfo: auditResult.businessInfo,
+        checklist: auditResult.checklist,
+        recommendations: auditResult.recommendations,
+        raw_data: auditResult.raw,
+        reviews_task: { id: reviewsTaskId, posted_at: reviewsTaskId ? new Date() : null },
+        reviewAnalysis,
+        status: !auditResult.found ? 'not_found' : reviewsTaskId ? 'pending' : 'completed',
+        error_message: null,
+      },
+    }, { new: true });
+
+    // A business that could not be found is not charged
+    if (!auditResult.found) {
+      await this.settleCredit(job, 'release');
+      return null;
+    }
+
+    if (reviewsTaskId) {
+      return { deferMs: env.GBP_REVIEWS_POLL_INTERVAL_MS };
+    }
+
+    await this.finishGBPJob(job, audit);
+    return null;
+  }
+
+  /**
+   * Second phase of a GBP audit: read the reviews task, analyze the reviews and rebuild the
+   * checklist, score and recommendations with the review items
+   */
+  async collectGBPReviews(job, audit) {
+    const lang = getLocaleConfig(audit.locale || DEFAULT_LOCALE).language || 'en';
+    const waited = Date.now() - new Date(audit.reviews_task.posted_at).getTime();
+
+    let reviews = null;
+    let failure = null;
+    try {
+      reviews = await gbpService.getReviewsTask(audit.reviews_task.id);
+    } catch (error) {
+      // Could be transient: keep polling until the timeout
+      Logger.error(`GBP reviews task ${audit.reviews_task.id} check failed:`, error.message);
+      failure = error.message;
+    }
+
+    if (!reviews?.done) {
+      if (waited < env.GBP_REVIEWS_TIMEOUT_MS) {
+        await this.setProgress(job, 40 + Math.min(40, Math.round((waited / env.GBP_REVIEWS_TIMEOUT_MS) * 40)), 'fetching_reviews');
+        return { deferMs: env.GBP_REVIEWS_POLL_INTERVAL_MS };
+      }
+      failure = failure || `Reviews were not ready after ${Math.round(waited / 1000)}s`;
+    }
+
+    await this.setProgress(job, 90, 'analyzing_reviews');
+    const reviewAnalysis = reviews?.done
+      ? reviewAnalysisService.analyze(reviews.reviews, {
+        total: reviews.total ?? audit.businessInfo?.reviewCount,
+        businessName: audit.businessInfo?.name || audit.businessName,
+      })
+      : reviewAnalysisService.unavailable(failure);
+    const report = gbpService.applyReviewAnalysis(audit.toObject().businessInfo, reviewAnalysis, lang);
+
+    const updated = await GBPAudit.findByIdAndUpdate(audit._id, {
+      $set: {
+        score: report.score,
+        checklist: report.checklist,
+        recommendations: report.recommendations,
+        reviewAnalysis,
+        status: 'completed',
+      },
+    }, { new: true });
+
+    await this.finishGBPJob(job, updated);
+    return null;
+  }
+
+  async finishGBPJob(job, audit) {
+    await this.settleCredit(job, 'commit');
+
+    if (job.schedule) return;
+
+    const user = await User.findById(job.user).select('email name');
+    if (audit && user) {
+      emailService.sendGBPAuditEmail(user.email, {
+        audit: {
+          _id: audit._id,
+          businessName: audit.businessName,
+          status: audit.status,
+          score: audit.score,
+          locale: audit.locale,
+          recommendations: audit.recommendations,
+        },
+        userName: user.name,
+      });
+    }
+  }
+
+  /**
+   * Site crawls take minutes, so the job runs in short steps: post the crawl task,
+   * then check on it every SITE_AUDIT_POLL_INTERVAL_MS until it finishes (or times out),
+   * then fetch and analyse the pages.
+   */
+  async runSiteJob(job) {
+    const audit = await SiteAudit.findById(job.audit);
+    if (!audit) {
+      throw new ApiError(404, 'Site audit not found');
+    }
+
+    if (!audit.task_id) {
+      await this.setProgress(job, 10, 'crawl_started');
+      await siteAuditService.startCrawl(audit);
+      return { deferMs: env.SITE_AUDIT_POLL_INTERVAL_MS };
+    }
+
+    const { done } = await siteAuditService.pollCrawl(audit);
+    if (!done) {
+      const crawled = Math.min(1, audit.crawl.pages_crawled / Math.max(audit.max_pages, 1));
+      await this.setProgress(job, 10 + Math.round(crawled * 60), 'crawling');
+      return { deferMs: env.SITE_AUDIT_POLL_INTERVAL_MS };
+    }
+
+    await this.setProgress(job, 80, 'analyzing');
+    await siteAuditService.collectResults(audit);
+
+    await this.settleCredit(job, 'commit');
+    return null;
+  }
+
+  async runHreflangJob(job) {
+    const audit = await HreflangAudit.findById(job.audit);
+    if (!audit) {
+      throw new ApiError(404, 'Hreflang audit not found');
+    }
+
+    await this.setProgress(job, 20, 'fetching_pages');
+    await hreflangAuditService.runAudit(audit);
+
+    await this.settleCredit(job, 'commit');
+  }
+}
+
+export const auditQueueService = new AuditQueueService();
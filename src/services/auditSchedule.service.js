@@ -0,0 +1,352 @@
+import { AuditSchedule, AuditJob, SEOAudit, GeoAudit, GBPAudit, User } from '../models/index.js';
+import { AUDIT_MODEL_BY_TYPE } from '../models/auditJob.model.js';
+import { computeNextRun, SCHEDULE_HISTORY_LIMIT } from '../models/auditSchedule.model.js';
+import { env, DEFAULT_LOCALE } from '../config/index.js';
+import { ApiError, Logger } from '../utils/index.js';
+import { auditQueueService } from './auditQueue.service.js';
+import { auditComparisonService } from './auditComparison.service.js';
+import { creditService } from './credit.service.js';
+import { emailService } from './email.service.js';
+
+const CREDIT_TYPE_BY_AUDIT_TYPE = {
+  seo: 'seo_audits',
+  geo: 'geo_audits',
+  gbp: 'gbp_audits',
+};
+
+// A claimed schedule not released after this long is picked up again
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+class AuditScheduleService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+
+    // Compare each scheduled run with the previous one once the worker is done with it
+    auditQueueService.onJobFinished((job, outcome) => this.handleJobFinished(job, outcome));
+  }
+
+  getAuditModel(type) {
+    return auditQueueService.getAuditModel(type);
+  }
+
+  /**
+   * Inputs of an existing audit, taken from the job that ran it or rebuilt from the audit fields
+   */
+  async getInputsFromAudit(type, audit) {
+    const job = await AuditJob.findOne({ audit: audit._id }).sort({ createdAt: -1 }).select('payload').lean();
+    if (job?.payload && Object.keys(job.payload).length > 0) {
+      return job.payload;
+    }
+
+    if (type === 'seo') {
+      return { url: audit.url, keyword: audit.keyword, locale: audit.locale };
+    }
+    if (type === 'gbp') {
+      return { businessName: audit.businessName, gbpLink: audit.gbpLink || null, locale: audit.locale };
+    }
+
+    // GEO audits store their location as "City,Region,Country" or "City,Country"
+    const parts = (audit.location || '').split(',');
+    const country = parts.pop();
+    const city = parts.shift();
+    if (!city || !country) {
+      throw new ApiError(400, 'Cannot rebuild the inputs of this audit; pass them in `inputs` instead');
+    }
+    return {
+      keyword: audit.keyword,
+      city,
+      region: parts.join(',') || null,
+      country,
+      businessName: audit.businessName,
+      locale: audit.locale,
+    };
+  }
+
+  /**
+   * Create a schedule from explicit inputs or from an existing audit.
+   * A schedule built from an audit uses it as the baseline and first runs one period later;
+   * a schedule built from inputs runs on the next scheduler tick.
+   */
+  async createSchedule(userId, { type, frequency, auditId, inputs, notify = true }) {
+    const now = new Date();
+    let baseline = null;
+
+    if (auditId) {
+      const AuditModel = this.getAuditModel(type);
+      baseline = await AuditModel.findOne({ _id: auditId, user: userId }).lean();
+      if (!baseline) {
+        throw new ApiError(404, 'Audit not found');
+      }
+      inputs = await this.getInputsFromAudit(type, baseline);
+    }
+
+    const anchorAt = baseline ? computeNextRun(now, frequency, now) : now;
+
+    return AuditSchedule.create({
+      user: userId,
+      type,
+      audit_model: AUDIT_MODEL_BY_TYPE[type],
+      inputs,
+      frequency,
+      notify,
+      anchor_at: anchorAt,
+      next_run_at: anchorAt,
+      last_audit: baseline?.status === 'completed' ? baseline._id : null,
+    });
+  }
+
+  async updateSchedule(userId, scheduleId, updates) {
+    const schedule = await AuditSchedule.findOne({ _id: scheduleId, user: userId });
+    if (!schedule) {
+      throw new ApiError(404, 'Schedule not found');
+    }
+
+    const now = new Date();
+
+    if (updates.frequency && updates.frequency !== schedule.frequency) {
+      // Keep the rhythm of the latest run, but at the new frequency
+      schedule.frequency = updates.frequency;
+      schedule.anchor_at = schedule.last_run_at || schedule.anchor_at;
+    }
+    if (updates.notify !== undefined) {
+      schedule.notify = updates.notify;
+    }
+    if (updates.is_active !== undefined) {
+      schedule.is_active = updates.is_active;
+    }
+
+    schedule.next_run_at = computeNextRun(schedule.anchor_at, schedule.frequency, now);
+    await schedule.save();
+
+    return schedule;
+  }
+
+  // ----- Scheduler -----
+
+  async claimNext() {
+    const now = new Date();
+
+    return AuditSchedule.findOneAndUpdate(
+      {
+        is_active: true,
+        next_run_at: { $lte: now },
+        $or: [{ locked_until: null }, { locked_until: { $lt: now } }],
+      },
+      { $set: { locked_until: new Date(now.getTime() + CLAIM_TIMEOUT_MS) } },
+      { sort: { next_run_at: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Start every due schedule (up to `limit`)
+   * @returns {Promise<Object>} { started, skipped }
+   */
+  async runDue(limit = 20) {
+    let started = 0;
+    let skipped = 0;
+
+    for (let i = 0; i < limit; i++) {
+      const schedule = await this.claimNext();
+      if (!schedule) break;
+
+      const queued = await this.runSchedule(schedule);
+      if (queued) started++;
+      else skipped++;
+    }
+
+    return { started, skipped };
+  }
+
+  /**
+   * Charge the audit's credits, create the pending audit and queue it. A run without credit is
+   * skipped (and recorded); either way the schedule moves on to its next slot.
+   * @returns {Promise<boolean>} true if an audit was queued
+   */
+  async runSchedule(schedule) {
+    const now = new Date();
+    const update = {
+      $set: {
+        next_run_at: computeNextRun(schedule.anchor_at, schedule.frequency, now),
+        locked_until: null,
+        last_run_at: now,
+      },
+    };
+
+    let reservation = null;
+    try {
+      const creditType = CREDIT_TYPE_BY_AUDIT_TYPE[schedule.type];
+      const cost = await creditService.getAuditCost(schedule.type, schedule.inputs);
+      const balance = await creditService.getBalance(schedule.user, creditType);
+      reservation = balance.availableCredits >= cost
+        ? await creditService.reserve(schedule.user, creditType, cost, balance.subscription)
+        : null;
+
+      if (!reservation) {
+        update.$set.last_error = 'Insufficient credits';
+        update.$push = this.historyPush({ status: 'skipped', message: 'Insufficient credits' });
+        return false;
+      }
+
+      const audit = await this.createPendingAudit(schedule);
+      const job = await auditQueueService.enqueue({
+        userId: schedule.user,
+        type: schedule.type,
+        audit,
+        payload: schedule.inputs,
+        reservation,
+        schedule: schedule._id,
+      });
+
+      update.$set.last_job = job._id;
+      update.$set.last_error = null;
+      update.$inc = { run_count: 1 };
+      return true;
+    } catch (error) {
+      Logger.error(`Audit schedule ${schedule._id} failed to start:`, error.message);
+      if (reservation && !reservation.job) {
+        await creditService.release(reservation);
+      }
+      update.$set.last_error = error.message;
+      update.$push = this.historyPush({ status: 'failed', message: error.message });
+      return false;
+    } finally {
+      await AuditSchedule.updateOne({ _id: schedule._id }, update);
+    }
+  }
+
+  /**
+   * Same pending documents the audit controllers create for a manual run
+   */
+  async createPendingAudit(schedule) {
+    const { user, type, inputs } = schedule;
+    const locale = inputs.locale || DEFAULT_LOCALE;
+
+    if (type === 'seo') {
+      return SEOAudit.create({ user, url: inputs.url, keyword: inputs.keyword, locale, status: 'pending' });
+    }
+
+    if (type === 'geo') {
+      const location = inputs.region
+        ? `${inputs.city},${inputs.region},${inputs.country}`
+        : `${inputs.city},${inputs.country}`;
+      const keywords = inputs.keywords?.length ? inputs.keywords : [inputs.keyword];
+      return GeoAudit.create({
+        user,
+        businessName: inputs.businessName || keywords[0],
+        location,
+        keyword: keywords[0],
+        keywords,
+        locale,
+        status: 'pending',
+      });
+    }
+
+    return GBPAudit.create({
+      user,
+      businessName: inputs.businessName.trim(),
+      gbpLink: inputs.gbpLink || null,
+      locale,
+      status: 'pending',
+    });
+  }
+
+  /**
+   * Record the outcome of a scheduled run, compare it with the previous completed run
+   * and email the user when the difference is significant
+   * @param {Object} job - Finished AuditJob
+   * @param {Object} outcome - { status: 'completed' | 'failed', error }
+   */
+  async handleJobFinished(job, outcome) {
+    if (!job.schedule) return;
+
+    const schedule = await AuditSchedule.findById(job.schedule);
+    if (!schedule) return;
+
+    if (outcome.status === 'failed') {
+      await AuditSchedule.updateOne({ _id: schedule._id }, {
+        $set: { last_error: outcome.error || 'Audit failed' },
+        $push: this.historyPush({ audit: job.audit, audit_model: job.audit_model, status: 'failed', message: outcome.error }),
+      });
+      return;
+    }
+
+    const AuditModel = this.getAuditModel(schedule.type);
+    const current = await AuditModel.findById(job.audit).select('-raw_data').lean();
+
+    // e.g. a GBP business that could not be found: nothing to compare
+    if (!current || current.status !== 'completed') {
+      await AuditSchedule.updateOne({ _id: schedule._id }, {
+        $set: { last_error: `Audit ended as ${current?.status || 'missing'}` },
+        $push: this.historyPush({ audit: job.audit, audit_model: job.audit_model, status: 'failed', message: current?.status }),
+      });
+      return;
+    }
+
+    const previous = schedule.last_audit
+      ? await AuditModel.findById(schedule.last_audit).select('-raw_data').lean()
+      : null;
+    const comparison = previous ? auditComparisonService.compare(schedule.type, previous, current) : null;
+
+    let notified = false;
+    if (comparison?.significant && schedule.notify) {
+      const user = await User.findById(schedule.user).select('email name');
+      if (user) {
+        await emailService.sendAuditChangesEmail(user.email, {
+          type: schedule.type,
+          audit: current,
+          comparison,
+          userName: user.name,
+        });
+        notified = true;
+      }
+    }
+
+    await AuditSchedule.updateOne({ _id: schedule._id }, {
+      $set: { last_audit: current._id, last_comparison: comparison, last_error: null },
+      $push: this.historyPush({
+        audit: current._id,
+        audit_model: job.audit_model,
+        status: 'completed',
+        score: comparison?.score.current ?? current.score ?? current.localVisibilityScore ?? null,
+        score_delta: comparison?.score.delta ?? null,
+        significant: Boolean(comparison?.significant),
+        notified,
+      }),
+    });
+  }
+
+  historyPush(entry) {
+    return { history: { $each: [{ ran_at: new Date(), ...entry }], $slice: -SCHEDULE_HISTORY_LIMIT } };
+  }
+
+  /**
+   * Check for due schedules on an interval (long-running server only)
+   */
+  start(intervalMs = env.AUDIT_SCHEDULER_INTERVAL_MS) {
+    if (this.timer) return;
+
+    this.timer = setInterval(async () => {
+      if (this.running) return;
+      this.running = true;
+      try {
+        await this.runDue();
+      } catch (error) {
+        Logger.error('Audit scheduler run failed:', error.message);
+      } finally {
+        this.running = false;
+      }
+    }, intervalMs);
+    this.timer.unref?.();
+    Logger.log(`Audit scheduler checking every ${intervalMs}ms`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+export const auditScheduleService = new AuditScheduleService();
@@ -0,0 +1,259 @@
+import { AuditBatch, SEOAudit } from '../models/index.js';
+import { BATCH_ITEM_STATUS } from '../models/auditBatch.model.js';
+import { env, DEFAULT_LOCALE } from '../config/index.js';
+import { ApiError, Logger, toCsv } from '../utils/index.js';
+import { auditQueueService } from './auditQueue.service.js';
+import { creditService } from './credit.service.js';
+
+const IN_FLIGHT = [BATCH_ITEM_STATUS.WAITING, BATCH_ITEM_STATUS.QUEUED];
+
+const SUMMARY_CSV_HEADERS = [
+  'row', 'url', 'keyword', 'locale', 'device', 'status', 'score', 'position',
+  'critical', 'high', 'medium', 'low', 'top_issue', 'audit_id', 'error',
+];
+
+/**
+ * Bulk SEO audits: one AuditBatch holds the rows, each row runs as a regular SEO audit job.
+ * Only BULK_AUDIT_CONCURRENCY rows of a batch are in the queue at a time, so a large batch
+ * does not hold up the other users' audits; each finished row queues the next one.
+ */
+class BulkAuditService {
+  constructor() {
+    auditQueueService.onJobFinished((job, outcome) => this.handleJobFinished(job, outcome));
+  }
+
+  getRowCost(row) {
+    return creditService.getAuditCost('seo', row);
+  }
+
+  /**
+   * SEO audit credits a batch costs: rows with device 'both' count double (see creditService.getAuditCost)
+   */
+  async getBatchCost(rows) {
+    const costs = await Promise.all(rows.map((row) => this.getRowCost(row)));
+    return costs.reduce((sum, cost) => sum + cost, 0);
+  }
+
+  /**
+   * Create a batch and queue its first rows
+   * @param {string} userId
+   * @param {Object} params
+   * @param {Array} params.rows - [{ url, keyword, locale, device }], defaults already applied
+   * @param {string} [params.name]
+   * @param {string} [params.locale] - Language of the summary CSV and PDF
+   * @param {Object} [reservation] - Reservation for the whole batch from checkCredit
+   */
+  async createBatch(userId, { rows, name = null, locale = DEFAULT_LOCALE }, reservation = null) {
+    const costs = await Promise.all(rows.map((row) => this.getRowCost(row)));
+
+    const batch = new AuditBatch({
+      user: userId,
+      name,
+      locale,
+      total: rows.length,
+      credits: costs.reduce((sum, cost) => sum + cost, 0),
+      items: rows.map((row, index) => ({
+        url: row.url,
+        keyword: row.keyword,
+        locale: row.locale || locale,
+        device: row.device || 'desktop',
+        cost: costs[index],
+      })),
+    });
+
+    // Each row settles its own part: a failed audit refunds only its credits. The parts are
+    // inserted with the batch, so they are either all saved on their rows or all given back.
+    const parts = reservation
+      ? await creditService.split(reservation, costs, { model: 'AuditBatch', id: batch._id })
+      : [];
+    parts.forEach((part, index) => {
+      batch.items[index].credit_reservation = part;
+    });
+
+    try {
+      await batch.save();
+    } catch (error) {
+      for (const part of parts) await creditService.release(part);
+      throw error;
+    }
+
+    try {
+      await this.fillSlots(batch._id);
+    } catch (error) {
+      Logger.error(`Bulk audit ${batch._id} could not be started:`, error.message);
+      await this.failWaitingRows(batch._id, error.message);
+    }
+    return AuditBatch.findById(batch._id);
+  }
+
+  /**
+   * Fail every row that is not queued yet and give back its credits
+   */
+  async failWaitingRows(batchId, message) {
+    const batch = await AuditBatch.findById(batchId);
+    if (!batch) return;
+
+    for (const item of batch.items.filter((entry) => entry.status === BATCH_ITEM_STATUS.WAITING)) {
+      // Claimed like in fillSlots: a row a worker is queueing right now keeps its credits
+      const claimed = await AuditBatch.updateOne(
+        { _id: batch._id, items: { $elemMatch: { _id: item._id, status: BATCH_ITEM_STATUS.WAITING } } },
+        { $set: { 'items.$.status': BATCH_ITEM_STATUS.FAILED, 'items.$.error_message': message, 'items.$.credit_reservation': null } }
+      );
+      if (claimed.modifiedCount) await creditService.release(item.credit_reservation);
+    }
+
+    await this.completeIfDone(batch._id);
+  }
+
+  /**
+   * Queue waiting rows until BULK_AUDIT_CONCURRENCY rows of the batch are in the queue.
+   * Rows are claimed one by one, so two workers filling the same batch never queue a row twice.
+   */
+  async fillSlots(batchId) {
+    const batch = await AuditBatch.findById(batchId);
+    if (!batch) return;
+
+    const queued = batch.items.filter((item) => item.status === BATCH_ITEM_STATUS.QUEUED).length;
+    const waiting = batch.items.filter((item) => item.status === BATCH_ITEM_STATUS.WAITING);
+
+    for (const item of waiting.slice(0, Math.max(0, env.BULK_AUDIT_CONCURRENCY - queued))) {
+      const claimed = await AuditBatch.updateOne(
+        { _id: batch._id, items: { $elemMatch: { _id: item._id, status: BATCH_ITEM_STATUS.WAITING } } },
+        { $set: { 'items.$.status': BATCH_ITEM_STATUS.QUEUED } }
+      );
+      if (!claimed.modifiedCount) continue;
+
+      let audit = null;
+      let job = null;
+      try {
+        audit = await SEOAudit.create({
+          user: batch.user,
+          url: item.url,
+          keyword: item.keyword,
+          locale: item.locale || DEFAULT_LOCALE,
+          status: 'pending',
+        });
+        // Linked before queueing: the job can finish before enqueue returns
+        await AuditBatch.updateOne({ _id: batch._id, 'items._id': item._id }, { $set: { 'items.$.audit': audit._id } });
+
+        job = await auditQueueService.enqueue({
+          userId: batch.user,
+          type: 'seo',
+          audit,
+          reservation: item.credit_reservation,
+          payload: { url: item.url, keyword: item.keyword, locale: item.locale, device: item.device },
+          batch: batch._id,
+        });
+        await AuditBatch.updateOne(
+          { _id: batch._id, 'items._id': item._id },
+          { $set: { 'items.$.job': job._id, 'items.$.credit_reservation': null } }
+        );
+      } catch (error) {
+        Logger.error(`Bulk audit ${batch._id} could not queue ${item.url}:`, error.message);
+        // The job owns the credits once it exists and finishes the row through handleJobFinished
+        if (job) continue;
+
+        if (audit) {
+          await SEOAudit.updateOne({ _id: audit._id }, { $set: { status: 'failed', error_message: error.message } });
+        }
+        await creditService.release(item.credit_reservation);
+        await AuditBatch.updateOne(
+          { _id: batch._id, 'items._id': item._id },
+          { $set: { 'items.$.status': BATCH_ITEM_STATUS.FAILED, 'items.$.error_message': error.message, 'items.$.credit_reservation': null } }
+        );
+      }
+    }
+
+    await this.completeIfDone(batch._id);
+  }
+
+  async completeIfDone(batchId) {
+    await AuditBatch.updateOne(
+      { _id: batchId, status: 'processing', 'items.status': { $nin: IN_FLIGHT } },
+      { $set: { status: 'completed', completed_at: new Date() } }
+    );
+  }
+
+  async handleJobFinished(job, outcome) {
+    if (!job.batch) return;
+
+    const audit = outcome.status === 'completed'
+      ? await SEOAudit.findById(job.audit).select('score status').lean()
+      : null;
+    const completed = audit?.status === 'completed';
+
+    await AuditBatch.updateOne({ _id: job.batch, 'items.audit': job.audit }, {
+      $set: {
+        'items.$.status': completed ? BATCH_ITEM_STATUS.COMPLETED : BATCH_ITEM_STATUS.FAILED,
+        'items.$.score': completed ? audit.score : null,
+        'items.$.error_message': completed ? null : outcome.error || 'Audit failed',
+      },
+    });
+
+    await this.fillSlots(job.batch);
+  }
+
+  /**
+   * Row counts per status and overall progress (0-100)
+   */
+  getProgress(batch) {
+    const counts = Object.fromEntries(Object.values(BATCH_ITEM_STATUS).map((status) => [status, 0]));
+    for (const item of batch.items) counts[item.status]++;
+
+    const done = counts.completed + counts.failed;
+    return { ...counts, done, progress: batch.total ? Math.round((done / batch.total) * 100) : 100 };
+  }
+
+  async getBatch(userId, batchId) {
+    const batch = await AuditBatch.findOne({ _id: batchId, user: userId }).select('-items.credit_reservation').lean();
+    if (!batch) {
+      throw new ApiError(404, 'Bulk audit not found');
+    }
+    return batch;
+  }
+
+  /**
+   * The batch with its finished audits, in row order (null for rows without a completed audit)
+   */
+  async getBatchWithAudits(userId, batchId) {
+    const batch = await this.getBatch(userId, batchId);
+    const ids = batch.items.map((item) => item.audit).filter(Boolean);
+    const audits = await SEOAudit.find({ _id: { $in: ids }, status: 'completed' }).select('-raw_data -devices').lean();
+    const byId = new Map(audits.map((audit) => [String(audit._id), audit]));
+
+    return { batch, audits: batch.items.map((item) => (item.audit ? byId.get(String(item.audit)) || null : null)) };
+  }
+
+  /**
+   * One line per row: status, score, ranking, recommendation counts and the main issue
+   */
+  buildSummaryCsv(batch, audits) {
+    const rows = batch.items.map((item, index) => {
+      const audit = audits[index];
+      const recommendations = audit?.recommendations || [];
+      const count = (priority) => recommendations.filter((rec) => rec.priority === priority).length;
+
+      return [
+        index + 1,
+        item.url,
+        item.keyword,
+        item.locale || '',
+        item.device,
+        item.status,
+        audit ? audit.score : '',
+        audit?.serpInfo?.ownRanking?.position ?? '',
+        audit ? count('critical') : '',
+        audit ? count('high') : '',
+        audit ? count('medium') : '',
+        audit ? count('low') : '',
+        recommendations[0]?.issue || '',
+        item.audit ? String(item.audit) : '',
+        item.error_message || '',
+      ];
+    });
+
+    return toCsv(SUMMARY_CSV_HEADERS, rows);
+  }
+}
+
+export const bulkAuditService = new BulkAuditService();
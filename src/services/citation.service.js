@@ -0,0 +1,252 @@
+import { Settings } from '../models/index.js';
+import { env } from '../config/index.js';
+import { ApiError, Logger, enums, normalizePhone, normalizeAddress, compareAddresses, formatAddress } from '../utils/index.js';
+import { t } from '../locales/index.js';
+import { geoAuditService } from './geoAudit.service.js';
+import { DataForSEOCitationProvider, FixtureCitationProvider } from './citationProviders.js';
+
+export const CITATION_DIRECTORIES_SETTING_KEY = 'citation_directories';
+
+const DIRECTORY_IDS = enums.getCitationDirectoriesArray();
+
+/**
+ * Directories a business can be listed on. `source: 'listings'` is looked up in a business
+ * listings database, the others by their `domain` (per country when it differs); `countries`
+ * limits a directory to the businesses of those countries.
+ */
+const DIRECTORIES = {
+  google: { name: 'Google Business Profile', source: 'listings' },
+  goldenpages: { name: "Gouden Gids / Pages d'Or", domain: 'goldenpages.be', countries: ['BE'] },
+  pagesjaunes: { name: 'PagesJaunes', domain: 'pagesjaunes.fr', countries: ['FR'] },
+  detelefoongids: { name: 'De Telefoongids', domain: 'detelefoongids.nl', countries: ['NL'] },
+  infobel: { name: 'Infobel', domain: 'infobel.com', countries: ['BE', 'FR', 'NL'] },
+  yelp: { name: 'Yelp', domain: { BE: 'yelp.be', FR: 'yelp.fr', NL: 'yelp.nl' } },
+  facebook: { name: 'Facebook', domain: 'facebook.com' },
+};
+
+/**
+ * NAP citation check: looks the audited business up on each directory through a citation provider
+ * (see citationProviders.js) and compares the listing's name, address, phone and website with the
+ * business's own. The provider is chosen with CITATION_PROVIDER.
+ */
+class CitationService {
+  constructor() {
+    this.providers = {
+      dataforseo: new DataForSEOCitationProvider(),
+      fixture: new FixtureCitationProvider(),
+    };
+  }
+
+  registerProvider(provider) {
+    this.providers[provider.name] = provider;
+  }
+
+  getProvider() {
+    const provider = this.providers[env.CITATION_PROVIDER];
+    if (!provider) {
+      throw new ApiError(500, `Unknown citation provider "${env.CITATION_PROVIDER}"`);
+    }
+    return provider;
+  }
+
+  /**
+   * Directories to check for a business in `country`: the admin setting, else CITATION_DIRECTORIES
+   */
+  async getDirectories(country) {
+    const configured = await Settings.getSetting(CITATION_DIRECTORIES_SETTING_KEY, null)
+      || env.CITATION_DIRECTORIES.split(',').map((id) => id.trim());
+
+    return configured
+      .filter((id) => DIRECTORY_IDS.includes(id))
+      .map((id) => {
+        const directory = DIRECTORIES[id];
+        const domain = typeof directory.domain === 'object' ? directory.domain[country] : directory.domain;
+        return { id, name: directory.name, source: directory.source || 'site', domain: domain || null, countries: directory.countries || null };
+      })
+      .filter((directory) => (!directory.countries || directory.countries.includes(country))
+        && (directory.source === 'listings' || directory.domain));
+  }
+
+  /**
+   * Check the listings of a business on every directory
+   * @param {Object} business - { name, address, phone, website } as the business shows them
+   * @param {Object} context - { country (BE, NL, FR), city, locationName, languageName, latitude, longitude }
+   * @returns {Promise<Object>} { provider, country, checkedAt, reference, directories, summary }
+   */
+  async checkCitations(business, context) {
+    const provider = this.getProvider();
+    const directories = await this.getDirectories(context.country);
+    const reference = this.buildReference(business, context.country);
+
+    const results = await Promise.all(directories.map(async (directory) => {
+      try {
+        const listings = await provider.findListings(directory, business, context);
+        return this.compareListing(directory, this.pickListing(listings, business), reference, context.country);
+      } catch (error) {
+        Logger.error(`Citation lookup on ${directory.id} failed:`, error.message);
+        return { directory: directory.id, name: directory.name, status: 'error', url: null, listing: null, mismatches: [], error: error.message };
+      }
+    }));
+
+    return {
+      provider: provider.name,
+      country: context.country || null,
+      checkedAt: new Date(),
+      reference,
+      directories: results,
+      summary: this.summarize(results),
+    };
+  }
+
+  buildReference(business, country) {
+    return {
+      name: business.name || null,
+      address: business.address || null,
+      addressParts: normalizeAddress(business.address, country),
+      phone: normalizePhone(business.phone, country),
+      website: geoAuditService.domainOf(business.website),
+    };
+  }
+
+  /**
+   * The candidate listing that is the business, matched like the Local Finder results. The lookup
+   * is already narrowed to the business's name and city, so a listing with the same name but another
+   * phone number is still the business, with an outdated number, rather than another branch.
+   */
+  pickListing(listings, business) {
+    const candidates = (listings || []).map((listing, index) => ({ ...listing, position: index + 1 }));
+    const match = geoAuditService.matchBusiness(candidates, { name: business.name, phone: business.phone, website: business.website })
+      || geoAuditService.matchBusiness(candidates, { name: business.name });
+    if (!match) return null;
+
+    const { position, ...listing } = match.business;
+    return listing;
+  }
+
+  /**
+   * Compare each NAP field both sides show; a field missing from the listing is not a mismatch
+   */
+  compareListing(directory, listing, reference, country) {
+    const entry = { directory: directory.id, name: directory.name, url: listing?.url || null };
+    if (!listing) {
+      return { ...entry, status: 'missing', listing: null, mismatches: [] };
+    }
+
+    const mismatches = [];
+    const mismatch = (field, expected, found) => mismatches.push({ field, expected, found });
+
+    if (reference.name && listing.name && !geoAuditService.namesMatch(listing.name, reference.name)) {
+      mismatch('name', reference.name, listing.name);
+    }
+    if (reference.addressParts && listing.address && compareAddresses(reference.addressParts, normalizeAddress(listing.address, country), country) === 'mismatch') {
+      mismatch('address', formatAddress(reference.addressParts), listing.address);
+    }
+    const phone = normalizePhone(listing.phone, country);
+    if (reference.phone && phone && phone !== reference.phone) {
+      mismatch('phone', reference.phone, listing.phone);
+    }
+    const website = geoAuditService.domainOf(listing.website);
+    if (reference.website && website && website !== reference.website) {
+      mismatch('website', reference.website, website);
+    }
+
+    return {
+      ...entry,
+      status: mismatches.length ? 'inconsistent' : 'consistent',
+      listing: { name: listing.name, address: listing.address, phone: listing.phone, website: listing.website },
+      mismatches,
+    };
+  }
+
+  /**
+   * Counts per status; `consistencyScore` is the share (%) of the directories that answered
+   * where the business is listed with the same NAP
+   */
+  summarize(results) {
+    const count = (status) => results.filter((result) => result.status === status).length;
+    const answered = results.length - count('error');
+
+    return {
+      checked: results.length,
+      listed: count('consistent') + count('inconsistent'),
+      consistent: count('consistent'),
+      inconsistent: count('inconsistent'),
+      missing: count('missing'),
+      failed: count('error'),
+      consistencyScore: answered ? Math.round((count('consistent') / answered) * 100) : null,
+    };
+  }
+
+  fieldLabels(mismatches, lang) {
+    return [...new Set(mismatches.map((item) => item.field))]
+      .map((field) => t(lang, `geo.citationCheck.fields.${field}`))
+      .join(', ');
+  }
+
+  /**
+   * GEO audit napIssues from the citation check: a field is consistent when no directory shows it differently
+   */
+  toNapIssues(citations, lang = 'en') {
+    const mismatches = citations.directories.flatMap((result) => result.mismatches.map((item) => ({ ...item, directory: result.name })));
+    const consistent = (field) => !mismatches.some((item) => item.field === field);
+
+    return {
+      nameConsistency: consistent('name'),
+      addressConsistency: consistent('address'),
+      phoneConsistency: consistent('phone'),
+      issues: mismatches.map((item) => t(lang, 'geo.citationCheck.mismatch', {
+        directory: item.directory,
+        field: t(lang, `geo.citationCheck.fields.${item.field}`),
+        found: item.found,
+        expected: item.expected,
+      })),
+    };
+  }
+
+  /**
+   * GEO audit citationIssues from the citation check: directories without a listing, and those with a different NAP
+   */
+  toCitationIssues(citations, lang = 'en') {
+    return {
+      missingCitations: citations.directories
+        .filter((result) => result.status === 'missing')
+        .map((result) => t(lang, 'geo.citationCheck.missing', { directory: result.name })),
+      inconsistentData: citations.directories
+        .filter((result) => result.status === 'inconsistent')
+        .map((result) => t(lang, 'geo.citationCheck.inconsistent', { directory: result.name, fields: this.fieldLabels(result.mismatches, lang) })),
+    };
+  }
+
+  buildRecommendations(citations, lang = 'en') {
+    const recommendations = citations.directories
+      .filter((result) => result.status === 'inconsistent')
+      .map((result) => {
+        const vars = { directory: result.name, fields: this.fieldLabels(result.mismatches, lang) };
+        return {
+          priority: 'high',
+          category: 'citations',
+          issue: t(lang, 'geo.recommendations.citationInconsistent.issue', vars),
+          action: t(lang, 'geo.recommendations.citationInconsistent.action', vars),
+          impact: 'high',
+          effort: 'easy',
+        };
+      });
+
+    const missing = citations.directories.filter((result) => result.status === 'missing').map((result) => result.name);
+    if (missing.length) {
+      const vars = { directories: missing.join(', '), count: missing.length };
+      recommendations.push({
+        priority: 'medium',
+        category: 'citations',
+        issue: t(lang, 'geo.recommendations.citationsMissing.issue', vars),
+        action: t(lang, 'geo.recommendations.citationsMissing.action', vars),
+        impact: 'medium',
+        effort: 'easy',
+      });
+    }
+
+    return recommendations;
+  }
+}
+
+export const citationService = new CitationService();
@@ -0,0 +1,174 @@
+import fs from 'fs';
+import axios from 'axios';
+import { env } from '../config/index.js';
+import { ApiError } from '../utils/index.js';
+
+/**
+ * Citation providers find the listings of a business on a directory for citationService.
+ *
+ * A provider has a `name` and `findListings(directory, business, context)`, which resolves to the
+ * candidate listings: [{ name, address, phone, website, url }], with null for the fields the source
+ * does not show. citationService then picks the listing that is the business. A provider throws
+ * when the lookup itself fails, so that a failed directory is not mistaken for a missing listing.
+ *   - directory: { id, name, domain, source } (see citationService.getDirectories)
+ *   - business: { name, address, phone, website }
+ *   - context: { country, city, locationName, languageName, latitude, longitude }
+ */
+
+// Radius of the business listings search around the business, in km
+const LISTINGS_RADIUS_KM = 5;
+
+// Phone numbers in snippets: international (+32 2 ..., 0032 ...) or national (02 ..., 06-...)
+const PHONE_PATTERN = /(?:\+|00)\d{2}[\s.\-/]?(?:\(0\)[\s.\-/]?)?\d(?:[\s.\-/]?\d){7,9}|\b0\d(?:[\s.\-/]?\d){7,8}\b/;
+
+// Addresses in snippets: "Street 12, 1000 City" (Belgium, Netherlands) and "12 rue X, 75002 City" (France)
+const ADDRESS_PATTERNS = [
+  /[A-Za-zÀ-ÿ'.\- ]{3,60}?\s\d+[a-z]?(?:\s?(?:\/|bte|bus)\s?\d+)?,?\s+(?:B-)?\d{4}(?:\s?[A-Z]{2})?\s+[A-Za-zÀ-ÿ'\- ]{2,40}/,
+  /\d+[a-z]?,?\s+[A-Za-zÀ-ÿ'.\- ]{3,60}?,?\s+\d{5}\s+[A-Za-zÀ-ÿ'\- ]{2,40}/,
+];
+
+// Snippet parts: split on separators and on sentence ends (not on abbreviations such as "Av.")
+const SNIPPET_SEPARATOR = /\s[|•·–-]\s|(?<=[A-Za-zÀ-ÿ]{4})\.\s+/;
+
+/**
+ * DataForSEO: the Google listing from the business listings database, the other directories
+ * from Google's index of the directory site (the title and snippet of each result). Snippets
+ * rarely show a website, and not always an address or phone; those fields are then null.
+ */
+export class DataForSEOCitationProvider {
+  constructor() {
+    this.name = 'dataforseo';
+    this.login = env.DATAFORSEO_LOGIN || env.DATAFORSEO_EMAIL;
+    this.password = env.DATAFORSEO_PASSWORD || env.DATAFORSEO_API_PASSWORD;
+
+    this.client = axios.create({
+      baseURL: env.DATAFORSEO_API_URL || 'https://sandbox.dataforseo.com',
+      headers: { 'Content-Type': 'application/json' },
+      timeout: 60000,
+      auth: { username: this.login || '', password: this.password || '' },
+    });
+  }
+
+  async findListings(directory, business, context) {
+    if (!this.login || !this.password) {
+      throw new ApiError(500, 'DataForSEO credentials not configured');
+    }
+
+    return directory.source === 'listings'
+      ? this.searchBusinessListings(business, context)
+      : this.searchDirectorySite(directory, business, context);
+  }
+
+  async request(path, payload) {
+    const response = await this.client.post(path, [payload]);
+    const result = Array.isArray(response.data) ? response.data[0] : response.data;
+    if (result?.status_code !== 20000) {
+      throw new ApiError(502, `DataForSEO API error: ${result?.status_message || 'Unknown error'}`);
+    }
+
+    const task = result.tasks?.[0];
+    if (!task || task.status_code !== 20000) {
+      throw new ApiError(502, `DataForSEO task error: ${task?.status_message || 'task failed'}`);
+    }
+    return Array.isArray(task.result) ? task.result[0] : task.result;
+  }
+
+  async searchBusinessListings(business, { country, city, latitude, longitude }) {
+    const filters = [];
+    if (country) filters.push(['address_info.country_code', '=', country]);
+    if (city && latitude == null) filters.push(['address_info.city', 'like', `%${city}%`]);
+
+    const result = await this.request('/v3/business_data/business_listings/search/live', {
+      title: business.name,
+      ...(latitude != null && longitude != null ? { location_coordinate: `${latitude},${longitude},${LISTINGS_RADIUS_KM}` } : {}),
+      // Conditions are joined with "and" in the DataForSEO filter syntax
+      ...(filters.length ? { filters: filters.flatMap((filter, index) => (index ? ['and', filter] : [filter])) } : {}),
+      limit: 10,
+    });
+
+    return (result?.items || []).map((item) => ({
+      name: item.title || null,
+      address: item.address || item.address_info?.address || null,
+      phone: item.phone || null,
+      website: item.url || item.domain || null,
+      url: item.check_url || null,
+    }));
+  }
+
+  async searchDirectorySite(directory, business, { city, locationName, languageName }) {
+    const result = await this.request('/v3/serp/google/organic/live/advanced', {
+      keyword: `site:${directory.domain} "${business.name}"${city ? ` ${city}` : ''}`,
+      location_name: locationName,
+      language_name: languageName,
+      depth: 10,
+    });
+
+    return (result?.items || [])
+      .filter((item) => item.type === 'organic' && this.isOnDomain(item.url, directory.domain))
+      .map((item) => {
+        const text = `${item.description || ''} ${item.title || ''}`;
+        return {
+          // Directory titles read "Name - Category - City | Directory"
+          name: (item.title || '').split(/\s[-|–·]\s/)[0].trim() || null,
+          address: this.extractAddress(text),
+          phone: text.match(PHONE_PATTERN)?.[0].trim() || null,
+          website: null,
+          url: item.url,
+        };
+      });
+  }
+
+  extractAddress(text) {
+    for (const part of text.split(SNIPPET_SEPARATOR)) {
+      for (const pattern of ADDRESS_PATTERNS) {
+        const match = part.match(pattern);
+        if (match) return match[0].trim();
+      }
+    }
+    return null;
+  }
+
+  isOnDomain(url, domain) {
+    try {
+      const hostname = new URL(url).hostname.toLowerCase();
+      return hostname === domain || hostname.endsWith(`.${domain}`);
+    } catch {
+      return false;
+    }
+  }
+}
+
+/**
+ * Listings read from a JSON file (CITATION_FIXTURE_FILE) or given to the constructor, for local
+ * development and tests without DataForSEO calls: `{ "<directory id>": [listing, ...] }`.
+ * A directory whose value is `{ "error": "..." }` fails, like an unreachable source.
+ */
+export class FixtureCitationProvider {
+  constructor(data = null) {
+    this.name = 'fixture';
+    this.data = data;
+  }
+
+  load() {
+    if (this.data) return this.data;
+    if (!env.CITATION_FIXTURE_FILE) {
+      throw new ApiError(500, 'CITATION_FIXTURE_FILE is not set');
+    }
+    this.data = JSON.parse(fs.readFileSync(env.CITATION_FIXTURE_FILE, 'utf8'));
+    return this.data;
+  }
+
+  async findListings(directory) {
+    const entry = this.load()[directory.id];
+    if (entry?.error) {
+      throw new ApiError(502, entry.error);
+    }
+    return (entry || []).map((listing) => ({
+      name: listing.name || null,
+      address: listing.address || null,
+      phone: listing.phone || null,
+      website: listing.website || null,
+      url: listing.url || null,
+    }));
+  }
+}
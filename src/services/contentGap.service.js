@@ -0,0 +1,177 @@
+// Words ignored when comparing headings
+const STOPWORDS = {
+  en: ['the', 'and', 'for', 'with', 'your', 'you', 'are', 'how', 'what', 'why', 'when', 'which', 'who', 'can', 'does', 'from', 'that', 'this', 'these', 'those', 'best', 'top', 'about', 'into', 'our', 'its', 'all', 'more', 'most', 'get', 'use', 'using', 'should', 'will', 'need', 'there', 'than', 'over', 'out', 'not', 'vs', 'versus', 'have', 'has', 'much', 'many', 'near', 'like', 'also', 'just', 'some', 'any', 'make', 'know'],
+  fr: ['les', 'des', 'une', 'pour', 'avec', 'dans', 'sur', 'par', 'vos', 'votre', 'nos', 'notre', 'est', 'sont', 'qui', 'que', 'quoi', 'quel', 'quelle', 'quels', 'quelles', 'comment', 'pourquoi', 'quand', 'aux', 'ces', 'cette', 'son', 'ses', 'leur', 'leurs', 'plus', 'meilleur', 'meilleurs', 'meilleure', 'tout', 'tous', 'faire', 'entre', 'pas'],
+  nl: ['de', 'het', 'een', 'en', 'van', 'voor', 'met', 'in', 'op', 'aan', 'bij', 'uw', 'jouw', 'je', 'onze', 'ons', 'zijn', 'is', 'wat', 'hoe', 'waarom', 'wanneer', 'welke', 'wie', 'die', 'dat', 'deze', 'dit', 'beste', 'meer', 'alle', 'niet', 'naar', 'over', 'uit', 'tot', 'om', 'kan', 'kunnen'],
+};
+
+// Boilerplate sections that say nothing about the topic
+const GENERIC_TERMS = [
+  'introduction', 'intro', 'conclusion', 'summary', 'faq', 'faqs', 'contents', 'content', 'table', 'related', 'comments',
+  'comment', 'share', 'newsletter', 'subscribe', 'contact', 'menu', 'author', 'posts', 'articles', 'article', 'read',
+  'guide', 'complete', 'ultimate', 'tips',
+  'sommaire', 'resume', 'commentaires', 'partager', 'lire', 'auteur',
+  'inleiding', 'samenvatting', 'conclusie', 'inhoud', 'inhoudsopgave', 'reacties', 'delen', 'lees',
+];
+
+// Two headings are the same topic when this share of the shorter one's terms is shared
+const SIMILARITY_THRESHOLD = 0.5;
+const MAX_TOPICS = 15;
+const MAX_EXAMPLES = 3;
+
+class ContentGapService {
+  normalize(text) {
+    return (text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '');
+  }
+
+  /**
+   * Significant terms of a heading: no stopwords, boilerplate, numbers or keyword terms; plurals folded.
+   * Words sharing their first 5 letters with a keyword term (training/trainer) count as the keyword.
+   */
+  tokenize(text, lang, keywordTerms = new Set()) {
+    const stopwords = new Set([...(STOPWORDS[lang] || []), ...STOPWORDS.en]);
+    const keywordStems = [...keywordTerms].filter((term) => term.length >= 5).map((term) => term.slice(0, 5));
+
+    return [...new Set(
+      this.normalize(text)
+        .split(/[^a-z0-9]+/)
+        .filter((word) => word.length >= 3 && !/^\d+$/.test(word))
+        .filter((word) => !stopwords.has(word) && !GENERIC_TERMS.includes(word))
+        .map((word) => (word.length > 4 && word.endsWith('s') ? word.slice(0, -1) : word))
+        .filter((word) => !keywordTerms.has(word) && !keywordStems.includes(word.slice(0, 5)))
+    )];
+  }
+
+  similarity(a, b) {
+    if (a.length === 0 || b.length === 0) return 0;
+    const shared = a.filter((term) => b.includes(term)).length;
+    return shared / Math.min(a.length, b.length);
+  }
+
+  /**
+   * Headings of each competitor: crawled H2/H3 when the audit ran with deepCompetitors,
+   * otherwise the competitor titles plus the People Also Ask questions
+   * @returns {Object} { source, sources: [{ url, headings: [] }] }
+   */
+  collectCompetitorHeadings(competitors, serpFeatures) {
+    const crawled = competitors.filter((competitor) => competitor.page?.headings);
+    if (crawled.length > 0) {
+      return {
+        source: 'headings',
+        sources: crawled.map((competitor) => ({
+          url: competitor.url,
+          headings: [...competitor.page.headings.h2, ...competitor.page.headings.h3],
+        })),
+      };
+    }
+
+    const sources = competitors.map((competitor) => ({ url: competitor.url, headings: [competitor.title] }));
+    for (const question of serpFeatures?.peopleAlsoAsk?.questions || []) {
+      sources.push({ url: question.url || null, headings: [question.question] });
+    }
+    return { source: 'snippets', sources };
+  }
+
+  /**
+   * Group competitor headings into topics. A heading joins the first topic whose seed (first heading)
+   * shares enough terms with it; comparing with the seed only keeps topics from drifting through chains.
+   */
+  clusterHeadings(sources, lang, keywordTerms) {
+    const clusters = [];
+
+    sources.forEach((source, sourceIndex) => {
+      for (const heading of source.headings) {
+        const terms = this.tokenize(heading, lang, keywordTerms);
+        if (terms.length === 0) continue;
+
+        const member = { heading: heading.trim(), terms, sourceIndex };
+        const cluster = clusters.find((candidate) =>
+          this.similarity(terms, candidate.members[0].terms) >= SIMILARITY_THRESHOLD
+        );
+
+        if (cluster) cluster.members.push(member);
+        else clusters.push({ members: [member] });
+      }
+    });
+
+    return clusters.map(({ members }) => {
+      const termCounts = {};
+      for (const member of members) {
+        for (const term of member.terms) termCounts[term] = (termCounts[term] || 0) + 1;
+      }
+      const terms = Object.entries(termCounts).sort((a, b) => b[1] - a[1]).map(([term]) => term);
+
+      // Label: the heading that best represents the cluster's terms, preferring short ones
+      const weight = (member) => member.terms.reduce((sum, term) => sum + termCounts[term], 0) / member.terms.length;
+      const label = [...members].sort((a, b) => weight(b) - weight(a) || a.heading.length - b.heading.length)[0].heading;
+
+      return {
+        topic: label.length > 80 ? `${label.substring(0, 77)}...` : label,
+        terms: terms.slice(0, 3),
+        competitorCount: new Set(members.map((member) => member.sourceIndex)).size,
+        examples: [...new Set(members.map((member) => member.heading))].slice(0, MAX_EXAMPLES),
+        members,
+      };
+    });
+  }
+
+  /**
+   * Topics the top competitors cover, each marked covered (own heading), mentioned (terms only in the body)
+   * or missing on the audited page, with a priority from the share of competitors covering it
+   * @param {Object} params
+   * @param {string} params.keyword
+   * @param {Array} params.competitors - From fetchSERPData (with `page` when crawled)
+   * @param {Object} [params.serpFeatures]
+   * @param {Object} params.meta - On-page meta of the audited page (htags, content)
+   * @param {string} [params.lang]
+   * @returns {Object|null} { source, competitorsAnalyzed, coverage, topics }
+   */
+  analyze({ keyword, competitors = [], serpFeatures = null, meta = {}, lang = 'en' }) {
+    if (!keyword || competitors.length === 0) return null;
+
+    const keywordTerms = new Set(this.tokenize(keyword, lang));
+    const { source, sources } = this.collectCompetitorHeadings(competitors, serpFeatures);
+    const competitorsAnalyzed = sources.length;
+
+    // With few sources every topic counts; otherwise one page's quirk is not a gap
+    const minCompetitors = competitorsAnalyzed >= 3 ? 2 : 1;
+
+    const ownHeadings = [...(meta.htags?.h1 || []), ...(meta.htags?.h2 || []), ...(meta.htags?.h3 || [])]
+      .map((heading) => this.tokenize(heading, lang, keywordTerms))
+      .filter((terms) => terms.length > 0);
+    const bodyTerms = new Set(this.tokenize(meta.content?.plain_text_content || '', lang, keywordTerms));
+
+    const topics = this.clusterHeadings(sources, lang, keywordTerms)
+      .filter((cluster) => cluster.competitorCount >= minCompetitors)
+      .sort((a, b) => b.competitorCount - a.competitorCount || b.members.length - a.members.length)
+      .slice(0, MAX_TOPICS)
+      .map(({ members, ...cluster }) => {
+        const covered = ownHeadings.some((terms) =>
+          members.some((member) => this.similarity(terms, member.terms) >= SIMILARITY_THRESHOLD)
+        );
+        const mentioned = cluster.terms.slice(0, 2).every((term) => bodyTerms.has(term));
+        const share = Math.round((cluster.competitorCount / competitorsAnalyzed) * 100) / 100;
+
+        return {
+          ...cluster,
+          share,
+          status: covered ? 'covered' : mentioned ? 'mentioned' : 'missing',
+          priority: share >= 0.5 ? 'high' : share >= 0.3 ? 'medium' : 'low',
+        };
+      });
+
+    const coveredCount = topics.filter((topic) => topic.status === 'covered').length;
+
+    return {
+      source,
+      competitorsAnalyzed,
+      coverage: topics.length > 0 ? Math.round((coveredCount / topics.length) * 100) : null,
+      topics,
+    };
+  }
+}
+
+export const contentGapService = new ContentGapService();
@@ -0,0 +1,492 @@
+import axios from 'axios';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { env } from '../config/index.js';
+import { Logger, isFetchableUrl, publicLookup } from '../utils/index.js';
+import { t } from '../locales/index.js';
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; SerpixaBot/1.0; +https://serpixa.com)';
+// robots.txt groups are matched for Googlebot, falling back to `*`
+const ROBOTS_AGENT = 'googlebot';
+const REQUEST_TIMEOUT_MS = 10000;
+// Per sitemap file, after decompression (Google accepts up to 50 MB, but the check only needs a sample)
+const MAX_SITEMAP_BYTES = 5 * 1024 * 1024;
+// All sitemap files of one audit together
+const MAX_CRAWL_BYTES = 15 * 1024 * 1024;
+// RFC 9309 asks crawlers to parse at least 500 KiB of robots.txt
+const MAX_ROBOTS_BYTES = 500 * 1024;
+const MAX_PAGE_BYTES = 5 * 1024 * 1024;
+// Sitemap URLs sampled per batch, to stay polite with the audited server
+const SAMPLE_CONCURRENCY = 5;
+// Examples kept per issue in the stored check
+const MAX_EXAMPLES = 10;
+// lastmod values all equal over at least this many URLs are generated, not real modification dates
+const IDENTICAL_LASTMOD_MIN_URLS = 10;
+
+const gunzip = promisify(zlib.gunzip);
+
+const W3C_DATETIME = /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)?)?$/;
+
+class CrawlabilityService {
+  /**
+   * Comparable form of a URL. Unlike DataForSEOService.normalizeUrlForMatch, the protocol, `www.`
+   * and trailing slash are kept: a sitemap or canonical pointing to another variant is a real mismatch.
+   */
+  urlKey(url) {
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      return parsed.href;
+    } catch {
+      return (url || '').trim();
+    }
+  }
+
+  /**
+   * Hosts an audit may fetch from: the audited host, its www / non-www twin and the hosts of
+   * the sitemaps its robots.txt declares
+   * @returns {Set<string>}
+   */
+  allowedHosts(origin, declared = []) {
+    const { hostname } = new URL(origin);
+    const hosts = new Set([hostname, hostname.startsWith('www.') ? hostname.slice(4) : `www.${hostname}`]);
+    for (const sitemap of declared) {
+      try {
+        hosts.add(new URL(sitemap).hostname);
+      } catch {
+        // Unparseable Sitemap: line, reported when fetched
+      }
+    }
+    return hosts;
+  }
+
+  /**
+   * GET a URL of the audited site. Redirects are followed here rather than by axios so that every
+   * hop is checked against `hosts`; publicLookup refuses hosts resolving to a private address.
+   */
+  async request(url, { hosts, maxRedirects = 5, maxContentLength = MAX_PAGE_BYTES, binary = false }) {
+    let current = url;
+    for (let redirects = 0; ; redirects++) {
+      if (!isFetchableUrl(current) || !hosts.has(new URL(current).hostname)) {
+        throw new Error('host_not_allowed');
+      }
+
+      const response = await axios.get(current, {
+        timeout: REQUEST_TIMEOUT_MS,
+        maxRedirects: 0,
+        maxContentLength,
+        responseType: binary ? 'arraybuffer' : 'text',
+        headers: { 'User-Agent': USER_AGENT },
+        validateStatus: () => true,
+        lookup: publicLookup,
+      });
+
+      const location = response.headers.location;
+      if (response.status < 300 || response.status >= 400 || !location || redirects >= maxRedirects) return response;
+      current = new URL(location, current).href;
+    }
+  }
+
+  // ----- robots.txt -----
+
+  /**
+   * Parse robots.txt (RFC 9309): user-agent groups with their allow/disallow rules, and the declared sitemaps
+   * @returns {Object} { groups: [{ agents, rules: [{ type, path }] }], sitemaps }
+   */
+  parseRobots(text) {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+
+    for (const rawLine of (text || '').split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === 'sitemap') {
+        if (value) sitemaps.push(value);
+      } else if (field === 'user-agent') {
+        // Consecutive user-agent lines share one group
+        if (!current || current.rules.length > 0) {
+          current = { agents: [], rules: [] };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+      } else if ((field === 'allow' || field === 'disallow') && current) {
+        // An empty disallow allows everything: no rule to store
+        if (value) current.rules.push({ type: field, path: value });
+      }
+    }
+
+    return { groups, sitemaps: [...new Set(sitemaps)] };
+  }
+
+  /**
+   * `*` matches any sequence and a trailing `$` anchors the end of the path. Like Google's robots.txt
+   * matcher, this tracks every path position the rule can have reached instead of backtracking,
+   * so a rule full of `*` costs rule length x path length at worst.
+   */
+  matchesRule(rulePath, path) {
+    // Sorted path positions reachable after the rule characters read so far
+    let positions = [0];
+
+    for (let i = 0; i < rulePath.length; i++) {
+      const char = rulePath[i];
+      if (char === '$' && i === rulePath.length - 1) return positions[positions.length - 1] === path.length;
+
+      if (char === '*') {
+        positions = Array.from({ length: path.length - positions[0] + 1 }, (_, offset) => positions[0] + offset);
+      } else {
+        positions = positions.filter((position) => path[position] === char).map((position) => position + 1);
+        if (positions.length === 0) return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Whether Googlebot may crawl a URL: the groups naming Googlebot apply, `*` otherwise.
+   * The longest matching rule wins and `allow` wins a tie.
+   * @returns {Object} { allowed, rule } - rule is the deciding line, e.g. 'Disallow: /private/'
+   */
+  isAllowed(robots, url) {
+    let path = '/';
+    try {
+      const parsed = new URL(url);
+      path = `${parsed.pathname}${parsed.search}`;
+    } catch {
+      // Unparseable URL: test the root
+    }
+
+    const named = robots.groups.filter((group) => group.agents.includes(ROBOTS_AGENT));
+    const groups = named.length > 0 ? named : robots.groups.filter((group) => group.agents.includes('*'));
+
+    let decisive = null;
+    for (const rule of groups.flatMap((group) => group.rules)) {
+      if (!this.matchesRule(rule.path, path)) continue;
+      const longer = !decisive || rule.path.length > decisive.path.length;
+      const tieAllow = decisive && rule.path.length === decisive.path.length && rule.type === 'allow';
+      if (longer || tieAllow) decisive = rule;
+    }
+
+    if (!decisive || decisive.type === 'allow') return { allowed: true, rule: decisive ? `Allow: ${decisive.path}` : null };
+    return { allowed: false, rule: `Disallow: ${decisive.path}` };
+  }
+
+  /**
+   * Fetch robots.txt. A 4xx means no restrictions; a 5xx or network error makes Google
+   * treat the whole site as disallowed until it can read the file again.
+   */
+  async fetchRobots(origin) {
+    const url = `${origin}/robots.txt`;
+    try {
+      const response = await this.request(url, { hosts: this.allowedHosts(origin), maxContentLength: MAX_ROBOTS_BYTES });
+      if (response.status >= 200 && response.status < 300) {
+        return { url, status: response.status, found: true, unreachable: false, ...this.parseRobots(response.data) };
+      }
+      return { url, status: response.status, found: false, unreachable: response.status >= 500, groups: [], sitemaps: [] };
+    } catch (error) {
+      Logger.warn(`robots.txt of ${origin} could not be fetched:`, error.message);
+      return { url, status: null, found: false, unreachable: true, groups: [], sitemaps: [], error: error.message };
+    }
+  }
+
+  // ----- Sitemaps -----
+
+  decodeXml(value) {
+    return value
+      .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&')
+      .trim();
+  }
+
+  readTag(block, tag) {
+    const match = block.match(new RegExp(`<(?:\\w+:)?${tag}>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'i'));
+    return match ? this.decodeXml(match[1]) : null;
+  }
+
+  /**
+   * Parse a sitemap or sitemap index
+   * @returns {Object} { type: 'index'|'urlset'|null, sitemaps: [loc], entries: [{ loc, lastmod }] }
+   */
+  parseSitemap(xml) {
+    if (/<(?:\w+:)?sitemapindex[\s>]/i.test(xml)) {
+      const blocks = xml.match(/<(?:\w+:)?sitemap>[\s\S]*?<\/(?:\w+:)?sitemap>/gi) || [];
+      return { type: 'index', sitemaps: blocks.map((block) => this.readTag(block, 'loc')).filter(Boolean), entries: [] };
+    }
+    if (/<(?:\w+:)?urlset[\s>]/i.test(xml)) {
+      const blocks = xml.match(/<(?:\w+:)?url>[\s\S]*?<\/(?:\w+:)?url>/gi) || [];
+      const entries = blocks
+        .map((block) => ({ loc: this.readTag(block, 'loc'), lastmod: this.readTag(block, 'lastmod') }))
+        .filter((entry) => entry.loc);
+      return { type: 'urlset', sitemaps: [], entries };
+    }
+    return { type: null, sitemaps: [], entries: [] };
+  }
+
+  /**
+   * @param {number} maxBytes - Largest body read, compressed or not
+   * @returns {Promise<Object>} parseSitemap result with { url, status, bytes, error? }; error is 'too_large' past maxBytes
+   */
+  async fetchSitemap(url, hosts, maxBytes = MAX_SITEMAP_BYTES) {
+    try {
+      const response = await this.request(url, { hosts, maxContentLength: maxBytes, binary: true });
+      if (response.status !== 200) return { url, status: response.status, bytes: 0, type: null, sitemaps: [], entries: [] };
+
+      let body = Buffer.from(response.data);
+      // .xml.gz sitemaps (gzip magic bytes); transfer-encoded gzip is already decoded by axios
+      if (body[0] === 0x1f && body[1] === 0x8b) body = await gunzip(body, { maxOutputLength: maxBytes });
+
+      const parsed = this.parseSitemap(body.toString('utf8'));
+      return { url, status: 200, bytes: body.length, ...parsed, ...(parsed.type ? {} : { error: 'not_a_sitemap' }) };
+    } catch (error) {
+      const tooLarge = error.code === 'ERR_BUFFER_TOO_LARGE' || /maxContentLength/.test(error.message);
+      Logger.warn(`Sitemap ${url} could not be fetched:`, error.message);
+      return { url, status: null, bytes: 0, type: null, sitemaps: [], entries: [], error: tooLarge ? 'too_large' : error.message };
+    }
+  }
+
+  /**
+   * Fetch the declared sitemaps (or /sitemap.xml when robots.txt declares none), following
+   * sitemap indexes, up to CRAWLABILITY_MAX_SITEMAPS files and MAX_CRAWL_BYTES in total
+   */
+  async collectSitemaps(origin, declared, hosts) {
+    const queue = declared.length > 0 ? [...declared] : [`${origin}/sitemap.xml`];
+    const seen = new Set();
+    const sitemaps = [];
+    const entries = [];
+    let remainingBytes = MAX_CRAWL_BYTES;
+
+    while (queue.length > 0 && sitemaps.length < env.CRAWLABILITY_MAX_SITEMAPS && remainingBytes > 0) {
+      const url = queue.shift();
+      if (seen.has(url)) continue;
+      seen.add(url);
+
+      const maxBytes = Math.min(MAX_SITEMAP_BYTES, remainingBytes);
+      const sitemap = await this.fetchSitemap(url, hosts, maxBytes);
+      // A file cut by what is left of the budget, rather than by the per-file limit, ends the crawl
+      if (sitemap.error === 'too_large' && maxBytes < MAX_SITEMAP_BYTES) {
+        queue.unshift(url);
+        break;
+      }
+      remainingBytes -= sitemap.bytes;
+      queue.push(...sitemap.sitemaps);
+      entries.push(...sitemap.entries);
+      sitemaps.push({
+        url,
+        status: sitemap.status,
+        type: sitemap.type,
+        urls: sitemap.type === 'index' ? sitemap.sitemaps.length : sitemap.entries.length,
+        error: sitemap.error || null,
+      });
+    }
+
+    return { declared: declared.length > 0, sitemaps, entries, truncated: queue.length > 0 };
+  }
+
+  analyzeLastmod(entries) {
+    const now = Date.now();
+    const withLastmod = entries.filter((entry) => entry.lastmod);
+    const invalid = withLastmod.filter((entry) => !W3C_DATETIME.test(entry.lastmod) || Number.isNaN(Date.parse(entry.lastmod)));
+    // A day of slack for time zones
+    const future = withLastmod.filter((entry) => !invalid.includes(entry) && Date.parse(entry.lastmod) > now + 86400000);
+    const values = new Set(withLastmod.map((entry) => entry.lastmod));
+
+    return {
+      missing: entries.length - withLastmod.length,
+      invalid: invalid.length,
+      invalidExamples: invalid.slice(0, MAX_EXAMPLES).map((entry) => ({ url: entry.loc, lastmod: entry.lastmod })),
+      future: future.length,
+      futureExamples: future.slice(0, MAX_EXAMPLES).map((entry) => ({ url: entry.loc, lastmod: entry.lastmod })),
+      identical: withLastmod.length >= IDENTICAL_LASTMOD_MIN_URLS && values.size === 1,
+    };
+  }
+
+  // ----- Sampled sitemap URLs -----
+
+  readAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+    return match ? (match[1] ?? match[2] ?? match[3]) : null;
+  }
+
+  /**
+   * Fetch a sitemap URL without following redirects: a listed URL should answer 200 itself
+   * @returns {Object} { url, status, redirect, noindex, canonical }
+   */
+  async checkListedUrl(url, hosts) {
+    try {
+      const response = await this.request(url, { hosts, maxRedirects: 0 });
+      const result = { url, status: response.status, redirect: response.headers.location || null, noindex: false, canonical: null };
+      if (response.status !== 200) return result;
+
+      const html = typeof response.data === 'string' ? response.data : '';
+      const robotsMeta = (html.match(/<meta\b[^>]*>/gi) || []).filter((tag) => /^(robots|googlebot)$/i.test(this.readAttribute(tag, 'name') || ''));
+      const directives = [response.headers['x-robots-tag'] || '', ...robotsMeta.map((tag) => this.readAttribute(tag, 'content') || '')];
+      result.noindex = directives.some((value) => /\b(noindex|none)\b/i.test(value));
+
+      const canonicalTag = (html.match(/<link\b[^>]*>/gi) || []).find((tag) => /(^|\s)canonical(\s|$)/i.test(this.readAttribute(tag, 'rel') || ''));
+      const href = canonicalTag && this.readAttribute(canonicalTag, 'href');
+      if (href) {
+        try {
+          result.canonical = new URL(href, url).href;
+        } catch {
+          result.canonical = href;
+        }
+      }
+      return result;
+    } catch (error) {
+      return { url, status: null, redirect: null, noindex: false, canonical: null, error: error.message };
+    }
+  }
+
+  // Spread the sample over the whole sitemap instead of its first section
+  pickSample(entries, size) {
+    if (entries.length <= size) return entries;
+    const step = entries.length / size;
+    return Array.from({ length: size }, (_, index) => entries[Math.floor(index * step)]);
+  }
+
+  async checkSample(entries, hosts) {
+    const sample = this.pickSample(entries, env.CRAWLABILITY_SITEMAP_SAMPLE);
+    const results = [];
+    for (let index = 0; index < sample.length; index += SAMPLE_CONCURRENCY) {
+      const batch = sample.slice(index, index + SAMPLE_CONCURRENCY);
+      results.push(...await Promise.all(batch.map((entry) => this.checkListedUrl(entry.loc, hosts))));
+    }
+    return results;
+  }
+
+  // ----- Audit -----
+
+  /**
+   * Collect robots.txt and sitemap data for the site of an audited page. Crawlability is a bonus
+   * to the SEO audit, so any failure returns null instead of failing the audit.
+   * @param {string} url - Audited page
+   * @returns {Promise<Object|null>} Input of buildCheck
+   */
+  async fetchCrawlData(url) {
+    try {
+      const origin = new URL(url).origin;
+      const robots = await this.fetchRobots(origin);
+      const hosts = this.allowedHosts(origin, robots.sitemaps);
+      const { declared, sitemaps, entries, truncated } = await this.collectSitemaps(origin, robots.sitemaps, hosts);
+
+      const unique = [...new Map(entries.map((entry) => [this.urlKey(entry.loc), entry])).values()];
+      const blocked = robots.found ? unique.filter((entry) => !this.isAllowed(robots, entry.loc).allowed) : [];
+      const listed = unique.find((entry) => this.urlKey(entry.loc) === this.urlKey(url)) || null;
+
+      return {
+        url,
+        robots: {
+          url: robots.url,
+          status: robots.status,
+          found: robots.found,
+          unreachable: robots.unreachable,
+          ...this.isAllowed(robots, url),
+        },
+        sitemaps: { declared, files: sitemaps, truncated },
+        urlCount: unique.length,
+        listed: Boolean(listed),
+        listedEntries: unique.map((entry) => entry.loc),
+        lastmod: this.analyzeLastmod(unique),
+        blocked: { count: blocked.length, examples: blocked.slice(0, MAX_EXAMPLES).map((entry) => entry.loc) },
+        sample: await this.checkSample(unique, hosts),
+      };
+    } catch (error) {
+      Logger.warn(`Crawlability check of ${url} failed:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Crawlability check of an audited page: Googlebot access in robots.txt, sitemap presence and
+   * the health of the sitemap URLs. The page's own canonical is compared with its sitemap entry.
+   * @param {Object|null} data - From fetchCrawlData
+   * @param {Object} meta - On-page meta of the audited page
+   * @param {string} lang
+   */
+  buildCheck(data, meta, lang) {
+    const label = t(lang, 'seo.checks.crawlability');
+    if (!data) {
+      return { label, available: false, exists: false, existsLabel: t(lang, 'common.notAvailable'), value: null };
+    }
+
+    const { url, listedEntries, sample, ...stored } = data;
+    const sitemapFound = stored.sitemaps.files.some((file) => file.type === 'urlset' || file.type === 'index');
+
+    const errorUrls = sample.filter((entry) => entry.status !== 200);
+    const noindexUrls = sample.filter((entry) => entry.noindex);
+    const canonicalMismatches = sample
+      .filter((entry) => entry.canonical && this.urlKey(entry.canonical) !== this.urlKey(entry.url))
+      .map((entry) => ({ url: entry.url, canonical: entry.canonical }));
+
+    // The audited page is in the sitemap but declares another URL as canonical
+    if (stored.listed && meta?.canonical && this.urlKey(meta.canonical) !== this.urlKey(url)
+      && !canonicalMismatches.some((entry) => this.urlKey(entry.url) === this.urlKey(url))) {
+      canonicalMismatches.unshift({ url, canonical: meta.canonical });
+    }
+    // Not listed itself, but its canonical is: the sitemap already lists the right URL
+    const canonicalListed = !stored.listed && Boolean(meta?.canonical)
+      && listedEntries.some((loc) => this.urlKey(loc) === this.urlKey(meta.canonical));
+
+    const lastmodIssues = stored.lastmod.invalid + stored.lastmod.future + (stored.lastmod.identical ? 1 : 0);
+    const sitemapErrors = errorUrls.length + noindexUrls.length + canonicalMismatches.length + stored.blocked.count;
+
+    let status = 'good';
+    if (!stored.robots.allowed || stored.robots.unreachable) status = 'poor';
+    else if (!sitemapFound || (!stored.listed && !canonicalListed) || sitemapErrors > 0 || lastmodIssues > 0) status = 'needsImprovement';
+
+    const robotsValue = stored.robots.allowed
+      ? t(lang, 'seo.crawlability.allowed')
+      : t(lang, 'seo.crawlability.disallowed', { rule: stored.robots.rule });
+    const sitemapValue = !sitemapFound
+      ? t(lang, 'seo.crawlability.noSitemap')
+      : stored.listed || canonicalListed
+        ? t(lang, 'seo.crawlability.inSitemap', { count: stored.urlCount })
+        : t(lang, 'seo.crawlability.notInSitemap', { count: stored.urlCount });
+
+    return {
+      label,
+      available: true,
+      exists: sitemapFound,
+      existsLabel: sitemapFound ? t(lang, 'seo.labels.yes') : t(lang, 'seo.labels.no'),
+      value: `${robotsValue} · ${sitemapValue}`,
+      ...stored,
+      canonicalListed,
+      sitemapFound,
+      checkedUrls: sample.length,
+      errorUrls: errorUrls.slice(0, MAX_EXAMPLES).map(({ url: loc, status: code, redirect }) => ({ url: loc, status: code, redirect })),
+      errorUrlCount: errorUrls.length,
+      noindexUrls: noindexUrls.slice(0, MAX_EXAMPLES).map((entry) => entry.url),
+      noindexUrlCount: noindexUrls.length,
+      canonicalMismatches: canonicalMismatches.slice(0, MAX_EXAMPLES),
+      canonicalMismatchCount: canonicalMismatches.length,
+      status,
+      statusLabel: t(lang, `seo.labels.${status}`),
+    };
+  }
+
+  /**
+   * Technical score points lost to crawlability problems
+   */
+  getScorePenalty(check) {
+    if (!check?.available) return 0;
+    if (!check.robots.allowed) return 25;
+
+    let penalty = 0;
+    if (check.robots.unreachable) penalty += 10;
+    if (!check.sitemapFound || (!check.listed && !check.canonicalListed)) penalty += 5;
+    if (check.errorUrlCount + check.noindexUrlCount + check.canonicalMismatchCount + check.blocked.count > 0) penalty += 5;
+    return penalty;
+  }
+}
+
+export const crawlabilityService = new CrawlabilityService();
@@ -0,0 +1,468 @@
+import { User, Subscription, CreditTransaction, Settings } from '../models/index.js';
+import { USAGE_KEY_BY_CREDIT_TYPE, LIMIT_KEY_BY_CREDIT_TYPE } from '../models/creditTransaction.model.js';
+import { env } from '../config/index.js';
+import { ApiError, enums, paginate } from '../utils/index.js';
+
+const { SUBSCRIPTION_STATUS } = enums;
+
+export const RESERVATION_STATUS = {
+  RESERVED: 'reserved',
+  COMMITTED: 'committed',
+  RELEASED: 'released',
+  // Divided into per-audit reservations (see split); the parts are settled instead
+  SPLIT: 'split',
+};
+
+/**
+ * Credit lifecycle: reserve -> commit (success) | release (failure).
+ *
+ * A reservation takes the credit immediately with a conditional `$inc`, so two
+ * parallel requests can never both spend the last credit. Subscription quota is
+ * used first, then addon credits (`user.credits`), splitting an amount across
+ * both when neither covers it alone. Releasing gives the credit back to the same
+ * source it came from.
+ *
+ * Each step is mirrored in the CreditTransaction ledger: reserve writes a
+ * `consumption`, release a `refund` pointing at it, commit attaches the source document.
+ */
+class CreditService {
+  async getActiveSubscription(userId) {
+    return Subscription.findOne({
+      user_id: userId,
+      status: { $in: [SUBSCRIPTION_STATUS.ACTIVE, SUBSCRIPTION_STATUS.TRIAL, SUBSCRIPTION_STATUS.LIFETIME] }
+    }).populate('plan_id');
+  }
+
+  /**
+   * Current balance for one credit type (resets monthly usage first)
+   * @returns {Promise<Object>} { subscription, userCredits, subscriptionLimit, subscriptionUsed, availableCredits }
+   */
+  async getBalance(userId, creditType) {
+    const [user, subscription] = await Promise.all([
+      User.findById(userId).select('credits'),
+      this.getActiveSubscription(userId),
+    ]);
+
+    if (subscription) {
+      await subscription.resetMonthlyUsage();
+    }
+
+    const userCredits = user?.credits?.[creditType] || 0;
+    let subscriptionLimit = 0;
+    let subscriptionUsed = 0;
+
+    if (subscription?.plan_id && subscription.isActive()) {
+      subscriptionLimit = subscription.plan_id.limits?.[creditType] || 0;
+      subscriptionUsed = subscription.usage?.[`${creditType}_used`] || 0;
+    }
+
+    return {
+      user,
+      subscription,
+      userCredits,
+      subscriptionLimit,
+      subscriptionUsed,
+      availableCredits: userCredits + Math.max(0, subscriptionLimit - subscriptionUsed),
+    };
+  }
+
+  /**
+   * Credits one audit costs: 1, except dual-device SEO audits which run everything twice, and
+   * GEO audits: one credit per keyword, and with a geo-grid scan one more credit per started
+   * GEO_GRID_POINTS_PER_CREDIT points
+   * @param {string} auditType - 'seo' | 'geo' | 'gbp'
+   * @param {Object} [inputs] - Audit request body / schedule inputs
+   * @returns {Promise<number>}
+   */
+  async getAuditCost(auditType, inputs = {}) {
+    if (auditType === 'seo' && inputs.device === 'both') {
+      const cost = await Settings.getSetting('seo_dual_device_credits', env.SEO_DUAL_DEVICE_CREDITS);
+      return Math.max(1, parseInt(cost) || 1);
+    }
+    if (auditType === 'geo') {
+      const keywords = inputs.keywords?.length || 1;
+      return keywords + (inputs.grid ? Math.ceil((inputs.grid.size * inputs.grid.size) / env.GEO_GRID_POINTS_PER_CREDIT) : 0);
+    }
+    return 1;
+  }
+
+  /**
+   * Atomically take `amount` credits of `creditType`. Subscription quota goes first; when
+   * it does not cover the whole amount, what is left of it is taken and the rest comes
+   * from addon credits, in one `mixed` reservation whose `parts` are one per pool.
+   * @param {string} userId
+   * @param {string} creditType - 'seo_audits' | 'geo_audits' | 'gbp_audits' | 'ai_generations'
+   * @param {number} amount
+   * @param {Object} [subscription] - Active subscription if the caller already loaded it
+   * @returns {Promise<Object|null>} Reservation, or null when the user has no credit left
+   */
+  async reserve(userId, creditType, amount = 1, subscription = undefined) {
+    if (subscription === undefined) {
+      subscription = await this.getActiveSubscription(userId);
+    }
+
+    const hasPlan = Boolean(subscription?.plan_id && subscription.isActive());
+    const limit = hasPlan ? subscription.plan_id.limits?.[creditType] || 0 : 0;
+
+    if (limit >= amount) {
+      const reservation = await this.reserveFromSubscription(userId, creditType, amount, subscription, limit);
+      if (reservation) return reservation;
+    }
+
+    let subscriptionPart = null;
+    if (hasPlan && limit > 0) {
+      const current = await Subscription.findById(subscription._id).select('usage');
+      const left = Math.min(amount, limit - (current?.usage?.[`${creditType}_used`] || 0));
+      if (left > 0) {
+        subscriptionPart = await this.reserveFromSubscription(userId, creditType, left, subscription, limit);
+      }
+    }
+
+    const addonAmount = amount - (subscriptionPart?.amount || 0);
+    if (addonAmount === 0) return subscriptionPart;
+
+    const addonPart = await this.reserveFromAddon(userId, creditType, addonAmount);
+    if (!addonPart) {
+      // Both pools together do not cover it: give the subscription part back
+      if (subscriptionPart) await this.release(subscriptionPart);
+      return null;
+    }
+    if (!subscriptionPart) return addonPart;
+
+    return {
+      ...this.buildReservation(userId, creditType, amount, 'mixed', subscription._id, null),
+      parts: [subscriptionPart, addonPart],
+    };
+  }
+
+  async reserveFromSubscription(userId, creditType, amount, subscription, limit) {
+    const usageKey = `usage.${creditType}_used`;
+
+    // Matches only while used + amount still fits in the plan limit
+    const updated = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, [usageKey]: { $lte: limit - amount } },
+      { $inc: { [usageKey]: amount } },
+      { new: true }
+    );
+    if (!updated) return null;
+
+    const transaction = await CreditTransaction.record({
+      user: userId,
+      credit_type: creditType,
+      pool: 'subscription',
+      type: 'consumption',
+      amount: -amount,
+      balance_after: limit - updated.usage[`${creditType}_used`],
+      subscription: subscription._id,
+    });
+    return this.buildReservation(userId, creditType, amount, 'subscription', subscription._id, transaction._id);
+  }
+
+  async reserveFromAddon(userId, creditType, amount) {
+    const creditKey = `credits.${creditType}`;
+    const user = await User.findOneAndUpdate(
+      { _id: userId, [creditKey]: { $gte: amount } },
+      { $inc: { [creditKey]: -amount } },
+      { new: true }
+    );
+    if (!user) return null;
+
+    const transaction = await CreditTransaction.record({
+      user: userId,
+      credit_type: creditType,
+      pool: 'addon',
+      type: 'consumption',
+      amount: -amount,
+      balance_after: user.credits[creditType],
+    });
+    return this.buildReservation(userId, creditType, amount, 'addon', null, transaction._id);
+  }
+
+  /**
+   * Make a reservation final. The credit was already taken by reserve(), so this
+   * only closes the reservation and links the ledger entry to what was produced.
+   * @param {Object} reservation
+   * @param {Object} [source] - { model, id } of the document the credit paid for
+   * @returns {Promise<boolean>} false if the reservation was already settled
+   */
+  async commit(reservation, source = null) {
+    if (!reservation || reservation.status !== RESERVATION_STATUS.RESERVED) return false;
+
+    if (reservation.parts) {
+      for (const part of reservation.parts) await this.commit(part, source);
+    }
+
+    // Parts of a split reservation share one ledger entry, which points to what was split
+    if (source && reservation.transaction && !reservation.shared) {
+      await CreditTransaction.updateOne(
+        { _id: reservation.transaction },
+        { $set: { source_model: source.model, source_id: source.id } }
+      );
+    }
+
+    reservation.status = RESERVATION_STATUS.COMMITTED;
+    reservation.settled_at = new Date();
+    return true;
+  }
+
+  /**
+   * Give a reserved credit back to its source (each pool of a mixed reservation to its own);
+   * returns false if it was already settled
+   */
+  async release(reservation) {
+    if (!reservation || reservation.status !== RESERVATION_STATUS.RESERVED) return false;
+
+    if (reservation.parts) {
+      for (const part of reservation.parts) await this.release(part);
+      reservation.status = RESERVATION_STATUS.RELEASED;
+      reservation.settled_at = new Date();
+      return true;
+    }
+
+    const { user, credit_type: creditType, amount, source, subscription } = reservation;
+
+    let balanceAfter = null;
+    let refunded = false;
+
+    if (source === 'subscription') {
+      const usageKey = `usage.${creditType}_used`;
+      // Skip if the monthly counter was reset since the reservation: that credit is gone anyway
+      const updated = await Subscription.findOneAndUpdate(
+        {
+          _id: subscription,
+          [usageKey]: { $gte: amount },
+          'usage.last_reset': { $lte: new Date(reservation.reserved_at) },
+        },
+        { $inc: { [usageKey]: -amount } },
+        { new: true }
+      ).populate('plan_id', 'limits');
+
+      if (updated) {
+        refunded = true;
+        balanceAfter = (updated.plan_id?.limits?.[creditType] || 0) - updated.usage[`${creditType}_used`];
+      }
+    } else {
+      const updated = await User.findOneAndUpdate(
+        { _id: user },
+        { $inc: { [`credits.${creditType}`]: amount } },
+        { new: true }
+      ).select('credits');
+
+      refunded = Boolean(updated);
+      balanceAfter = updated?.credits?.[creditType] ?? null;
+    }
+
+    if (refunded) {
+      await CreditTransaction.record({
+        user,
+        credit_type: creditType,
+        pool: source,
+        type: 'refund',
+        amount,
+        balance_after: balanceAfter,
+        subscription: subscription || null,
+        related_transaction: reservation.transaction || null,
+      });
+    }
+
+    reservation.status = RESERVATION_STATUS.RELEASED;
+    reservation.settled_at = new Date();
+    return true;
+  }
+
+  /**
+   * Divide a reservation into one reservation per audit, so each audit can be committed or
+   * released on its own. The parts share the ledger entries of the original, which are linked
+   * to `source` here; releasing a part writes a refund of that part only. The pools of a mixed
+   * reservation are handed out in order, so a part can be mixed itself.
+   * @param {Object} reservation - Reserved for the sum of `amounts`
+   * @param {number[]} amounts
+   * @param {Object} [source] - { model, id } of the document the whole reservation paid for
+   * @returns {Promise<Object[]>} One reservation per amount
+   */
+  async split(reservation, amounts, source = null) {
+    const total = amounts.reduce((sum, amount) => sum + amount, 0);
+    if (!reservation || reservation.status !== RESERVATION_STATUS.RESERVED || total !== reservation.amount) {
+      throw new ApiError(500, 'Reservation cannot be split into these amounts');
+    }
+
+    const pools = (reservation.parts || [reservation]).map((pool) => ({ pool, left: pool.amount }));
+
+    if (source) {
+      const transactions = pools.map(({ pool }) => pool.transaction).filter(Boolean);
+      if (transactions.length) {
+        await CreditTransaction.updateMany(
+          { _id: { $in: transactions } },
+          { $set: { source_model: source.model, source_id: source.id } }
+        );
+      }
+    }
+
+    reservation.status = RESERVATION_STATUS.SPLIT;
+    reservation.settled_at = new Date();
+
+    const share = (from, amount) => ({
+      ...from,
+      amount,
+      shared: true,
+      status: RESERVATION_STATUS.RESERVED,
+      settled_at: null,
+    });
+
+    return amounts.map((amount) => {
+      const parts = [];
+      let needed = amount;
+      for (const entry of pools) {
+        const taken = Math.min(needed, entry.left);
+        if (taken <= 0) continue;
+        entry.left -= taken;
+        needed -= taken;
+        parts.push(share(entry.pool, taken));
+        if (!needed) break;
+      }
+
+      return parts.length === 1 ? parts[0] : { ...share(reservation, amount), parts };
+    });
+  }
+
+  buildReservation(userId, creditType, amount, source, subscriptionId, transactionId) {
+    return {
+      user: userId,
+      credit_type: creditType,
+      amount,
+      source,
+      subscription: subscriptionId,
+      transaction: transactionId,
+      status: RESERVATION_STATUS.RESERVED,
+      reserved_at: new Date(),
+      settled_at: null,
+    };
+  }
+
+  // ----- Ledger -----
+
+  /**
+   * Paginated ledger for one user
+   * @param {string} userId
+   * @param {Object} filters - { page, limit, credit_type, type, pool, startDate, endDate }
+   */
+  async getHistory(userId, filters = {}) {
+    const { page = 1, limit = 20, credit_type, type, pool, startDate, endDate } = filters;
+
+    const query = { user: userId };
+    if (credit_type) query.credit_type = credit_type;
+    if (type) query.type = type;
+    if (pool) query.pool = pool;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const { data: transactions, pagination } = await paginate(CreditTransaction, query, {
+      page,
+      limit,
+      populate: [{ path: 'performed_by', select: 'name email' }],
+    });
+
+    return { transactions, pagination };
+  }
+
+  /**
+   * Compare actual balances with what the ledger says they should be.
+   *
+   * Addon pool: the sum of every addon entry should equal `user.credits[type]`.
+   * Subscription pool: consumptions minus refunds since `usage.last_reset` should
+   * equal the `*_used` counter (resets themselves are excluded).
+   *
+   * @returns {Promise<Object>} { user, subscription, balanced, items[] } where each item
+   *   carries `actual`, `expected` and `drift` (actual - expected, in available credits)
+   */
+  async reconcile(userId) {
+    const user = await User.findById(userId).select('name email credits');
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    const subscription = await this.getActiveSubscription(userId);
+    const items = [];
+
+    const addonSums = await CreditTransaction.aggregate([
+      { $match: { user: user._id, pool: 'addon' } },
+      { $group: { _id: '$credit_type', total: { $sum: '$amount' } } },
+    ]);
+    const addonByType = Object.fromEntries(addonSums.map((row) => [row._id, row.total]));
+
+    for (const creditType of enums.getCreditTypesArray()) {
+      const actual = user.credits?.[creditType] || 0;
+      const expected = addonByType[creditType] || 0;
+      items.push({ credit_type: creditType, pool: 'addon', actual, expected, drift: actual - expected });
+    }
+
+    if (subscription) {
+      const periodSums = await CreditTransaction.aggregate([
+        {
+          $match: {
+            user: user._id,
+            pool: 'subscription',
+            subscription: subscription._id,
+            type: { $ne: 'reset' },
+            createdAt: { $gte: subscription.usage.last_reset },
+          },
+        },
+        { $group: { _id: '$credit_type', total: { $sum: '$amount' } } },
+      ]);
+      const usedByType = Object.fromEntries(periodSums.map((row) => [row._id, -row.total]));
+      const limits = subscription.plan_id?.limits || {};
+
+      for (const [creditType, usageKey] of Object.entries(USAGE_KEY_BY_CREDIT_TYPE)) {
+        const limit = limits[LIMIT_KEY_BY_CREDIT_TYPE[creditType]] || 0;
+        const actualUsed = subscription.usage?.[usageKey] || 0;
+        const expectedUsed = usedByType[creditType] || 0;
+        items.push({
+          credit_type: creditType,
+          pool: 'subscription',
+          actual: limit - actualUsed,
+          expected: limit - expectedUsed,
+          drift: expectedUsed - actualUsed,
+        });
+      }
+    }
+
+    return {
+      user: { _id: user._id, name: user.name, email: user.email },
+      subscription: subscription ? { _id: subscription._id, last_reset: subscription.usage?.last_reset } : null,
+      balanced: items.every((item) => item.drift === 0),
+      items,
+    };
+  }
+
+  /**
+   * Write `adjustment` entries so the ledger matches the actual balances.
+   * Balances themselves are never changed here; use the admin credit update for that.
+   * @returns {Promise<Object>} The reconciliation report after the fix, plus the entries written
+   */
+  async applyReconciliation(userId, adminId, note = null) {
+    const report = await this.reconcile(userId);
+
+    const entries = report.items
+      .filter((item) => item.drift !== 0)
+      .map((item) => ({
+        user: report.user._id,
+        credit_type: item.credit_type,
+        pool: item.pool,
+        type: 'adjustment',
+        amount: item.drift,
+        balance_after: item.actual,
+        subscription: item.pool === 'subscription' ? report.subscription._id : null,
+        description: note || 'Ledger reconciliation',
+        performed_by: adminId,
+      }));
+
+    const written = entries.length ? await CreditTransaction.insertMany(entries) : [];
+
+    return { ...(await this.reconcile(userId)), adjustments: written };
+  }
+}
+
+export const creditService = new CreditService();
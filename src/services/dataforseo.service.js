@@ -3,6 +3,56 @@ import { env, getLocaleConfig, DEFAULT_LOCALE } from '../config/index.js';
 import { ApiError } from '../utils/index.js';
 import { Logger } from '../utils/logger.js';
 import { t } from '../locales/index.js';
+import { contentGapService } from './contentGap.service.js';
+import { structuredDataService } from './structuredData.service.js';
+import { performanceService } from './performance.service.js';
+import { crawlabilityService } from './crawlability.service.js';
+import { scoringService } from './scoring.service.js';
+
+// Runs in the crawled page (DataForSEO `custom_js`, max 2000 characters): schema.org items from
+// JSON-LD and microdata with their property names (one level deep), and embedded videos
+const PAGE_EXTRAS_JS = `
+var items = [], errors = 0;
+var add = function (format, type, props) { items.push({ format: format, type: type, properties: props }); };
+var propsOf = function (node) {
+  var props = [];
+  Object.keys(node).forEach(function (k) {
+    if (k.charAt(0) === '@') return;
+    props.push(k);
+    var v = Array.isArray(node[k]) ? node[k][0] : node[k];
+    if (v && typeof v === 'object') Object.keys(v).forEach(function (s) { if (s.charAt(0) !== '@') props.push(k + '.' + s); });
+  });
+  return props;
+};
+var walk = function (node) {
+  if (!node || typeof node !== 'object') return;
+  if (Array.isArray(node)) { node.forEach(walk); return; }
+  [].concat(node['@type'] || []).forEach(function (type) { add('json-ld', String(type), propsOf(node)); });
+  if (node['@graph']) walk(node['@graph']);
+};
+document.querySelectorAll('script[type="application/ld+json"]').forEach(function (script) {
+  try { walk(JSON.parse(script.textContent)); } catch (e) { errors++; }
+});
+document.querySelectorAll('[itemscope][itemtype]:not([itemprop])').forEach(function (el) {
+  var props = [];
+  el.querySelectorAll('[itemprop]').forEach(function (p) { props.push(p.getAttribute('itemprop')); });
+  el.getAttribute('itemtype').split(/\\s+/).forEach(function (type) { if (type) add('microdata', type.split('/').pop(), props); });
+});
+var extras = {
+  structuredData: items,
+  jsonLdErrors: errors,
+  schemaTypes: items.map(function (item) { return item.type; }).filter(function (type, i, all) { return all.indexOf(type) === i; }),
+  videos: document.querySelectorAll('video, iframe[src*="youtube"], iframe[src*="vimeo"], iframe[src*="wistia"]').length
+};
+extras;
+`;
+
+// Weight of the mobile run in the combined score of a dual-device audit (mobile-first indexing)
+const MOBILE_SCORE_WEIGHT = 0.6;
+// Mobile is flagged for hiding content when it shows less than this share of the desktop words or links
+const MOBILE_CONTENT_RATIO = 0.8;
+// Positions apart before a mobile/desktop ranking gap is flagged
+const RANKING_GAP = 3;
 
 class DataForSEOService {
   constructor() {
@@ -27,30 +77,103 @@ class DataForSEOService {
     });
   }
 
-  async runOnPageAudit(url, keyword, locale = DEFAULT_LOCALE, device = 'desktop') {
+  /**
+   * @param {string} [device] - 'desktop' | 'mobile' | 'tablet', or 'both' for a dual-device audit (see runDualDeviceAudit)
+   * @param {Object} [options]
+   * @param {boolean} [options.deepCompetitors] - Crawl the top competitor pages and benchmark on their real content
+   * @param {string} [options.pageType] - Scoring profile ('default' | 'blog' | 'product' | 'local'), detected when 'auto'
+   */
+  async runOnPageAudit(url, keyword, locale = DEFAULT_LOCALE, device = 'desktop', { deepCompetitors = false, pageType = 'auto' } = {}) {
+    if (device === 'both') {
+      return this.runDualDeviceAudit(url, keyword, locale, { deepCompetitors, pageType });
+    }
+
     try {
       const localeConfig = getLocaleConfig(locale);
       const lang = localeConfig.language || 'en';
 
-      // Run on-page audit and SERP analysis in parallel
-      const [onPageResult, serpResult] = await Promise.all([
-        this.fetchOnPageData(url),
+      // Run on-page audit, SERP analysis, Lighthouse (mobile + desktop) and robots.txt/sitemaps in parallel
+      const [onPageResult, serpResult, mobileReport, desktopReport, crawlData, scoringConfig] = await Promise.all([
+        this.fetchOnPageData(url, { customJs: PAGE_EXTRAS_JS }),
         keyword ? this.fetchSERPData(
           keyword,
           localeConfig.locationName,
           localeConfig.languageName,
           device
         ) : Promise.resolve(null),
+        this.fetchLighthouseReport(url, 'mobile'),
+        this.fetchLighthouseReport(url, 'desktop'),
+        crawlabilityService.fetchCrawlData(url),
+        scoringService.getConfig(),
+      ]);
+
+      const serpData = deepCompetitors && serpResult
+        ? await this.addCompetitorPageBenchmark(serpResult, url, keyword)
+        : serpResult;
+      const performance = performanceService.buildPerformance({ mobile: mobileReport, desktop: desktopReport }, lang);
+
+      const scoring = this.resolveScoringProfile(scoringConfig, pageType, onPageResult, url);
+
+      return this.transformOnPageResult(onPageResult, url, keyword, serpData, performance, lang, crawlData, scoring);
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(502, `DataForSEO request failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mobile and desktop audit of the same page: each rendering is checked against the SERP of its device.
+   * The mobile run is the primary result (Google indexes mobile-first), the score is weighted towards it,
+   * and `devices` holds both runs side by side with the differences between them.
+   */
+  async runDualDeviceAudit(url, keyword, locale = DEFAULT_LOCALE, { deepCompetitors = false, pageType = 'auto' } = {}) {
+    try {
+      const localeConfig = getLocaleConfig(locale);
+      const lang = localeConfig.language || 'en';
+      const fetchSERP = (device) => (keyword
+        ? this.fetchSERPData(keyword, localeConfig.locationName, localeConfig.languageName, device)
+        : Promise.resolve(null));
+
+      const [mobilePage, desktopPage, mobileSERP, desktopSERP, mobileReport, desktopReport, crawlData, scoringConfig] = await Promise.all([
+        this.fetchOnPageData(url, { customJs: PAGE_EXTRAS_JS, device: 'mobile' }),
+        this.fetchOnPageData(url, { customJs: PAGE_EXTRAS_JS, device: 'desktop' }),
+        fetchSERP('mobile'),
+        fetchSERP('desktop'),
+        this.fetchLighthouseReport(url, 'mobile'),
+        this.fetchLighthouseReport(url, 'desktop'),
+        crawlabilityService.fetchCrawlData(url),
+        scoringService.getConfig(),
       ]);
 
-      return this.transformOnPageResult(onPageResult, url, keyword, serpResult, lang);
+      // Competitor pages are crawled once, from the mobile SERP: their content does not depend on the device
+      const mobileData = deepCompetitors && mobileSERP
+        ? await this.addCompetitorPageBenchmark(mobileSERP, url, keyword)
+        : mobileSERP;
+      const desktopData = deepCompetitors && desktopSERP && mobileData?.benchmark
+        ? { ...desktopSERP, benchmark: mobileData.benchmark }
+        : desktopSERP;
+      const performance = performanceService.buildPerformance({ mobile: mobileReport, desktop: desktopReport }, lang);
+      // Both runs are scored with the profile of the mobile page, so their scores stay comparable
+      const scoring = this.resolveScoringProfile(scoringConfig, pageType, mobilePage, url);
+
+      return this.combineDeviceResults(
+        this.transformOnPageResult(mobilePage, url, keyword, mobileData, performance, lang, crawlData, scoring),
+        this.transformOnPageResult(desktopPage, url, keyword, desktopData, performance, lang, crawlData, scoring),
+        lang
+      );
     } catch (error) {
       if (error instanceof ApiError) throw error;
       throw new ApiError(502, `DataForSEO request failed: ${error.message}`);
     }
   }
 
-  async fetchOnPageData(url) {
+  /**
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {string} [options.customJs] - Script evaluated in the page; its result is returned as `custom_js_response`
+   * @param {string} [options.device] - Render the page with this browser preset ('desktop' | 'mobile' | 'tablet')
+   */
+  async fetchOnPageData(url, { customJs, device } = {}) {
     if (!this.login || !this.password) {
       throw new ApiError(500, 'DataForSEO credentials not configured. Please set DATAFORSEO_LOGIN and DATAFORSEO_PASSWORD in your .env file');
     }
@@ -61,6 +184,8 @@ class DataForSEOService {
           url,
           enable_javascript: true,
           enable_browser_rendering: true,
+          ...(device ? { browser_preset: device } : {}),
+          ...(customJs ? { custom_js: customJs } : {}),
         },
       ]);
 
@@ -102,7 +227,146 @@ class DataForSEOService {
     }
   }
 
-  async fetchSERPData(keyword, locationName = 'United States', languageName = 'English', device = 'desktop', depth = 100) {
+  // ----- Lighthouse -----
+
+  /**
+   * Lighthouse performance report of a page. Performance is a bonus to the audit,
+   * so a failed run is logged and returns null instead of failing the audit.
+   * @param {string} url
+   * @param {'mobile'|'desktop'} device
+   * @returns {Promise<Object|null>} Lighthouse JSON
+   */
+  async fetchLighthouseReport(url, device) {
+    try {
+      const task = await this.onPageRequest('post', '/v3/on_page/lighthouse/live/json', [
+        {
+          url,
+          for_mobile: device === 'mobile',
+          categories: ['performance'],
+        },
+      ], [20000], { timeout: env.LIGHTHOUSE_TIMEOUT_MS });
+
+      return task.result?.[0] || null;
+    } catch (error) {
+      Logger.warn(`Lighthouse (${device}) failed for ${url}:`, error.message);
+      return null;
+    }
+  }
+
+  // ----- Site crawl (on_page tasks) -----
+
+  /**
+   * Start a multi-page crawl of a site
+   * @param {string} url - Start URL; the crawl stays on its host
+   * @param {number} maxPages - Maximum number of pages to crawl
+   * @returns {Promise<string>} DataForSEO task id
+   */
+  async postCrawlTask(url, maxPages) {
+    const { hostname } = new URL(url);
+
+    const task = await this.onPageRequest('post', '/v3/on_page/task_post', [
+      {
+        target: hostname,
+        start_url: url,
+        max_crawl_pages: maxPages,
+        load_resources: false,
+        enable_javascript: false,
+      },
+    ], [20000, 20100]);
+
+    if (!task.id) {
+      throw new ApiError(502, 'DataForSEO did not return a crawl task id');
+    }
+
+    return task.id;
+  }
+
+  /**
+   * Crawl progress for a task
+   * @returns {Promise<Object>} { finished, pagesCrawled, pagesInQueue, raw }
+   */
+  async getCrawlSummary(taskId) {
+    const task = await this.onPageRequest('get', `/v3/on_page/summary/${taskId}`);
+    const summary = task.result?.[0] || {};
+
+    return {
+      finished: summary.crawl_progress === 'finished',
+      pagesCrawled: summary.crawl_status?.pages_crawled || 0,
+      pagesInQueue: summary.crawl_status?.pages_in_queue || 0,
+      raw: summary,
+    };
+  }
+
+  async getCrawlPages(taskId, limit) {
+    const task = await this.onPageRequest('post', '/v3/on_page/pages', [
+      { id: taskId, limit },
+    ]);
+    return task.result?.[0]?.items || [];
+  }
+
+  async getCrawlBrokenLinks(taskId, limit = 100) {
+    const task = await this.onPageRequest('post', '/v3/on_page/links', [
+      { id: taskId, limit, filters: ['is_broken', '=', true] },
+    ]);
+    return task.result?.[0]?.items || [];
+  }
+
+  async getCrawlRedirectChains(taskId, limit = 100) {
+    const task = await this.onPageRequest('post', '/v3/on_page/redirect_chains', [
+      { id: taskId, limit },
+    ]);
+    return task.result?.[0]?.items || [];
+  }
+
+  /**
+   * Call an on_page endpoint and return its first task, mapping API failures to ApiError
+   * @param {'get'|'post'} method
+   * @param {string} path
+   * @param {Array} [payload]
+   * @param {number[]} [okCodes] - Task status codes that count as success
+   * @param {Object} [config] - Axios request config, e.g. a longer timeout
+   */
+  async onPageRequest(method, path, payload = undefined, okCodes = [20000], config = {}) {
+    if (!this.login || !this.password) {
+      throw new ApiError(500, 'DataForSEO credentials not configured. Please set DATAFORSEO_LOGIN and DATAFORSEO_PASSWORD in your .env file');
+    }
+
+    try {
+      const response = method === 'get'
+        ? await this.client.get(path, config)
+        : await this.client.post(path, payload, config);
+
+      const result = response.data;
+      if (result.status_code !== 20000) {
+        Logger.error(`DataForSEO ${path} error:`, result.status_message, 'Code:', result.status_code);
+        throw new ApiError(502, result.status_message || 'DataForSEO API error');
+      }
+
+      const task = result.tasks?.[0];
+      if (!task || !okCodes.includes(task.status_code)) {
+        Logger.error(`DataForSEO ${path} task error:`, task?.status_message, 'Code:', task?.status_code);
+        throw new ApiError(502, task?.status_message || 'Site crawl request failed');
+      }
+
+      return task;
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+
+      if (error.response?.status === 401) {
+        Logger.error('DataForSEO authentication failed. Please check your DATAFORSEO_LOGIN and DATAFORSEO_PASSWORD credentials.');
+        throw new ApiError(401, 'DataForSEO authentication failed. Please check your credentials in .env file');
+      }
+
+      Logger.error(`DataForSEO ${path} request failed:`, error.message);
+      throw new ApiError(502, `Site crawl request failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.seDomain] - Google domain to search on (e.g. google.be); DataForSEO picks one from the location otherwise
+   */
+  async fetchSERPData(keyword, locationName = 'United States', languageName = 'English', device = 'desktop', depth = 100, { seDomain } = {}) {
     if (!this.login || !this.password) {
       Logger.warn('DataForSEO credentials not configured. Skipping SERP data fetch.');
       return null;
@@ -116,6 +380,7 @@ class DataForSEOService {
           language_name: languageName,
           device: device,
           depth: depth,
+          ...(seDomain ? { se_domain: seDomain } : {}),
         },
       ];
 
@@ -226,6 +491,21 @@ class DataForSEOService {
         Object.entries(pageTypeCounts).sort((a, b) => b[1] - a[1])[0]?.[0] ||
         null;
 
+      // Full organic ranking (up to `depth`), used by rank tracking to find a domain beyond the top 10
+      const organicRanking = organicResults
+        .filter((item) => item.type === 'organic')
+        .map((item, index) => ({
+          position: item.rank_group || index + 1,
+          url: item.url || '',
+          domain: item.domain || '',
+          title: item.title || '',
+        }));
+
+      // SERP features present on the page (featured_snippet, local_pack, people_also_ask, ...)
+      const serpFeatures = [...new Set(
+        organicResults.map((item) => item.type).filter((type) => type && type !== 'organic')
+      )];
+
       return {
         keyword,
         location: locationName,
@@ -233,6 +513,9 @@ class DataForSEOService {
         device,
         competitors,
         totalResults: competitors.length,
+        organicResults: organicRanking,
+        serpFeatures,
+        features: this.parseSERPFeatures(organicResults),
         avgCompetitorWordCount: Math.max(avgWordCount, 1200), // Minimum estimate (kept for backwards compat)
         searchInfo: {
           seResultsCount: serpData?.se_results_count || 0,
@@ -240,6 +523,7 @@ class DataForSEOService {
           datetime: serpData?.datetime || new Date().toISOString(),
         },
         benchmark: {
+          source: 'snippets',
           avgWordCount,
           medianWordCount,
           percentTitleHasKeyword,
@@ -264,7 +548,242 @@ class DataForSEOService {
     }
   }
 
-  transformOnPageResult(data, url, keyword, serpData = null, lang = 'en') {
+  /**
+   * Crawl the top organic competitors (other domains than the audited one) and replace the
+   * snippet-based estimates of the SERP benchmark with their measured content.
+   * Competitors that cannot be crawled are left out; with none crawled the estimates are kept.
+   */
+  async addCompetitorPageBenchmark(serpData, url, keyword) {
+    const domain = this.extractDomain(url).toLowerCase();
+    const targets = serpData.competitors
+      .filter((competitor) => competitor.url && !this.matchesDomain(competitor.domain, domain))
+      .slice(0, env.DEEP_COMPETITOR_PAGES);
+
+    const results = await Promise.allSettled(
+      targets.map((competitor) => this.fetchOnPageData(competitor.url, { customJs: PAGE_EXTRAS_JS }))
+    );
+
+    const pagesByUrl = new Map();
+    results.forEach((result, index) => {
+      const pageData = result.status === 'fulfilled' ? result.value?.items?.[0] : null;
+      if (pageData?.meta) {
+        pagesByUrl.set(targets[index].url, this.analyzeCompetitorPage(pageData, keyword));
+      } else {
+        Logger.warn(`Competitor page ${targets[index].url} could not be crawled:`, result.reason?.message || 'no data');
+      }
+    });
+
+    if (pagesByUrl.size === 0) return serpData;
+
+    const pages = [...pagesByUrl.values()];
+    const benchmark = this.buildCompetitorPageBenchmark(pages);
+
+    return {
+      ...serpData,
+      competitors: serpData.competitors.map((competitor) => ({
+        ...competitor,
+        page: pagesByUrl.get(competitor.url) || null,
+      })),
+      avgCompetitorWordCount: benchmark.avgWordCount,
+      benchmark: {
+        ...serpData.benchmark,
+        ...benchmark,
+        // The page type still comes from the top 10 titles and URLs
+        dominantPageType: serpData.benchmark?.dominantPageType || null,
+      },
+    };
+  }
+
+  /**
+   * Measured content of a crawled competitor page
+   */
+  analyzeCompetitorPage(pageData, keyword) {
+    const meta = pageData.meta || {};
+    const extras = pageData.custom_js_response || {};
+    const keywordNorm = this.normalizeForSearch(keyword || '');
+    const plainText = this.normalizeForSearch(meta.content?.plain_text_content || '');
+    const wordCount = meta.content?.plain_text_word_count || 0;
+    const occurrences = keywordNorm
+      ? (plainText.match(new RegExp(this.escapeRegex(keywordNorm), 'g')) || []).length
+      : 0;
+    const includesKeyword = (text) => Boolean(keywordNorm) && this.normalizeForSearch(text || '').includes(keywordNorm);
+
+    return {
+      wordCount,
+      headings: {
+        h1: meta.htags?.h1 || [],
+        h2: meta.htags?.h2 || [],
+        h3: meta.htags?.h3 || [],
+      },
+      keywordInTitle: includesKeyword(meta.title),
+      keywordInH1: (meta.htags?.h1 || []).some(includesKeyword),
+      keywordOccurrences: occurrences,
+      keywordDensity: wordCount > 0 ? parseFloat(((occurrences / wordCount) * 100).toFixed(2)) : 0,
+      schemaTypes: Array.isArray(extras.schemaTypes) ? extras.schemaTypes : [],
+      images: meta.images_count ?? pageData.images?.images_count ?? 0,
+      videos: extras.videos || 0,
+    };
+  }
+
+  /**
+   * Benchmark built from crawled competitor pages (`source: 'pages'`)
+   */
+  buildCompetitorPageBenchmark(pages) {
+    const average = (values) => Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10;
+    const share = (predicate) => Math.round((pages.filter(predicate).length / pages.length) * 100) / 100;
+
+    const wordCounts = pages.map((page) => page.wordCount).sort((a, b) => a - b);
+    const middle = Math.floor(wordCounts.length / 2);
+    const medianWordCount = wordCounts.length % 2 === 1
+      ? wordCounts[middle]
+      : Math.round((wordCounts[middle - 1] + wordCounts[middle]) / 2);
+
+    const schemaTypeCounts = {};
+    for (const page of pages) {
+      for (const type of page.schemaTypes) {
+        schemaTypeCounts[type] = (schemaTypeCounts[type] || 0) + 1;
+      }
+    }
+
+    return {
+      source: 'pages',
+      sampleSize: pages.length,
+      avgWordCount: Math.round(average(wordCounts)),
+      medianWordCount,
+      avgH2Count: average(pages.map((page) => page.headings.h2.length)),
+      avgH3Count: average(pages.map((page) => page.headings.h3.length)),
+      percentTitleHasKeyword: share((page) => page.keywordInTitle),
+      percentH1HasKeyword: share((page) => page.keywordInH1),
+      avgKeywordDensity: average(pages.map((page) => page.keywordDensity)),
+      avgImages: average(pages.map((page) => page.images)),
+      percentWithVideo: share((page) => page.videos > 0),
+      schemaTypes: Object.entries(schemaTypeCounts)
+        .map(([type, count]) => ({ type, count, share: Math.round((count / pages.length) * 100) / 100 }))
+        .sort((a, b) => b.count - a.count),
+    };
+  }
+
+  /**
+   * Details and owners of the SERP features we give advice on. Features absent from the SERP are null.
+   * `owners` are the domains holding (or cited in) the feature.
+   * @param {Array} items - All SERP items, organic and non-organic
+   */
+  parseSERPFeatures(items) {
+    const ofType = (...types) => items.filter((item) => types.includes(item.type));
+    const domainOf = (item) => item.domain || (item.url ? this.extractDomain(item.url) : '');
+    const uniqueDomains = (list) => [...new Set(list.map(domainOf).filter(Boolean))];
+
+    const snippet = ofType('featured_snippet')[0];
+    const featuredSnippet = snippet
+      ? {
+          position: snippet.rank_group || null,
+          title: snippet.featured_title || snippet.title || '',
+          url: snippet.url || '',
+          owners: uniqueDomains([snippet]),
+          // Word count of the answer that currently wins the snippet
+          answerWordCount: (snippet.description || '').split(/\s+/).filter(Boolean).length,
+        }
+      : null;
+
+    const questions = ofType('people_also_ask').flatMap((item) => item.items || []);
+    const answers = questions.flatMap((question) => question.expanded_element || []);
+    const peopleAlsoAsk = questions.length > 0
+      ? {
+          questions: questions.map((question) => ({
+            question: question.title || '',
+            url: question.expanded_element?.[0]?.url || null,
+            domain: question.expanded_element?.[0] ? domainOf(question.expanded_element[0]) : null,
+          })),
+          owners: uniqueDomains(answers),
+        }
+      : null;
+
+    const localItems = ofType('local_pack');
+    const localPack = localItems.length > 0
+      ? {
+          businesses: localItems.map((item) => ({
+            title: item.title || '',
+            domain: domainOf(item) || null,
+            rating: item.rating?.value ?? null,
+            reviews: item.rating?.votes_count ?? null,
+          })),
+          owners: uniqueDomains(localItems),
+        }
+      : null;
+
+    const videos = ofType('video').flatMap((item) => item.items || []);
+    const videoCarousel = videos.length > 0
+      ? {
+          videos: videos.map((video) => ({ title: video.title || '', url: video.url || '', source: video.source || null })),
+          owners: [...new Set(videos.map((video) => video.source || domainOf(video)).filter(Boolean))],
+        }
+      : null;
+
+    const products = ofType('shopping', 'popular_products').flatMap((item) => item.items || []);
+    const shopping = ofType('shopping', 'popular_products', 'commercial_units').length > 0
+      ? {
+          products: products.map((product) => ({
+            title: product.title || '',
+            seller: product.seller || product.source || domainOf(product) || null,
+          })),
+          owners: [...new Set(products.map((product) => product.seller || product.source || domainOf(product)).filter(Boolean))],
+        }
+      : null;
+
+    // References can sit on the overview itself or on each of its elements
+    const overviews = ofType('ai_overview');
+    const references = overviews.flatMap((item) => [
+      ...(item.references || []),
+      ...(item.items || []).flatMap((element) => element.references || []),
+    ]);
+    const aiOverview = overviews.length > 0
+      ? {
+          references: [...new Map(references.filter((ref) => ref.url).map((ref) => [ref.url, {
+            title: ref.title || '',
+            url: ref.url,
+            domain: domainOf(ref),
+          }])).values()],
+          owners: uniqueDomains(references),
+        }
+      : null;
+
+    return { featuredSnippet, peopleAlsoAsk, localPack, videoCarousel, shopping, aiOverview };
+  }
+
+  /**
+   * SERP features with an `ownedBySite` flag for the audited URL's domain
+   */
+  getSiteSERPFeatures(url, serpData) {
+    if (!serpData?.features) return null;
+
+    const domain = this.extractDomain(url).toLowerCase();
+
+    return Object.fromEntries(Object.entries(serpData.features).map(([name, feature]) => [
+      name,
+      feature
+        ? { ...feature, ownedBySite: feature.owners.some((owner) => this.matchesDomain(owner, domain)) }
+        : null,
+    ]));
+  }
+
+  /**
+   * Scoring profile of the audited page (see scoringService.resolveProfile)
+   */
+  resolveScoringProfile(config, pageType, onPageResult, url) {
+    const pageData = onPageResult?.items?.[0] || {};
+    return scoringService.resolveProfile(config, pageType, {
+      url,
+      title: pageData.meta?.title || '',
+      schemaTypes: (pageData.custom_js_response?.structuredData || []).map((item) => item.type),
+    });
+  }
+
+  /**
+   * @param {Object|null} [scoringProfile] - From resolveScoringProfile; the built-in default profile when null
+   */
+  transformOnPageResult(data, url, keyword, serpData = null, performance = null, lang = 'en', crawlData = null, scoringProfile = null) {
+    const profile = scoringProfile || scoringService.getDefaultProfile();
+
     if (!data) {
       return {
         url,
@@ -281,6 +800,8 @@ class DataForSEOService {
           effort: 'easy',
         }],
         competitors: serpData?.competitors || [],
+        performance,
+        scoring: scoringService.describe(profile),
         raw: null,
       };
     }
@@ -289,11 +810,22 @@ class DataForSEOService {
     const meta = pageData.meta || {};
 
     // Build comprehensive checks with translated labels
-    const checks = this.buildChecks(pageData, meta, lang);
+    const checks = this.buildChecks(pageData, meta, lang, crawlData, profile);
     const keywordAnalysis = keyword
       ? this.analyzeKeyword(keyword, meta, pageData, serpData, lang)
       : null;
 
+    // Where this page (or another page of the same site) already ranks for the keyword
+    const ownRanking = this.findOwnRanking(url, serpData);
+    const serpFeatures = this.getSiteSERPFeatures(url, serpData);
+    const contentGap = contentGapService.analyze({
+      keyword,
+      competitors: serpData?.competitors || [],
+      serpFeatures,
+      meta,
+      lang,
+    });
+
     // Compute new SEO score based on SERP benchmark, content & technical health
     const scoring = this.computeSEOScore({
       pageData,
@@ -301,6 +833,9 @@ class DataForSEOService {
       keywordAnalysis,
       serpData,
       checks,
+      ownRanking,
+      performance,
+      profile,
     });
 
     const recommendations = this.generateEnhancedRecommendations(
@@ -310,7 +845,12 @@ class DataForSEOService {
       serpData,
       pageData,
       meta,
-      lang
+      ownRanking,
+      serpFeatures,
+      contentGap,
+      performance,
+      lang,
+      profile
     );
 
     return {
@@ -320,6 +860,9 @@ class DataForSEOService {
       checks,
       keywordAnalysis,
       recommendations,
+      contentGap,
+      performance,
+      scoring: scoringService.describe(profile),
       competitors: serpData?.competitors || [],
       serpInfo: serpData
         ? {
@@ -330,6 +873,8 @@ class DataForSEOService {
             avgCompetitorWordCount: serpData.avgCompetitorWordCount,
             benchmark: serpData.benchmark || null,
             searchInfo: serpData.searchInfo,
+            ownRanking,
+            features: serpFeatures,
             componentScores: scoring.components,
           }
         : null,
@@ -337,6 +882,140 @@ class DataForSEOService {
     };
   }
 
+  // ----- Mobile + desktop -----
+
+  /**
+   * Merge the mobile and desktop results of a dual-device audit. The mobile result stays the
+   * primary one; device differences come first among the recommendations of their priority.
+   */
+  combineDeviceResults(mobile, desktop, lang = 'en') {
+    const differences = this.compareDevices(mobile, desktop, lang);
+    const side = (result) => ({
+      score: result.score,
+      componentScores: result.serpInfo?.componentScores || null,
+      checks: result.checks,
+      keywordAnalysis: result.keywordAnalysis,
+      ownRanking: result.serpInfo?.ownRanking || null,
+      features: result.serpInfo?.features || null,
+    });
+
+    const priorityOrder = { critical: 0, high: 1, medium: 2, low: 3 };
+    const recommendations = [
+      ...differences.map(({ type, severity, vars }) => ({
+        priority: severity,
+        category: type === 'rankingGap' || type === 'rankingUrlDiffers' ? 'keyword' : 'technical',
+        issue: t(lang, `seo.recommendations.${type}.issue`, vars),
+        action: t(lang, `seo.recommendations.${type}.action`, vars),
+        impact: severity === 'high' ? 'high' : 'medium',
+        effort: 'moderate',
+      })),
+      ...mobile.recommendations,
+    ].sort((a, b) => (priorityOrder[a.priority] ?? 4) - (priorityOrder[b.priority] ?? 4));
+
+    return {
+      ...mobile,
+      score: Math.round((mobile.score * MOBILE_SCORE_WEIGHT + desktop.score * (1 - MOBILE_SCORE_WEIGHT)) * 100) / 100,
+      recommendations,
+      devices: {
+        mobileWeight: MOBILE_SCORE_WEIGHT,
+        mobile: side(mobile),
+        desktop: side(desktop),
+        differences: differences.map(({ vars, ...difference }) => difference),
+      },
+      raw: { mobile: mobile.raw, desktop: desktop.raw },
+    };
+  }
+
+  /**
+   * What differs between the mobile and desktop renderings of a page and their rankings
+   * @returns {Array} [{ type, severity, label, mobile, desktop, vars }]
+   */
+  compareDevices(mobile, desktop, lang = 'en') {
+    const differences = [];
+    const add = (type, severity, values, vars = {}) => {
+      differences.push({ type, severity, label: t(lang, `seo.devices.differences.${type}`), ...values, vars });
+    };
+    const m = mobile.checks;
+    const d = desktop.checks;
+
+    // Content, headings, links and markup present on desktop only (hidden or dropped by the mobile layout)
+    const mobileWords = m.wordCount?.value || 0;
+    const desktopWords = d.wordCount?.value || 0;
+    if (mobileWords < desktopWords * MOBILE_CONTENT_RATIO && desktopWords - mobileWords >= 50) {
+      const hidden = Math.round((1 - mobileWords / desktopWords) * 100);
+      add('contentHiddenOnMobile', 'high', { mobile: mobileWords, desktop: desktopWords }, {
+        mobile: mobileWords, desktop: desktopWords, percent: hidden,
+      });
+    }
+
+    const normalizeHeading = (heading) => heading.trim().toLowerCase().replace(/\s+/g, ' ');
+    const mobileHeadings = new Set([...(m.h1?.values || []), ...(m.h2?.values || [])].map(normalizeHeading));
+    const hiddenH1 = (d.h1?.values || []).filter((heading) => !mobileHeadings.has(normalizeHeading(heading)));
+    const hiddenH2 = (d.h2?.values || []).filter((heading) => !mobileHeadings.has(normalizeHeading(heading)));
+    const hiddenHeadings = [...hiddenH1, ...hiddenH2];
+    if (hiddenHeadings.length > 0) {
+      add('headingsHiddenOnMobile', hiddenH1.length > 0 ? 'high' : 'medium', { headings: hiddenHeadings.slice(0, 10) }, {
+        count: hiddenHeadings.length,
+        headings: hiddenHeadings.slice(0, 3).map((heading) => `"${heading}"`).join(', '),
+      });
+    }
+
+    const mobileLinks = m.links?.internal || 0;
+    const desktopLinks = d.links?.internal || 0;
+    if (mobileLinks < desktopLinks * MOBILE_CONTENT_RATIO && desktopLinks - mobileLinks >= 5) {
+      add('linksHiddenOnMobile', 'medium', { mobile: mobileLinks, desktop: desktopLinks }, {
+        mobile: mobileLinks, desktop: desktopLinks,
+      });
+    }
+
+    const missingTypes = (d.schema?.types || []).filter((type) => !(m.schema?.types || []).includes(type));
+    if (m.schema?.available && missingTypes.length > 0) {
+      add('structuredDataHiddenOnMobile', 'medium', { types: missingTypes }, { types: missingTypes.join(', ') });
+    }
+
+    // Head tags should be identical: Google only indexes the mobile version
+    if ((m.canonical?.value || null) !== (d.canonical?.value || null)) {
+      add('canonicalDiffersByDevice', 'high', { mobile: m.canonical?.value || null, desktop: d.canonical?.value || null }, {
+        mobile: m.canonical?.value || '-', desktop: d.canonical?.value || '-',
+      });
+    }
+
+    const differingMeta = ['title', 'description'].filter((field) => (m[field]?.value || null) !== (d[field]?.value || null));
+    if (differingMeta.length > 0) {
+      add('metaDiffersByDevice', 'medium', { fields: differingMeta }, {
+        fields: differingMeta.map((field) => t(lang, `seo.checks.${field}`)).join(', '),
+      });
+    }
+
+    // Rankings: position of the site and the URL Google shows on each device
+    const mobileRanking = mobile.serpInfo?.ownRanking;
+    const desktopRanking = desktop.serpInfo?.ownRanking;
+    if (mobileRanking && desktopRanking) {
+      const notRanking = t(lang, 'seo.devices.notRanking');
+      const mobilePosition = mobileRanking.domainPosition;
+      const desktopPosition = desktopRanking.domainPosition;
+
+      if (mobilePosition !== desktopPosition && (mobilePosition === null || desktopPosition === null
+        || Math.abs(mobilePosition - desktopPosition) >= RANKING_GAP)) {
+        // Ranking worse on mobile is what costs traffic
+        const mobileWorse = mobilePosition === null || (desktopPosition !== null && mobilePosition > desktopPosition);
+        add('rankingGap', mobileWorse ? 'high' : 'medium', { mobile: mobilePosition, desktop: desktopPosition }, {
+          mobile: mobilePosition !== null ? `#${mobilePosition}` : notRanking,
+          desktop: desktopPosition !== null ? `#${desktopPosition}` : notRanking,
+        });
+      }
+
+      if (mobileRanking.rankingUrl && desktopRanking.rankingUrl
+        && this.normalizeUrlForMatch(mobileRanking.rankingUrl) !== this.normalizeUrlForMatch(desktopRanking.rankingUrl)) {
+        add('rankingUrlDiffers', 'medium', { mobile: mobileRanking.rankingUrl, desktop: desktopRanking.rankingUrl }, {
+          mobile: mobileRanking.rankingUrl, desktop: desktopRanking.rankingUrl,
+        });
+      }
+    }
+
+    return differences;
+  }
+
   buildEmptyChecks(lang) {
     return {
       title: { label: t(lang, 'seo.checks.title'), exists: false, existsLabel: t(lang, 'seo.labels.no') },
@@ -348,10 +1027,16 @@ class DataForSEOService {
       links: { label: t(lang, 'seo.checks.links'), internal: 0, external: 0, broken: 0 },
       loadTime: { label: t(lang, 'seo.checks.loadTime'), value: null },
       wordCount: { label: t(lang, 'seo.checks.wordCount'), value: 0 },
+      schema: structuredDataService.buildCheck(null, lang),
+      crawlability: crawlabilityService.buildCheck(null, null, lang),
     };
   }
 
-  buildChecks(pageData, meta, lang) {
+  /**
+   * @param {Object|null} [crawlData] - robots.txt and sitemap data from crawlabilityService.fetchCrawlData
+   * @param {Object} [profile] - Scoring profile whose title, description and word count thresholds apply
+   */
+  buildChecks(pageData, meta, lang, crawlData = null, profile = scoringService.getDefaultProfile()) {
     const titleLength = meta.title?.length || 0;
     const descLength = meta.description?.length || 0;
     const h1Count = meta.htags?.h1?.length || 0;
@@ -363,18 +1048,21 @@ class DataForSEOService {
     const loadTime =
       typeof rawLoadTime === 'number' ? rawLoadTime / 1000 : null;
 
-    // Calculate status based on best practices
+    // Calculate status based on the thresholds of the scoring profile
+    const inRange = (length, min, max) => length >= min && length <= max;
+    const { title: titleRule, description: descRule, wordCount: wordCountRule } = profile;
+
     const getTitleStatus = () => {
       if (!meta.title) return 'poor';
-      if (titleLength >= 50 && titleLength <= 60) return 'good';
-      if (titleLength >= 30 && titleLength <= 70) return 'needsImprovement';
+      if (inRange(titleLength, titleRule.min, titleRule.max)) return 'good';
+      if (inRange(titleLength, titleRule.acceptableMin, titleRule.acceptableMax)) return 'needsImprovement';
       return 'poor';
     };
 
     const getDescStatus = () => {
       if (!meta.description) return 'poor';
-      if (descLength >= 150 && descLength <= 160) return 'good';
-      if (descLength >= 120 && descLength <= 170) return 'needsImprovement';
+      if (inRange(descLength, descRule.min, descRule.max)) return 'good';
+      if (inRange(descLength, descRule.acceptableMin, descRule.acceptableMax)) return 'needsImprovement';
       return 'poor';
     };
 
@@ -385,8 +1073,8 @@ class DataForSEOService {
     };
 
     const getWordCountStatus = () => {
-      if (wordCount >= 1500) return 'good';
-      if (wordCount >= 600) return 'needsImprovement';
+      if (wordCount >= wordCountRule.good) return 'good';
+      if (wordCount >= wordCountRule.acceptable) return 'needsImprovement';
       return 'poor';
     };
 
@@ -398,7 +1086,7 @@ class DataForSEOService {
         value: meta.title || null,
         length: titleLength,
         lengthLabel: t(lang, 'seo.labels.length'),
-        optimal: titleLength >= 50 && titleLength <= 60,
+        optimal: inRange(titleLength, titleRule.min, titleRule.max),
         optimalLabel: t(lang, 'seo.labels.optimal'),
         status: getTitleStatus(),
         statusLabel: t(lang, `seo.labels.${getTitleStatus()}`),
@@ -410,7 +1098,7 @@ class DataForSEOService {
         value: meta.description || null,
         length: descLength,
         lengthLabel: t(lang, 'seo.labels.length'),
-        optimal: descLength >= 150 && descLength <= 160,
+        optimal: inRange(descLength, descRule.min, descRule.max),
         optimalLabel: t(lang, 'seo.labels.optimal'),
         status: getDescStatus(),
         statusLabel: t(lang, `seo.labels.${getDescStatus()}`),
@@ -479,6 +1167,8 @@ class DataForSEOService {
         status: getWordCountStatus(),
         statusLabel: t(lang, `seo.labels.${getWordCountStatus()}`),
       },
+      schema: structuredDataService.buildCheck(pageData.custom_js_response, lang),
+      crawlability: crawlabilityService.buildCheck(crawlData, meta, lang),
     };
   }
 
@@ -608,11 +1298,64 @@ class DataForSEOService {
     return 'other';
   }
 
+  /**
+   * Whether a SERP item's domain is `domain` or one of its subdomains (www ignored)
+   */
+  matchesDomain(itemDomain, domain) {
+    const host = (itemDomain || '').toLowerCase().replace(/^www\./, '');
+    return host === domain || host.endsWith(`.${domain}`);
+  }
+
+  /**
+   * Comparable form of a URL: lowercase host without www, no protocol, hash or trailing slash
+   */
+  normalizeUrlForMatch(url) {
+    try {
+      const parsed = new URL(url);
+      const path = parsed.pathname.replace(/\/+$/, '');
+      return `${parsed.hostname.toLowerCase().replace(/^www\./, '')}${path}${parsed.search}`;
+    } catch {
+      return (url || '').toLowerCase().replace(/^https?:\/\/(www\.)?/, '').replace(/#.*$/, '').replace(/\/+$/, '');
+    }
+  }
+
+  /**
+   * Where the audited page and the rest of its site rank in the organic results.
+   * Several pages of the same site ranking for one keyword is reported as cannibalization.
+   * @returns {Object|null} { position, domainPosition, rankingUrl, rankingUrlIsAudited, domainUrls, cannibalization }
+   */
+  findOwnRanking(url, serpData) {
+    if (!serpData) return null;
+
+    const domain = this.extractDomain(url).toLowerCase();
+    const auditedUrl = this.normalizeUrlForMatch(url);
+
+    const domainUrls = (serpData.organicResults || [])
+      .filter((item) => this.matchesDomain(item.domain, domain))
+      .map((item) => ({ position: item.position, url: item.url }));
+
+    const own = domainUrls.find((item) => this.normalizeUrlForMatch(item.url) === auditedUrl);
+    const best = domainUrls[0] || null;
+
+    return {
+      position: own?.position ?? null,
+      domainPosition: best?.position ?? null,
+      rankingUrl: best?.url ?? null,
+      rankingUrlIsAudited: Boolean(own && own === best),
+      domainUrls,
+      cannibalization: domainUrls.length >= 2,
+    };
+  }
+
   /**
    * Compute overall SEO score using SERP benchmark, content/structure and technical health.
    * Returns total (0-100) and component scores so UI can explain the result.
    */
-  computeSEOScore({ pageData, meta, keywordAnalysis, serpData, checks }) {
+  /**
+   * @param {Object} [params.profile] - Scoring profile with the weights, steps and penalties to apply
+   */
+  computeSEOScore({ pageData, meta, keywordAnalysis, serpData, checks, ownRanking = null, performance = null, profile = scoringService.getDefaultProfile() }) {
+    const { weights, serpWeights, contentWeights, penalties } = profile;
     const wordCount = meta.content?.plain_text_word_count || 0;
 
     const benchmark = serpData?.benchmark || null;
@@ -648,17 +1391,22 @@ class DataForSEOService {
           keywordScore = keywordAnalysis.inTitle ? 100 : 60;
         }
 
+        // Measured competitor pages tell whether the keyword is expected in the H1 too
+        if (benchmark.percentH1HasKeyword >= 0.7 && !keywordAnalysis.inH1) keywordScore -= 15;
+
         // Bonus for keyword also appearing in H1 and first 100 words
         if (keywordAnalysis.inH1) keywordScore += 10;
         if (keywordAnalysis.inFirst100Words) keywordScore += 10;
-        keywordScore = Math.min(keywordScore, 100);
+        keywordScore = Math.max(0, Math.min(keywordScore, 100));
       }
 
-      // Heading structure vs simple best practice (we don't have SERP headings)
+      // Heading structure vs the crawled competitors, or vs simple best practice from snippets
       const h2Count = checks.h2?.count || 0;
       const h3Count = checks.h3?.count || 0;
       let structureScore = 0;
-      if (h2Count >= 4 && h3Count >= 2) structureScore = 100;
+      if (benchmark.avgH2Count > 0) {
+        structureScore = Math.min(100, Math.max(20, (h2Count / benchmark.avgH2Count) * 100));
+      } else if (h2Count >= 4 && h3Count >= 2) structureScore = 100;
       else if (h2Count >= 2) structureScore = 70;
       else if (h2Count > 0) structureScore = 50;
       else structureScore = 20;
@@ -672,10 +1420,16 @@ class DataForSEOService {
       }
 
       serpSimilarity =
-        (lengthScore * 0.5 +
-          keywordScore * 0.25 +
-          structureScore * 0.15 +
-          pageTypeScore * 0.1);
+        (lengthScore * serpWeights.length +
+          keywordScore * serpWeights.keyword +
+          structureScore * serpWeights.structure +
+          pageTypeScore * serpWeights.pageType);
+    }
+
+    // A page already on the first page has proven it competes, whatever the heuristics say
+    if (ownRanking?.position) {
+      if (ownRanking.position <= 3) serpSimilarity = Math.max(serpSimilarity, 90);
+      else if (ownRanking.position <= 10) serpSimilarity = Math.max(serpSimilarity, 75);
     }
 
     serpSimilarity = Math.max(0, Math.min(100, serpSimilarity));
@@ -686,19 +1440,10 @@ class DataForSEOService {
     const h3Count = checks.h3?.count || 0;
 
     // Base on word count alone if no SERP data
-    let baseContentScore = 50;
-    if (wordCount >= 2000) baseContentScore = 95;
-    else if (wordCount >= 1500) baseContentScore = 85;
-    else if (wordCount >= 800) baseContentScore = 70;
-    else if (wordCount >= 400) baseContentScore = 50;
-    else baseContentScore = 30;
+    const baseContentScore = scoringService.stepScore(profile.wordCountSteps, wordCount);
 
     // Heading richness
-    let headingScore = 50;
-    if (h2Count >= 6) headingScore = 95;
-    else if (h2Count >= 3) headingScore = 80;
-    else if (h2Count >= 1) headingScore = 60;
-    else headingScore = 30;
+    const headingScore = scoringService.stepScore(profile.h2Steps, h2Count);
 
     // Keyword placement
     let keywordPlacementScore = 50;
@@ -713,9 +1458,9 @@ class DataForSEOService {
     }
 
     contentQuality =
-      baseContentScore * 0.4 +
-      headingScore * 0.3 +
-      keywordPlacementScore * 0.3;
+      baseContentScore * contentWeights.wordCount +
+      headingScore * contentWeights.headings +
+      keywordPlacementScore * contentWeights.keywordPlacement;
 
     contentQuality = Math.max(0, Math.min(100, contentQuality));
 
@@ -725,20 +1470,29 @@ class DataForSEOService {
 
     // Adjust for critical technical issues
     if (checks.links?.broken > 0) {
-      onPageHealth -= 15;
+      onPageHealth -= penalties.brokenLinks;
     }
     if (!checks.canonical?.exists) {
-      onPageHealth -= 10;
+      onPageHealth -= penalties.missingCanonical;
     }
-    if (checks.loadTime?.value && checks.loadTime.value > 5) {
-      onPageHealth -= 10;
+    // Lighthouse metrics when available, the crawler's time to interactive otherwise
+    if (performance) {
+      onPageHealth -= performanceService.getScorePenalty(performance);
+    } else if (checks.loadTime?.value && checks.loadTime.value > 5) {
+      onPageHealth -= penalties.slowLoad;
     }
+    // Broken markup is worse than none: it can cost rich results the page already has
+    if (checks.schema?.available) {
+      if (checks.schema.status === 'poor') onPageHealth -= penalties.invalidSchema;
+      else if (!checks.schema.exists) onPageHealth -= penalties.missingSchema;
+    }
+    onPageHealth -= crawlabilityService.getScorePenalty(checks.crawlability);
     onPageHealth = Math.max(0, Math.min(100, onPageHealth));
 
     // --- Final weighted SEO score ---
-    // SERP competitiveness: 45%, Content & structure: 35%, Technical: 20%
+    // SERP competitiveness, content & structure and technical health (45/35/20 in the default profile)
     let total =
-      serpSimilarity * 0.45 + contentQuality * 0.35 + onPageHealth * 0.2;
+      serpSimilarity * weights.serp + contentQuality * weights.content + onPageHealth * weights.technical;
 
     // Important rule: if content is far below SERP standard, cap the total score
     if (benchmark && benchmark.medianWordCount > 0) {
@@ -750,6 +1504,11 @@ class DataForSEOService {
       }
     }
 
+    // Pages of the same site competing for the keyword split its ranking signals
+    if (ownRanking?.cannibalization) {
+      total -= penalties.cannibalization;
+    }
+
     total = Math.max(0, Math.min(100, total));
 
     return {
@@ -762,7 +1521,7 @@ class DataForSEOService {
     };
   }
 
-  generateEnhancedRecommendations(checks, keywordAnalysis, keyword, serpData, pageData, meta, lang) {
+  generateEnhancedRecommendations(checks, keywordAnalysis, keyword, serpData, pageData, meta, ownRanking, serpFeatures, contentGap, performance, lang, profile = scoringService.getDefaultProfile()) {
     const recommendations = [];
     const wordCount = meta?.content?.plain_text_word_count || 0;
 
@@ -787,10 +1546,10 @@ class DataForSEOService {
       addRec('critical', 'meta', 'missingTitle', 'missingTitle');
     } else {
       const titleLen = checks.title.length;
-      if (titleLen < 30) {
-        addRec('high', 'meta', 'titleTooShort', 'titleTooShort', { length: titleLen });
-      } else if (titleLen < 50 || titleLen > 60) {
-        addRec('medium', 'meta', 'titleNotOptimal', 'titleNotOptimal', { length: titleLen });
+      if (titleLen < profile.title.acceptableMin) {
+        addRec('high', 'meta', 'titleTooShort', 'titleTooShort', { length: titleLen, min: profile.title.min, max: profile.title.max });
+      } else if (titleLen < profile.title.min || titleLen > profile.title.max) {
+        addRec('medium', 'meta', 'titleNotOptimal', 'titleNotOptimal', { length: titleLen, min: profile.title.min, max: profile.title.max });
       }
     }
 
@@ -799,8 +1558,8 @@ class DataForSEOService {
       addRec('critical', 'meta', 'missingDescription', 'missingDescription');
     } else {
       const descLen = checks.description.length;
-      if (descLen < 120 || descLen > 170) {
-        addRec('medium', 'meta', 'descriptionNotOptimal', 'descriptionNotOptimal', { length: descLen });
+      if (descLen < profile.description.acceptableMin || descLen > profile.description.acceptableMax) {
+        addRec('medium', 'meta', 'descriptionNotOptimal', 'descriptionNotOptimal', { length: descLen, min: profile.description.min, max: profile.description.max });
       }
     }
 
@@ -833,6 +1592,79 @@ class DataForSEOService {
       addRec('critical', 'technical', 'brokenLinks', 'brokenLinks', { count: checks.links.broken });
     }
 
+    // === STRUCTURED DATA ===
+    const structuredData = checks.schema;
+    if (structuredData?.available) {
+      if (structuredData.parseErrors > 0) {
+        addRec('high', 'technical', 'structuredDataParseError', 'structuredDataParseError', { count: structuredData.parseErrors });
+      }
+
+      if (!structuredData.exists) {
+        addRec('medium', 'technical', 'noStructuredData', 'noStructuredData', {
+          suggested: structuredDataService.getSuggestedTypes(this.classifyPageType(pageData?.url || '', meta?.title || '')),
+        });
+      }
+
+      // One recommendation per type, even when the type is marked up several times
+      const firstOfType = (entry, index, items) => items.findIndex((other) => other.type === entry.type) === index;
+
+      for (const item of structuredData.items.filter((entry) => entry.status === 'invalid').filter(firstOfType)) {
+        addRec('high', 'technical', 'structuredDataMissingRequired', 'structuredDataMissingRequired', {
+          type: item.type,
+          properties: item.missingRequired.join(', '),
+        });
+      }
+
+      for (const item of structuredData.items.filter((entry) => entry.status === 'warning').filter(firstOfType).slice(0, 3)) {
+        addRec('low', 'technical', 'structuredDataMissingRecommended', 'structuredDataMissingRecommended', {
+          type: item.type,
+          properties: item.missingRecommended.join(', '),
+        });
+      }
+    }
+
+    // === CRAWLABILITY: robots.txt and sitemaps ===
+    const crawlability = checks.crawlability;
+    if (crawlability?.available) {
+      if (!crawlability.robots.allowed) {
+        addRec('critical', 'technical', 'robotsDisallowed', 'robotsDisallowed', { rule: crawlability.robots.rule });
+      } else if (crawlability.robots.unreachable) {
+        addRec('high', 'technical', 'robotsUnreachable', 'robotsUnreachable', { status: crawlability.robots.status ?? '-' });
+      }
+
+      const unreadable = crawlability.sitemaps.files.filter((file) => file.status !== 200 || file.error);
+      if (crawlability.sitemaps.declared && unreadable.length > 0) {
+        addRec('high', 'technical', 'sitemapUnreadable', 'sitemapUnreadable', { urls: unreadable.map((file) => file.url).join(', ') });
+      }
+      if (!crawlability.sitemapFound) {
+        if (!crawlability.sitemaps.declared) addRec('medium', 'technical', 'noSitemap', 'noSitemap');
+      } else if (!crawlability.listed && !crawlability.canonicalListed) {
+        addRec('medium', 'technical', 'notInSitemap', 'notInSitemap');
+      }
+
+      if (crawlability.errorUrlCount > 0) {
+        addRec('high', 'technical', 'sitemapErrorUrls', 'sitemapErrorUrls', { count: crawlability.errorUrlCount, checked: crawlability.checkedUrls });
+      }
+      if (crawlability.noindexUrlCount > 0) {
+        addRec('high', 'technical', 'sitemapNoindexUrls', 'sitemapNoindexUrls', { count: crawlability.noindexUrlCount, checked: crawlability.checkedUrls });
+      }
+      if (crawlability.blocked.count > 0) {
+        addRec('medium', 'technical', 'sitemapBlockedUrls', 'sitemapBlockedUrls', { count: crawlability.blocked.count });
+      }
+      if (crawlability.canonicalMismatchCount > 0) {
+        addRec('medium', 'technical', 'sitemapCanonicalMismatch', 'sitemapCanonicalMismatch', { count: crawlability.canonicalMismatchCount });
+      }
+      if (crawlability.lastmod.invalid > 0) {
+        addRec('low', 'technical', 'sitemapLastmodInvalid', 'sitemapLastmodInvalid', { count: crawlability.lastmod.invalid });
+      }
+      if (crawlability.lastmod.future > 0) {
+        addRec('low', 'technical', 'sitemapLastmodFuture', 'sitemapLastmodFuture', { count: crawlability.lastmod.future });
+      }
+      if (crawlability.lastmod.identical) {
+        addRec('low', 'technical', 'sitemapLastmodIdentical', 'sitemapLastmodIdentical', { count: crawlability.urlCount });
+      }
+    }
+
     // === MEDIUM: Internal Linking ===
     if (checks.links.internal < 3) {
       addRec('medium', 'content', 'fewInternalLinks', 'fewInternalLinks', { count: checks.links.internal });
@@ -845,8 +1677,8 @@ class DataForSEOService {
 
     // === HIGH: Word Count ===
     const competitorAvgWordCount = serpData?.avgCompetitorWordCount || 1200;
-    if (wordCount < 300) {
-      addRec('critical', 'content', 'veryLowWordCount', 'veryLowWordCount', { count: wordCount });
+    if (wordCount < profile.wordCount.thin) {
+      addRec('critical', 'content', 'veryLowWordCount', 'veryLowWordCount', { count: wordCount, thin: profile.wordCount.thin, good: profile.wordCount.good });
     } else if (wordCount < competitorAvgWordCount * 0.7) {
       addRec('high', 'content', 'lowWordCount', 'lowWordCount', {
         count: wordCount,
@@ -855,8 +1687,18 @@ class DataForSEOService {
       });
     }
 
-    // === HIGH: Page Load Time ===
-    if (checks.loadTime.value && checks.loadTime.value > 3) {
+    // === PERFORMANCE: one recommendation per failing Lighthouse metric ===
+    if (performance) {
+      for (const failing of performanceService.getFailingMetrics(performance)) {
+        const key = `perf${failing.metric.charAt(0).toUpperCase()}${failing.metric.slice(1)}`;
+        addRec(failing.status === 'poor' ? 'high' : 'medium', 'technical', key, key, {
+          value: failing.value,
+          threshold: failing.threshold,
+          devices: failing.devices.map((device) => t(lang, `seo.performance.devices.${device}`)).join(', '),
+        });
+      }
+    } else if (checks.loadTime.value && checks.loadTime.value > 3) {
+      // === HIGH: Page Load Time ===
       addRec('high', 'technical', 'slowLoadTime', 'slowLoadTime', { time: checks.loadTime.value.toFixed(1) });
     }
 
@@ -915,6 +1757,73 @@ class DataForSEOService {
       }
     }
 
+    // === CURRENT RANKING ===
+    if (ownRanking && keyword) {
+      if (ownRanking.position === null && ownRanking.domainPosition === null) {
+        addRec('high', 'keyword', 'notRanking', 'notRanking', { keyword });
+      } else if (ownRanking.position === null) {
+        addRec('high', 'keyword', 'otherUrlRanks', 'otherUrlRanks', {
+          keyword,
+          url: ownRanking.rankingUrl,
+          position: ownRanking.domainPosition,
+        });
+      } else if (ownRanking.position > 10) {
+        addRec('medium', 'keyword', 'lowRanking', 'lowRanking', { keyword, position: ownRanking.position });
+      }
+
+      if (ownRanking.cannibalization) {
+        addRec('high', 'keyword', 'keywordCannibalization', 'keywordCannibalization', {
+          keyword,
+          count: ownRanking.domainUrls.length,
+          positions: ownRanking.domainUrls.map((item) => item.position).join(', '),
+        });
+      }
+    }
+
+    // === SERP FEATURES ===
+    if (serpFeatures && keyword) {
+      const { featuredSnippet, peopleAlsoAsk, localPack, videoCarousel, shopping, aiOverview } = serpFeatures;
+      const ownersLabel = (feature) => feature.owners.slice(0, 3).join(', ') || '-';
+
+      if (featuredSnippet?.ownedBySite) {
+        addRec('low', 'serp', 'featuredSnippetOwned', 'featuredSnippetOwned', { keyword });
+      } else if (featuredSnippet) {
+        // Snippets are won by pages already on the first page
+        const onFirstPage = Boolean(ownRanking?.position && ownRanking.position <= 10);
+        addRec(onFirstPage ? 'high' : 'medium', 'serp', 'featuredSnippet', 'featuredSnippet', {
+          keyword,
+          owner: ownersLabel(featuredSnippet),
+        });
+      }
+
+      if (peopleAlsoAsk && !peopleAlsoAsk.ownedBySite) {
+        addRec('medium', 'serp', 'peopleAlsoAsk', 'peopleAlsoAsk', {
+          keyword,
+          count: peopleAlsoAsk.questions.length,
+          questions: peopleAlsoAsk.questions.slice(0, 3).map((q) => `"${q.question}"`).join(', '),
+        });
+      }
+
+      if (localPack && !localPack.ownedBySite) {
+        addRec('medium', 'serp', 'localPack', 'localPack', {
+          keyword,
+          owners: localPack.businesses.slice(0, 3).map((b) => b.title).join(', '),
+        });
+      }
+
+      if (videoCarousel && !videoCarousel.ownedBySite) {
+        addRec('low', 'serp', 'videoCarousel', 'videoCarousel', { keyword, owners: ownersLabel(videoCarousel) });
+      }
+
+      if (shopping && !shopping.ownedBySite) {
+        addRec('low', 'serp', 'shoppingResults', 'shoppingResults', { keyword });
+      }
+
+      if (aiOverview && !aiOverview.ownedBySite) {
+        addRec('medium', 'serp', 'aiOverview', 'aiOverview', { keyword, count: aiOverview.references.length });
+      }
+    }
+
     // === COMPETITOR ANALYSIS ===
     if (serpData && serpData.competitors && serpData.competitors.length > 0) {
       addRec('medium', 'competitor', 'competitorAnalysis', 'competitorAnalysis', {
@@ -932,6 +1841,53 @@ class DataForSEOService {
       }
     }
 
+    // === CONTENT GAP: most widely covered missing topics first ===
+    if (contentGap) {
+      const gaps = contentGap.topics.filter((topic) => topic.priority !== 'low' && topic.status !== 'covered');
+      for (const topic of gaps.slice(0, 5)) {
+        const vars = { topic: topic.topic, count: topic.competitorCount, total: contentGap.competitorsAnalyzed };
+        if (topic.status === 'missing') {
+          addRec(topic.priority, 'content', 'contentGapSection', 'contentGapSection', vars);
+        } else {
+          addRec('low', 'content', 'contentGapMention', 'contentGapMention', vars);
+        }
+      }
+    }
+
+    // === CRAWLED COMPETITOR PAGES ===
+    const benchmark = serpData?.benchmark;
+    if (benchmark?.source === 'pages') {
+      const h2Count = checks.h2?.count || 0;
+      if (benchmark.avgH2Count >= 3 && h2Count < benchmark.avgH2Count * 0.6) {
+        addRec('medium', 'content', 'headingsBelowCompetitors', 'headingsBelowCompetitors', {
+          count: h2Count,
+          avg: Math.round(benchmark.avgH2Count),
+          sample: benchmark.sampleSize,
+        });
+      }
+
+      // Our own types are only known when the page was crawled with the same script
+      const extras = pageData?.custom_js_response;
+      if (extras) {
+        const ownTypes = extras.schemaTypes || [];
+        const missingTypes = (benchmark.schemaTypes || [])
+          .filter((entry) => entry.share >= 0.5 && !ownTypes.includes(entry.type))
+          .map((entry) => entry.type);
+        if (missingTypes.length > 0) {
+          addRec('medium', 'technical', 'competitorSchemaTypes', 'competitorSchemaTypes', {
+            types: missingTypes.slice(0, 5).join(', '),
+            sample: benchmark.sampleSize,
+          });
+        }
+
+        if (benchmark.percentWithVideo >= 0.5 && !extras.videos) {
+          addRec('low', 'content', 'competitorVideos', 'competitorVideos', {
+            percent: Math.round(benchmark.percentWithVideo * 100),
+          });
+        }
+      }
+    }
+
     // === EXCELLENT OPTIMIZATION (if score is high and few issues) ===
     if (recommendations.filter(r => r.priority === 'critical' || r.priority === 'high').length === 0 && keyword) {
       addRec('low', 'success', 'excellentOptimization', 'excellentOptimization', { keyword });
@@ -311,6 +311,53 @@ class EmailService {
     });
   }
 
+  /**
+   * Send a summary of what changed between two scheduled runs of an audit
+   * @param {string} email - User's email
+   * @param {object} data - { type, audit, comparison, userName }
+   */
+  async sendAuditChangesEmail(email, data = {}) {
+    const { type, audit } = data;
+    const lang = this.getLanguageFromLocale(audit?.locale || DEFAULT_LOCALE);
+    const t = (path, replacements = {}) => getTranslation(lang, path, replacements);
+
+    const subject = t('email.auditChanges.subject', {
+      type: t(`email.auditChanges.types.${type}`),
+      target: this.getAuditTarget(type, audit),
+    });
+    const html = this.auditChangesHTML(data, lang);
+
+    return this.send(email, subject, html).catch(err => {
+      console.error('Failed to send audit changes email:', err.message);
+    });
+  }
+
+  /**
+   * Send the daily rank tracking alert listing keywords that dropped past their threshold
+   * @param {string} email - User's email
+   * @param {object} data - { drops, userName, locale }
+   */
+  async sendRankDropEmail(email, data = {}) {
+    const locale = this.getLocale(data);
+    const t = (path, replacements = {}) => getTranslation(locale, path, replacements);
+
+    const subject = t('email.rankDrop.subject', { count: data.drops.length });
+    const html = this.rankDropHTML(data, locale);
+
+    return this.send(email, subject, html).catch(err => {
+      console.error('Failed to send rank drop email:', err.message);
+    });
+  }
+
+  /**
+   * What an audit is about, as shown to the user (URL, business or keyword)
+   */
+  getAuditTarget(type, audit) {
+    if (type === 'seo') return audit.url;
+    if (type === 'gbp') return audit.businessName;
+    return audit.location ? `"${audit.keyword}" - ${audit.location}` : `"${audit.keyword}"`;
+  }
+
    async send(to, subject, html, retries = 0) {
     const maxRetries = emailConfig?.settings?.maxRetries ?? 3;
     const retryDelayMs = emailConfig?.settings?.retryDelay ?? 5000;
@@ -517,6 +564,123 @@ class EmailService {
 </div>`;
   }
 
+  /**
+   * Audit Changes Email HTML Template
+   */
+  auditChangesHTML(data, lang = 'en') {
+    const t = (path, replacements = {}) => getTranslation(lang, path, replacements);
+    const { type, audit, comparison, userName } = data;
+    const name = userName || 'there';
+    const viewPaths = { seo: 'seo-audit', gbp: 'gbp-audit', geo: 'local-seo' };
+    const viewUrl = `${env.CLIENT_URL}/dashboard/${viewPaths[type]}/${audit._id}`;
+    const typeLabel = t(`email.auditChanges.types.${type}`);
+    const target = this.getAuditTarget(type, audit);
+
+    const { score, recommendations, competitors } = comparison;
+    const delta = score.delta ?? 0;
+    const deltaColor = delta > 0 ? '#059669' : delta < 0 ? '#dc2626' : '#6b7280';
+    const deltaText = delta > 0 ? `+${delta}` : `${delta}`;
+
+    const listSection = (label, items, color) => items.length === 0 ? '' : `
+  <div style="margin-bottom:24px">
+    <p style="color:#111827;font-weight:600;margin-bottom:12px">${label}:</p>
+    <ul style="margin:0;padding-left:20px">${items.map(item => `<li style="margin-bottom:8px;color:${color}">${item}</li>`).join('')}</ul>
+  </div>`;
+
+    const competitorItems = [
+      ...competitors.moved.slice(0, 5).map(c => t('email.auditChanges.competitorMoved', c)),
+      ...competitors.entered.slice(0, 3).map(c => t('email.auditChanges.competitorEntered', c)),
+      ...competitors.dropped.slice(0, 3).map(c => t('email.auditChanges.competitorDropped', c)),
+    ];
+
+    return `
+<div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;padding:20px;background:#f8fafc">
+<div style="background:linear-gradient(135deg,#0f766e 0%,#14b8a6 100%);color:#fff;padding:32px;border-radius:12px 12px 0 0;text-align:center">
+  <h1 style="margin:0 0 8px 0;font-size:24px;color:#ffffff">🔔 ${t('email.auditChanges.subject', { type: typeLabel, target: '' }).replace(' - ', '')}</h1>
+  <p style="margin:0;opacity:0.9;font-size:14px;color:#ffffff">${target}</p>
+</div>
+
+<div style="background:#fff;padding:32px;border-radius:0 0 12px 12px;box-shadow:0 4px 6px rgba(0,0,0,0.05)">
+  <p style="color:#111827;font-size:16px;margin-bottom:24px">${t('email.auditChanges.greeting', { name })}</p>
+  <p style="color:#374151;margin-bottom:24px">${t('email.auditChanges.intro', { type: typeLabel, target })}</p>
+
+  <!-- Score Change -->
+  <div style="display:flex;gap:16px;margin-bottom:24px">
+    <div style="flex:1;background:#f8fafc;border-radius:12px;padding:20px;text-align:center;border:1px solid #e5e7eb">
+      <p style="margin:0 0 4px 0;color:#6b7280;font-size:12px;text-transform:uppercase">${t('email.auditChanges.previousLabel')}</p>
+      <p style="margin:0;font-size:28px;font-weight:bold;color:#6b7280">${score.previous ?? '-'}</p>
+    </div>
+    <div style="flex:1;background:#f8fafc;border-radius:12px;padding:20px;text-align:center;border:1px solid #e5e7eb">
+      <p style="margin:0 0 4px 0;color:#6b7280;font-size:12px;text-transform:uppercase">${t('email.auditChanges.currentLabel')}</p>
+      <p style="margin:0;font-size:28px;font-weight:bold;color:#111827">${score.current ?? '-'}</p>
+    </div>
+    <div style="flex:1;background:#f8fafc;border-radius:12px;padding:20px;text-align:center;border:1px solid #e5e7eb">
+      <p style="margin:0 0 4px 0;color:#6b7280;font-size:12px;text-transform:uppercase">${t('email.auditChanges.scoreLabel')}</p>
+      <p style="margin:0;font-size:28px;font-weight:bold;color:${deltaColor}">${deltaText}</p>
+    </div>
+  </div>
+  ${listSection(t('email.auditChanges.newIssuesLabel'), recommendations.new.slice(0, 5).map(r => r.issue), '#b91c1c')}
+  ${listSection(t('email.auditChanges.resolvedIssuesLabel'), recommendations.resolved.slice(0, 5).map(r => r.issue), '#047857')}
+  ${listSection(t('email.auditChanges.competitorsLabel'), competitorItems, '#374151')}
+
+  <!-- CTA Button -->
+  <p style="text-align:center;margin:32px 0">
+    <a href="${viewUrl}" style="background:linear-gradient(135deg,#0d9488 0%,#0f766e 100%);color:#fff;padding:14px 32px;border-radius:8px;text-decoration:none;font-weight:600;display:inline-block;box-shadow:0 4px 6px rgba(13,148,136,0.25)">${t('email.auditChanges.viewButton')}</a>
+  </p>
+
+  <hr style="border:none;border-top:1px solid #e5e7eb;margin:24px 0">
+  <p style="font-size:12px;color:#9ca3af;text-align:center;margin:0">${t('email.auditChanges.footer')}</p>
+</div>
+</div>`;
+  }
+
+  /**
+   * Rank Drop Alert Email HTML Template
+   */
+  rankDropHTML(data, lang = 'en') {
+    const t = (path, replacements = {}) => getTranslation(lang, path, replacements);
+    const { drops, userName } = data;
+    const name = userName || 'there';
+    const viewUrl = `${env.CLIENT_URL}/dashboard/rank-tracking`;
+    const formatPosition = (position) => position ?? t('email.rankDrop.notRanking');
+
+    const rowsHtml = drops.map(d => `
+      <tr>
+        <td style="padding:8px 0;color:#111827;border-bottom:1px solid #f3f4f6">${d.keyword}<br><span style="font-size:12px;color:#9ca3af">${d.domain} · ${d.device}</span></td>
+        <td style="padding:8px 0;color:#6b7280;text-align:center;border-bottom:1px solid #f3f4f6">${formatPosition(d.previous)}</td>
+        <td style="padding:8px 0;color:#dc2626;font-weight:600;text-align:center;border-bottom:1px solid #f3f4f6">${formatPosition(d.position)}</td>
+      </tr>`).join('');
+
+    return `
+<div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto;padding:20px;background:#f8fafc">
+<div style="background:linear-gradient(135deg,#b91c1c 0%,#ef4444 100%);color:#fff;padding:32px;border-radius:12px 12px 0 0;text-align:center">
+  <h1 style="margin:0 0 8px 0;font-size:24px;color:#ffffff">📉 ${t('email.rankDrop.subject', { count: drops.length })}</h1>
+</div>
+
+<div style="background:#fff;padding:32px;border-radius:0 0 12px 12px;box-shadow:0 4px 6px rgba(0,0,0,0.05)">
+  <p style="color:#111827;font-size:16px;margin-bottom:24px">${t('email.rankDrop.greeting', { name })}</p>
+  <p style="color:#374151;margin-bottom:24px">${t('email.rankDrop.intro')}</p>
+
+  <table style="width:100%;border-collapse:collapse;margin-bottom:24px">
+    <tr>
+      <th style="padding:8px 0;color:#6b7280;font-size:12px;text-transform:uppercase;text-align:left">${t('email.rankDrop.keywordCol')}</th>
+      <th style="padding:8px 0;color:#6b7280;font-size:12px;text-transform:uppercase">${t('email.rankDrop.previousCol')}</th>
+      <th style="padding:8px 0;color:#6b7280;font-size:12px;text-transform:uppercase">${t('email.rankDrop.currentCol')}</th>
+    </tr>
+    ${rowsHtml}
+  </table>
+
+  <!-- CTA Button -->
+  <p style="text-align:center;margin:32px 0">
+    <a href="${viewUrl}" style="background:linear-gradient(135deg,#dc2626 0%,#b91c1c 100%);color:#fff;padding:14px 32px;border-radius:8px;text-decoration:none;font-weight:600;display:inline-block;box-shadow:0 4px 6px rgba(220,38,38,0.25)">${t('email.rankDrop.viewButton')}</a>
+  </p>
+
+  <hr style="border:none;border-top:1px solid #e5e7eb;margin:24px 0">
+  <p style="font-size:12px;color:#9ca3af;text-align:center;margin:0">${t('email.rankDrop.footer')}</p>
+</div>
+</div>`;
+  }
+
   // ===== SUBSCRIPTION EMAIL METHODS (Multi-Locale) =====
 
   /**
@@ -3,6 +3,7 @@ import { env, getLocaleConfig, DEFAULT_LOCALE } from '../config/index.js';
 import { ApiError } from '../utils/index.js';
 import { Logger } from '../utils/logger.js';
 import { t } from '../locales/index.js';
+import { reviewAnalysisService } from './reviewAnalysis.service.js';
 
 class GBPService {
   constructor() {
@@ -229,6 +230,89 @@ class GBPService {
     }
   }
 
+  /**
+   * Post a DataForSEO task for the newest reviews of a profile found by runAudit. Reviews are not
+   * available live, so the task is read later with getReviewsTask.
+   * @param {Object} data - The profile as runAudit returned it in `raw`
+   * @returns {Promise<string>} Task id
+   */
+  async postReviewsTask(data, locale = DEFAULT_LOCALE, locationOverride = null) {
+    if (!this.login || !this.password) {
+      throw new ApiError(500, 'DataForSEO credentials not configured');
+    }
+
+    const localeConfig = getLocaleConfig(locale);
+    const target = data.place_id ? { place_id: data.place_id } : data.cid ? { cid: data.cid } : { keyword: data.title };
+
+    const response = await this.client.post('/v3/business_data/google/reviews/task_post', [
+      {
+        ...target,
+        location_name: locationOverride || localeConfig.locationName,
+        language_code: localeConfig.languageCode,
+        depth: env.GBP_REVIEWS_DEPTH,
+        sort_by: 'newest',
+      },
+    ]);
+
+    const task = response.data?.tasks?.[0];
+    // 20100: Task Created
+    if (response.data?.status_code !== 20000 || ![20000, 20100].includes(task?.status_code) || !task.id) {
+      throw new ApiError(502, `GBP reviews task failed: ${task?.status_message || response.data?.status_message || 'Unknown error'}`);
+    }
+    return task.id;
+  }
+
+  /**
+   * Reviews of a task posted with postReviewsTask
+   * @returns {Promise<Object>} { done: false } while DataForSEO is still collecting them, else { done: true, total, reviews }
+   */
+  async getReviewsTask(taskId) {
+    const response = await this.client.get(`/v3/business_data/google/reviews/task_get/${taskId}`);
+    const task = response.data?.tasks?.[0];
+
+    // 40601: Task Handed, 40602: Task in Queue
+    if ([40601, 40602].includes(task?.status_code)) {
+      return { done: false };
+    }
+    if (response.data?.status_code !== 20000 || task?.status_code !== 20000) {
+      throw new ApiError(502, `GBP reviews task failed: ${task?.status_message || response.data?.status_message || 'Unknown error'}`);
+    }
+
+    const result = task.result?.[0] || {};
+    return { done: true, total: result.reviews_count ?? null, reviews: this.extractReviews(result.items || []) };
+  }
+
+  extractReviews(items) {
+    return items
+      .filter((item) => item.type === 'google_review')
+      .map((item) => ({
+        rating: item.rating?.value ?? null,
+        // The review as written, not Google's translation
+        text: item.original_review_text || item.review_text || '',
+        language: item.original_language || null,
+        date: item.timestamp || null,
+        ownerAnswer: item.owner_answer || null,
+        ownerAnswerDate: item.owner_timestamp || null,
+      }));
+  }
+
+  /**
+   * Checklist, score and recommendations of a saved profile again, with the review analysis items
+   * @param {Object} businessInfo - As transformResult built it
+   * @param {Object} reviewAnalysis - From reviewAnalysisService.analyze (or .unavailable)
+   */
+  applyReviewAnalysis(businessInfo, reviewAnalysis, lang = 'en') {
+    const checklist = this.generateChecklist(businessInfo, lang, reviewAnalysis);
+    const score = this.calculateScore(checklist);
+
+    return {
+      checklist,
+      score,
+      profileStrength: this.getProfileStrength(score),
+      recommendations: this.generateEnhancedRecommendations(checklist, businessInfo, score, lang, reviewAnalysis),
+    };
+  }
+
   transformResult(data, businessName, lang = 'en') {
     if (!data) {
       return {
@@ -531,7 +615,10 @@ class GBPService {
     return 'poor';
   }
 
-  generateChecklist(info, lang = 'en') {
+  /**
+   * @param {Object} [reviewAnalysis] - Adds the review analysis items once the reviews were analyzed
+   */
+  generateChecklist(info, lang = 'en', reviewAnalysis = null) {
     const complete = t(lang, 'gbp.labels.complete');
     const incomplete = t(lang, 'gbp.labels.incomplete');
     const chars = t(lang, 'common.chars');
@@ -542,7 +629,7 @@ class GBPService {
     const hasAttributes = info.attributes && (Array.isArray(info.attributes) ? info.attributes.length > 0 : Object.keys(info.attributes).length > 0);
     const attributeCount = Array.isArray(info.attributes) ? info.attributes.length : (info.attributes ? Object.keys(info.attributes).length : 0);
 
-    return [
+    const checklist = [
       {
         field: 'name',
         label: t(lang, 'gbp.checklist.name'),
@@ -640,6 +727,8 @@ class GBPService {
         weight: 2,
       },
     ];
+
+    return [...checklist, ...reviewAnalysisService.buildChecklist(reviewAnalysis, lang)];
   }
 
   generateEmptyChecklist(lang = 'en') {
@@ -676,7 +765,7 @@ class GBPService {
     return Math.round((earnedPoints / totalPoints) * 100);
   }
 
-  generateEnhancedRecommendations(checklist, info, score, lang = 'en') {
+  generateEnhancedRecommendations(checklist, info, score, lang = 'en', reviewAnalysis = null) {
     const recommendations = [];
     const incompleteItems = checklist.filter(item => !item.completed);
 
@@ -770,6 +859,9 @@ class GBPService {
       });
     }
 
+    // Velocity, owner responses, sentiment and themes of the analyzed reviews
+    recommendations.push(...reviewAnalysisService.buildRecommendations(reviewAnalysis, lang));
+
     // === PROFILE COMPLETENESS ===
     if (score < 100 && score >= 70) {
       addRec('low', 'profile', 'profileIncomplete', 'profileIncomplete', { score });
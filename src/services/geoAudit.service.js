@@ -5,6 +5,26 @@ import { Logger } from '../utils/logger.js';
 import { t } from '../locales/index.js';
 import { getLocaleConfig, DEFAULT_LOCALE } from '../config/index.js';
 
+// Local Finder results read per audit; the audited business ranked below this is "not in the top N"
+const LOCAL_RANK_DEPTH = 20;
+
+// Name similarity (0-1) from which a result counts as the business without any other signal
+const NAME_MATCH_THRESHOLD = 0.8;
+
+// Legal forms and filler words that listings add to or drop from a business name
+const NAME_STOP_WORDS = new Set([
+  'bv', 'bvba', 'nv', 'vof', 'cv', 'sa', 'sprl', 'srl', 'scrl', 'sas', 'sarl', 'eurl', 'gmbh', 'ltd', 'llc', 'inc', 'co',
+  'the', 'de', 'het', 'le', 'la', 'les', 'l', 'du', 'des', 'et', 'en', 'and',
+]);
+
+// Competitors listed in the keyword matrix of a multi-keyword audit
+const KEYWORD_MATRIX_COMPETITORS = 10;
+
+// Websites shared by many businesses: the same domain says nothing about which one it is
+const SHARED_DOMAINS = new Set([
+  'facebook.com', 'instagram.com', 'linkedin.com', 'google.com', 'business.site', 'linktr.ee', 'sites.google.com', 'wixsite.com',
+]);
+
 class GeoAuditService {
   constructor() {
     this.login = env.DATAFORSEO_LOGIN || env.DATAFORSEO_EMAIL;
@@ -37,9 +57,10 @@ class GeoAuditService {
    * @param {string} googleDomain - Google domain (e.g., 'google.be', 'google.fr')
    * @param {string} language - Language code (e.g., 'fr', 'en', 'nl')
    * @param {string} locale - Locale code (e.g., 'fr-be', 'en', 'nl-nl')
+   * @param {Object} [target] - The audited business: { name, placeId, phone, website }
    * @returns {Promise<Object>} Audit result with local visibility score, competitors, and actionable recommendations
    */
-  async runGeoAudit(keyword, city, region = null, country, googleDomain = null, language = null, locale = DEFAULT_LOCALE) {
+  async runGeoAudit(keyword, city, region = null, country, googleDomain = null, language = null, locale = DEFAULT_LOCALE, target = null) {
     try {
       // Get language name for DataForSEO API
       const languageName = language ? getLanguageName(language) : 'English';
@@ -50,20 +71,136 @@ class GeoAuditService {
         : `${city},${country}`;
 
       // Fetch data from Google Local Finder API
-      const localFinderData = await this.fetchMapsData(keyword, locationName, languageName, googleDomain);
+      const localFinderData = await this.fetchMapsData(keyword, locationName, languageName, googleDomain, { depth: LOCAL_RANK_DEPTH });
 
       // Extract language code from locale for translations
       const localeConfig = getLocaleConfig(locale);
       const lang = localeConfig.language || 'en';
 
       // Transform and return results with actionable recommendations
-      return this.transformMapsResult(localFinderData, keyword, locationName, lang);
+      return this.transformMapsResult(localFinderData, keyword, locationName, lang, target);
     } catch (error) {
       if (error instanceof ApiError) throw error;
       throw new ApiError(502, `Geo audit failed: ${error.message}`);
     }
   }
 
+  /**
+   * GEO audit of a keyword set for one business and location. Local Finder runs for all keywords
+   * at once. The first keyword is the primary one: its result fills the detailed sections of the
+   * audit. A keyword that fails fails the whole set, as the credits cover every keyword.
+   * @param {string[]} keywords - 1 to 10 keywords
+   * The other parameters are those of runGeoAudit.
+   * @returns {Promise<Object>} { primary, results, matrix }; `matrix` is null for a single keyword
+   */
+  async runKeywordSet(keywords, city, region = null, country, googleDomain = null, language = null, locale = DEFAULT_LOCALE, target = null) {
+    const results = await Promise.all(keywords.map((keyword) => (
+      this.runGeoAudit(keyword, city, region, country, googleDomain, language, locale, target)
+    )));
+
+    return {
+      primary: results[0],
+      results,
+      matrix: results.length > 1 ? this.buildKeywordMatrix(results) : null,
+    };
+  }
+
+  /**
+   * Rank of the business per keyword, and the competitors in the top 10 for the most keywords.
+   * `positions` of a competitor follow the order of `keywords` (null: not in that top 10).
+   * The aggregate `localVisibilityScore` is the average of the keywords' scores.
+   */
+  buildKeywordMatrix(results) {
+    const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    const keywords = results.map((result) => ({
+      keyword: result.keyword,
+      localVisibilityScore: result.localVisibilityScore,
+      position: result.localRank?.found ? result.localRank.position : null,
+      inLocalPack: Boolean(result.localRank?.inLocalPack),
+      topResult: result.competitors.find((competitor) => !competitor.isTarget)?.name || null,
+    }));
+
+    // Same business across keywords: by place ID, by name when the listing has none
+    const byBusiness = new Map();
+    results.forEach((result, index) => {
+      for (const competitor of result.competitors) {
+        if (competitor.isTarget || competitor.position > 10) continue;
+        const id = competitor.placeId || this.normalizeName(competitor.name);
+        if (!id) continue;
+
+        if (!byBusiness.has(id)) {
+          byBusiness.set(id, {
+            name: competitor.name,
+            placeId: competitor.placeId,
+            rating: competitor.rating,
+            reviews: competitor.reviews,
+            positions: results.map(() => null),
+          });
+        }
+        byBusiness.get(id).positions[index] = competitor.position;
+      }
+    });
+
+    const competitors = [...byBusiness.values()]
+      .map((entry) => {
+        const positions = entry.positions.filter((position) => position !== null);
+        return {
+          ...entry,
+          appearances: positions.length,
+          inLocalPack: positions.filter((position) => position <= 3).length,
+          averagePosition: Math.round(average(positions) * 10) / 10,
+        };
+      })
+      .sort((a, b) => b.appearances - a.appearances || a.averagePosition - b.averagePosition)
+      .slice(0, KEYWORD_MATRIX_COMPETITORS);
+
+    const ranked = keywords.filter((row) => row.position);
+
+    return {
+      keywords,
+      competitors,
+      summary: {
+        keywords: keywords.length,
+        ranked: ranked.length,
+        inLocalPack: keywords.filter((row) => row.inLocalPack).length,
+        averagePosition: ranked.length ? Math.round(average(ranked.map((row) => row.position)) * 10) / 10 : null,
+        localVisibilityScore: Math.round(average(keywords.map((row) => row.localVisibilityScore))),
+      },
+    };
+  }
+
+  /**
+   * Recommendations about the keywords besides the primary one, whose result has its own
+   */
+  buildKeywordRecommendations(matrix, target, lang = 'en') {
+    if (!matrix || !this.hasTarget(target)) return [];
+
+    const others = matrix.keywords.slice(1);
+    const name = target.name || target.website || '';
+    const recommendation = (priority, key, vars) => ({
+      priority,
+      category: 'visibility',
+      issue: t(lang, `geo.recommendations.${key}.issue`, vars),
+      action: t(lang, `geo.recommendations.${key}.action`, vars),
+      impact: 'high',
+      effort: 'moderate',
+    });
+    const recommendations = [];
+
+    const notRanked = others.filter((row) => !row.position).map((row) => row.keyword);
+    if (notRanked.length) {
+      recommendations.push(recommendation('high', 'keywordsNotRanked', { name, keywords: notRanked.join(', '), depth: LOCAL_RANK_DEPTH }));
+    }
+
+    const outsidePack = others.filter((row) => row.position && !row.inLocalPack).map((row) => `${row.keyword} (#${row.position})`);
+    if (outsidePack.length) {
+      recommendations.push(recommendation('medium', 'keywordsOutsideLocalPack', { name, keywords: outsidePack.join(', ') }));
+    }
+
+    return recommendations;
+  }
+
   /**
    * Fetch data from DataForSEO Google Local Finder API
    * Passes through DataForSEO responses transparently
@@ -71,9 +208,12 @@ class GeoAuditService {
    * @param {string} locationName - Location in format "City,Region,Country" or "City,Country" (e.g., "Amsterdam,North Holland,Netherlands")
    * @param {string} languageName - Language name (e.g., "French", "English")
    * @param {string} googleDomain - Google domain (e.g., "google.be", "google.fr") - optional
+   * @param {Object} [options]
+   * @param {string} [options.locationCoordinate] - "latitude,longitude,zoom" searched from instead of `locationName` (geo-grid points)
+   * @param {number} [options.depth] - Results to fetch (default 10)
    * @returns {Promise<Object>} Local Finder API response data
    */
-  async fetchMapsData(keyword, locationName, languageName, googleDomain = null) {
+  async fetchMapsData(keyword, locationName, languageName, googleDomain = null, { locationCoordinate = null, depth = 10 } = {}) {
     if (!this.login || !this.password) {
       throw new ApiError(500, 'DataForSEO credentials not configured');
     }
@@ -81,9 +221,9 @@ class GeoAuditService {
     // Build payload for Local Finder API
     const payload = [{
       keyword: keyword.trim(),
-      location_name: locationName,
+      ...(locationCoordinate ? { location_coordinate: locationCoordinate } : { location_name: locationName }),
       language_name: languageName,
-      depth: 10, // Get top 10 results
+      depth,
     }];
 
     // Add se_domain only if provided (optional)
@@ -94,7 +234,7 @@ class GeoAuditService {
     Logger.log('Sending request to DataForSEO Google Local Finder API:', {
       endpoint: '/v3/serp/google/local_finder/live/advanced',
       keyword: keyword.trim(),
-      location_name: locationName,
+      location: locationCoordinate || locationName,
       language_name: languageName,
       se_domain: googleDomain || 'not set',
     });
@@ -164,13 +304,18 @@ class GeoAuditService {
    * Returns: local visibility score, competitors, and actionable recommendations for website/page improvements
    * Recommendations tell users what to do to rank in top 10
    * @param {string} lang - Language code for translations (e.g., 'en', 'fr', 'nl')
+   * @param {Object} [target] - The audited business: { name, placeId, phone, website }
    */
-  transformMapsResult(data, keyword, location, lang = 'en') {
+  transformMapsResult(data, keyword, location, lang = 'en', target = null) {
+    const hasTarget = this.hasTarget(target);
+
     if (!data || !data.items || data.items.length === 0) {
       return {
         keyword,
         location,
         localVisibilityScore: 0,
+        businessInfo: null,
+        localRank: hasTarget ? this.buildLocalRank(null, []) : null,
         competitors: [],
         recommendations: [{
           priority: 'high',
@@ -192,57 +337,41 @@ class GeoAuditService {
     }
 
     // Extract competitors from Local Finder results
-    const competitors = [];
-    data.items.forEach((item, index) => {
-      // Handle Local Finder API structure - items may be nested or flat
-      if (item.items && Array.isArray(item.items)) {
-        item.items.forEach((nestedItem) => {
-          competitors.push({
-            position: competitors.length + 1,
-            name: nestedItem.title || nestedItem.name || nestedItem.business_title || '',
-            rating: nestedItem.rating?.value || nestedItem.rating || nestedItem.rating_value || null,
-            reviews: nestedItem.reviews_count || nestedItem.reviews || nestedItem.review_count || 0,
-            distance: nestedItem.distance || nestedItem.distance_text || null,
-            address: nestedItem.address || nestedItem.address_lines?.join(', ') || nestedItem.address_text || '',
-            phone: nestedItem.phone || nestedItem.phone_number || null,
-            website: nestedItem.website || nestedItem.website_url || null,
-            category: nestedItem.category || nestedItem.type || nestedItem.category_name || null,
-            placeId: nestedItem.place_id || nestedItem.google_place_id || null,
-          });
-        });
-      } else {
-        competitors.push({
-          position: competitors.length + 1,
-          name: item.title || item.name || item.business_title || '',
-          rating: item.rating?.value || item.rating || item.rating_value || null,
-          reviews: item.reviews_count || item.reviews || item.review_count || 0,
-          distance: item.distance || item.distance_text || null,
-          address: item.address || item.address_lines?.join(', ') || item.address_text || '',
-          phone: item.phone || item.phone_number || null,
-          website: item.website || item.website_url || null,
-          category: item.category || item.type || item.category_name || null,
-          placeId: item.place_id || item.google_place_id || null,
-        });
-      }
-    });
+    const competitors = this.extractCompetitors(data.items);
+    // The market analysis looks at the first page of results only
+    const topCompetitors = competitors.slice(0, 10);
+
+    // Find the audited business among them
+    const match = hasTarget ? this.matchBusiness(competitors, target) : null;
+    if (match) match.business.isTarget = true;
 
-    // Calculate local visibility score based on competitors analysis (no business info needed)
-    const localVisibilityScore = this.calculateLocalVisibilityScore(competitors);
+    // Visibility of the business against the results above it; without a business to look for, of the market
+    const localVisibilityScore = hasTarget
+      ? this.calculateLocalVisibilityScore(competitors, match)
+      : this.calculateMarketScore(topCompetitors);
 
-    // Generate recommendations based on competitors
-    const recommendations = this.generateRecommendations(competitors, lang);
+    // Business recommendations first, then those based on competitors
+    const recommendations = [
+      ...(hasTarget ? this.generateBusinessRecommendations(competitors, match, target, lang) : []),
+      ...this.generateRecommendations(topCompetitors, lang),
+    ];
 
     // Analyze NAP consistency from competitors
-    const napIssues = this.analyzeNAPConsistency(competitors, lang);
+    const napIssues = this.analyzeNAPConsistency(topCompetitors, lang);
 
     // Analyze citation issues from competitors
-    const citationIssues = this.analyzeCitationIssues(competitors, lang);
+    const citationIssues = this.analyzeCitationIssues(topCompetitors, lang);
+
+    // Top 10 competitors, plus the business when it ranks lower
+    const listed = match && match.position > 10 ? [...topCompetitors, match.business] : topCompetitors;
 
     return {
       keyword,
       location,
       localVisibilityScore,
-      competitors: competitors.slice(0, 10), // Only return top 10 competitors
+      businessInfo: match ? this.buildBusinessInfo(match.business) : null,
+      localRank: hasTarget ? this.buildLocalRank(match, competitors) : null,
+      competitors: listed,
       recommendations,
       napIssues,
       citationIssues,
@@ -251,10 +380,294 @@ class GeoAuditService {
   }
 
   /**
-   * Calculate local visibility score (0-100)
+   * Businesses of Local Finder items in ranking order (items may be nested or flat)
+   */
+  extractCompetitors(items) {
+    const competitors = [];
+    const toCompetitor = (item) => ({
+      position: competitors.length + 1,
+      name: item.title || item.name || item.business_title || '',
+      rating: item.rating?.value || item.rating || item.rating_value || null,
+      reviews: item.reviews_count || item.reviews || item.review_count || 0,
+      distance: item.distance || item.distance_text || null,
+      address: item.address || item.address_lines?.join(', ') || item.address_text || '',
+      phone: item.phone || item.phone_number || null,
+      website: item.website || item.website_url || null,
+      category: item.category || item.type || item.category_name || null,
+      placeId: item.place_id || item.google_place_id || null,
+      latitude: item.latitude ?? null,
+      longitude: item.longitude ?? null,
+    });
+
+    for (const item of items || []) {
+      if (item.items && Array.isArray(item.items)) {
+        item.items.forEach((nestedItem) => competitors.push(toCompetitor(nestedItem)));
+      } else {
+        competitors.push(toCompetitor(item));
+      }
+    }
+
+    return competitors;
+  }
+
+  hasTarget(target) {
+    return Boolean(target && (target.name || target.placeId || target.phone || target.website));
+  }
+
+  normalizeName(name) {
+    return (name || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  nameTokens(name) {
+    return this.normalizeName(name).split(' ').filter((token) => token && !NAME_STOP_WORDS.has(token));
+  }
+
+  domainOf(url) {
+    if (!url) return null;
+    try {
+      return new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`).hostname.toLowerCase().replace(/^www\./, '');
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Last 8 digits of a phone number, so "+32 2 123 45 67" and "02/123.45.67" compare equal
+   */
+  phoneKey(phone) {
+    const digits = (phone || '').replace(/\D/g, '');
+    return digits.length >= 8 ? digits.slice(-8) : null;
+  }
+
+  levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Similarity (0-1) of two business names, tolerant of accents, legal forms, typos and of
+   * listings that append a tagline or the city ("Café Zoë - Brunch Brussels")
+   */
+  nameSimilarity(a, b) {
+    const tokensA = this.nameTokens(a);
+    const tokensB = this.nameTokens(b);
+    if (!tokensA.length || !tokensB.length) return 0;
+
+    const compactA = tokensA.join('');
+    const compactB = tokensB.join('');
+    if (compactA === compactB) return 1;
+
+    // Spelling differences
+    const edit = 1 - this.levenshtein(compactA, compactB) / Math.max(compactA.length, compactB.length);
+
+    // Shared words, whatever their order
+    const setB = new Set(tokensB);
+    const shared = tokensA.filter((token) => setB.has(token)).length;
+    const dice = (2 * shared) / (tokensA.length + tokensB.length);
+
+    // Every word of the shorter name in the longer one
+    const shorter = tokensA.length <= tokensB.length ? tokensA : tokensB;
+    const contained = shorter.join('').length >= 4 && shared === shorter.length ? 0.85 : 0;
+
+    return Math.max(edit, dice, contained);
+  }
+
+  namesMatch(a, b) {
+    return this.nameSimilarity(a, b) >= NAME_MATCH_THRESHOLD;
+  }
+
+  /**
+   * How sure we are (0-1) that a Local Finder result is the audited business, and on which signals.
+   * A place ID settles it either way; a matching phone or website is enough on its own; a name
+   * needs NAME_MATCH_THRESHOLD and no conflicting phone number (chains share names, not phones).
+   * @returns {Object} { confidence, matchedBy }
+   */
+  scoreBusinessMatch(business, target) {
+    if (target.placeId && business.placeId) {
+      return business.placeId === target.placeId
+        ? { confidence: 1, matchedBy: ['placeId'] }
+        : { confidence: 0, matchedBy: [] };
+    }
+
+    const signals = [];
+
+    const phone = this.phoneKey(target.phone);
+    const phoneConflict = Boolean(phone && this.phoneKey(business.phone) && this.phoneKey(business.phone) !== phone);
+    if (phone && this.phoneKey(business.phone) === phone) signals.push(['phone', 0.95]);
+
+    const domain = this.domainOf(target.website);
+    if (domain && !SHARED_DOMAINS.has(domain) && this.domainOf(business.website) === domain) signals.push(['website', 0.9]);
+
+    const similarity = target.name ? this.nameSimilarity(business.name, target.name) : 0;
+    if (similarity >= NAME_MATCH_THRESHOLD && !phoneConflict) signals.push(['name', 0.9 * similarity]);
+
+    if (!signals.length) return { confidence: 0, matchedBy: [] };
+
+    // Each further signal takes away part of the remaining doubt
+    const confidence = signals.reduce((total, [, weight]) => total + (1 - total) * weight, 0);
+    return { confidence: Math.round(confidence * 100) / 100, matchedBy: signals.map(([signal]) => signal) };
+  }
+
+  /**
+   * The audited business among the Local Finder results: the most certain match, the best ranked on a tie
+   * @param {Array} competitors - From extractCompetitors
+   * @param {Object} target - { name, placeId, phone, website }
+   * @returns {Object|null} { business, position, confidence, matchedBy }
+   */
+  matchBusiness(competitors, target) {
+    let best = null;
+    for (const business of competitors) {
+      const { confidence, matchedBy } = this.scoreBusinessMatch(business, target);
+      if (confidence > 0 && (!best || confidence > best.confidence)) {
+        best = { business, position: business.position, confidence, matchedBy };
+      }
+    }
+    return best;
+  }
+
+  buildBusinessInfo(business) {
+    const { name, address, phone, website, rating, reviews, category, placeId, latitude, longitude } = business;
+    return { name, address, phone, website, rating, reviews, category, placeId, latitude, longitude };
+  }
+
+  /**
+   * Rank of the business in the Local Finder results, or found: false when not in the top `depth`
+   */
+  buildLocalRank(match, competitors) {
+    if (!match) {
+      return { found: false, position: null, depth: LOCAL_RANK_DEPTH, inLocalPack: false, competitorsAbove: competitors.length, confidence: null, matchedBy: [] };
+    }
+    return {
+      found: true,
+      position: match.position,
+      depth: LOCAL_RANK_DEPTH,
+      inLocalPack: match.position <= 3,
+      competitorsAbove: match.position - 1,
+      confidence: match.confidence,
+      matchedBy: match.matchedBy,
+    };
+  }
+
+  /**
+   * Average rating and review count of the results ranked above the business
+   */
+  getCompetitorsAbove(competitors, match) {
+    const above = competitors.filter((business) => business.position < match.position);
+    const ratings = above.filter((business) => business.rating).map((business) => business.rating);
+    const reviews = above.map((business) => business.reviews || 0);
+    const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+    return { count: above.length, avgRating: average(ratings), avgReviews: average(reviews) };
+  }
+
+  /**
+   * Local visibility score (0-100) of the audited business:
+   * its rank (0-50), its rating (0-20) and review count (0-20) against the results ranked above it,
+   * and the completeness of its listing (0-10). A business outside the top LOCAL_RANK_DEPTH scores 0.
+   */
+  calculateLocalVisibilityScore(competitors, match) {
+    if (!match) return 0;
+
+    const { position, business } = match;
+    let score;
+    if (position <= 3) score = 50 - (position - 1) * 5;
+    else if (position <= 10) score = 30 - (position - 4) * 2.5;
+    else score = Math.max(12 - (position - 11), 2);
+
+    const above = this.getCompetitorsAbove(competitors, match);
+
+    // Rating: a full star below the average of the results above costs all 20 points
+    if (business.rating) {
+      const gap = above.avgRating ? Math.max(above.avgRating - business.rating, 0) : 0;
+      score += Math.max(1 - gap, 0) * 20;
+    }
+
+    // Reviews: in proportion to the average of the results above
+    if (!above.count || !above.avgReviews) {
+      score += business.reviews ? 20 : 0;
+    } else {
+      score += Math.min((business.reviews || 0) / above.avgReviews, 1) * 20;
+    }
+
+    const fields = ['address', 'phone', 'website', 'category', 'rating'];
+    score += (fields.filter((field) => business[field]).length / fields.length) * 10;
+
+    return Math.round(Math.min(score, 100));
+  }
+
+  /**
+   * Recommendations about the audited business itself: its rank, and its rating, reviews and
+   * listing against the results ranked above it
+   */
+  generateBusinessRecommendations(competitors, match, target, lang = 'en') {
+    const recommendation = (priority, category, key, vars = {}, impact = 'high', effort = 'moderate') => ({
+      priority,
+      category,
+      issue: t(lang, `geo.recommendations.${key}.issue`, vars),
+      action: t(lang, `geo.recommendations.${key}.action`, vars),
+      impact,
+      effort,
+    });
+
+    if (!match) {
+      return [recommendation('critical', 'visibility', 'notRanked', { name: target.name || target.website || '', depth: LOCAL_RANK_DEPTH })];
+    }
+
+    const { business, position } = match;
+    const above = this.getCompetitorsAbove(competitors, match);
+    const recommendations = [];
+
+    if (position === 1) {
+      recommendations.push(recommendation('low', 'visibility', 'position1', {}, 'medium', 'easy'));
+    } else if (position <= 3) {
+      recommendations.push(recommendation('medium', 'visibility', 'position2or3', { position }));
+    } else {
+      recommendations.push(recommendation('high', 'visibility', 'lowPosition', { position }));
+    }
+
+    if (!business.reviews) {
+      recommendations.push(recommendation('critical', 'reviews', 'noReviews', {}, 'high', 'easy'));
+    } else if (above.avgReviews && business.reviews < above.avgReviews) {
+      recommendations.push(recommendation('high', 'reviews', 'competitorsMoreReviews', {
+        avgReviews: Math.round(above.avgReviews),
+        reviews: business.reviews,
+        target: Math.ceil(above.avgReviews - business.reviews),
+      }));
+    }
+
+    if (business.rating && business.rating < 4) {
+      recommendations.push(recommendation('high', 'reviews', 'lowRating', { rating: business.rating.toFixed(1) }));
+    } else if (business.rating && above.avgRating && business.rating < above.avgRating - 0.1) {
+      recommendations.push(recommendation('medium', 'reviews', 'competitorsBetterRating', {
+        avg: above.avgRating.toFixed(1),
+        rating: business.rating.toFixed(1),
+      }));
+    }
+
+    if (!business.phone) recommendations.push(recommendation('high', 'gbp', 'missingPhone', {}, 'medium', 'easy'));
+    if (!business.website) recommendations.push(recommendation('high', 'gbp', 'businessMissingWebsite', {}, 'high', 'easy'));
+
+    return recommendations;
+  }
+
+  /**
+   * Market score (0-100) used when the audit has no business to look for
    * Based on competitors analysis: average rating, total competitors, data completeness
    */
-  calculateLocalVisibilityScore(competitors) {
+  calculateMarketScore(competitors) {
     if (!competitors || competitors.length === 0) {
       return 0;
     }
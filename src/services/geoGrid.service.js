@@ -0,0 +1,183 @@
+import { env } from '../config/index.js';
+import { getLanguageName } from '../utils/index.js';
+import { Logger } from '../utils/logger.js';
+import { t } from '../locales/index.js';
+import { geoAuditService } from './geoAudit.service.js';
+
+// Local Finder results read per point; a business ranked below this counts as not found
+const GRID_DEPTH = 20;
+const KM_PER_DEGREE = 111.32;
+
+const round = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Geo-grid scans: the same Local Finder query run from every point of a grid around a center,
+ * recording the rank of the audited business at each point. Local rankings depend on where the
+ * searcher stands, so one city-level query says little about the streets around the business.
+ */
+class GeoGridService {
+  /**
+   * Points of a size × size grid centred on `center`, evenly spaced up to `radiusKm` north, south,
+   * east and west of it. Row 0 is the northern edge, column 0 the western one.
+   */
+  buildGrid({ lat, lng }, radiusKm, size) {
+    const step = size > 1 ? (2 * radiusKm) / (size - 1) : 0;
+    const half = (size - 1) / 2;
+    const kmPerDegreeLng = KM_PER_DEGREE * Math.cos((lat * Math.PI) / 180);
+    const points = [];
+
+    for (let row = 0; row < size; row++) {
+      for (let col = 0; col < size; col++) {
+        points.push({
+          row,
+          col,
+          lat: round(lat + ((half - row) * step) / KM_PER_DEGREE, 6),
+          lng: round(lng + ((col - half) * step) / kmPerDegreeLng, 6),
+        });
+      }
+    }
+
+    return points;
+  }
+
+  /**
+   * Query Local Finder from every grid point and locate the target business
+   * @param {Object} params
+   * @param {string} params.keyword
+   * @param {string} [params.language] - Language code (e.g. 'fr')
+   * @param {string} [params.googleDomain]
+   * @param {Object} params.grid - { lat, lng, radiusKm, size }
+   * @param {Object} params.target - { name, placeId, phone, website }, matched as in geoAuditService.matchBusiness
+   * @param {Function} [onProgress] - Called with (done, total) after each point
+   * @returns {Promise<Object>} { center, radiusKm, size, zoom, depth, target, points, summary, geojson }
+   */
+  async scan({ keyword, language = null, googleDomain = null, grid, target }, onProgress = null) {
+    const languageName = language ? getLanguageName(language) : 'English';
+    const points = this.buildGrid(grid, grid.radiusKm, grid.size);
+    let next = 0;
+    let done = 0;
+
+    // A failed point is recorded as such; the rest of the grid still counts
+    const worker = async () => {
+      while (next < points.length) {
+        const point = points[next++];
+        try {
+          const data = await geoAuditService.fetchMapsData(keyword, null, languageName, googleDomain, {
+            locationCoordinate: `${point.lat},${point.lng},${env.GEO_GRID_ZOOM}z`,
+            depth: GRID_DEPTH,
+          });
+          const competitors = geoAuditService.extractCompetitors(data.items);
+          const match = geoAuditService.matchBusiness(competitors, target);
+
+          point.rank = match && match.position <= GRID_DEPTH ? match.position : null;
+          point.topResult = competitors[0]?.name || null;
+        } catch (error) {
+          Logger.error(`Geo-grid point ${point.row},${point.col} failed:`, error.message);
+          point.rank = null;
+          point.error = error.message;
+        }
+
+        done++;
+        if (onProgress) await onProgress(done, points.length);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(env.GEO_GRID_CONCURRENCY, points.length) }, worker));
+
+    return {
+      center: { lat: grid.lat, lng: grid.lng },
+      radiusKm: grid.radiusKm,
+      size: grid.size,
+      zoom: env.GEO_GRID_ZOOM,
+      depth: GRID_DEPTH,
+      target,
+      points,
+      summary: this.summarize(points),
+      geojson: this.toGeoJSON(points),
+    };
+  }
+
+  /**
+   * Average rank and shares of the points (in %) where the business is in the top 3, top 10 or found at all.
+   * `averageRank` only counts points where it was found; `averageRankAll` counts the others at depth + 1.
+   */
+  summarize(points) {
+    const checked = points.filter((point) => !point.error);
+    const found = checked.filter((point) => point.rank);
+    const share = (count) => (checked.length ? Math.round((count / checked.length) * 100) : 0);
+    const average = (ranks) => (ranks.length ? round(ranks.reduce((sum, rank) => sum + rank, 0) / ranks.length, 1) : null);
+
+    return {
+      averageRank: average(found.map((point) => point.rank)),
+      averageRankAll: average(checked.map((point) => point.rank || GRID_DEPTH + 1)),
+      top3Share: share(found.filter((point) => point.rank <= 3).length),
+      top10Share: share(found.filter((point) => point.rank <= 10).length),
+      foundShare: share(found.length),
+      pointsChecked: checked.length,
+      pointsFailed: points.length - checked.length,
+    };
+  }
+
+  getBucket(point) {
+    if (point.error) return 'failed';
+    if (!point.rank) return 'notFound';
+    if (point.rank <= 3) return 'top3';
+    if (point.rank <= 10) return 'top10';
+    return 'top20';
+  }
+
+  /**
+   * Heatmap as a GeoJSON FeatureCollection of points. `weight` goes from 1 (rank 1) to 0 (not found),
+   * ready for a heatmap layer; `bucket` is the colour class used in the PDF.
+   */
+  toGeoJSON(points) {
+    const lats = points.map((point) => point.lat);
+    const lngs = points.map((point) => point.lng);
+
+    return {
+      type: 'FeatureCollection',
+      bbox: [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)],
+      features: points.map((point) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [point.lng, point.lat] },
+        properties: {
+          row: point.row,
+          col: point.col,
+          rank: point.rank,
+          bucket: this.getBucket(point),
+          weight: point.rank ? round((GRID_DEPTH + 1 - point.rank) / GRID_DEPTH, 3) : 0,
+        },
+      })),
+    };
+  }
+
+  /**
+   * GEO recommendations about the business's visibility across the grid
+   */
+  buildRecommendations(grid, lang = 'en') {
+    const { summary, target } = grid;
+    if (!summary.pointsChecked) return [];
+
+    const recommendation = (priority, key, vars) => ({
+      priority,
+      category: 'visibility',
+      issue: t(lang, `geo.recommendations.${key}.issue`, vars),
+      action: t(lang, `geo.recommendations.${key}.action`, vars),
+      impact: priority === 'low' ? 'medium' : 'high',
+      effort: 'moderate',
+    });
+
+    if (summary.foundShare < 50) {
+      return [recommendation('critical', 'gridRarelyFound', { name: target.name, share: summary.foundShare, depth: GRID_DEPTH })];
+    }
+    if (summary.top3Share < 50) {
+      return [recommendation('high', 'gridLowTop3', { name: target.name, share: summary.top3Share, rank: summary.averageRank })];
+    }
+    if (summary.top3Share < 100) {
+      return [recommendation('low', 'gridWeakAreas', { name: target.name, share: 100 - summary.top3Share })];
+    }
+    return [];
+  }
+}
+
+export const geoGridService = new GeoGridService();
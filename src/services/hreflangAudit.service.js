@@ -0,0 +1,327 @@
+import { env, getLocaleConfig, SUPPORTED_LOCALES, DEFAULT_LOCALE } from '../config/index.js';
+import { ApiError, Logger } from '../utils/index.js';
+import { t } from '../locales/index.js';
+import { dataForSEOService } from './dataforseo.service.js';
+
+// Runs in the crawled page (DataForSEO `custom_js`): hreflang links, <html lang> and canonical
+const HREFLANG_JS = `
+var links = [];
+document.querySelectorAll('link[rel~="alternate"][hreflang]').forEach(function (link) {
+  links.push({ code: link.getAttribute('hreflang'), href: link.href });
+});
+var canonical = document.querySelector('link[rel="canonical"]');
+({ alternates: links, htmlLang: document.documentElement.getAttribute('lang'), canonical: canonical ? canonical.href : null });
+`;
+
+// ISO 639-1 language codes
+const LANGUAGE_CODES = new Set((
+  'aa ab ae af ak am an ar as av ay az ba be bg bh bi bm bn bo br bs ca ce ch co cr cs cu cv cy da de dv dz ee el en eo es '
+  + 'et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu hy hz ia id ie ig ii ik io is it iu ja jv ka kg ki kj '
+  + 'kk kl km kn ko kr ks ku kv kw ky la lb lg li ln lo lt lu lv mg mh mi mk ml mn mr ms mt my na nb nd ne ng nl nn no nr nv '
+  + 'ny oc oj om or os pa pi pl ps pt qu rm rn ro ru rw sa sc sd se sg si sk sl sm sn so sq sr ss st su sv sw ta te tg th ti '
+  + 'tk tl tn to tr ts tt tw ty ug uk ur uz ve vi vo wa wo xh yi yo za zh zu'
+).split(' '));
+
+// ISO 3166-1 alpha-2 region codes
+const REGION_CODES = new Set((
+  'AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR BS BT BV BW BY BZ CA CC CD '
+  + 'CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE EG EH ER ES ET FI FJ FK FM FO FR GA GB GD GE GF '
+  + 'GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO JP KE KG KH KI KM KN '
+  + 'KP KR KW KY KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT MU MV MW MX MY MZ NA '
+  + 'NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW PY QA RE RO RS RU RW SA SB SC SD SE SG SH SI '
+  + 'SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF TG TH TJ TK TL TM TN TO TR TT TV TZ UA UG UM US UY UZ VA VC VE VG VI VN '
+  + 'VU WF WS YE YT ZA ZM ZW'
+).split(' '));
+
+// Issue codes stored on each checked page
+export const HREFLANG_ISSUES = {
+  INVALID_CODE: 'invalid_code',
+  DUPLICATE_CODE: 'duplicate_code',
+  MISSING_SELF_REFERENCE: 'missing_self_reference',
+  MISSING_RETURN_LINK: 'missing_return_link',
+  MISSING_X_DEFAULT: 'missing_x_default',
+  LANG_MISMATCH: 'lang_mismatch',
+  NON_CANONICAL_TARGET: 'non_canonical_target',
+  BROKEN_TARGET: 'broken_target',
+};
+
+class HreflangAuditService {
+  normalizeUrl(url) {
+    return dataForSEOService.normalizeUrlForMatch(url);
+  }
+
+  /**
+   * Validate an hreflang value: `x-default`, or an ISO 639-1 language with an optional
+   * script and ISO 3166-1 region (`fr`, `fr-BE`, `zh-Hant-TW`)
+   * @returns {Object} { valid, language, region, reason }
+   */
+  parseCode(code) {
+    const value = (code || '').trim();
+    if (value.toLowerCase() === 'x-default') return { valid: true, language: null, region: null, xDefault: true };
+
+    const match = value.match(/^([a-z]{2,3})(?:-([a-z]{4}))?(?:-([a-z]{2}))?$/i);
+    if (!match) {
+      // fr_BE is the most common mistake: hreflang uses a hyphen
+      return { valid: false, reason: value.includes('_') ? 'underscore' : 'format' };
+    }
+
+    const language = match[1].toLowerCase();
+    const region = match[3]?.toUpperCase() || null;
+    if (!LANGUAGE_CODES.has(language)) return { valid: false, reason: 'language' };
+    // UK is not a region code (GB is)
+    if (region && !REGION_CODES.has(region)) return { valid: false, reason: 'region' };
+
+    return { valid: true, language, region, xDefault: false };
+  }
+
+  /**
+   * Supported locale an hreflang value targets (fr-BE -> fr_be); language-only codes match no locale
+   */
+  findLocale(language, region) {
+    if (!language || !region) return null;
+    return Object.values(SUPPORTED_LOCALES).find(
+      (config) => config.languageCode === language && config.region === region
+    ) || null;
+  }
+
+  /**
+   * Crawl a page with the hreflang script; failures are recorded on the page instead of failing the audit
+   */
+  async fetchPage(url) {
+    try {
+      const result = await dataForSEOService.fetchOnPageData(url, { customJs: HREFLANG_JS });
+      const item = result?.items?.[0] || {};
+      const extras = item.custom_js_response || {};
+
+      return {
+        url,
+        status_code: item.status_code ?? null,
+        html_lang: extras.htmlLang || null,
+        canonical: extras.canonical || item.meta?.canonical || null,
+        hreflang: (extras.alternates || []).map((alternate) => ({ code: alternate.code, href: alternate.href })),
+      };
+    } catch (error) {
+      Logger.warn(`Hreflang crawl of ${url} failed:`, error.message);
+      return { url, status_code: null, html_lang: null, canonical: null, hreflang: [], error: error.message };
+    }
+  }
+
+  /**
+   * Crawl the start page and the versions it points to, check the annotations, then check
+   * each version's ranking on its market, and complete the audit. A start page that cannot be
+   * crawled fails the run (the queue retries it); a failed version is reported on that page.
+   */
+  async runAudit(audit) {
+    const lang = getLocaleConfig(audit.locale || DEFAULT_LOCALE).language || 'en';
+
+    const start = await this.fetchPage(audit.url);
+    if (start.error) {
+      throw new ApiError(502, `Hreflang crawl of ${audit.url} failed: ${start.error}`);
+    }
+    const targets = [...new Map(
+      start.hreflang
+        .filter((alternate) => alternate.href && this.normalizeUrl(alternate.href) !== this.normalizeUrl(audit.url))
+        .map((alternate) => [this.normalizeUrl(alternate.href), alternate.href])
+    ).values()].slice(0, env.HREFLANG_MAX_PAGES);
+
+    const pages = [start, ...await Promise.all(targets.map((url) => this.fetchPage(url)))];
+    const result = this.analyze({ pages });
+    const rankings = await this.checkRankings(result.pages, audit.keywords || {});
+
+    audit.set({
+      ...result,
+      rankings,
+      recommendations: this.buildRecommendations(result.summary, rankings, lang),
+      status: 'completed',
+      error_message: null,
+    });
+    await audit.save();
+
+    return audit;
+  }
+
+  /**
+   * Per-page hreflang issues and a site summary
+   * @param {Object} params
+   * @param {Array} params.pages - From fetchPage, start page first
+   */
+  analyze({ pages }) {
+    const byUrl = new Map(pages.map((page) => [this.normalizeUrl(page.url), page]));
+
+    const analyzed = pages.map((page) => {
+      const issues = new Set();
+      const annotations = page.hreflang.map((alternate) => ({ ...alternate, ...this.parseCode(alternate.code) }));
+      const self = this.normalizeUrl(page.url);
+
+      if (page.status_code !== null && page.status_code >= 400) issues.add(HREFLANG_ISSUES.BROKEN_TARGET);
+
+      if (annotations.length > 0) {
+        if (annotations.some((annotation) => !annotation.valid)) issues.add(HREFLANG_ISSUES.INVALID_CODE);
+
+        const urlsByCode = new Map();
+        for (const annotation of annotations) {
+          const code = annotation.code.toLowerCase();
+          urlsByCode.set(code, new Set([...(urlsByCode.get(code) || []), this.normalizeUrl(annotation.href)]));
+        }
+        if ([...urlsByCode.values()].some((urls) => urls.size > 1)) issues.add(HREFLANG_ISSUES.DUPLICATE_CODE);
+
+        if (!annotations.some((annotation) => this.normalizeUrl(annotation.href) === self)) {
+          issues.add(HREFLANG_ISSUES.MISSING_SELF_REFERENCE);
+        }
+        if (!annotations.some((annotation) => annotation.xDefault)) issues.add(HREFLANG_ISSUES.MISSING_X_DEFAULT);
+
+        // Every version this page points to must point back to it
+        const missingReturn = annotations.filter((annotation) => {
+          const target = byUrl.get(this.normalizeUrl(annotation.href));
+          return target && target !== page && !target.error
+            && !target.hreflang.some((alternate) => this.normalizeUrl(alternate.href) === self);
+        });
+        if (missingReturn.length > 0) issues.add(HREFLANG_ISSUES.MISSING_RETURN_LINK);
+      }
+
+      // The code other pages use for this one, checked against its <html lang> and canonical
+      const ownAnnotation = pages
+        .flatMap((other) => other.hreflang)
+        .map((alternate) => ({ ...alternate, ...this.parseCode(alternate.code) }))
+        .find((alternate) => alternate.valid && !alternate.xDefault && this.normalizeUrl(alternate.href) === self);
+
+      const htmlLanguage = (page.html_lang || '').split(/[-_]/)[0].toLowerCase();
+      if (ownAnnotation && htmlLanguage && htmlLanguage !== ownAnnotation.language) {
+        issues.add(HREFLANG_ISSUES.LANG_MISMATCH);
+      }
+      if (page.canonical && this.normalizeUrl(page.canonical) !== self) {
+        issues.add(HREFLANG_ISSUES.NON_CANONICAL_TARGET);
+      }
+
+      const locale = ownAnnotation ? this.findLocale(ownAnnotation.language, ownAnnotation.region) : null;
+
+      return {
+        url: page.url,
+        status_code: page.status_code,
+        html_lang: page.html_lang,
+        canonical: page.canonical,
+        hreflang: annotations.map(({ code, href, valid, reason }) => ({ code, href, valid, reason: reason || null })),
+        code: ownAnnotation?.code || null,
+        locale: locale?.code || null,
+        issues: [...issues],
+      };
+    });
+
+    const summary = { pages_checked: analyzed.length };
+    for (const code of Object.values(HREFLANG_ISSUES)) {
+      summary[code] = analyzed.filter((page) => page.issues.includes(code)).length;
+    }
+    summary.invalid_codes = [...new Set(
+      analyzed.flatMap((page) => page.hreflang.filter((annotation) => !annotation.valid).map((annotation) => annotation.code))
+    )];
+    summary.has_hreflang = analyzed.some((page) => page.hreflang.length > 0);
+
+    // A Belgian site should serve both national languages
+    const locales = new Set(analyzed.map((page) => page.locale).filter(Boolean));
+    summary.missing_belgian_locales = locales.has('fr_be') || locales.has('nl_be')
+      ? ['fr_be', 'nl_be'].filter((code) => !locales.has(code))
+      : [];
+
+    const clean = analyzed.filter((page) => page.issues.length === 0).length;
+    const score = summary.has_hreflang ? Math.round((clean / analyzed.length) * 100) : 0;
+
+    return { pages: analyzed, summary, score };
+  }
+
+  /**
+   * For each version with a supported locale and a keyword, whether it is the page of the site
+   * ranking on that locale's Google domain and location
+   * @param {Array} pages - Analyzed pages
+   * @param {Object} keywords - Keyword per locale code, `default` for the others
+   */
+  async checkRankings(pages, keywords) {
+    const versions = pages.filter((page) => page.locale && (keywords[page.locale] || keywords.default));
+
+    return Promise.all(versions.map(async (page) => {
+      const config = getLocaleConfig(page.locale);
+      const keyword = keywords[page.locale] || keywords.default;
+      const base = { locale: page.locale, keyword, se_domain: config.seDomain, expected_url: page.url };
+
+      const serp = await dataForSEOService.fetchSERPData(
+        keyword,
+        config.locationName,
+        config.languageName,
+        'desktop',
+        100,
+        { seDomain: config.seDomain }
+      );
+      if (!serp) return { ...base, position: null, ranking_url: null, status: 'unavailable' };
+
+      const ranking = dataForSEOService.findOwnRanking(page.url, serp);
+      if (!ranking?.rankingUrl) return { ...base, position: null, ranking_url: null, status: 'not_ranking' };
+
+      // Another language version ranking in this market is the typical hreflang failure
+      const rankingPage = pages.find((other) => this.normalizeUrl(other.url) === this.normalizeUrl(ranking.rankingUrl));
+      const status = ranking.rankingUrlIsAudited
+        ? 'ok'
+        : rankingPage && rankingPage.locale !== page.locale ? 'wrong_version' : 'other_page';
+
+      return {
+        ...base,
+        position: ranking.domainPosition,
+        ranking_url: ranking.rankingUrl,
+        ranking_locale: rankingPage?.locale || null,
+        status,
+      };
+    }));
+  }
+
+  buildRecommendations(summary, rankings, lang) {
+    const recommendations = [];
+
+    const addRec = (priority, key, vars, effort = 'moderate') => {
+      recommendations.push({
+        priority,
+        category: 'technical',
+        issue: t(lang, `hreflang.recommendations.${key}.issue`, vars),
+        action: t(lang, `hreflang.recommendations.${key}.action`, vars),
+        impact: priority === 'critical' || priority === 'high' ? 'high' : priority === 'medium' ? 'medium' : 'low',
+        effort,
+      });
+    };
+
+    if (!summary.has_hreflang) {
+      addRec('high', 'noHreflang', {});
+      return recommendations;
+    }
+
+    const count = (code) => summary[code];
+    if (count(HREFLANG_ISSUES.BROKEN_TARGET)) addRec('critical', 'brokenTarget', { count: count(HREFLANG_ISSUES.BROKEN_TARGET) });
+    if (count(HREFLANG_ISSUES.INVALID_CODE)) addRec('high', 'invalidCode', { codes: summary.invalid_codes.join(', ') }, 'easy');
+    if (count(HREFLANG_ISSUES.MISSING_RETURN_LINK)) addRec('high', 'missingReturnLink', { count: count(HREFLANG_ISSUES.MISSING_RETURN_LINK) });
+    if (count(HREFLANG_ISSUES.DUPLICATE_CODE)) addRec('high', 'duplicateCode', { count: count(HREFLANG_ISSUES.DUPLICATE_CODE) }, 'easy');
+    if (count(HREFLANG_ISSUES.NON_CANONICAL_TARGET)) addRec('high', 'nonCanonicalTarget', { count: count(HREFLANG_ISSUES.NON_CANONICAL_TARGET) });
+    if (count(HREFLANG_ISSUES.MISSING_SELF_REFERENCE)) addRec('medium', 'missingSelfReference', { count: count(HREFLANG_ISSUES.MISSING_SELF_REFERENCE) }, 'easy');
+    if (count(HREFLANG_ISSUES.LANG_MISMATCH)) addRec('medium', 'langMismatch', { count: count(HREFLANG_ISSUES.LANG_MISMATCH) }, 'easy');
+    if (summary.missing_belgian_locales.length > 0) {
+      addRec('medium', 'missingBelgianVersion', {
+        locales: summary.missing_belgian_locales.map((code) => getLocaleConfig(code).displayName).join(', '),
+      }, 'difficult');
+    }
+    if (count(HREFLANG_ISSUES.MISSING_X_DEFAULT)) addRec('low', 'missingXDefault', { count: count(HREFLANG_ISSUES.MISSING_X_DEFAULT) }, 'easy');
+
+    for (const ranking of rankings) {
+      const vars = {
+        locale: getLocaleConfig(ranking.locale).displayName,
+        keyword: ranking.keyword,
+        seDomain: ranking.se_domain,
+        url: ranking.ranking_url,
+        rankingLocale: ranking.ranking_locale ? getLocaleConfig(ranking.ranking_locale).displayName : '-',
+      };
+      if (ranking.status === 'wrong_version') addRec('high', 'wrongVersionRanks', vars);
+      if (ranking.status === 'not_ranking') addRec('low', 'versionNotRanking', vars);
+    }
+
+    if (recommendations.length === 0) addRec('low', 'healthyHreflang', { count: summary.pages_checked }, 'easy');
+
+    const priorityOrder = { critical: 0, high: 1, medium: 2, low: 3 };
+    return recommendations.sort((a, b) => priorityOrder[a.priority] - priorityOrder[b.priority]);
+  }
+}
+
+export const hreflangAuditService = new HreflangAuditService();
@@ -2,8 +2,25 @@ export { emailService } from './email.service.js';
 export { claudeService } from './claude.service.js';
 export { dataForSEOService } from './dataforseo.service.js';
 export { gbpService } from './gbp.service.js';
+export { reviewAnalysisService } from './reviewAnalysis.service.js';
 export { geoAuditService } from './geoAudit.service.js';
+export { geoGridService } from './geoGrid.service.js';
+export { citationService } from './citation.service.js';
+export { siteAuditService } from './siteAudit.service.js';
+export { serpService } from './serp.service.js';
 export { pdfService } from './pdf.service.js';
+export { creditService } from './credit.service.js';
+export { auditQueueService } from './auditQueue.service.js';
+export { auditComparisonService } from './auditComparison.service.js';
+export { auditScheduleService } from './auditSchedule.service.js';
+export { rankTrackerService } from './rankTracker.service.js';
+export { contentGapService } from './contentGap.service.js';
+export { structuredDataService } from './structuredData.service.js';
+export { performanceService } from './performance.service.js';
+export { crawlabilityService } from './crawlability.service.js';
+export { scoringService } from './scoring.service.js';
+export { hreflangAuditService } from './hreflangAudit.service.js';
+export { bulkAuditService } from './bulkAudit.service.js';
 
 export { stripeService } from './stripe.service.js';
 export { planService } from './plan.service.js';
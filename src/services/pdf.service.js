@@ -1,5 +1,7 @@
 import { jsPDF } from 'jspdf';
 import { t } from '../locales/index.js';
+import { performanceService } from './performance.service.js';
+import { geoGridService } from './geoGrid.service.js';
 import { getLocaleConfig, DEFAULT_LOCALE } from '../config/index.js';
 
 class PDFService {
@@ -60,7 +62,7 @@ class PDFService {
     const lineHeight = 7;
     const labelCol = margin + 8;
     const valueCol = margin + 55;
-    const rowCount = audit.keyword ? 4 : 3;
+    const rowCount = 3 + (audit.keyword ? 1 : 0) + (audit.scoring ? 1 : 0);
     const infoBoxHeight = (rowCount * lineHeight) + 16;
     
     // Light background, no border
@@ -108,6 +110,20 @@ class PDFService {
     doc.setTextColor(40, 40, 40);
     const userName = user.name || user.email;
     doc.text(userName, valueCol, infoY);
+    infoY += lineHeight;
+
+    // Row 5: Scoring profile and version (audits scored before profiles existed have none)
+    if (audit.scoring) {
+      doc.setFont('helvetica', 'bold');
+      doc.setTextColor(80, 80, 80);
+      doc.text(t(lang, 'pdf.seo.scoringProfile'), labelCol, infoY);
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(40, 40, 40);
+      doc.text(t(lang, 'pdf.seo.scoringProfileValue', {
+        profile: t(lang, `seo.scoringProfiles.${audit.scoring.profile}`),
+        version: audit.scoring.version,
+      }), valueCol, infoY);
+    }
     
     y += infoBoxHeight + 10;
 
@@ -173,6 +189,12 @@ class PDFService {
       { label: audit.checks.images?.label || t(lang, 'seo.checks.images'), data: audit.checks.images },
       { label: audit.checks.links?.label || t(lang, 'seo.checks.links'), data: audit.checks.links },
     ];
+    if (audit.checks.schema?.available) {
+      checks.push({ label: audit.checks.schema.label || t(lang, 'seo.checks.schema'), data: audit.checks.schema });
+    }
+    if (audit.checks.crawlability?.available) {
+      checks.push({ label: audit.checks.crawlability.label || t(lang, 'seo.checks.crawlability'), data: audit.checks.crawlability });
+    }
     
     for (const check of checks) {
       y = this.checkPageBreak(doc, y, 18);
@@ -180,6 +202,103 @@ class PDFService {
     }
     y += 10;
 
+    // ===== STRUCTURED DATA =====
+    const schema = audit.checks.schema;
+    if (schema?.available) {
+      y = this.checkPageBreak(doc, y, 50);
+      y = this.addSectionHeader(doc, t(lang, 'pdf.seo.structuredData'), y, margin, maxWidth);
+
+      doc.setFontSize(9);
+      doc.setFont('helvetica', 'normal');
+      if (schema.parseErrors > 0) {
+        doc.setTextColor(220, 53, 69);
+        doc.text(t(lang, 'pdf.seo.structuredDataParseErrors', { count: schema.parseErrors }), margin, y);
+        y += 7;
+      }
+
+      if (schema.items.length === 0) {
+        doc.setTextColor(100, 100, 100);
+        doc.text(t(lang, 'pdf.seo.noStructuredData'), margin, y);
+        y += 10;
+      } else {
+        const rows = schema.items.map((item) => {
+          const missing = [...item.missingRequired, ...item.missingRecommended].join(', ') || '-';
+          return [
+            item.type.length > 28 ? `${item.type.substring(0, 25)}...` : item.type,
+            item.format,
+            t(lang, `pdf.seo.markupStatus.${item.status}`),
+            missing.length > 55 ? `${missing.substring(0, 52)}...` : missing,
+          ];
+        });
+        y = this.addSiteTable(
+          doc,
+          [t(lang, 'pdf.seo.typeCol'), t(lang, 'pdf.seo.formatCol'), t(lang, 'pdf.seo.statusCol'), t(lang, 'pdf.seo.missingPropertiesCol')],
+          [50, 24, 26, 86],
+          rows,
+          y,
+          margin,
+          maxWidth
+        );
+        y += 12;
+      }
+      doc.setTextColor(0);
+    }
+
+    // ===== ROBOTS.TXT & SITEMAPS =====
+    const crawlability = audit.checks.crawlability;
+    if (crawlability?.available) {
+      y = this.checkPageBreak(doc, y, 60);
+      y = this.addSectionHeader(doc, t(lang, 'pdf.seo.crawlability'), y, margin, maxWidth);
+
+      const { robots, lastmod } = crawlability;
+      const yesNo = (value) => t(lang, value ? 'seo.labels.yes' : 'seo.labels.no');
+      let robotsResult = t(lang, 'pdf.seo.robotsFound', { status: robots.status });
+      if (robots.unreachable) robotsResult = t(lang, 'pdf.seo.robotsUnreachable');
+      else if (!robots.found) robotsResult = t(lang, 'pdf.seo.robotsMissing', { status: robots.status });
+      const files = crawlability.sitemaps.files.filter((file) => file.type);
+      let pageListed = yesNo(crawlability.listed);
+      if (!crawlability.listed && crawlability.canonicalListed) pageListed = t(lang, 'pdf.seo.canonicalListed');
+
+      const rows = [
+        [t(lang, 'pdf.seo.robotsTxtRow'), robotsResult],
+        [t(lang, 'pdf.seo.googlebotRow'), robots.allowed ? t(lang, 'seo.crawlability.allowed') : t(lang, 'seo.crawlability.disallowed', { rule: robots.rule })],
+        [t(lang, 'pdf.seo.sitemapsRow'), files.length > 0 ? String(files.length) : t(lang, 'seo.crawlability.noSitemap')],
+        [t(lang, 'pdf.seo.listedUrlsRow'), String(crawlability.urlCount)],
+        [t(lang, 'pdf.seo.pageListedRow'), pageListed],
+        [t(lang, 'pdf.seo.checkedUrlsRow'), String(crawlability.checkedUrls)],
+        [t(lang, 'pdf.seo.errorUrlsRow'), String(crawlability.errorUrlCount)],
+        [t(lang, 'pdf.seo.noindexRow'), String(crawlability.noindexUrlCount)],
+        [t(lang, 'pdf.seo.canonicalRow'), String(crawlability.canonicalMismatchCount)],
+        [t(lang, 'pdf.seo.blockedRow'), String(crawlability.blocked.count)],
+        [t(lang, 'pdf.seo.lastmodRow'), t(lang, 'pdf.seo.lastmodSummary', {
+          invalid: lastmod.invalid,
+          future: lastmod.future,
+          identical: lastmod.identical ? t(lang, 'pdf.seo.lastmodIdentical') : '',
+        })],
+      ];
+      y = this.addSiteTable(doc, [t(lang, 'pdf.seo.checkCol'), t(lang, 'pdf.seo.resultCol')], [70, 116], rows, y, margin, maxWidth);
+      y += 8;
+
+      // Example URLs behind the counts
+      const truncate = (text, max) => (text.length > max ? `${text.substring(0, max - 3)}...` : text);
+      const problems = [
+        ...crawlability.errorUrls.map((entry) => [
+          entry.url,
+          entry.status ? t(lang, 'pdf.seo.httpStatus', { status: entry.status }) : t(lang, 'pdf.seo.noResponse'),
+        ]),
+        ...crawlability.noindexUrls.map((url) => [url, t(lang, 'pdf.seo.noindexRow')]),
+        ...crawlability.canonicalMismatches.map((entry) => [entry.url, t(lang, 'pdf.seo.canonicalTo', { url: entry.canonical })]),
+        ...crawlability.blocked.examples.map((url) => [url, t(lang, 'pdf.seo.blockedRow')]),
+      ].slice(0, 12).map(([url, problem]) => [truncate(url, 60), truncate(problem, 55)]);
+
+      if (problems.length > 0) {
+        y = this.checkPageBreak(doc, y, 30);
+        y = this.addSiteTable(doc, [t(lang, 'pdf.seo.urlCol'), t(lang, 'pdf.seo.problemCol')], [100, 86], problems, y, margin, maxWidth);
+        y += 12;
+      }
+      doc.setTextColor(0);
+    }
+
     // ===== KEYWORD ANALYSIS SECTION =====
     if (audit.keywordAnalysis) {
       y = this.checkPageBreak(doc, y, 80);
@@ -292,6 +411,142 @@ class PDFService {
       y += 15;
     }
 
+    // ===== CONTENT GAP =====
+    if (audit.contentGap?.topics?.length > 0) {
+      const gap = audit.contentGap;
+      y = this.checkPageBreak(doc, y, 60);
+      y = this.addSectionHeader(doc, t(lang, 'pdf.seo.contentGap'), y, margin, maxWidth);
+
+      doc.setFontSize(9);
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(100, 100, 100);
+      doc.text(
+        t(lang, 'pdf.seo.contentGapIntro', { count: gap.competitorsAnalyzed, coverage: gap.coverage ?? 0 }),
+        margin,
+        y
+      );
+      y += 6;
+
+      const rows = gap.topics.map((topic) => [
+        topic.topic.length > 65 ? `${topic.topic.substring(0, 62)}...` : topic.topic,
+        `${topic.competitorCount}/${gap.competitorsAnalyzed}`,
+        t(lang, `pdf.seo.gapStatus.${topic.status}`),
+      ]);
+      y = this.addSiteTable(
+        doc,
+        [t(lang, 'pdf.seo.topicCol'), t(lang, 'pdf.seo.competitorsCol'), t(lang, 'pdf.seo.statusCol')],
+        [110, 30, 46],
+        rows,
+        y,
+        margin,
+        maxWidth
+      );
+      y += 15;
+    }
+
+    // ===== MOBILE VS DESKTOP (dual-device audits) =====
+    if (audit.devices) {
+      const { mobile, desktop, differences = [] } = audit.devices;
+      y = this.checkPageBreak(doc, y, 80);
+      y = this.addSectionHeader(doc, t(lang, 'pdf.seo.devices'), y, margin, maxWidth);
+
+      doc.setFontSize(9);
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(100, 100, 100);
+      doc.text(
+        t(lang, 'pdf.seo.devicesIntro', {
+          score: Math.round(audit.score || 0),
+          weight: Math.round((audit.devices.mobileWeight || 0) * 100),
+          count: differences.length,
+        }),
+        margin,
+        y
+      );
+      y += 6;
+
+      const notRanking = t(lang, 'seo.devices.notRanking');
+      const truncate = (text, max) => (text && text.length > max ? text.substring(0, max - 3) + '...' : text || '');
+      const position = (side) => (side.ownRanking?.domainPosition ? `#${side.ownRanking.domainPosition}` : notRanking);
+      const rows = [
+        [t(lang, 'pdf.seo.score'), `${Math.round(mobile.score)}/100`, `${Math.round(desktop.score)}/100`],
+        [t(lang, 'pdf.seo.positionRow'), position(mobile), position(desktop)],
+        [t(lang, 'pdf.seo.rankingUrlRow'), truncate(mobile.ownRanking?.rankingUrl || '-', 40), truncate(desktop.ownRanking?.rankingUrl || '-', 40)],
+        [t(lang, 'seo.checks.wordCount'), String(mobile.checks.wordCount?.value ?? 0), String(desktop.checks.wordCount?.value ?? 0)],
+        [t(lang, 'seo.checks.h1'), String(mobile.checks.h1?.count ?? 0), String(desktop.checks.h1?.count ?? 0)],
+        [t(lang, 'seo.checks.h2'), String(mobile.checks.h2?.count ?? 0), String(desktop.checks.h2?.count ?? 0)],
+        [`${t(lang, 'seo.checks.links')} (${t(lang, 'pdf.seo.internal')})`, String(mobile.checks.links?.internal ?? 0), String(desktop.checks.links?.internal ?? 0)],
+        [t(lang, 'seo.checks.schema'), truncate(mobile.checks.schema?.value || '-', 40), truncate(desktop.checks.schema?.value || '-', 40)],
+      ];
+      y = this.addSiteTable(
+        doc,
+        [t(lang, 'pdf.seo.metricCol'), t(lang, 'pdf.seo.mobileCol'), t(lang, 'pdf.seo.desktopCol')],
+        [56, 65, 65],
+        rows,
+        y,
+        margin,
+        maxWidth
+      );
+      y += 6;
+
+      for (const difference of differences) {
+        y = this.checkPageBreak(doc, y, 8);
+        doc.setFontSize(9);
+        doc.setTextColor(...(difference.severity === 'high' ? [220, 53, 69] : [146, 64, 14]));
+        doc.text(`• ${difference.label}`, margin, y);
+        y += 5;
+      }
+      doc.setTextColor(0);
+      y += 10;
+    }
+
+    // ===== PERFORMANCE (own page) =====
+    if (audit.performance) {
+      const { mobile, desktop } = audit.performance;
+      doc.addPage();
+      y = 20;
+      y = this.addSectionHeader(doc, t(lang, 'pdf.seo.performance'), y, margin, maxWidth);
+
+      doc.setFontSize(9);
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(100, 100, 100);
+      doc.text(
+        t(lang, 'pdf.seo.performanceIntro', {
+          mobile: mobile?.score ?? '-',
+          desktop: desktop?.score ?? '-',
+        }),
+        margin,
+        y
+      );
+      y += 6;
+
+      const cell = (entry) => (entry?.status ? `${entry.displayValue} (${entry.statusLabel})` : '-');
+      const metricKeys = performanceService.getMetricKeys();
+      const rows = metricKeys.map((key) => {
+        const entry = mobile?.metrics[key] || desktop?.metrics[key];
+        return [entry.label, cell(mobile?.metrics[key]), cell(desktop?.metrics[key]), `< ${entry.threshold}`];
+      });
+      y = this.addSiteTable(
+        doc,
+        [t(lang, 'pdf.seo.metricCol'), t(lang, 'pdf.seo.mobileCol'), t(lang, 'pdf.seo.desktopCol'), t(lang, 'pdf.seo.goodCol')],
+        [66, 46, 46, 28],
+        rows,
+        y,
+        margin,
+        maxWidth
+      );
+      y += 6;
+
+      if (mobile?.metrics.inp.value == null || desktop?.metrics.inp.value == null) {
+        doc.setFontSize(8);
+        doc.setTextColor(100, 100, 100);
+        const noteLines = doc.splitTextToSize(t(lang, 'pdf.seo.inpLabNote'), maxWidth);
+        doc.text(noteLines, margin, y);
+        y += noteLines.length * 4 + 4;
+      }
+      doc.setTextColor(0);
+      y += 8;
+    }
+
     // ===== RECOMMENDATIONS SECTION =====
     if (audit.recommendations?.length > 0) {
       y = this.checkPageBreak(doc, y, 60);
@@ -367,6 +622,666 @@ class PDFService {
     return doc.output('arraybuffer');
   }
 
+  generateSiteAuditReport(audit, user) {
+    const lang = this.getLanguageFromAudit(audit);
+    const doc = new jsPDF();
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const margin = 12;
+    const maxWidth = pageWidth - (margin * 2);
+    const truncate = (text, max) => (text && text.length > max ? text.substring(0, max - 3) + '...' : text || '');
+    let y = 0;
+
+    // ===== HEADER =====
+    doc.setFillColor(37, 99, 235);
+    doc.rect(0, 0, pageWidth, 50, 'F');
+
+    doc.setFontSize(22);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(255, 255, 255);
+    doc.text(t(lang, 'pdf.site.title'), pageWidth / 2, 25, { align: 'center' });
+
+    doc.setFontSize(9);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(200, 220, 255);
+    doc.text(t(lang, 'pdf.seo.poweredBy'), pageWidth / 2, 38, { align: 'center' });
+
+    y = 60;
+
+    // ===== AUDIT INFO BOX =====
+    const lineHeight = 7;
+    const labelCol = margin + 8;
+    const valueCol = margin + 55;
+    const infoRows = [
+      [t(lang, 'pdf.site.startUrl'), truncate(audit.url, 80)],
+      [t(lang, 'pdf.site.pagesCrawled'), `${audit.summary?.pages_analyzed ?? audit.crawl?.pages_crawled ?? 0} / ${audit.max_pages}`],
+      [t(lang, 'pdf.seo.date'), this.formatEuropeanDate(audit.createdAt)],
+      [t(lang, 'pdf.seo.generatedFor'), user.name || user.email],
+    ];
+    const infoBoxHeight = (infoRows.length * lineHeight) + 16;
+
+    doc.setFillColor(248, 249, 250);
+    doc.rect(margin, y, maxWidth, infoBoxHeight, 'F');
+
+    doc.setFontSize(9);
+    let infoY = y + 12;
+    for (const [label, value] of infoRows) {
+      doc.setFont('helvetica', 'bold');
+      doc.setTextColor(80, 80, 80);
+      doc.text(label, labelCol, infoY);
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(40, 40, 40);
+      doc.text(value, valueCol, infoY);
+      infoY += lineHeight;
+    }
+
+    y += infoBoxHeight + 6;
+
+    if (audit.crawl?.partial) {
+      doc.setFontSize(8);
+      doc.setFont('helvetica', 'italic');
+      doc.setTextColor(146, 64, 14);
+      doc.text(t(lang, 'pdf.site.partialCrawl'), margin, y);
+      y += 6;
+    }
+    y += 4;
+
+    // ===== SITE HEALTH SCORE =====
+    const scoreHeight = 40;
+    doc.setFillColor(248, 249, 250);
+    doc.rect(margin, y, maxWidth, scoreHeight, 'F');
+    doc.setDrawColor(230, 230, 230);
+    doc.setLineWidth(0.5);
+    doc.rect(margin, y, maxWidth, scoreHeight, 'S');
+
+    doc.setFontSize(14);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(50, 50, 50);
+    doc.text(t(lang, 'pdf.site.score'), margin + 15, y + 18);
+
+    doc.setFontSize(9);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(120, 120, 120);
+    doc.text(t(lang, 'pdf.site.overallPerformance'), margin + 15, y + 28);
+
+    const scoreColor = this.getScoreColor(audit.score);
+    const scoreX = pageWidth - margin - 50;
+
+    doc.setFontSize(32);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(...scoreColor);
+    doc.text(`${audit.score}`, scoreX, y + 22, { align: 'center' });
+
+    doc.setFontSize(12);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(100, 100, 100);
+    doc.text('/100', scoreX + 20, y + 22);
+
+    doc.setFillColor(230, 230, 230);
+    doc.rect(scoreX - 30, y + 32, 60, 4, 'F');
+    doc.setFillColor(...scoreColor);
+    doc.rect(scoreX - 30, y + 32, (60 * audit.score) / 100, 4, 'F');
+
+    doc.setTextColor(0);
+    y += scoreHeight + 15;
+
+    // ===== CATEGORY SCORES =====
+    y = this.addSectionHeader(doc, t(lang, 'pdf.site.categoryScores'), y, margin, maxWidth);
+
+    for (const category of ['metadata', 'content', 'links', 'technical']) {
+      const value = audit.scores?.[category] ?? 0;
+      const barX = margin + 45;
+      const barWidth = maxWidth - 70;
+
+      doc.setFontSize(9);
+      doc.setFont('helvetica', 'bold');
+      doc.setTextColor(50, 50, 50);
+      doc.text(t(lang, `pdf.site.categories.${category}`), margin + 5, y + 4);
+
+      doc.setFillColor(230, 230, 230);
+      doc.rect(barX, y, barWidth, 5, 'F');
+      doc.setFillColor(...this.getScoreColor(value));
+      doc.rect(barX, y, (barWidth * value) / 100, 5, 'F');
+
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(80, 80, 80);
+      doc.text(`${value}`, margin + maxWidth - 5, y + 4, { align: 'right' });
+
+      y += 10;
+    }
+    y += 8;
+
+    // ===== ISSUE SUMMARY TABLE =====
+    const issueRows = Object.keys(t(lang, 'pdf.site.issues'))
+      .map((code) => [t(lang, `pdf.site.issues.${code}`), audit.summary?.[code] || 0])
+      .filter(([, count]) => count > 0);
+
+    if (issueRows.length > 0) {
+      y = this.checkPageBreak(doc, y, 30 + issueRows.length * 9);
+      y = this.addSectionHeader(doc, t(lang, 'pdf.site.issueSummary'), y, margin, maxWidth);
+      y = this.addSiteTable(doc, [t(lang, 'pdf.site.issueCol'), t(lang, 'pdf.site.pagesCol')], [140, 46], issueRows, y, margin, maxWidth);
+      y += 12;
+    }
+
+    // ===== ISSUE DETAILS =====
+    const listLimit = 10;
+    const addUrlList = (title, lines, total) => {
+      if (!lines.length) return;
+      y = this.checkPageBreak(doc, y, 40);
+      y = this.addSectionHeader(doc, title, y, margin, maxWidth);
+
+      doc.setFontSize(8);
+      for (const line of lines.slice(0, listLimit)) {
+        y = this.checkPageBreak(doc, y, 8);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(60, 60, 60);
+        doc.text(truncate(line, 120), margin + 5, y);
+        y += 6;
+      }
+      if (total > listLimit) {
+        doc.setTextColor(120, 120, 120);
+        doc.text(t(lang, 'pdf.site.more', { count: total - listLimit }), margin + 5, y);
+        y += 6;
+      }
+      y += 8;
+    };
+
+    const issues = audit.issues || {};
+    addUrlList(
+      t(lang, 'pdf.site.duplicateTitles'),
+      (issues.duplicate_titles || []).map((group) => `"${truncate(group.title, 60)}" (${group.urls.length}): ${group.urls.join(', ')}`),
+      issues.duplicate_titles?.length || 0
+    );
+    addUrlList(t(lang, 'pdf.site.missingH1'), issues.missing_h1 || [], audit.summary?.missing_h1 || 0);
+    addUrlList(
+      t(lang, 'pdf.site.brokenLinks'),
+      (issues.broken_links || []).map((link) => `${link.from} -> ${link.to}${link.status_code ? ` (${link.status_code})` : ''}`),
+      audit.summary?.broken_link_count || 0
+    );
+    addUrlList(t(lang, 'pdf.site.orphanPages'), issues.orphan_pages || [], audit.summary?.orphan_page || 0);
+    addUrlList(
+      t(lang, 'pdf.site.redirectChains'),
+      (issues.redirect_chains || []).map((chain) => `${chain.urls.join(' -> ')}${chain.is_loop ? ` (${t(lang, 'pdf.site.loop')})` : ''}`),
+      audit.summary?.redirect_chain_count || 0
+    );
+
+    // ===== PAGE LIST (worst pages first) =====
+    const pages = audit.pages || [];
+    if (pages.length > 0) {
+      const pageLimit = 40;
+      const rows = pages.slice(0, pageLimit).map((page) => [
+        truncate(page.url, 75),
+        page.status_code ?? '-',
+        page.score ?? '-',
+        page.issues.length,
+      ]);
+
+      y = this.checkPageBreak(doc, y, 60);
+      y = this.addSectionHeader(doc, t(lang, 'pdf.site.pages'), y, margin, maxWidth);
+      y = this.addSiteTable(
+        doc,
+        [t(lang, 'pdf.seo.urlCol'), t(lang, 'pdf.site.statusCol'), t(lang, 'pdf.site.scoreCol'), t(lang, 'pdf.site.issuesCol')],
+        [126, 20, 20, 20],
+        rows,
+        y,
+        margin,
+        maxWidth
+      );
+      if (pages.length > pageLimit) {
+        doc.setFontSize(8);
+        doc.setTextColor(120, 120, 120);
+        doc.text(t(lang, 'pdf.site.more', { count: pages.length - pageLimit }), margin + 5, y + 6);
+        y += 6;
+      }
+      y += 15;
+    }
+
+    // ===== RECOMMENDATIONS =====
+    if (audit.recommendations?.length > 0) {
+      y = this.checkPageBreak(doc, y, 60);
+      y = this.addSectionHeader(doc, t(lang, 'pdf.seo.recommendations'), y, margin, maxWidth);
+
+      for (const rec of audit.recommendations) {
+        y = this.checkPageBreak(doc, y, 35);
+        y = this.addStyledRecommendation(doc, rec, y, margin, maxWidth);
+      }
+    }
+
+    this.addFooter(doc, lang);
+
+    return doc.output('arraybuffer');
+  }
+
+  /**
+   * Merged report of a bulk audit: a summary table of every row, then one page per URL
+   * with its score, key checks and main recommendations
+   * @param {Object} batch - AuditBatch
+   * @param {Array} audits - Completed SEO audit of each row, in row order (null when there is none)
+   * @param {Object} user
+   */
+  generateBulkAuditReport(batch, audits, user) {
+    const lang = this.getLanguageFromAudit(batch);
+    const doc = new jsPDF();
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const margin = 12;
+    const maxWidth = pageWidth - (margin * 2);
+    const truncate = (text, max) => (text && text.length > max ? text.substring(0, max - 3) + '...' : text || '');
+    let y = 0;
+
+    // ===== HEADER =====
+    doc.setFillColor(37, 99, 235);
+    doc.rect(0, 0, pageWidth, 50, 'F');
+
+    doc.setFontSize(22);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(255, 255, 255);
+    doc.text(t(lang, 'pdf.bulk.title'), pageWidth / 2, 25, { align: 'center' });
+
+    doc.setFontSize(9);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(200, 220, 255);
+    doc.text(t(lang, 'pdf.seo.poweredBy'), pageWidth / 2, 38, { align: 'center' });
+
+    y = 60;
+
+    // ===== BATCH INFO BOX =====
+    const completed = audits.filter(Boolean);
+    const averageScore = completed.length
+      ? Math.round(completed.reduce((sum, audit) => sum + (audit.score || 0), 0) / completed.length)
+      : null;
+    const failed = batch.items.filter((item) => item.status === 'failed').length;
+
+    const lineHeight = 7;
+    const labelCol = margin + 8;
+    const valueCol = margin + 55;
+    const infoRows = [
+      ...(batch.name ? [[t(lang, 'pdf.bulk.batchName'), truncate(batch.name, 80)]] : []),
+      [t(lang, 'pdf.bulk.urls'), t(lang, 'pdf.bulk.urlCounts', { total: batch.total, completed: completed.length, failed })],
+      [t(lang, 'pdf.bulk.averageScore'), averageScore === null ? '-' : `${averageScore}/100`],
+      [t(lang, 'pdf.seo.date'), this.formatEuropeanDate(batch.createdAt)],
+      [t(lang, 'pdf.seo.generatedFor'), user.name || user.email],
+    ];
+    const infoBoxHeight = (infoRows.length * lineHeight) + 16;
+
+    doc.setFillColor(248, 249, 250);
+    doc.rect(margin, y, maxWidth, infoBoxHeight, 'F');
+
+    doc.setFontSize(9);
+    let infoY = y + 12;
+    for (const [label, value] of infoRows) {
+      doc.setFont('helvetica', 'bold');
+      doc.setTextColor(80, 80, 80);
+      doc.text(label, labelCol, infoY);
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(40, 40, 40);
+      doc.text(value, valueCol, infoY);
+      infoY += lineHeight;
+    }
+    y += infoBoxHeight + 10;
+
+    // ===== SUMMARY TABLE =====
+    y = this.addSectionHeader(doc, t(lang, 'pdf.bulk.summary'), y, margin, maxWidth);
+    const summaryRows = batch.items.map((item, index) => {
+      const audit = audits[index];
+      return [
+        index + 1,
+        truncate(item.url, 52),
+        truncate(item.keyword, 28),
+        audit ? audit.score : '-',
+        audit?.serpInfo?.ownRanking?.position ?? '-',
+        t(lang, `pdf.bulk.status.${item.status}`),
+      ];
+    });
+    this.addSiteTable(
+      doc,
+      ['#', t(lang, 'pdf.seo.urlCol'), t(lang, 'pdf.bulk.keywordCol'), t(lang, 'pdf.site.scoreCol'), t(lang, 'pdf.bulk.positionCol'), t(lang, 'pdf.bulk.statusCol')],
+      [10, 82, 44, 14, 14, 22],
+      summaryRows,
+      y,
+      margin,
+      maxWidth
+    );
+
+    // ===== ONE PAGE PER URL =====
+    batch.items.forEach((item, index) => {
+      const audit = audits[index];
+      doc.addPage();
+
+      doc.setFillColor(37, 99, 235);
+      doc.rect(0, 0, pageWidth, 28, 'F');
+      doc.setFontSize(9);
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(200, 220, 255);
+      doc.text(`#${index + 1} / ${batch.total}`, margin, 10);
+      doc.setFontSize(12);
+      doc.setFont('helvetica', 'bold');
+      doc.setTextColor(255, 255, 255);
+      doc.text(truncate(item.url, 85), margin, 19);
+      doc.setFontSize(8);
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(200, 220, 255);
+      doc.text(`${t(lang, 'pdf.bulk.keywordCol')}: ${truncate(item.keyword, 50)}  |  ${item.locale || '-'}  |  ${item.device}`, margin, 25);
+
+      y = 38;
+
+      if (!audit) {
+        doc.setFontSize(10);
+        doc.setTextColor(item.status === 'failed' ? 220 : 100, item.status === 'failed' ? 53 : 100, item.status === 'failed' ? 69 : 100);
+        doc.text(t(lang, item.status === 'failed' ? 'pdf.bulk.auditFailed' : 'pdf.bulk.notFinished'), margin, y);
+        if (item.error_message) {
+          doc.setFontSize(8);
+          doc.setTextColor(100, 100, 100);
+          doc.text(doc.splitTextToSize(item.error_message, maxWidth), margin, y + 8);
+        }
+        doc.setTextColor(0);
+        return;
+      }
+
+      // Score
+      const scoreColor = this.getScoreColor(audit.score);
+      doc.setFillColor(248, 249, 250);
+      doc.rect(margin, y, maxWidth, 24, 'F');
+      doc.setFontSize(12);
+      doc.setFont('helvetica', 'bold');
+      doc.setTextColor(50, 50, 50);
+      doc.text(t(lang, 'pdf.seo.score'), margin + 8, y + 14);
+      doc.setFontSize(24);
+      doc.setTextColor(...scoreColor);
+      doc.text(`${audit.score}`, pageWidth - margin - 40, y + 16, { align: 'right' });
+      doc.setFontSize(10);
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(100, 100, 100);
+      doc.text('/100', pageWidth - margin - 38, y + 16);
+      const position = audit.serpInfo?.ownRanking?.position;
+      doc.setFontSize(9);
+      doc.text(`${t(lang, 'pdf.bulk.positionCol')}: ${position ?? '-'}`, margin + 70, y + 14);
+      y += 32;
+
+      // Key checks
+      const checks = audit.checks || {};
+      const checkRows = [
+        [checks.title?.label, checks.title?.exists ? `${checks.title.length} ${t(lang, 'pdf.bulk.characters')}` : checks.title?.existsLabel, checks.title?.statusLabel],
+        [checks.description?.label, checks.description?.exists ? `${checks.description.length} ${t(lang, 'pdf.bulk.characters')}` : checks.description?.existsLabel, checks.description?.statusLabel],
+        [checks.h1?.label, checks.h1?.count, checks.h1?.statusLabel],
+        [checks.canonical?.label, checks.canonical?.existsLabel, checks.canonical?.statusLabel],
+        [checks.wordCount?.label, checks.wordCount?.value, checks.wordCount?.statusLabel],
+        [checks.links?.label, `${checks.links?.internal ?? 0} / ${checks.links?.external ?? 0} / ${checks.links?.broken ?? 0}`, checks.links?.statusLabel],
+        ...(checks.schema?.available ? [[checks.schema.label, truncate(checks.schema.value || checks.schema.existsLabel, 45), checks.schema.statusLabel]] : []),
+        ...(checks.crawlability?.available ? [[checks.crawlability.label, truncate(checks.crawlability.value, 45), checks.crawlability.statusLabel]] : []),
+        ...(audit.performance?.mobile ? [[t(lang, 'seo.performance.score'), `${audit.performance.mobile.score ?? '-'} (${t(lang, 'seo.performance.devices.mobile')})`, '']] : []),
+      ].filter(([label]) => label).map(([label, value, status]) => [truncate(label, 30), `${value ?? '-'}`, status || '']);
+
+      y = this.addSectionHeader(doc, t(lang, 'pdf.bulk.keyChecks'), y, margin, maxWidth);
+      y = this.addSiteTable(doc, [t(lang, 'pdf.seo.checkCol'), t(lang, 'pdf.bulk.valueCol'), t(lang, 'pdf.seo.statusCol')], [58, 88, 40], checkRows, y, margin, maxWidth);
+      y += 10;
+
+      // Main recommendations, one line each to keep the URL on a single page
+      y = this.addSectionHeader(doc, t(lang, 'pdf.bulk.topRecommendations'), y, margin, maxWidth);
+      const recommendations = (audit.recommendations || []).slice(0, 8);
+      doc.setFontSize(8);
+      if (recommendations.length === 0) {
+        doc.setTextColor(100, 100, 100);
+        doc.text(t(lang, 'pdf.bulk.noRecommendations'), margin + 5, y);
+      }
+      for (const rec of recommendations) {
+        const lines = doc.splitTextToSize(`${t(lang, `common.${rec.priority}`) || rec.priority} - ${rec.issue}`, maxWidth - 10).slice(0, 2);
+        if (y + lines.length * 5 > doc.internal.pageSize.getHeight() - 20) break;
+        doc.setFillColor(...(rec.priority === 'critical' ? [220, 38, 38] : rec.priority === 'high' ? [245, 158, 11] : rec.priority === 'medium' ? [234, 179, 8] : [34, 197, 94]));
+        doc.rect(margin, y - 3, 2, lines.length * 5, 'F');
+        doc.setTextColor(60, 60, 60);
+        doc.text(lines, margin + 5, y);
+        y += lines.length * 5 + 3;
+      }
+      doc.setTextColor(0);
+    });
+
+    this.addFooter(doc, lang);
+
+    return doc.output('arraybuffer');
+  }
+
+  /**
+   * Simple striped table used by the site audit and comparison reports
+   */
+  addSiteTable(doc, headers, colWidths, rows, y, margin, maxWidth) {
+    const rowHeight = 9;
+
+    const drawHeader = () => {
+      doc.setFillColor(40, 40, 40);
+      doc.rect(margin, y, maxWidth, rowHeight, 'F');
+      doc.setFontSize(8);
+      doc.setFont('helvetica', 'bold');
+      doc.setTextColor(255, 255, 255);
+      let x = margin + 5;
+      headers.forEach((header, i) => {
+        doc.text(`${header}`, x, y + 6);
+        x += colWidths[i];
+      });
+      y += rowHeight;
+    };
+
+    drawHeader();
+
+    rows.forEach((row, index) => {
+      if (y + rowHeight > doc.internal.pageSize.getHeight() - 20) {
+        doc.addPage();
+        y = 20;
+        drawHeader();
+      }
+
+      doc.setFillColor(...(index % 2 === 0 ? [250, 250, 250] : [255, 255, 255]));
+      doc.rect(margin, y, maxWidth, rowHeight, 'F');
+      doc.setDrawColor(235, 235, 235);
+      doc.setLineWidth(0.2);
+      doc.line(margin, y + rowHeight, margin + maxWidth, y + rowHeight);
+
+      doc.setFontSize(8);
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(60, 60, 60);
+      let x = margin + 5;
+      row.forEach((cell, i) => {
+        doc.text(`${cell}`, x, y + 6);
+        x += colWidths[i];
+      });
+
+      y += rowHeight;
+    });
+
+    doc.setTextColor(0);
+    return y;
+  }
+
+  /**
+   * Before/after report of two audits of the same target
+   * @param {string} type - 'seo' | 'geo' | 'gbp'
+   * @param {Object} previous - Baseline audit
+   * @param {Object} current - Newer audit
+   * @param {Object} comparison - Result of auditComparisonService.compare
+   * @param {Object} user
+   */
+  generateComparisonReport(type, previous, current, comparison, user) {
+    const lang = this.getLanguageFromAudit(current);
+    const doc = new jsPDF();
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const margin = 12;
+    const maxWidth = pageWidth - (margin * 2);
+    const truncate = (text, max) => (text && text.length > max ? text.substring(0, max - 3) + '...' : text || '');
+    const formatValue = (value) => {
+      if (value === null || value === undefined) return '-';
+      if (typeof value === 'boolean') return t(lang, value ? 'common.yes' : 'common.no');
+      if (['good', 'needsImprovement', 'poor'].includes(value)) return t(lang, `seo.labels.${value}`);
+      return `${value}`;
+    };
+    let y = 0;
+
+    // ===== HEADER =====
+    doc.setFillColor(37, 99, 235);
+    doc.rect(0, 0, pageWidth, 50, 'F');
+
+    doc.setFontSize(22);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(255, 255, 255);
+    doc.text(t(lang, 'pdf.comparison.title'), pageWidth / 2, 22, { align: 'center' });
+
+    doc.setFontSize(11);
+    doc.setFont('helvetica', 'normal');
+    doc.text(t(lang, `pdf.comparison.types.${type}`), pageWidth / 2, 31, { align: 'center' });
+
+    doc.setFontSize(9);
+    doc.setTextColor(200, 220, 255);
+    doc.text(t(lang, 'pdf.seo.poweredBy'), pageWidth / 2, 41, { align: 'center' });
+
+    y = 60;
+
+    // ===== AUDIT INFO BOX =====
+    const target = {
+      seo: `${current.url} (${current.keyword})`,
+      geo: `${current.businessName} - "${current.keyword}" ${current.location}`,
+      gbp: current.businessName,
+    }[type];
+    const lineHeight = 7;
+    const labelCol = margin + 8;
+    const valueCol = margin + 55;
+    const infoRows = [
+      [t(lang, 'pdf.comparison.target'), truncate(target, 80)],
+      [t(lang, 'pdf.comparison.before'), this.formatEuropeanDate(previous.createdAt)],
+      [t(lang, 'pdf.comparison.after'), this.formatEuropeanDate(current.createdAt)],
+      [t(lang, 'pdf.seo.generatedFor'), user.name || user.email],
+    ];
+    const infoBoxHeight = (infoRows.length * lineHeight) + 16;
+
+    doc.setFillColor(248, 249, 250);
+    doc.rect(margin, y, maxWidth, infoBoxHeight, 'F');
+
+    doc.setFontSize(9);
+    let infoY = y + 12;
+    for (const [label, value] of infoRows) {
+      doc.setFont('helvetica', 'bold');
+      doc.setTextColor(80, 80, 80);
+      doc.text(label, labelCol, infoY);
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(40, 40, 40);
+      doc.text(value, valueCol, infoY);
+      infoY += lineHeight;
+    }
+
+    y += infoBoxHeight + 10;
+
+    // ===== SCORE BEFORE / AFTER =====
+    const { score } = comparison;
+    const scoreHeight = 40;
+    const boxWidth = maxWidth / 3;
+    doc.setFillColor(248, 249, 250);
+    doc.rect(margin, y, maxWidth, scoreHeight, 'F');
+    doc.setDrawColor(230, 230, 230);
+    doc.setLineWidth(0.5);
+    doc.rect(margin, y, maxWidth, scoreHeight, 'S');
+
+    const delta = score.delta ?? 0;
+    const deltaColor = delta > 0 ? [40, 167, 69] : delta < 0 ? [220, 53, 69] : [100, 100, 100];
+    const scoreCells = [
+      [t(lang, 'pdf.comparison.before'), formatValue(score.previous), this.getScoreColor(score.previous ?? 0)],
+      [t(lang, 'pdf.comparison.after'), formatValue(score.current), this.getScoreColor(score.current ?? 0)],
+      [t(lang, 'pdf.comparison.scoreChange'), delta > 0 ? `+${delta}` : `${delta}`, deltaColor],
+    ];
+    scoreCells.forEach(([label, value, color], i) => {
+      const centerX = margin + boxWidth * i + boxWidth / 2;
+      doc.setFontSize(9);
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(120, 120, 120);
+      doc.text(label, centerX, y + 12, { align: 'center' });
+      doc.setFontSize(24);
+      doc.setFont('helvetica', 'bold');
+      doc.setTextColor(...color);
+      doc.text(value, centerX, y + 30, { align: 'center' });
+    });
+
+    doc.setTextColor(0);
+    y += scoreHeight + 15;
+
+    // ===== CHECKS =====
+    if (comparison.checks?.length > 0) {
+      const changeOrder = { regressed: 0, improved: 1, changed: 2, unchanged: 3 };
+      const rows = [...comparison.checks]
+        .sort((a, b) => changeOrder[a.change] - changeOrder[b.change])
+        .map((check) => [
+          truncate(check.label, 45),
+          truncate(formatValue(check.previous), 22),
+          truncate(formatValue(check.current), 22),
+          t(lang, `pdf.comparison.changes.${check.change}`),
+        ]);
+
+      y = this.checkPageBreak(doc, y, 40);
+      y = this.addSectionHeader(doc, t(lang, 'pdf.comparison.checks'), y, margin, maxWidth);
+      y = this.addSiteTable(
+        doc,
+        [t(lang, 'pdf.comparison.checkCol'), t(lang, 'pdf.comparison.before'), t(lang, 'pdf.comparison.after'), t(lang, 'pdf.comparison.changeCol')],
+        [80, 38, 38, 30],
+        rows,
+        y,
+        margin,
+        maxWidth
+      );
+      y += 15;
+    }
+
+    // ===== RECOMMENDATIONS THAT APPEARED / DISAPPEARED =====
+    const addIssueList = (title, issues, color) => {
+      y = this.checkPageBreak(doc, y, 30);
+      y = this.addSectionHeader(doc, title, y, margin, maxWidth);
+
+      doc.setFontSize(9);
+      if (issues.length === 0) {
+        doc.setFont('helvetica', 'italic');
+        doc.setTextColor(120, 120, 120);
+        doc.text(t(lang, 'pdf.comparison.none'), margin + 5, y);
+        y += 12;
+        return;
+      }
+
+      for (const rec of issues) {
+        const lines = doc.splitTextToSize(`${t(lang, `common.${rec.priority}`) || rec.priority} - ${rec.issue}`, maxWidth - 10);
+        y = this.checkPageBreak(doc, y, lines.length * 5 + 2);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(...color);
+        for (const line of lines) {
+          doc.text(line, margin + 5, y);
+          y += 5;
+        }
+        y += 2;
+      }
+      y += 8;
+    };
+
+    addIssueList(t(lang, 'pdf.comparison.newIssues'), comparison.recommendations.new, [153, 27, 27]);
+    addIssueList(t(lang, 'pdf.comparison.resolvedIssues'), comparison.recommendations.resolved, [22, 101, 52]);
+
+    // ===== COMPETITOR MOVEMENTS =====
+    const { moved, entered, dropped } = comparison.competitors;
+    const competitorRows = [
+      ...moved.map((c) => [truncate(c.name, 60), c.previous, c.current, c.change > 0 ? `+${c.change}` : `${c.change}`]),
+      ...entered.map((c) => [truncate(c.name, 60), '-', c.position, t(lang, 'pdf.comparison.entered')]),
+      ...dropped.map((c) => [truncate(c.name, 60), c.position, '-', t(lang, 'pdf.comparison.dropped')]),
+    ];
+
+    if (competitorRows.length > 0) {
+      y = this.checkPageBreak(doc, y, 40);
+      y = this.addSectionHeader(doc, t(lang, 'pdf.comparison.competitorMovements'), y, margin, maxWidth);
+      y = this.addSiteTable(
+        doc,
+        [t(lang, 'pdf.comparison.competitorCol'), t(lang, 'pdf.comparison.before'), t(lang, 'pdf.comparison.after'), t(lang, 'pdf.comparison.changeCol')],
+        [110, 25, 25, 26],
+        competitorRows,
+        y,
+        margin,
+        maxWidth
+      );
+    }
+
+    this.addFooter(doc, lang);
+
+    return doc.output('arraybuffer');
+  }
+
   generateGBPAuditReport(audit, user) {
     const lang = this.getLanguageFromAudit(audit);
     const doc = new jsPDF();
@@ -512,6 +1427,12 @@ class PDFService {
       y += 10;
     }
 
+    // ===== REVIEW ANALYSIS SECTION =====
+    if (audit.reviewAnalysis) {
+      y = this.addReviewAnalysis(doc, audit.reviewAnalysis, y, margin, maxWidth, lang);
+      y += 10;
+    }
+
     // ===== RECOMMENDATIONS SECTION =====
     if (audit.recommendations?.length > 0) {
       y = this.checkPageBreak(doc, y, 60);
@@ -576,13 +1497,14 @@ class PDFService {
     doc.text(audit.businessName || '', valueCol, infoY);
     infoY += lineHeight;
     
-    // Row 2: Keyword
+    // Row 2: Keyword, or the keyword set
+    const keywordSet = audit.keywords?.length > 1 ? audit.keywords.join(', ') : audit.keyword || '';
     doc.setFont('helvetica', 'bold');
     doc.setTextColor(80, 80, 80);
-    doc.text(t(lang, 'pdf.geo.keyword'), labelCol, infoY);
+    doc.text(t(lang, audit.keywords?.length > 1 ? 'pdf.geo.keywords' : 'pdf.geo.keyword'), labelCol, infoY);
     doc.setFont('helvetica', 'normal');
     doc.setTextColor(40, 40, 40);
-    doc.text(audit.keyword || '', valueCol, infoY);
+    doc.text(keywordSet.length > 80 ? `${keywordSet.substring(0, 77)}...` : keywordSet, valueCol, infoY);
     infoY += lineHeight;
     
     // Row 3: Location
@@ -659,10 +1581,22 @@ class PDFService {
     doc.setTextColor(0);
     y += scoreHeight + 15;
 
+    // ===== KEYWORD MATRIX (keyword sets) =====
+    if (audit.keywordMatrix?.keywords?.length > 0) {
+      y = this.addKeywordMatrix(doc, audit, y, margin, maxWidth, lang) + 10;
+    }
+
     // ===== BUSINESS INFORMATION SECTION =====
-    if (audit.businessInfo) {
-      const info = audit.businessInfo;
+    if (audit.businessInfo || audit.localRank) {
+      const info = audit.businessInfo || {};
+      const rank = audit.localRank;
       const businessFields = [
+        {
+          label: t(lang, 'pdf.geo.localRank'),
+          value: rank && (rank.found
+            ? t(lang, 'pdf.geo.localRankValue', { position: rank.position, depth: rank.depth })
+            : t(lang, 'pdf.geo.localRankNotFound', { depth: rank.depth })),
+        },
         { label: info.nameLabel || t(lang, 'pdf.geo.name'), value: info.name },
         { label: info.addressLabel || t(lang, 'pdf.geo.address'), value: info.address },
         { label: info.phoneLabel || t(lang, 'pdf.geo.phone'), value: info.phone },
@@ -812,6 +1746,43 @@ class PDFService {
       y += 5;
     }
 
+    // ===== DIRECTORY LISTINGS (citation check) =====
+    if (audit.citations?.directories?.length > 0) {
+      const { directories, summary } = audit.citations;
+      const truncate = (text, max) => (text.length > max ? `${text.substring(0, max - 3)}...` : text);
+
+      y = this.checkPageBreak(doc, y, 40 + directories.length * 9);
+      y = this.addSectionHeader(doc, t(lang, 'pdf.geo.citationCheck.title'), y, margin, maxWidth);
+
+      doc.setFontSize(9);
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(80, 80, 80);
+      doc.text(t(lang, 'pdf.geo.citationCheck.summary', { consistent: summary.consistent, checked: summary.checked }), margin, y - 4);
+      y += 2;
+
+      const rows = directories.map((result) => [
+        truncate(result.name, 30),
+        t(lang, `geo.citationCheck.status.${result.status}`),
+        truncate(result.mismatches.map((item) => `${t(lang, `geo.citationCheck.fields.${item.field}`)}: ${item.found}`).join('; ') || '-', 62),
+      ]);
+      y = this.addSiteTable(
+        doc,
+        [t(lang, 'pdf.geo.citationCheck.directoryCol'), t(lang, 'pdf.geo.citationCheck.statusCol'), t(lang, 'pdf.geo.citationCheck.detailsCol')],
+        [58, 34, 94],
+        rows,
+        y,
+        margin,
+        maxWidth
+      );
+      y += 12;
+    }
+
+    // ===== GEO-GRID HEATMAP (own page) =====
+    if (audit.grid?.points?.length > 0) {
+      doc.addPage();
+      y = this.addGeoGrid(doc, audit.grid, 20, margin, maxWidth, lang) + 5;
+    }
+
     // ===== RECOMMENDATIONS SECTION =====
     if (audit.recommendations?.length > 0) {
       y = this.checkPageBreak(doc, y, 60);
@@ -1264,6 +2235,145 @@ class PDFService {
     return y;
   }
 
+  /**
+   * GBP review analysis: velocity, owner responses and sentiment, then rating, monthly, language and theme tables
+   */
+  addReviewAnalysis(doc, analysis, y, margin, maxWidth, lang = 'en') {
+    y = this.checkPageBreak(doc, y, 60);
+    y = this.addSectionHeader(doc, t(lang, 'pdf.gbp.reviewAnalysis.title'), y, margin, maxWidth);
+
+    doc.setFontSize(9);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(80, 80, 80);
+
+    if (analysis.status !== 'completed') {
+      doc.text(t(lang, 'pdf.gbp.reviewAnalysis.unavailable'), margin, y - 4);
+      doc.setTextColor(0);
+      return y + 2;
+    }
+
+    const { velocity, responses, sentiment } = analysis;
+    const lines = [
+      t(lang, 'pdf.gbp.reviewAnalysis.analyzed', { fetched: analysis.fetched, total: analysis.total }),
+      t(lang, 'pdf.gbp.reviewAnalysis.velocity', { perMonth: velocity.averagePerMonth, last90: velocity.last90Days }),
+    ];
+    if (velocity.trend) {
+      lines.push(t(lang, 'pdf.gbp.reviewAnalysis.trend', { trend: t(lang, `gbp.reviews.trend.${velocity.trend}`) }));
+    }
+    lines.push(t(lang, 'pdf.gbp.reviewAnalysis.responses', { rate: responses.rate }));
+    if (responses.medianHours !== null) {
+      lines.push(t(lang, 'pdf.gbp.reviewAnalysis.responseTime', { days: Math.round((responses.medianHours / 24) * 10) / 10 }));
+    }
+    if (responses.unansweredNegative) {
+      lines.push(t(lang, 'pdf.gbp.reviewAnalysis.unansweredNegative', { count: responses.unansweredNegative }));
+    }
+    if (sentiment.score !== null) {
+      lines.push(t(lang, 'pdf.gbp.reviewAnalysis.sentimentScore', { score: sentiment.score }));
+    }
+    lines.forEach((line, index) => doc.text(line, margin, y - 4 + index * 5));
+    y += (lines.length - 1) * 5 + 2;
+
+    if (!analysis.fetched) {
+      doc.setTextColor(0);
+      return y;
+    }
+
+    const rated = Object.values(analysis.ratingDistribution).reduce((sum, count) => sum + count, 0);
+    y += 8;
+    y = this.checkPageBreak(doc, y, 75);
+    y = this.addSectionHeader(doc, t(lang, 'pdf.gbp.reviewAnalysis.ratingDistribution'), y, margin, maxWidth);
+    y = this.addSiteTable(
+      doc,
+      [t(lang, 'pdf.gbp.reviewAnalysis.ratingCol'), t(lang, 'pdf.gbp.reviewAnalysis.reviewsCol'), t(lang, 'pdf.gbp.reviewAnalysis.shareCol')],
+      [62, 62, 62],
+      [5, 4, 3, 2, 1].map((stars) => [
+        `${stars}/5`,
+        analysis.ratingDistribution[stars],
+        rated ? `${Math.round((analysis.ratingDistribution[stars] / rated) * 100)}%` : '-',
+      ]),
+      y,
+      margin,
+      maxWidth
+    );
+
+    y += 10;
+    y = this.checkPageBreak(doc, y, 40 + velocity.months.length * 9);
+    y = this.addSectionHeader(doc, t(lang, 'pdf.gbp.reviewAnalysis.monthly'), y, margin, maxWidth);
+    y = this.addSiteTable(
+      doc,
+      [t(lang, 'pdf.gbp.reviewAnalysis.monthCol'), t(lang, 'pdf.gbp.reviewAnalysis.reviewsCol'), t(lang, 'pdf.gbp.reviewAnalysis.averageRatingCol')],
+      [62, 62, 62],
+      velocity.months.map((month) => [
+        `${month.month.slice(5)}/${month.month.slice(0, 4)}`,
+        month.count,
+        month.averageRating !== null ? `${month.averageRating}/5` : '-',
+      ]),
+      y,
+      margin,
+      maxWidth
+    );
+
+    y += 10;
+    y = this.checkPageBreak(doc, y, 30 + sentiment.byLanguage.length * 9);
+    y = this.addSectionHeader(doc, t(lang, 'pdf.gbp.reviewAnalysis.sentiment'), y, margin, maxWidth);
+    y = this.addSiteTable(
+      doc,
+      [
+        t(lang, 'pdf.gbp.reviewAnalysis.languageCol'),
+        t(lang, 'pdf.gbp.reviewAnalysis.reviewsCol'),
+        t(lang, 'pdf.gbp.reviewAnalysis.positiveCol'),
+        t(lang, 'pdf.gbp.reviewAnalysis.neutralCol'),
+        t(lang, 'pdf.gbp.reviewAnalysis.negativeCol'),
+      ],
+      [50, 34, 34, 34, 34],
+      sentiment.byLanguage.map((entry) => [
+        t(lang, `gbp.reviews.languages.${entry.language}`),
+        entry.reviews,
+        entry.positive,
+        entry.neutral,
+        entry.negative,
+      ]),
+      y,
+      margin,
+      maxWidth
+    );
+
+    if (analysis.themes.length > 0) {
+      y += 10;
+      y = this.checkPageBreak(doc, y, 30 + analysis.themes.length * 9);
+      y = this.addSectionHeader(doc, t(lang, 'pdf.gbp.reviewAnalysis.themes'), y, margin, maxWidth);
+      y = this.addSiteTable(
+        doc,
+        [
+          t(lang, 'pdf.gbp.reviewAnalysis.themeCol'),
+          t(lang, 'pdf.gbp.reviewAnalysis.reviewsCol'),
+          t(lang, 'pdf.gbp.reviewAnalysis.positiveCol'),
+          t(lang, 'pdf.gbp.reviewAnalysis.negativeCol'),
+        ],
+        [84, 34, 34, 34],
+        analysis.themes.map((theme) => [t(lang, `gbp.reviews.themes.${theme.theme}`), theme.mentions, theme.positive, theme.negative]),
+        y,
+        margin,
+        maxWidth
+      );
+    }
+
+    if (analysis.keywords.length > 0) {
+      const keywords = analysis.keywords.map((keyword) => `${keyword.term} (${keyword.count})`).join(', ');
+      const keywordLines = doc.splitTextToSize(t(lang, 'pdf.gbp.reviewAnalysis.keywords', { keywords }), maxWidth);
+      y += 8;
+      y = this.checkPageBreak(doc, y, keywordLines.length * 5 + 4);
+      doc.setFontSize(9);
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(80, 80, 80);
+      keywordLines.forEach((line, index) => doc.text(line, margin, y + index * 5));
+      y += keywordLines.length * 5;
+    }
+
+    doc.setTextColor(0);
+    return y;
+  }
+
   /**
    * Add styled recommendation card - full text, no truncation
    */
@@ -1359,15 +2469,19 @@ class PDFService {
     
     y += rowHeight;
     
-    // Table rows
-    const topCompetitors = competitors.slice(0, 10);
+    // Table rows (the audited business is listed after the top 10 when it ranks lower)
+    const topCompetitors = [...competitors.slice(0, 10), ...competitors.slice(10).filter((competitor) => competitor.isTarget)];
     
     for (let i = 0; i < topCompetitors.length; i++) {
       const competitor = topCompetitors[i];
       y = this.checkPageBreak(doc, y, rowHeight + 5);
       
-      // Alternating row colors
-      doc.setFillColor(i % 2 === 0 ? 250 : 255, i % 2 === 0 ? 250 : 255, i % 2 === 0 ? 250 : 255);
+      // Alternating row colors, the audited business highlighted
+      if (competitor.isTarget) {
+        doc.setFillColor(219, 234, 254);
+      } else {
+        doc.setFillColor(i % 2 === 0 ? 250 : 255, i % 2 === 0 ? 250 : 255, i % 2 === 0 ? 250 : 255);
+      }
       doc.rect(margin, y, maxWidth, rowHeight, 'F');
       
       // Row border
@@ -1393,7 +2507,7 @@ class PDFService {
       xPos += colWidths[0];
       
       // Name (fuller)
-      doc.setFont('helvetica', 'normal');
+      doc.setFont('helvetica', competitor.isTarget ? 'bold' : 'normal');
       doc.setTextColor(40, 40, 40);
       const name = competitor.name.length > 35 ? competitor.name.substring(0, 32) + '...' : competitor.name;
       doc.text(name, xPos, y + 8);
@@ -1423,6 +2537,189 @@ class PDFService {
     return y;
   }
 
+  /**
+   * Rank of the business per keyword and the competitors found for the most keywords
+   */
+  addKeywordMatrix(doc, audit, y, margin, maxWidth, lang = 'en') {
+    const { keywords, competitors, summary } = audit.keywordMatrix;
+    const truncate = (text, max) => (text.length > max ? `${text.substring(0, max - 3)}...` : text);
+
+    y = this.checkPageBreak(doc, y, 50 + keywords.length * 9);
+    y = this.addSectionHeader(doc, t(lang, 'pdf.geo.keywordMatrix.title'), y, margin, maxWidth);
+
+    doc.setFontSize(9);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(80, 80, 80);
+    const lines = [t(lang, 'pdf.geo.keywordMatrix.aggregateScore', { keywords: summary.keywords, score: summary.localVisibilityScore })];
+    // Ranks only mean something when the audit looked for a business
+    if (audit.localRank) {
+      lines.push(t(lang, 'pdf.geo.keywordMatrix.ranking', { ranked: summary.ranked, keywords: summary.keywords, inLocalPack: summary.inLocalPack }));
+    }
+    lines.push(t(lang, 'pdf.geo.keywordMatrix.primaryNote', { keyword: keywords[0].keyword }));
+    lines.forEach((line, index) => doc.text(line, margin, y - 4 + index * 5));
+    y += (lines.length - 1) * 5 + 2;
+
+    const rank = (position) => (position ? `#${position}` : '-');
+    y = this.addSiteTable(
+      doc,
+      [
+        t(lang, 'pdf.geo.keywordMatrix.keywordCol'),
+        t(lang, 'pdf.geo.keywordMatrix.rankCol'),
+        t(lang, 'pdf.geo.keywordMatrix.localPackCol'),
+        t(lang, 'pdf.geo.keywordMatrix.scoreCol'),
+      ],
+      [96, 30, 30, 30],
+      keywords.map((row) => [
+        truncate(row.keyword, 52),
+        audit.localRank ? rank(row.position) : '-',
+        audit.localRank ? t(lang, row.inLocalPack ? 'common.yes' : 'common.no') : '-',
+        `${row.localVisibilityScore}/100`,
+      ]),
+      y,
+      margin,
+      maxWidth
+    );
+
+    if (competitors?.length > 0) {
+      y += 10;
+      y = this.checkPageBreak(doc, y, 30 + competitors.length * 9);
+      y = this.addSectionHeader(doc, t(lang, 'pdf.geo.keywordMatrix.competitorsTitle'), y, margin, maxWidth);
+      y = this.addSiteTable(
+        doc,
+        [
+          t(lang, 'pdf.geo.keywordMatrix.competitorCol'),
+          t(lang, 'pdf.geo.keywordMatrix.appearancesCol'),
+          t(lang, 'pdf.geo.keywordMatrix.averagePositionCol'),
+          t(lang, 'pdf.geo.keywordMatrix.ratingCol'),
+        ],
+        [96, 30, 30, 30],
+        competitors.map((competitor) => [
+          truncate(competitor.name || '', 52),
+          `${competitor.appearances}/${summary.keywords}`,
+          `${competitor.averagePosition}`,
+          competitor.rating ? `${competitor.rating}/5` : '-',
+        ]),
+        y,
+        margin,
+        maxWidth
+      );
+    }
+
+    return y;
+  }
+
+  /**
+   * Geo-grid heatmap: summary boxes, one coloured cell per grid point with the rank found there, and a legend
+   */
+  addGeoGrid(doc, grid, y, margin, maxWidth, lang = 'en') {
+    const bucketColors = {
+      top3: [34, 197, 94],
+      top10: [250, 204, 21],
+      top20: [249, 115, 22],
+      notFound: [239, 68, 68],
+      failed: [209, 213, 219],
+    };
+    const summary = grid.summary || {};
+
+    y = this.addSectionHeader(doc, t(lang, 'pdf.geo.grid.title'), y, margin, maxWidth);
+
+    doc.setFontSize(9);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(80, 80, 80);
+    doc.text(`${t(lang, 'pdf.geo.grid.target')}: ${grid.target?.name || ''}`, margin, y);
+    doc.text(t(lang, 'pdf.geo.grid.settings', {
+      size: grid.size,
+      radius: grid.radiusKm,
+      lat: grid.center?.lat,
+      lng: grid.center?.lng,
+    }), margin, y + 6);
+    y += 14;
+
+    // Summary boxes
+    const boxes = [
+      [t(lang, 'pdf.geo.grid.averageRank'), summary.averageRank ?? '-', t(lang, 'pdf.geo.grid.averageRankHint')],
+      [t(lang, 'pdf.geo.grid.top3Share'), `${summary.top3Share ?? 0}%`, t(lang, 'pdf.geo.grid.ofPoints')],
+      [t(lang, 'pdf.geo.grid.top10Share'), `${summary.top10Share ?? 0}%`, t(lang, 'pdf.geo.grid.ofPoints')],
+      [t(lang, 'pdf.geo.grid.foundShare'), `${summary.foundShare ?? 0}%`, t(lang, 'pdf.geo.grid.ofPoints')],
+    ];
+    const gap = 4;
+    const boxWidth = (maxWidth - gap * (boxes.length - 1)) / boxes.length;
+    boxes.forEach(([label, value, hint], index) => {
+      const x = margin + index * (boxWidth + gap);
+      doc.setFillColor(248, 249, 250);
+      doc.rect(x, y, boxWidth, 24, 'F');
+      doc.setFontSize(8);
+      doc.setFont('helvetica', 'bold');
+      doc.setTextColor(100, 100, 100);
+      doc.text(label, x + boxWidth / 2, y + 7, { align: 'center' });
+      doc.setFontSize(14);
+      doc.setTextColor(40, 40, 40);
+      doc.text(String(value), x + boxWidth / 2, y + 16, { align: 'center' });
+      doc.setFontSize(7);
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(130, 130, 130);
+      doc.text(hint, x + boxWidth / 2, y + 21, { align: 'center' });
+    });
+    y += 32;
+
+    // Grid: row 0 is north, column 0 west
+    const gridWidth = Math.min(maxWidth, 150);
+    const cell = gridWidth / grid.size;
+    const left = margin + (maxWidth - gridWidth) / 2;
+
+    doc.setFontSize(8);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(100, 100, 100);
+    doc.text(t(lang, 'pdf.geo.grid.north'), left + gridWidth / 2, y, { align: 'center' });
+    y += 3;
+
+    doc.setDrawColor(255, 255, 255);
+    doc.setLineWidth(0.8);
+    for (const point of grid.points) {
+      const x = left + point.col * cell;
+      const cellY = y + point.row * cell;
+      const bucket = geoGridService.getBucket(point);
+      doc.setFillColor(...bucketColors[bucket]);
+      doc.rect(x, cellY, cell, cell, 'FD');
+
+      doc.setFontSize(Math.min(14, cell * 0.6));
+      doc.setTextColor(bucket === 'failed' || bucket === 'top10' ? 60 : 255);
+      const label = point.error ? '?' : point.rank || `${grid.depth || 20}+`;
+      doc.text(String(label), x + cell / 2, cellY + cell / 2, { align: 'center', baseline: 'middle' });
+    }
+
+    // The audited location sits in the middle cell
+    const middle = (grid.size - 1) / 2;
+    doc.setDrawColor(37, 99, 235);
+    doc.setLineWidth(1);
+    doc.rect(left + middle * cell, y + middle * cell, cell, cell, 'S');
+    y += gridWidth + 8;
+
+    // Legend
+    doc.setFontSize(8);
+    doc.setFont('helvetica', 'normal');
+    let legendX = margin;
+    for (const [bucket, color] of Object.entries(bucketColors)) {
+      const label = t(lang, `pdf.geo.grid.legend.${bucket}`);
+      doc.setFillColor(...color);
+      doc.rect(legendX, y - 3, 4, 4, 'F');
+      doc.setTextColor(80, 80, 80);
+      doc.text(label, legendX + 6, y);
+      legendX += 10 + doc.getTextWidth(label);
+    }
+    y += 8;
+
+    if (summary.pointsFailed) {
+      doc.setFontSize(8);
+      doc.setTextColor(130, 130, 130);
+      doc.text(t(lang, 'pdf.geo.grid.failedPoints', { count: summary.pointsFailed }), margin, y);
+      y += 6;
+    }
+
+    doc.setTextColor(0);
+    return y;
+  }
+
   addGeoCompetitorTable(doc, competitors, y, lang = 'en') {
     const pageWidth = doc.internal.pageSize.getWidth();
     const startX = 20;
@@ -0,0 +1,130 @@
+import { t } from '../locales/index.js';
+
+/**
+ * Core Web Vitals thresholds (web.dev) plus Lighthouse lab metrics.
+ * At or below `good` is good, above `poor` is poor, in between needs improvement.
+ * INP needs real interactions, so lab reports usually lack it; TBT is its lab counterpart.
+ */
+const METRICS = {
+  lcp: { audit: 'largest-contentful-paint', good: 2500, poor: 4000, unit: 'ms' },
+  cls: { audit: 'cumulative-layout-shift', good: 0.1, poor: 0.25, unit: 'score' },
+  inp: { audit: ['interaction-to-next-paint', 'experimental-interaction-to-next-paint'], good: 200, poor: 500, unit: 'ms' },
+  tbt: { audit: 'total-blocking-time', good: 200, poor: 600, unit: 'ms' },
+  fcp: { audit: 'first-contentful-paint', good: 1800, poor: 3000, unit: 'ms' },
+  pageWeight: { audit: 'total-byte-weight', good: 2 * 1024 * 1024, poor: 4 * 1024 * 1024, unit: 'bytes' },
+};
+
+// Metrics that weigh on the technical score (the Core Web Vitals, TBT standing in for a missing INP)
+const CORE_METRICS = ['lcp', 'cls', 'inp'];
+
+class PerformanceService {
+  getMetricKeys() {
+    return Object.keys(METRICS);
+  }
+
+  rate(metric, value) {
+    if (value === null || value === undefined) return null;
+    const { good, poor } = METRICS[metric];
+    if (value <= good) return 'good';
+    return value <= poor ? 'needsImprovement' : 'poor';
+  }
+
+  /**
+   * Human-readable value: seconds for timings, MB/KB for weight
+   */
+  formatValue(metric, value) {
+    if (value === null || value === undefined) return '-';
+    const { unit } = METRICS[metric];
+    if (unit === 'score') return value.toFixed(2);
+    if (unit === 'bytes') {
+      return value >= 1024 * 1024 ? `${(value / (1024 * 1024)).toFixed(1)} MB` : `${Math.round(value / 1024)} KB`;
+    }
+    return value >= 1000 ? `${(value / 1000).toFixed(1)} s` : `${Math.round(value)} ms`;
+  }
+
+  /**
+   * Metrics of one Lighthouse report
+   * @param {Object|null} report - Lighthouse JSON (DataForSEO on_page/lighthouse)
+   * @returns {Object|null} { score, metrics: { lcp: { value, status, ... }, ... } }
+   */
+  extractMetrics(report, lang) {
+    if (!report?.audits) return null;
+
+    const metrics = {};
+    for (const [key, config] of Object.entries(METRICS)) {
+      const auditIds = [].concat(config.audit);
+      const audit = auditIds.map((id) => report.audits[id]).find((entry) => typeof entry?.numericValue === 'number');
+      const value = audit ? audit.numericValue : null;
+      const status = this.rate(key, value);
+
+      metrics[key] = {
+        label: t(lang, `seo.performance.metrics.${key}`),
+        value,
+        unit: config.unit,
+        displayValue: this.formatValue(key, value),
+        status,
+        statusLabel: status ? t(lang, `seo.labels.${status}`) : t(lang, 'common.notAvailable'),
+        threshold: this.formatValue(key, config.good),
+      };
+    }
+
+    const score = report.categories?.performance?.score;
+
+    return {
+      score: typeof score === 'number' ? Math.round(score * 100) : null,
+      metrics,
+    };
+  }
+
+  /**
+   * Performance of a page on mobile and desktop; a device whose report failed is null
+   */
+  buildPerformance({ mobile, desktop }, lang) {
+    const result = {
+      mobile: this.extractMetrics(mobile, lang),
+      desktop: this.extractMetrics(desktop, lang),
+    };
+    return result.mobile || result.desktop ? result : null;
+  }
+
+  /**
+   * Metrics rated worse than good on at least one device, worst device first
+   * @returns {Array} [{ metric, status, value, devices: ['mobile', ...] }]
+   */
+  getFailingMetrics(performance) {
+    if (!performance) return [];
+
+    const failing = [];
+    for (const metric of this.getMetricKeys()) {
+      const devices = ['mobile', 'desktop'].filter((device) => {
+        const status = performance[device]?.metrics[metric]?.status;
+        return status === 'poor' || status === 'needsImprovement';
+      });
+      if (devices.length === 0) continue;
+
+      const worst = devices
+        .map((device) => performance[device].metrics[metric])
+        .sort((a, b) => b.value - a.value)[0];
+      failing.push({ metric, status: worst.status, value: worst.displayValue, threshold: worst.threshold, devices });
+    }
+    return failing;
+  }
+
+  /**
+   * Points taken off the technical score, from the mobile report (Google indexes mobile-first)
+   */
+  getScorePenalty(performance) {
+    const report = performance?.mobile || performance?.desktop;
+    if (!report) return 0;
+
+    return CORE_METRICS.reduce((penalty, metric) => {
+      // TBT is the lab stand-in when INP was not measured
+      const entry = metric === 'inp' && report.metrics.inp.value === null ? report.metrics.tbt : report.metrics[metric];
+      if (entry.status === 'poor') return penalty + 8;
+      if (entry.status === 'needsImprovement') return penalty + 3;
+      return penalty;
+    }, 0);
+  }
+}
+
+export const performanceService = new PerformanceService();
@@ -0,0 +1,424 @@
+import { TrackedKeyword, KeywordRanking, User } from '../models/index.js';
+import { computeNextRun } from '../models/auditSchedule.model.js';
+import { env, getLocaleConfig } from '../config/index.js';
+import { ApiError, Logger, enums } from '../utils/index.js';
+import { dataForSEOService } from './dataforseo.service.js';
+import { creditService } from './credit.service.js';
+import { emailService } from './email.service.js';
+
+// Organic results checked per keyword; a domain below this is recorded as not ranking
+const TRACKING_DEPTH = 100;
+// A claimed keyword not released after this long is picked up again
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+// A failed check is retried after this long instead of waiting for the next day
+const RETRY_AFTER_ERROR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Approximate organic click-through rate by position, used for the visibility index
+const CTR_BY_POSITION = [0.317, 0.247, 0.187, 0.136, 0.095, 0.062, 0.042, 0.031, 0.028, 0.025];
+const CTR_PAGE_TWO = 0.01;
+
+class RankTrackerService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  normalizeDomain(domain) {
+    return domain.trim().toLowerCase()
+      .replace(/^https?:\/\//, '')
+      .replace(/^www\./, '')
+      .replace(/\/.*$/, '');
+  }
+
+  /**
+   * Best organic position of `domain` (or one of its subdomains) in a SERP
+   * @returns {Object|null} { position, url }
+   */
+  findDomainPosition(organicResults, domain) {
+    const match = organicResults.find((item) => dataForSEOService.matchesDomain(item.domain, domain));
+
+    return match ? { position: match.position, url: match.url } : null;
+  }
+
+  ctr(position) {
+    if (!position) return 0;
+    if (position <= CTR_BY_POSITION.length) return CTR_BY_POSITION[position - 1];
+    return position <= 20 ? CTR_PAGE_TWO : 0;
+  }
+
+  /**
+   * Share of the clicks the keywords would get if they all ranked first (0-100)
+   * @param {Array<number|null>} positions
+   */
+  computeVisibility(positions) {
+    if (positions.length === 0) return 0;
+    const clicks = positions.reduce((sum, position) => sum + this.ctr(position), 0);
+    return Math.round((clicks / (positions.length * CTR_BY_POSITION[0])) * 10000) / 100;
+  }
+
+  averagePosition(positions) {
+    const ranking = positions.filter((position) => position !== null);
+    if (ranking.length === 0) return null;
+    return Math.round((ranking.reduce((sum, position) => sum + position, 0) / ranking.length) * 10) / 10;
+  }
+
+  getAlertThreshold(tracked) {
+    return tracked.alert_threshold || env.RANK_DROP_ALERT_THRESHOLD;
+  }
+
+  /**
+   * Keywords a subscription may track: plan.limits.tracked_keywords, capped by RANK_TRACKING_MAX_KEYWORDS
+   */
+  getKeywordLimit(subscription) {
+    return Math.min(subscription?.plan_id?.limits?.tracked_keywords || 0, env.RANK_TRACKING_MAX_KEYWORDS);
+  }
+
+  /**
+   * Count, insert, then count again: parallel requests can all pass the first count, so a
+   * keyword that finds more than `limit` keywords created up to itself is removed again.
+   * @param {Object} subscription - Active subscription with its plan populated (see requireSubscription)
+   */
+  async addKeyword(userId, { domain, keyword, locale, device, project, alertThreshold }, subscription) {
+    const limit = this.getKeywordLimit(subscription);
+    if (limit === 0) {
+      throw new ApiError(403, 'Your plan does not include rank tracking. Please upgrade your plan.');
+    }
+
+    const overLimit = () => new ApiError(403, `Your plan allows up to ${limit} tracked keywords. Please upgrade your plan.`);
+
+    const count = await TrackedKeyword.countDocuments({ user: userId });
+    if (count >= limit) {
+      throw overLimit();
+    }
+
+    let tracked;
+    try {
+      tracked = await TrackedKeyword.create({
+        user: userId,
+        domain: this.normalizeDomain(domain),
+        keyword,
+        locale,
+        device,
+        project,
+        alert_threshold: alertThreshold ?? null,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ApiError(409, 'This keyword is already tracked for this domain, locale and device');
+      }
+      throw error;
+    }
+
+    // ObjectIds grow with creation time: the keywords created last are the ones over the limit
+    const rank = await TrackedKeyword.countDocuments({ user: userId, _id: { $lte: tracked._id } });
+    if (rank > limit) {
+      await TrackedKeyword.deleteOne({ _id: tracked._id });
+      throw overLimit();
+    }
+
+    return tracked;
+  }
+
+  // ----- Checks -----
+
+  /**
+   * Fetch the SERP for a tracked keyword and record today's position
+   * @returns {Promise<Object>} { ranking, drop } - `drop` is set when the alert threshold was crossed
+   */
+  async checkKeyword(tracked) {
+    const localeConfig = getLocaleConfig(tracked.locale);
+    const serp = await dataForSEOService.fetchSERPData(
+      tracked.keyword,
+      localeConfig.locationName,
+      localeConfig.languageName,
+      tracked.device,
+      TRACKING_DEPTH
+    );
+
+    // fetchSERPData returns null on API errors; never record that as "not ranking"
+    if (!serp) {
+      throw new ApiError(502, 'SERP data could not be fetched');
+    }
+
+    const now = new Date();
+    const found = this.findDomainPosition(serp.organicResults || [], tracked.domain);
+    const position = found?.position ?? null;
+    const previous = tracked.current?.position ?? null;
+
+    // Dropping out of the tracked depth counts as falling to just below it
+    const lost = previous !== null ? (position ?? TRACKING_DEPTH + 1) - previous : 0;
+    const drop = lost >= this.getAlertThreshold(tracked)
+      ? { tracked, previous, position, lost }
+      : null;
+
+    const ranking = await KeywordRanking.findOneAndUpdate(
+      { tracked_keyword: tracked._id, date: now.toISOString().slice(0, 10) },
+      {
+        $set: {
+          user: tracked.user,
+          project: tracked.project,
+          checked_at: now,
+          position,
+          url: found?.url ?? null,
+          serp_features: serp.serpFeatures || [],
+          alerted: Boolean(drop),
+        },
+      },
+      { upsert: true, new: true }
+    );
+
+    const best = tracked.best_position;
+    await TrackedKeyword.updateOne({ _id: tracked._id }, {
+      $set: {
+        current: { position, url: found?.url ?? null, serp_features: serp.serpFeatures || [], checked_at: now },
+        previous_position: previous,
+        best_position: position !== null && (best === null || position < best) ? position : best,
+        last_error: null,
+      },
+    });
+
+    return { ranking, drop };
+  }
+
+  async claimNext() {
+    const now = new Date();
+
+    return TrackedKeyword.findOneAndUpdate(
+      {
+        is_active: true,
+        next_check_at: { $lte: now },
+        $or: [{ locked_until: null }, { locked_until: { $lt: now } }],
+      },
+      { $set: { locked_until: new Date(now.getTime() + CLAIM_TIMEOUT_MS) } },
+      { sort: { next_check_at: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Whether a user's plan still includes rank tracking; cached for one run in `cache`
+   */
+  async canTrack(userId, cache) {
+    const key = userId.toString();
+    if (!cache.has(key)) {
+      const subscription = await creditService.getActiveSubscription(userId);
+      cache.set(key, Boolean(subscription?.isActive()) && this.getKeywordLimit(subscription) > 0);
+    }
+    return cache.get(key);
+  }
+
+  /**
+   * Check one claimed keyword and release it until its next check
+   * @param {Object} run - Counters and per-user maps shared by the workers of one runDue call
+   */
+  async processClaimed(tracked, run) {
+    const update = {
+      // Keeps the time of day of the first check
+      next_check_at: computeNextRun(tracked.next_check_at, enums.SCHEDULE_FREQUENCIES.DAILY, new Date()),
+      locked_until: null,
+    };
+
+    if (!(await this.canTrack(tracked.user, run.trackingByUser))) {
+      run.skipped++;
+      update.last_error = 'Active subscription with rank tracking required';
+      await TrackedKeyword.updateOne({ _id: tracked._id }, { $set: update });
+      return;
+    }
+
+    try {
+      const { drop } = await this.checkKeyword(tracked);
+      run.checked++;
+
+      if (drop) {
+        const key = tracked.user.toString();
+        run.dropsByUser.set(key, [...(run.dropsByUser.get(key) || []), drop]);
+      }
+    } catch (error) {
+      run.failed++;
+      Logger.error(`Rank check for tracked keyword ${tracked._id} failed:`, error.message);
+      update.last_error = error.message;
+      update.next_check_at = new Date(Date.now() + RETRY_AFTER_ERROR_MS);
+    }
+
+    await TrackedKeyword.updateOne({ _id: tracked._id }, { $set: update });
+  }
+
+  /**
+   * Check due keywords until none is left or the time budget is spent, then send one drop alert per user.
+   * `concurrency` workers claim keywords in parallel; no new keyword is claimed once `budgetMs` has passed,
+   * so the budget must leave room for one SERP call within the caller's own time limit.
+   * Keywords of users whose plan no longer includes rank tracking are skipped until the next day.
+   * @returns {Promise<Object>} { checked, failed, skipped, alerts }
+   */
+  async runDue({ budgetMs = env.RANK_TRACKER_RUN_BUDGET_MS, concurrency = env.RANK_TRACKER_CONCURRENCY } = {}) {
+    const deadline = Date.now() + budgetMs;
+    const run = { checked: 0, failed: 0, skipped: 0, dropsByUser: new Map(), trackingByUser: new Map() };
+
+    const worker = async () => {
+      while (Date.now() < deadline) {
+        const tracked = await this.claimNext();
+        if (!tracked) return;
+        await this.processClaimed(tracked, run);
+      }
+    };
+    await Promise.all(Array.from({ length: concurrency }, worker));
+
+    for (const [userId, drops] of run.dropsByUser) {
+      await this.sendDropAlert(userId, drops);
+    }
+
+    return { checked: run.checked, failed: run.failed, skipped: run.skipped, alerts: run.dropsByUser.size };
+  }
+
+  async sendDropAlert(userId, drops) {
+    const user = await User.findById(userId).select('email name preferred_locale');
+    if (!user) return;
+
+    await emailService.sendRankDropEmail(user.email, {
+      userName: user.name,
+      locale: user.preferred_locale,
+      drops: drops.map(({ tracked, previous, position, lost }) => ({
+        keyword: tracked.keyword,
+        domain: tracked.domain,
+        project: tracked.project,
+        device: tracked.device,
+        previous,
+        position,
+        lost,
+      })),
+    });
+  }
+
+  // ----- Reporting -----
+
+  /**
+   * Position history of one keyword over the last `days` days
+   */
+  async getKeywordHistory(tracked, days = 30) {
+    const from = new Date(Date.now() - days * DAY_MS).toISOString().slice(0, 10);
+    const history = await KeywordRanking.find({ tracked_keyword: tracked._id, date: { $gte: from } })
+      .sort({ date: 1 })
+      .select('date position url serp_features alerted -_id')
+      .lean();
+
+    const ranking = history.map((entry) => entry.position).filter((position) => position !== null);
+
+    return {
+      history,
+      average_position: this.averagePosition(ranking),
+      best_position: ranking.length > 0 ? Math.min(...ranking) : null,
+      days_ranking: ranking.length,
+    };
+  }
+
+  /**
+   * Average position and visibility index of a project, now and day by day
+   */
+  async getProjectSummary(userId, project, days = 30) {
+    const keywords = await TrackedKeyword.find({ user: userId, project }).lean();
+    if (keywords.length === 0) {
+      throw new ApiError(404, 'Project not found');
+    }
+
+    const from = new Date(Date.now() - days * DAY_MS).toISOString().slice(0, 10);
+    const rankings = await KeywordRanking.find({ user: userId, project, date: { $gte: from } })
+      .select('tracked_keyword date position')
+      .lean();
+
+    // Day by day, over the keywords that were checked that day
+    const positionsByDate = new Map();
+    for (const ranking of rankings) {
+      positionsByDate.set(ranking.date, [...(positionsByDate.get(ranking.date) || []), ranking.position]);
+    }
+    const history = [...positionsByDate.keys()].sort().map((date) => {
+      const positions = positionsByDate.get(date);
+      return {
+        date,
+        average_position: this.averagePosition(positions),
+        visibility: this.computeVisibility(positions),
+        keywords_checked: positions.length,
+      };
+    });
+
+    const checked = keywords.filter((k) => k.current?.checked_at);
+    const currentPositions = checked.map((k) => k.current.position ?? null);
+
+    return {
+      project,
+      keywords_tracked: keywords.length,
+      keywords_ranking: currentPositions.filter((p) => p !== null).length,
+      top_3: currentPositions.filter((p) => p !== null && p <= 3).length,
+      top_10: currentPositions.filter((p) => p !== null && p <= 10).length,
+      average_position: this.averagePosition(currentPositions),
+      visibility: this.computeVisibility(currentPositions),
+      history,
+      keywords: keywords.map((k) => ({
+        _id: k._id,
+        keyword: k.keyword,
+        domain: k.domain,
+        locale: k.locale,
+        device: k.device,
+        position: k.current?.position ?? null,
+        previous_position: k.previous_position,
+        change: k.previous_position !== null && k.current?.position != null
+          ? k.previous_position - k.current.position
+          : null,
+        url: k.current?.url ?? null,
+        serp_features: k.current?.serp_features || [],
+        checked_at: k.current?.checked_at ?? null,
+      })),
+    };
+  }
+
+  /**
+   * Projects of a user with their current average position and visibility
+   */
+  async getProjects(userId) {
+    const keywords = await TrackedKeyword.find({ user: userId }).select('project current').lean();
+
+    const byProject = new Map();
+    for (const k of keywords) {
+      byProject.set(k.project, [...(byProject.get(k.project) || []), k]);
+    }
+
+    return [...byProject].map(([project, list]) => {
+      const positions = list.filter((k) => k.current?.checked_at).map((k) => k.current.position ?? null);
+      return {
+        project,
+        keywords_tracked: list.length,
+        average_position: this.averagePosition(positions),
+        visibility: this.computeVisibility(positions),
+      };
+    }).sort((a, b) => a.project.localeCompare(b.project));
+  }
+
+  /**
+   * Check due keywords on an interval (long-running server only)
+   */
+  start(intervalMs = env.RANK_TRACKER_INTERVAL_MS) {
+    if (this.timer) return;
+
+    this.timer = setInterval(async () => {
+      if (this.running) return;
+      this.running = true;
+      try {
+        await this.runDue();
+      } catch (error) {
+        Logger.error('Rank tracker run failed:', error.message);
+      } finally {
+        this.running = false;
+      }
+    }, intervalMs);
+    this.timer.unref?.();
+    Logger.log(`Rank tracker checking every ${intervalMs}ms`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+export const rankTrackerService = new RankTrackerService();
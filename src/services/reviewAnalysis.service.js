@@ -0,0 +1,464 @@
+import { t } from '../locales/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Months of review velocity reported, the current one included
+const VELOCITY_MONTHS = 12;
+
+// Checklist thresholds
+const MIN_REVIEWS_PER_MONTH = 2;
+const MIN_RESPONSE_RATE = 80;
+const MAX_RESPONSE_DAYS = 2;
+const MIN_SENTIMENT_SCORE = 70;
+
+// A theme with this many negative reviews, and no more positive ones, gets a recommendation
+const NEGATIVE_THEME_MIN_REVIEWS = 2;
+
+// Reviews kept on the audit, newest first
+const LATEST_REVIEWS = 20;
+const LATEST_REVIEW_TEXT = 500;
+
+const normalize = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+/**
+ * Words of a review, with contractions that carry a negation ("don't", "n'est") made explicit
+ */
+const tokenize = (text) => normalize(text)
+  .replace(/n['’]t\b/g, ' not')
+  .replace(/\bn['’]/g, 'ne ')
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+// A negation only reaches the words of its own clause ("Never again, avoid")
+const tokenizeClauses = (text) => String(text || '').split(/[.,;:!?()]+/).map(tokenize).filter((clause) => clause.length);
+
+// Word lists per language. An entry ending in "*" also matches the words it starts ("recommend*": "recommended").
+const wordList = (entries) => {
+  const words = entries.map(normalize);
+  const exact = new Set(words.filter((word) => !word.endsWith('*')));
+  const prefixes = words.filter((word) => word.endsWith('*')).map((word) => word.slice(0, -1));
+  return (token) => exact.has(token) || prefixes.some((prefix) => token.startsWith(prefix));
+};
+
+// Frequent words that tell the three languages apart
+const LANGUAGE_MARKERS = {
+  en: new Set(['the', 'and', 'was', 'very', 'with', 'for', 'they', 'were', 'are', 'this', 'you', 'not', 'but', 'have', 'had', 'my', 'our', 'would', 'again', 'will']),
+  fr: new Set(['le', 'la', 'les', 'et', 'est', 'tres', 'avec', 'pour', 'une', 'des', 'nous', 'vous', 'pas', 'mais', 'tout', 'sont', 'etait', 'je', 'du', 'au', 'qui', 'ne', 'un']),
+  nl: new Set(['het', 'een', 'en', 'zeer', 'heel', 'met', 'voor', 'niet', 'maar', 'wij', 'zijn', 'ook', 'erg', 'van', 'op', 'dat', 'ik', 'geen', 'naar', 'bij', 'wel']),
+};
+
+const LEXICONS = {
+  en: {
+    positive: wordList([
+      'great', 'excellent', 'amazing', 'awesome', 'fantastic', 'friendly', 'helpful', 'professional', 'recommend*', 'perfect*',
+      'love*', 'best', 'good', 'nice', 'wonderful', 'quick*', 'fast', 'efficient*', 'clean', 'polite', 'kind', 'reliable',
+      'satisf*', 'happy', 'pleasant', 'delicious', 'outstanding', 'superb', 'attentive', 'courteous', 'punctual', 'thank*',
+      'competent', 'fair', 'knowledgeable', 'brilliant', 'impressed', 'smooth',
+    ]),
+    negative: wordList([
+      'bad', 'terrible', 'awful', 'horrible', 'poor*', 'rude', 'slow*', 'dirty', 'expensive', 'overpriced', 'disappoint*',
+      'worst', 'unprofessional', 'unfriendly', 'late', 'mistake*', 'problem*', 'broken', 'noisy', 'scam*', 'avoid', 'refund*',
+      'complain*', 'careless', 'incompetent', 'useless', 'unacceptable', 'nasty', 'damage*', 'wrong', 'waste*', 'ignored',
+    ]),
+    negations: new Set(['not', 'no', 'never', 'nothing', 'hardly', 'without']),
+  },
+  fr: {
+    positive: wordList([
+      'excellent*', 'super', 'superbe*', 'parfait*', 'génial*', 'top', 'bon', 'bonne', 'bons', 'bonnes', 'bien', 'sympa*',
+      'agréable*', 'aimable*', 'accueillant*', 'professionnel*', 'rapide*', 'efficace*', 'propre*', 'recommand*', 'merci',
+      'ravi*', 'satisfait*', 'chaleureu*', 'compétent*', 'serviable*', 'délicieu*', 'impeccable*', 'magnifique*', 'formidable*',
+      'attentionné*', 'ponctuel*', 'soigné*', 'agreable*',
+    ]),
+    negative: wordList([
+      'mauvais*', 'nul', 'nulle', 'horrible*', 'décevant*', 'déçu*', 'déception', 'lent*', 'sale', 'cher', 'chère', 'chers',
+      'chères', 'arnaque*', 'désagréable*', 'impoli*', 'incompétent*', 'retard*', 'problème*', 'pire', 'éviter', 'catastroph*',
+      'inadmissible', 'inacceptable', 'lamentable', 'bruyant*', 'plainte*', 'rembours*', 'honte*', 'méprisant*', 'mal',
+    ]),
+    negations: new Set(['ne', 'pas', 'jamais', 'rien', 'aucun', 'aucune', 'sans']),
+  },
+  nl: {
+    positive: wordList([
+      'goed', 'goede', 'prima', 'super', 'uitstekend*', 'geweldig*', 'top', 'vriendelijk*', 'behulpzaam*', 'professioneel',
+      'professionele', 'snel', 'snelle', 'netjes', 'proper', 'schoon', 'aanrader', 'aanbevol*', 'tevreden*', 'fijn*', 'lekker*',
+      'perfect*', 'correct*', 'bedankt', 'dank*', 'vakkundig*', 'deskundig*', 'efficiënt*', 'aangena*', 'hartelijk*',
+      'betrouwba*', 'stipt*', 'topper',
+    ]),
+    negative: wordList([
+      'slecht*', 'vreselijk*', 'onvriendelijk*', 'traag', 'trage', 'vies*', 'vuil*', 'duur', 'dure', 'teleurgesteld*',
+      'teleurstell*', 'onbeleefd*', 'onprofessione*', 'oplichter*', 'klacht*', 'probleem', 'problemen', 'waardeloos*',
+      'belachelijk*', 'onbeschoft*', 'afrader', 'slordig*', 'lawaai*', 'chaotisch*', 'schande*', 'nalatig*',
+    ]),
+    negations: new Set(['niet', 'geen', 'nooit', 'zonder', 'nergens']),
+  },
+};
+
+// Recurring review themes and the words that mention them, all three languages together
+const THEMES = {
+  service: wordList([
+    'service*', 'staff', 'employee*', 'team', 'owner', 'manager', 'personnel', 'équipe', 'employé*', 'patron*', 'vendeu*',
+    'serveu*', 'accueil*', 'conseil*', 'personeel', 'medewerker*', 'eigenaar', 'bediening', 'klantenservice', 'advies',
+    'dienstverlening',
+  ]),
+  price: wordList([
+    'price*', 'cost*', 'expensive', 'cheap*', 'overpriced', 'value', 'money', 'bill', 'quote', 'prix', 'tarif*', 'cher', 'chère',
+    'coût*', 'factur*', 'devis', 'argent', 'prijs*', 'duur', 'dure', 'goedkoop*', 'kost*', 'factuur', 'offerte', 'geld',
+  ]),
+  quality: wordList([
+    'quality', 'work', 'job', 'result*', 'product*', 'qualité', 'travail', 'boulot', 'résultat*', 'produit*', 'kwaliteit',
+    'werk', 'resultaat', 'product*',
+  ]),
+  timing: wordList([
+    'wait*', 'quick*', 'fast', 'slow*', 'delay*', 'appointment*', 'punctual*', 'late', 'attente', 'attendre', 'attendu*',
+    'rapide*', 'lent*', 'délai*', 'retard*', 'rendez', 'ponctuel*', 'wacht*', 'snel', 'snelle', 'traag', 'trage', 'vertraging',
+    'afspraak*', 'stipt*',
+  ]),
+  cleanliness: wordList([
+    'clean*', 'dirty', 'hygien*', 'tidy', 'propre*', 'sale', 'propreté', 'hygièn*', 'schoon', 'proper', 'netjes', 'vies*',
+    'vuil*', 'hygiën*',
+  ]),
+  location: wordList([
+    'location', 'parking', 'access*', 'emplacement', 'stationnement', 'accès', 'quartier', 'situé*', 'ligging', 'locatie',
+    'parkeer*', 'bereikba*',
+  ]),
+  communication: wordList([
+    'communicat*', 'phone', 'call*', 'answer*', 'email', 'contact*', 'téléphon*', 'appel*', 'répond*', 'réponse*', 'joindre',
+    'communicatie', 'telefo*', 'bellen', 'gebeld', 'antwoord*',
+  ]),
+};
+
+// Words left out of the frequent keywords: function words of the three languages and review filler
+const STOP_WORDS = new Set([
+  ...Object.values(LANGUAGE_MARKERS).flatMap((words) => [...words]),
+  'about', 'after', 'also', 'been', 'before', 'could', 'from', 'here', 'just', 'more', 'much', 'only', 'really', 'some', 'than',
+  'that', 'them', 'then', 'there', 'these', 'time', 'what', 'when', 'which', 'who', 'your', 'their', 'everything', 'even',
+  'aussi', 'avait', 'beaucoup', 'trop', 'peu', 'avoir', 'bien', 'cette', 'comme', 'dans', 'elle', 'encore', 'fait', 'faire', 'leur', 'lors', 'meme', 'nos',
+  'notre', 'plus', 'sans', 'ses', 'son', 'sur', 'toujours', 'tous', 'toute', 'tres', 'votre', 'vraiment', 'ete', 'ils', 'sont',
+  'alles', 'altijd', 'deze', 'die', 'dit', 'door', 'echt', 'hebben', 'heeft', 'hier', 'hun', 'kan', 'meer', 'nog', 'onze',
+  'over', 'tot', 'uit', 'veel', 'werd', 'wordt', 'zeker', 'zich', 'zo', 'om', 'als', 'wat', 'had', 'hadden',
+]);
+
+const KEYWORD_COUNT = 15;
+
+const parseDate = (value) => {
+  if (!value) return null;
+  // DataForSEO timestamps: "2026-09-14 08:12:45 +00:00"
+  const date = new Date(String(value).replace(/^(\S+) (\S+) ([+-]\d{2}:\d{2})$/, '$1T$2$3'));
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const monthKey = (date) => date.toISOString().slice(0, 7);
+
+const round = (value, decimals = 1) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Analysis of a Google Business Profile's reviews: velocity per month, rating distribution, owner
+ * responses, sentiment in the review's own language (English, French or Dutch) and recurring themes.
+ * Sentiment comes from word lists with negation ("pas cher", "niet goed"); a review without any
+ * listed word, or in another language, takes the sentiment of its star rating.
+ */
+class ReviewAnalysisService {
+  /**
+   * @param {Object[]} reviews - { rating, text, language, date, ownerAnswer, ownerAnswerDate }, as gbpService.extractReviews returns them
+   * @param {Object} [options]
+   * @param {number} [options.total] - Reviews the profile has, when more than were fetched
+   * @param {string} [options.businessName] - Left out of the frequent keywords
+   * @param {Date} [options.now]
+   * @returns {Object} { status: 'completed', fetched, total, ratingDistribution, velocity, responses, sentiment, themes, keywords, latest }
+   */
+  analyze(reviews, { total = null, businessName = null, now = new Date() } = {}) {
+    const analyzed = reviews
+      .map((review) => {
+        const date = parseDate(review.date);
+        const clauses = tokenizeClauses(review.text);
+        const tokens = clauses.flat();
+        const language = this.detectLanguage(tokens, review.language);
+        const answeredAt = review.ownerAnswer ? parseDate(review.ownerAnswerDate) : null;
+        return {
+          ...review,
+          date,
+          tokens,
+          language,
+          sentiment: this.scoreSentiment(clauses, language, review.rating),
+          responded: Boolean(review.ownerAnswer),
+          responseHours: date && answeredAt ? Math.max((answeredAt - date) / (60 * 60 * 1000), 0) : null,
+        };
+      })
+      .sort((a, b) => (b.date?.getTime() || 0) - (a.date?.getTime() || 0));
+
+    const rated = analyzed.filter((review) => review.rating);
+
+    return {
+      status: 'completed',
+      fetched: analyzed.length,
+      total: Math.max(total || 0, analyzed.length),
+      averageRating: rated.length ? round(average(rated.map((review) => review.rating))) : null,
+      ratingDistribution: Object.fromEntries([5, 4, 3, 2, 1].map((stars) => [
+        stars,
+        rated.filter((review) => Math.round(review.rating) === stars).length,
+      ])),
+      velocity: this.buildVelocity(analyzed, total, now),
+      responses: this.buildResponses(analyzed),
+      sentiment: this.buildSentiment(analyzed),
+      themes: this.buildThemes(analyzed),
+      keywords: this.buildKeywords(analyzed, businessName),
+      latest: analyzed.slice(0, LATEST_REVIEWS).map((review) => ({
+        rating: review.rating,
+        date: review.date,
+        language: review.language,
+        sentiment: review.sentiment,
+        responded: review.responded,
+        text: review.text.length > LATEST_REVIEW_TEXT ? `${review.text.slice(0, LATEST_REVIEW_TEXT - 3)}...` : review.text,
+      })),
+    };
+  }
+
+  /**
+   * Stored instead of the analysis when the reviews could not be fetched
+   */
+  unavailable(reason) {
+    return { status: 'unavailable', reason };
+  }
+
+  /**
+   * en, fr or nl from the language DataForSEO reports, or from the review's words; 'other' otherwise
+   */
+  detectLanguage(tokens, reported = null) {
+    const code = normalize(reported).slice(0, 2);
+    if (code) return LEXICONS[code] ? code : 'other';
+
+    let best = 'other';
+    let bestCount = 0;
+    for (const [language, markers] of Object.entries(LANGUAGE_MARKERS)) {
+      const { positive, negative } = LEXICONS[language];
+      const count = tokens.filter((token) => markers.has(token) || positive(token) || negative(token)).length;
+      if (count > bestCount) {
+        best = language;
+        bestCount = count;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * 'positive', 'neutral' or 'negative'. A negation up to three words before a sentiment word, in the
+   * same clause, reverses it.
+   * @param {string[][]} clauses - Words of the review per clause
+   */
+  scoreSentiment(clauses, language, rating = null) {
+    const lexicon = LEXICONS[language];
+    let positive = 0;
+    let negative = 0;
+
+    if (lexicon) {
+      clauses.forEach((tokens) => tokens.forEach((token, index) => {
+        const polarity = lexicon.positive(token) ? 1 : lexicon.negative(token) ? -1 : 0;
+        if (!polarity) return;
+        const negated = tokens.slice(Math.max(index - 3, 0), index).some((word) => lexicon.negations.has(word));
+        if ((polarity > 0) !== negated) positive++;
+        else negative++;
+      }));
+    }
+
+    if (!positive && !negative) {
+      if (!rating) return 'neutral';
+      return rating >= 4 ? 'positive' : rating <= 2 ? 'negative' : 'neutral';
+    }
+
+    const balance = (positive - negative) / (positive + negative);
+    if (balance > 0.25) return 'positive';
+    if (balance < -0.25) return 'negative';
+    return 'neutral';
+  }
+
+  /**
+   * Reviews per month over the last VELOCITY_MONTHS months. When only the newest reviews were fetched
+   * and they do not reach back that far, the average covers the months they span.
+   */
+  buildVelocity(reviews, total, now) {
+    const dated = reviews.filter((review) => review.date);
+    const months = [];
+    for (let offset = VELOCITY_MONTHS - 1; offset >= 0; offset--) {
+      const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - offset, 1));
+      const inMonth = dated.filter((review) => monthKey(review.date) === monthKey(start));
+      const ratings = inMonth.filter((review) => review.rating).map((review) => review.rating);
+      months.push({ month: monthKey(start), count: inMonth.length, averageRating: ratings.length ? round(average(ratings)) : null });
+    }
+
+    const truncated = total && total > reviews.length && dated.length;
+    const oldest = dated[dated.length - 1]?.date;
+    const covered = truncated && oldest && monthKey(oldest) > months[0].month
+      ? months.filter((month) => month.month >= monthKey(oldest))
+      : months;
+
+    const since = (days) => dated.filter((review) => now - review.date <= days * DAY_MS).length;
+    const last3 = months.slice(-3).reduce((sum, month) => sum + month.count, 0);
+    const previous3 = months.slice(-6, -3).reduce((sum, month) => sum + month.count, 0);
+
+    return {
+      months,
+      monthsCovered: covered.length,
+      averagePerMonth: round(covered.reduce((sum, month) => sum + month.count, 0) / covered.length),
+      last30Days: since(30),
+      last90Days: since(90),
+      lastReviewAt: dated[0]?.date || null,
+      // Last 3 months against the 3 before, only when the fetched reviews reach back that far
+      trend: covered.length < 6 ? null : last3 > previous3 * 1.2 ? 'growing' : last3 < previous3 * 0.8 ? 'declining' : 'stable',
+      last3Months: last3,
+      previous3Months: previous3,
+    };
+  }
+
+  buildResponses(reviews) {
+    const responded = reviews.filter((review) => review.responded);
+    const hours = responded.map((review) => review.responseHours).filter((value) => value !== null);
+
+    return {
+      responded: responded.length,
+      rate: reviews.length ? Math.round((responded.length / reviews.length) * 100) : null,
+      averageHours: hours.length ? round(average(hours)) : null,
+      medianHours: hours.length ? round(median(hours)) : null,
+      unansweredNegative: reviews.filter((review) => !review.responded && review.rating && review.rating <= 2).length,
+    };
+  }
+
+  /**
+   * Sentiment counts, overall and per review language. `score` (0-100) is 50 plus half the
+   * difference between the positive and negative shares.
+   */
+  buildSentiment(reviews) {
+    const count = (list) => ({
+      reviews: list.length,
+      positive: list.filter((review) => review.sentiment === 'positive').length,
+      neutral: list.filter((review) => review.sentiment === 'neutral').length,
+      negative: list.filter((review) => review.sentiment === 'negative').length,
+    });
+    const overall = count(reviews);
+
+    return {
+      ...overall,
+      score: overall.reviews ? Math.round(50 + ((overall.positive - overall.negative) / overall.reviews) * 50) : null,
+      byLanguage: ['en', 'fr', 'nl', 'other']
+        .map((language) => ({ language, ...count(reviews.filter((review) => review.language === language)) }))
+        .filter((entry) => entry.reviews),
+    };
+  }
+
+  buildThemes(reviews) {
+    return Object.entries(THEMES)
+      .map(([theme, matches]) => {
+        const mentioning = reviews.filter((review) => review.tokens.some(matches));
+        return {
+          theme,
+          mentions: mentioning.length,
+          positive: mentioning.filter((review) => review.sentiment === 'positive').length,
+          negative: mentioning.filter((review) => review.sentiment === 'negative').length,
+        };
+      })
+      .filter((entry) => entry.mentions)
+      .sort((a, b) => b.mentions - a.mentions);
+  }
+
+  /**
+   * Words used in the most reviews (each review counts once), at least twice, as the reviews write them
+   */
+  buildKeywords(reviews, businessName) {
+    const excluded = new Set(tokenize(businessName));
+    const counts = new Map();
+    const written = new Map();
+
+    for (const review of reviews) {
+      review.text.toLowerCase().split(/[^\p{L}\p{N}]+/u).forEach((word) => {
+        if (!written.has(normalize(word))) written.set(normalize(word), word);
+      });
+      const words = new Set(review.tokens.filter((token) => token.length >= 4 && !/^\d+$/.test(token) && !STOP_WORDS.has(token) && !excluded.has(token)));
+      words.forEach((word) => counts.set(word, (counts.get(word) || 0) + 1));
+    }
+
+    return [...counts.entries()]
+      .filter(([, count]) => count >= 2)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, KEYWORD_COUNT)
+      .map(([term, count]) => ({ term: written.get(term) || term, count }));
+  }
+
+  /**
+   * GBP checklist items of the analysis (none until reviews were analyzed)
+   */
+  buildChecklist(analysis, lang = 'en') {
+    if (analysis?.status !== 'completed' || !analysis.fetched) return [];
+
+    const { velocity, responses, sentiment } = analysis;
+    const responseDays = responses.medianHours !== null ? round(responses.medianHours / 24) : null;
+    const item = (field, completed, value) => ({
+      field,
+      label: t(lang, `gbp.checklist.${field}`),
+      completed,
+      completedLabel: t(lang, completed ? 'gbp.labels.complete' : 'gbp.labels.incomplete'),
+      value,
+      weight: 4,
+    });
+
+    return [
+      item('reviewVelocity', velocity.averagePerMonth >= MIN_REVIEWS_PER_MONTH, t(lang, 'gbp.reviews.perMonth', { count: velocity.averagePerMonth })),
+      item('reviewResponseRate', responses.rate >= MIN_RESPONSE_RATE, `${responses.rate}%`),
+      item('reviewResponseTime', responseDays !== null && responseDays <= MAX_RESPONSE_DAYS, responseDays !== null ? t(lang, 'gbp.reviews.days', { days: responseDays }) : null),
+      item('reviewSentiment', sentiment.score >= MIN_SENTIMENT_SCORE, t(lang, 'gbp.reviews.positiveShare', { share: Math.round((sentiment.positive / sentiment.reviews) * 100) })),
+    ];
+  }
+
+  buildRecommendations(analysis, lang = 'en') {
+    if (analysis?.status !== 'completed' || !analysis.fetched) return [];
+
+    const { velocity, responses, sentiment, themes } = analysis;
+    const recommendations = [];
+    const add = (priority, key, vars = {}, effort = 'moderate') => recommendations.push({
+      priority,
+      category: 'reviews',
+      issue: t(lang, `gbp.recommendations.${key}.issue`, vars),
+      action: t(lang, `gbp.recommendations.${key}.action`, vars),
+      impact: priority === 'low' ? 'medium' : 'high',
+      effort,
+    });
+
+    if (responses.unansweredNegative) {
+      add('high', 'unansweredNegativeReviews', { count: responses.unansweredNegative }, 'easy');
+    }
+    if (responses.rate < MIN_RESPONSE_RATE) {
+      add('high', 'lowResponseRate', { rate: responses.rate, unanswered: analysis.fetched - responses.responded }, 'easy');
+    } else if (responses.medianHours !== null && responses.medianHours / 24 > MAX_RESPONSE_DAYS) {
+      add('medium', 'slowResponses', { days: round(responses.medianHours / 24) }, 'easy');
+    }
+
+    if (velocity.averagePerMonth < MIN_REVIEWS_PER_MONTH) {
+      add('medium', 'lowReviewVelocity', { count: velocity.averagePerMonth, target: MIN_REVIEWS_PER_MONTH });
+    } else if (velocity.trend === 'declining') {
+      add('medium', 'reviewsDeclining', { recent: velocity.last3Months, previous: velocity.previous3Months });
+    }
+
+    if (sentiment.score < MIN_SENTIMENT_SCORE) {
+      add('high', 'negativeSentiment', { share: Math.round((sentiment.negative / sentiment.reviews) * 100) }, 'difficult');
+    }
+
+    for (const theme of themes) {
+      if (theme.negative >= NEGATIVE_THEME_MIN_REVIEWS && theme.negative >= theme.positive) {
+        add('medium', 'negativeTheme', { theme: t(lang, `gbp.reviews.themes.${theme.theme}`), count: theme.negative });
+      }
+    }
+
+    return recommendations;
+  }
+}
+
+export const reviewAnalysisService = new ReviewAnalysisService();
@@ -0,0 +1,185 @@
+import { Settings } from '../models/index.js';
+import { ApiError, enums } from '../utils/index.js';
+import { structuredDataService } from './structuredData.service.js';
+
+export const SCORING_SETTING_KEY = 'seo_scoring';
+
+const SCORING_PROFILES = enums.getSeoScoringProfilesArray();
+
+// Scoring version of the built-in rules, used until an admin saves the setting
+const BUILT_IN_VERSION = 1;
+
+/**
+ * Weights and thresholds of the SEO score (see DataForSEOService.computeSEOScore and buildChecks).
+ * Weights of a group add up to 1; `*Steps` give a score to the first step whose minimum is reached.
+ */
+const DEFAULT_SCORING = {
+  // Final score: SERP competitiveness, content & structure, technical health
+  weights: { serp: 0.45, content: 0.35, technical: 0.2 },
+  serpWeights: { length: 0.5, keyword: 0.25, structure: 0.15, pageType: 0.1 },
+  contentWeights: { wordCount: 0.4, headings: 0.3, keywordPlacement: 0.3 },
+  title: { min: 50, max: 60, acceptableMin: 30, acceptableMax: 70 },
+  description: { min: 150, max: 160, acceptableMin: 120, acceptableMax: 170 },
+  // Word count check: `good` and `acceptable` minimums; below `thin` the page gets a thin content recommendation
+  wordCount: { good: 1500, acceptable: 600, thin: 300 },
+  wordCountSteps: [{ min: 2000, score: 95 }, { min: 1500, score: 85 }, { min: 800, score: 70 }, { min: 400, score: 50 }, { min: 0, score: 30 }],
+  h2Steps: [{ min: 6, score: 95 }, { min: 3, score: 80 }, { min: 1, score: 60 }, { min: 0, score: 30 }],
+  // Points taken off the technical score
+  penalties: { brokenLinks: 15, missingCanonical: 10, slowLoad: 10, invalidSchema: 10, missingSchema: 5, cannibalization: 5 },
+};
+
+// What each page type does differently from the default profile
+const PROFILE_OVERRIDES = {
+  default: {},
+  blog: {
+    weights: { serp: 0.4, content: 0.45, technical: 0.15 },
+    wordCount: { good: 1500, acceptable: 800, thin: 500 },
+    wordCountSteps: [{ min: 2500, score: 95 }, { min: 1500, score: 85 }, { min: 1000, score: 70 }, { min: 600, score: 50 }, { min: 0, score: 30 }],
+  },
+  product: {
+    weights: { serp: 0.45, content: 0.25, technical: 0.3 },
+    serpWeights: { length: 0.3, keyword: 0.35, structure: 0.15, pageType: 0.2 },
+    wordCount: { good: 300, acceptable: 150, thin: 100 },
+    wordCountSteps: [{ min: 800, score: 95 }, { min: 500, score: 85 }, { min: 300, score: 70 }, { min: 150, score: 50 }, { min: 0, score: 30 }],
+    h2Steps: [{ min: 4, score: 95 }, { min: 2, score: 80 }, { min: 1, score: 60 }, { min: 0, score: 30 }],
+  },
+  local: {
+    weights: { serp: 0.45, content: 0.3, technical: 0.25 },
+    wordCount: { good: 600, acceptable: 300, thin: 200 },
+    wordCountSteps: [{ min: 1000, score: 95 }, { min: 600, score: 85 }, { min: 400, score: 70 }, { min: 200, score: 50 }, { min: 0, score: 30 }],
+    h2Steps: [{ min: 4, score: 95 }, { min: 2, score: 80 }, { min: 1, score: 60 }, { min: 0, score: 30 }],
+  },
+};
+
+const WEIGHT_GROUPS = ['weights', 'serpWeights', 'contentWeights'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Objects are merged key by key; arrays (steps) and numbers are replaced
+const merge = (target, ...sources) => sources.reduce((result, source) => {
+  for (const [key, value] of Object.entries(source || {})) {
+    result[key] = isPlainObject(value) && isPlainObject(result[key]) ? merge({ ...result[key] }, value) : value;
+  }
+  return result;
+}, structuredClone(target));
+
+/**
+ * SEO scoring profiles per page type. The built-in profiles can be overridden through the
+ * `seo_scoring` admin setting: `{ default?, blog?, product?, local? }`, each a partial profile.
+ * The `default` override applies to every profile, under the values a profile sets itself.
+ * Each save bumps `version`, and every audit stores the version and profile it was scored with.
+ */
+class ScoringService {
+  /**
+   * Resolved profiles with the admin overrides applied
+   * @returns {Promise<Object>} { version, updatedAt, profiles: { default, blog, product, local } }
+   */
+  async getConfig() {
+    const stored = await Settings.getSetting(SCORING_SETTING_KEY, null);
+    return this.buildConfig(stored);
+  }
+
+  buildConfig(stored) {
+    const overrides = stored?.overrides || {};
+    return {
+      version: stored?.version || BUILT_IN_VERSION,
+      updatedAt: stored?.updated_at || null,
+      profiles: Object.fromEntries(SCORING_PROFILES.map((name) => [
+        name,
+        merge(DEFAULT_SCORING, overrides.default, PROFILE_OVERRIDES[name], name === 'default' ? null : overrides[name]),
+      ])),
+    };
+  }
+
+  /**
+   * Save new overrides (they replace the previous ones) under the next scoring version
+   * @param {Object} overrides - { default?, blog?, product?, local? }
+   * @param {string} adminId
+   */
+  async updateConfig(overrides, adminId) {
+    const current = await Settings.getSetting(SCORING_SETTING_KEY, null);
+    const value = {
+      version: (current?.version || BUILT_IN_VERSION) + 1,
+      overrides,
+      updated_at: new Date(),
+    };
+
+    // Every resolved profile must still be usable, not only the overridden parts
+    for (const [name, profile] of Object.entries(this.buildConfig(value).profiles)) {
+      this.validateProfile(name, profile);
+    }
+
+    return Settings.setSetting(SCORING_SETTING_KEY, value, {
+      category: 'scoring',
+      description: 'SEO score weights and thresholds per page type',
+      updated_by: adminId,
+    });
+  }
+
+  validateProfile(name, profile) {
+    for (const group of WEIGHT_GROUPS) {
+      const sum = Object.values(profile[group]).reduce((total, weight) => total + weight, 0);
+      if (Math.abs(sum - 1) > 0.001) {
+        throw new ApiError(400, `Scoring profile "${name}": ${group} must add up to 1 (got ${Math.round(sum * 1000) / 1000})`);
+      }
+    }
+
+    for (const key of ['title', 'description']) {
+      const { min, max, acceptableMin, acceptableMax } = profile[key];
+      if (!(acceptableMin <= min && min <= max && max <= acceptableMax)) {
+        throw new ApiError(400, `Scoring profile "${name}": ${key} needs acceptableMin <= min <= max <= acceptableMax`);
+      }
+    }
+
+    const { good, acceptable, thin } = profile.wordCount;
+    if (!(thin <= acceptable && acceptable <= good)) {
+      throw new ApiError(400, `Scoring profile "${name}": wordCount needs thin <= acceptable <= good`);
+    }
+  }
+
+  /**
+   * Profile for a page: the requested one, or detected from its structured data and URL when 'auto'
+   * @param {Object} config - From getConfig
+   * @param {string} [pageType] - A profile name or 'auto'
+   * @param {Object} [page] - { url, title, schemaTypes }
+   * @returns {Object} The profile with `name`, `version` and whether it was `detected`
+   */
+  resolveProfile(config, pageType = 'auto', page = {}) {
+    const detected = !SCORING_PROFILES.includes(pageType);
+    const name = detected ? this.detectProfile(page) : pageType;
+    return { ...config.profiles[name], name, version: config.version, detected };
+  }
+
+  detectProfile({ url = '', title = '', schemaTypes = [] }) {
+    if (schemaTypes.includes('Product')) return 'product';
+    if (schemaTypes.some((type) => structuredDataService.isLocalBusinessType(type))) return 'local';
+    if (schemaTypes.some((type) => ['Article', 'BlogPosting', 'NewsArticle'].includes(type))) return 'blog';
+
+    const path = url.toLowerCase();
+    if (/\/(blog|news|articles?)\//.test(path) || /\bblog\b/i.test(title)) return 'blog';
+    if (/\/(products?|shop|p)\//.test(path)) return 'product';
+    return 'default';
+  }
+
+  getDefaultProfile() {
+    return this.resolveProfile(this.buildConfig(null), 'default');
+  }
+
+  /**
+   * Score of the first step whose minimum `value` reaches
+   */
+  stepScore(steps, value) {
+    const step = [...steps].sort((a, b) => b.min - a.min).find((entry) => value >= entry.min);
+    return step ? step.score : 0;
+  }
+
+  /**
+   * What an audit stores to keep its score explainable after the settings change
+   */
+  describe(profile) {
+    const { name, version, detected, ...rules } = profile;
+    return { version, profile: name, detected, rules };
+  }
+}
+
+export const scoringService = new ScoringService();
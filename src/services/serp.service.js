@@ -2,12 +2,13 @@ import axios from 'axios';
 import { env } from '../config/index.js';
 import { ApiError } from '../utils/index.js';
 import { Logger } from '../utils/logger.js';
+import { dataForSEOService } from './dataforseo.service.js';
 
 class SerpService {
   constructor() {
-    this.baseURL = env.DATAFORSEO_API_URL;
-    this.email = env.DATAFORSEO_EMAIL;
-    this.apiPassword = env.DATAFORSEO_API_PASSWORD;
+    this.baseURL = env.DATAFORSEO_API_URL || 'https://sandbox.dataforseo.com';
+    this.email = env.DATAFORSEO_LOGIN || env.DATAFORSEO_EMAIL;
+    this.apiPassword = env.DATAFORSEO_PASSWORD || env.DATAFORSEO_API_PASSWORD;
   }
 
   /**
@@ -42,7 +43,7 @@ class SerpService {
 
       // Make API request with Basic Authentication
       const response = await axios.post(
-        this.baseURL,
+        `${this.baseURL}/v3/serp/google/organic/live/regular`,
         payload,
         {
           auth: {
@@ -156,6 +157,7 @@ class SerpService {
         device,
         competitors,
         totalResults: competitors.length,
+        features: dataForSEOService.parseSERPFeatures(organicResults),
         searchInfo: {
           seResultsCount: serpData?.se_results_count || 0,
           checkUrl: serpData?.check_url || '',
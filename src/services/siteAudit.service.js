@@ -0,0 +1,322 @@
+import { env, getLocaleConfig, DEFAULT_LOCALE } from '../config/index.js';
+import { t } from '../locales/index.js';
+import { dataForSEOService } from './dataforseo.service.js';
+
+// Issue codes stored on each crawled page
+export const SITE_ISSUES = {
+  MISSING_TITLE: 'missing_title',
+  DUPLICATE_TITLE: 'duplicate_title',
+  MISSING_DESCRIPTION: 'missing_description',
+  DUPLICATE_DESCRIPTION: 'duplicate_description',
+  MISSING_H1: 'missing_h1',
+  THIN_CONTENT: 'thin_content',
+  BROKEN_PAGE: 'broken_page',
+  BROKEN_LINKS: 'broken_links',
+  ORPHAN_PAGE: 'orphan_page',
+  REDIRECT_CHAIN: 'redirect_chain',
+};
+
+// Which issues count against which aggregate score
+const SCORE_CATEGORIES = {
+  metadata: [SITE_ISSUES.MISSING_TITLE, SITE_ISSUES.DUPLICATE_TITLE, SITE_ISSUES.MISSING_DESCRIPTION, SITE_ISSUES.DUPLICATE_DESCRIPTION],
+  content: [SITE_ISSUES.MISSING_H1, SITE_ISSUES.THIN_CONTENT],
+  links: [SITE_ISSUES.BROKEN_LINKS, SITE_ISSUES.ORPHAN_PAGE],
+  technical: [SITE_ISSUES.BROKEN_PAGE, SITE_ISSUES.REDIRECT_CHAIN],
+};
+
+const SCORE_WEIGHTS = { metadata: 0.3, content: 0.25, links: 0.25, technical: 0.2 };
+
+const THIN_CONTENT_WORDS = 300;
+// Cap on the entries kept per issue list (and on broken links / redirect chains fetched)
+const MAX_ISSUE_ENTRIES = 100;
+
+class SiteAuditService {
+  /**
+   * Post the crawl task and mark the audit as crawling
+   */
+  async startCrawl(audit) {
+    const taskId = await dataForSEOService.postCrawlTask(audit.url, audit.max_pages);
+
+    audit.task_id = taskId;
+    audit.status = 'crawling';
+    audit.crawl.started_at = new Date();
+    await audit.save();
+
+    return taskId;
+  }
+
+  /**
+   * Refresh crawl progress on the audit
+   * @returns {Promise<Object>} { done, partial } - done once the crawl finished or timed out
+   */
+  async pollCrawl(audit) {
+    const summary = await dataForSEOService.getCrawlSummary(audit.task_id);
+
+    audit.crawl.pages_crawled = summary.pagesCrawled;
+    audit.crawl.pages_in_queue = summary.pagesInQueue;
+
+    const elapsed = Date.now() - new Date(audit.crawl.started_at || audit.createdAt).getTime();
+    const timedOut = !summary.finished && elapsed >= env.SITE_AUDIT_CRAWL_TIMEOUT_MS;
+
+    if (summary.finished || timedOut) {
+      audit.crawl.finished_at = new Date();
+      audit.crawl.partial = timedOut;
+      audit.raw_data = { summary: summary.raw };
+    }
+
+    await audit.save();
+
+    return { done: summary.finished || timedOut, partial: timedOut };
+  }
+
+  /**
+   * Fetch the crawled pages, broken links and redirect chains, analyse them and complete the audit
+   */
+  async collectResults(audit) {
+    const [pages, brokenLinks, redirectChains] = await Promise.all([
+      dataForSEOService.getCrawlPages(audit.task_id, audit.max_pages),
+      dataForSEOService.getCrawlBrokenLinks(audit.task_id, MAX_ISSUE_ENTRIES),
+      dataForSEOService.getCrawlRedirectChains(audit.task_id, MAX_ISSUE_ENTRIES),
+    ]);
+
+    const lang = getLocaleConfig(audit.locale || DEFAULT_LOCALE).language || 'en';
+    const result = this.analyze({ pages, brokenLinks, redirectChains, startUrl: audit.url, lang });
+
+    audit.set({
+      ...result,
+      status: 'completed',
+      error_message: null,
+    });
+    await audit.save();
+
+    return audit;
+  }
+
+  /**
+   * Turn raw crawl data into per-page issues, site-wide issue lists and aggregate scores
+   * @param {Object} params
+   * @param {Array} params.pages - on_page/pages items
+   * @param {Array} params.brokenLinks - on_page/links items with is_broken
+   * @param {Array} params.redirectChains - on_page/redirect_chains items
+   * @param {string} params.startUrl
+   * @param {string} params.lang
+   */
+  analyze({ pages, brokenLinks = [], redirectChains = [], startUrl, lang = 'en' }) {
+    const startHost = dataForSEOService.extractDomain(startUrl);
+
+    const chains = redirectChains.map((item) => {
+      const hops = item.chain || [];
+      return {
+        urls: [hops[0]?.from_url, ...hops.map((hop) => hop.to_url)].filter(Boolean),
+        is_loop: Boolean(item.is_redirect_loop),
+      };
+    });
+    const chainTargets = new Set(chains.map((chain) => this.normalizeUrl(chain.urls[chain.urls.length - 1])));
+
+    const brokenByPage = {};
+    const broken = brokenLinks.map((link) => {
+      const from = link.link_from || link.page_from || '';
+      brokenByPage[this.normalizeUrl(from)] = (brokenByPage[this.normalizeUrl(from)] || 0) + 1;
+      return {
+        from,
+        to: link.link_to || link.page_to || '',
+        status_code: link.page_to_status_code || null,
+        internal: link.direction
+          ? link.direction === 'internal'
+          : dataForSEOService.extractDomain(link.link_to || '') === startHost,
+      };
+    });
+
+    // Redirect hops are reported through the chains, not as pages
+    const crawled = pages
+      .filter((item) => item.url && !(item.status_code >= 300 && item.status_code < 400))
+      .map((item) => this.toPage(item, startUrl, brokenByPage, chainTargets));
+
+    const okPages = crawled.filter((page) => !page.issues.includes(SITE_ISSUES.BROKEN_PAGE));
+    const duplicateTitles = this.findDuplicates(okPages, 'title');
+    const duplicateDescriptions = this.findDuplicates(okPages, 'description');
+
+    for (const group of duplicateTitles) {
+      this.flagPages(okPages, group.urls, SITE_ISSUES.DUPLICATE_TITLE);
+    }
+    for (const group of duplicateDescriptions) {
+      this.flagPages(okPages, group.urls, SITE_ISSUES.DUPLICATE_DESCRIPTION);
+    }
+
+    const summary = { pages_analyzed: crawled.length };
+    for (const code of Object.values(SITE_ISSUES)) {
+      summary[code] = crawled.filter((page) => page.issues.includes(code)).length;
+    }
+    summary.broken_link_count = broken.length;
+    summary.redirect_chain_count = chains.length;
+    summary.redirect_loop_count = chains.filter((chain) => chain.is_loop).length;
+    summary.avg_word_count = this.average(okPages.map((page) => page.word_count));
+    summary.avg_load_time = this.average(okPages.map((page) => page.load_time).filter((v) => v !== null), 2);
+    summary.avg_page_score = this.average(crawled.map((page) => page.score).filter((v) => v !== null));
+
+    const scores = this.computeScores(crawled);
+    const score = Math.round(
+      Object.entries(SCORE_WEIGHTS).reduce((sum, [category, weight]) => sum + scores[category] * weight, 0)
+    );
+
+    const urlsWith = (code) => crawled
+      .filter((page) => page.issues.includes(code))
+      .slice(0, MAX_ISSUE_ENTRIES)
+      .map((page) => page.url);
+
+    // Worst pages first
+    crawled.sort((a, b) => b.issues.length - a.issues.length || (a.score ?? 100) - (b.score ?? 100));
+
+    return {
+      domain: startHost,
+      score,
+      scores,
+      summary,
+      issues: {
+        duplicate_titles: duplicateTitles.slice(0, MAX_ISSUE_ENTRIES),
+        duplicate_descriptions: duplicateDescriptions.slice(0, MAX_ISSUE_ENTRIES),
+        missing_h1: urlsWith(SITE_ISSUES.MISSING_H1),
+        orphan_pages: urlsWith(SITE_ISSUES.ORPHAN_PAGE),
+        broken_links: broken.slice(0, MAX_ISSUE_ENTRIES),
+        redirect_chains: chains.slice(0, MAX_ISSUE_ENTRIES),
+      },
+      pages: crawled,
+      recommendations: this.buildRecommendations(summary, lang),
+    };
+  }
+
+  toPage(item, startUrl, brokenByPage, chainTargets) {
+    const meta = item.meta || {};
+    const url = item.url;
+    const key = this.normalizeUrl(url);
+    const rawLoadTime = item.page_timing?.time_to_interactive;
+
+    const page = {
+      url,
+      status_code: item.status_code || null,
+      title: meta.title || null,
+      description: meta.description || null,
+      h1_count: meta.htags?.h1?.length || 0,
+      word_count: meta.content?.plain_text_word_count || 0,
+      load_time: typeof rawLoadTime === 'number' ? Math.round(rawLoadTime / 10) / 100 : null,
+      click_depth: item.click_depth ?? null,
+      internal_links: meta.internal_links_count || 0,
+      inbound_links: meta.inbound_links_count || 0,
+      broken_links: brokenByPage[key] || 0,
+      score: typeof item.onpage_score === 'number' ? Math.round(item.onpage_score) : null,
+      issues: [],
+    };
+
+    if (page.status_code >= 400) {
+      page.issues.push(SITE_ISSUES.BROKEN_PAGE);
+      return page;
+    }
+
+    if (!page.title) page.issues.push(SITE_ISSUES.MISSING_TITLE);
+    if (!page.description) page.issues.push(SITE_ISSUES.MISSING_DESCRIPTION);
+    if (page.h1_count === 0) page.issues.push(SITE_ISSUES.MISSING_H1);
+    if (page.word_count < THIN_CONTENT_WORDS) page.issues.push(SITE_ISSUES.THIN_CONTENT);
+    if (page.broken_links > 0 || item.checks?.broken_links) page.issues.push(SITE_ISSUES.BROKEN_LINKS);
+    if (chainTargets.has(key)) page.issues.push(SITE_ISSUES.REDIRECT_CHAIN);
+
+    // DataForSEO flags orphans when it knows the sitemap; otherwise nothing links to a non-start page
+    const isStartPage = key === this.normalizeUrl(startUrl) || page.click_depth === 0;
+    const isOrphan = item.checks?.is_orphan_page ?? (page.inbound_links === 0 && !isStartPage);
+    if (isOrphan) page.issues.push(SITE_ISSUES.ORPHAN_PAGE);
+
+    return page;
+  }
+
+  /**
+   * Group pages sharing the same (case-insensitive) value of `field`
+   * @returns {Array} [{ [field]: value, urls: [...] }] for values used by more than one page
+   */
+  findDuplicates(pages, field) {
+    const groups = new Map();
+
+    for (const page of pages) {
+      const value = page[field]?.trim();
+      if (!value) continue;
+
+      const key = value.toLowerCase();
+      if (!groups.has(key)) groups.set(key, { [field]: value, urls: [] });
+      groups.get(key).urls.push(page.url);
+    }
+
+    return [...groups.values()]
+      .filter((group) => group.urls.length > 1)
+      .sort((a, b) => b.urls.length - a.urls.length);
+  }
+
+  flagPages(pages, urls, code) {
+    const targets = new Set(urls);
+    for (const page of pages) {
+      if (targets.has(page.url) && !page.issues.includes(code)) {
+        page.issues.push(code);
+      }
+    }
+  }
+
+  /**
+   * Each category score is the share of pages free of that category's issues
+   */
+  computeScores(pages) {
+    const scores = {};
+
+    for (const [category, codes] of Object.entries(SCORE_CATEGORIES)) {
+      if (pages.length === 0) {
+        scores[category] = 0;
+        continue;
+      }
+      const affected = pages.filter((page) => page.issues.some((code) => codes.includes(code))).length;
+      scores[category] = Math.round(100 * (1 - affected / pages.length));
+    }
+
+    return scores;
+  }
+
+  buildRecommendations(summary, lang) {
+    const recommendations = [];
+
+    const addRec = (priority, category, key, count, effort = 'moderate') => {
+      if (!count) return;
+      recommendations.push({
+        priority,
+        category,
+        issue: t(lang, `site.recommendations.${key}.issue`, { count }),
+        action: t(lang, `site.recommendations.${key}.action`, { count }),
+        impact: priority === 'critical' || priority === 'high' ? 'high' : priority === 'medium' ? 'medium' : 'low',
+        effort,
+      });
+    };
+
+    addRec('critical', 'technical', 'brokenPages', summary[SITE_ISSUES.BROKEN_PAGE]);
+    addRec('critical', 'meta', 'missingTitles', summary[SITE_ISSUES.MISSING_TITLE], 'easy');
+    addRec('high', 'links', 'brokenLinks', summary.broken_link_count);
+    addRec('high', 'meta', 'duplicateTitles', summary[SITE_ISSUES.DUPLICATE_TITLE]);
+    addRec('high', 'content', 'missingH1', summary[SITE_ISSUES.MISSING_H1], 'easy');
+    addRec('medium', 'meta', 'missingDescriptions', summary[SITE_ISSUES.MISSING_DESCRIPTION], 'easy');
+    addRec('medium', 'meta', 'duplicateDescriptions', summary[SITE_ISSUES.DUPLICATE_DESCRIPTION]);
+    addRec('medium', 'links', 'orphanPages', summary[SITE_ISSUES.ORPHAN_PAGE]);
+    addRec('medium', 'technical', 'redirectChains', summary.redirect_chain_count);
+    addRec('medium', 'content', 'thinContent', summary[SITE_ISSUES.THIN_CONTENT], 'difficult');
+
+    if (recommendations.length === 0 && summary.pages_analyzed > 0) {
+      addRec('low', 'success', 'healthySite', summary.pages_analyzed, 'easy');
+    }
+
+    return recommendations;
+  }
+
+  normalizeUrl(url) {
+    return (url || '').replace(/#.*$/, '').replace(/\/+$/, '').toLowerCase();
+  }
+
+  average(values, decimals = 0) {
+    if (values.length === 0) return null;
+    const factor = 10 ** decimals;
+    return Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * factor) / factor;
+  }
+}
+
+export const siteAuditService = new SiteAuditService();
@@ -1,5 +1,7 @@
 import Stripe from 'stripe';
-import { User, Plan, Subscription } from '../models/index.js';
+import mongoose from 'mongoose';
+import { User, Plan, Subscription, CreditTransaction } from '../models/index.js';
+import { computeUsageWindow } from '../models/subscription.model.js';
 import { env } from '../config/index.js';
 import { emailService } from './email.service.js';  // <-- ADD THIS
 
@@ -172,6 +174,13 @@ class StripeService {
       { status: 'canceled', canceled_at: new Date() }
     );
 
+    const now = new Date();
+    const periodStart = stripeData.current_period_start ? new Date(stripeData.current_period_start * 1000) : undefined;
+    const periodEnd = stripeData.current_period_end ? new Date(stripeData.current_period_end * 1000) : undefined;
+
+    // First usage window starts with the billing period (or now for one-time plans)
+    const usageWindow = computeUsageWindow(periodStart || now, periodEnd || null, now);
+
     // Create new subscription
     const subscription = await Subscription.create({
       user_id: userId,
@@ -180,9 +189,14 @@ class StripeService {
       stripe_subscription_id: stripeData.subscription,
       stripe_payment_intent_id: stripeData.payment_intent,
       status: this._determineStatus(stripeData),
-      current_period_start: stripeData.current_period_start ? new Date(stripeData.current_period_start * 1000) : undefined,
-      current_period_end: stripeData.current_period_end ? new Date(stripeData.current_period_end * 1000) : undefined,
-      trial_end: stripeData.trial_end ? new Date(stripeData.trial_end * 1000) : undefined
+      current_period_start: periodStart,
+      current_period_end: periodEnd,
+      trial_end: stripeData.trial_end ? new Date(stripeData.trial_end * 1000) : undefined,
+      usage: {
+        last_reset: now,
+        period_start: usageWindow.start,
+        period_end: usageWindow.end
+      }
     });
 
     console.log(`Subscription created for user ${userId}, plan: ${plan.name}`);
@@ -231,8 +245,9 @@ class StripeService {
 
     // Handle addon purchases (one-time payments)
     if (plan.plan_type === 'addon' || plan.billing_period === 'one_time') {
-      await this._handleAddonPurchase(user_id, plan);
-      
+      const granted = await this._handleAddonPurchase(user_id, plan, session.id);
+      if (!granted) return;
+
       const updatedUser = await User.findById(user_id);
       await emailService.sendAddonPurchasedEmail(user.email, {
         userName: user.name,
@@ -265,48 +280,71 @@ class StripeService {
     }
   }
 
-  async _handleAddonPurchase(userId, plan) {
+  /**
+   * Add the credits of an addon plan to `user.credits` with an atomic `$inc`, so a credit
+   * reserved at the same time is not overwritten. The `$inc` and the ledger grants are written
+   * in one transaction: the grants' unique checkout session `reference` makes a retried webhook
+   * a no-op, and a grant is never recorded without its credits (or the other way round).
+   * @returns {Promise<boolean>} false when nothing was granted (no credits, unknown user, already granted)
+   */
+  async _handleAddonPurchase(userId, plan, sessionId = null) {
     if (!plan.credits) {
       console.error('No credits defined for addon plan');
-      return;
+      return false;
     }
 
-    const user = await User.findById(userId);
-    if (!user) {
-      console.error('User not found for addon purchase');
-      return;
-    }
+    const creditTypes = ['seo_audits', 'geo_audits', 'gbp_audits', 'ai_generations']
+      .filter((creditType) => plan.credits[creditType] > 0);
+    if (!creditTypes.length) return false;
 
-    if (!user.credits) {
-      user.credits = {
-        seo_audits: 0,
-        geo_audits: 0,
-        gbp_audits: 0,
-        ai_generations: 0,
-      };
-    }
+    const session = await mongoose.startSession();
+    try {
+      const granted = await session.withTransaction(async () => {
+        const user = await User.findByIdAndUpdate(
+          userId,
+          { $inc: Object.fromEntries(creditTypes.map((creditType) => [`credits.${creditType}`, plan.credits[creditType]])) },
+          { new: true, session }
+        ).select('credits');
+
+        if (!user) {
+          console.error('User not found for addon purchase');
+          return false;
+        }
 
-    if (plan.credits.seo_audits) {
-      user.credits.seo_audits = (user.credits.seo_audits || 0) + plan.credits.seo_audits;
-    }
-    if (plan.credits.geo_audits) {
-      user.credits.geo_audits = (user.credits.geo_audits || 0) + plan.credits.geo_audits;
-    }
-    if (plan.credits.gbp_audits) {
-      user.credits.gbp_audits = (user.credits.gbp_audits || 0) + plan.credits.gbp_audits;
-    }
-    if (plan.credits.ai_generations) {
-      user.credits.ai_generations = (user.credits.ai_generations || 0) + plan.credits.ai_generations;
-    }
+        // A duplicate reference aborts the transaction, undoing the $inc above
+        await CreditTransaction.insertMany(creditTypes.map((creditType) => ({
+          user: userId,
+          credit_type: creditType,
+          pool: 'addon',
+          type: 'grant',
+          amount: plan.credits[creditType],
+          balance_after: user.credits[creditType],
+          source_model: 'Plan',
+          source_id: plan._id,
+          reference: sessionId,
+          description: `Addon purchase: ${plan.name}`,
+        })), { session });
+
+        return true;
+      });
 
-    await user.save();
-    console.log(`Added credits to user ${userId} from plan ${plan.name}:`, plan.credits);
+      if (granted) console.log(`Added credits to user ${userId} from plan ${plan.name}:`, plan.credits);
+      return granted;
+    } catch (error) {
+      if (error.code === 11000) {
+        console.log(`Addon credits of checkout session ${sessionId} were already granted`);
+        return false;
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
   }
 
   async _handleSubscriptionUpdate(stripeSub) {
     const subscription = await Subscription.findOne({ stripe_subscription_id: stripeSub.id })
       .populate('user_id', 'name email preferred_locale')
-      .populate('plan_id', 'name');
+      .populate('plan_id', 'name limits');
     
     if (!subscription) {
       console.error('Subscription not found for update:', stripeSub.id);
@@ -332,6 +370,9 @@ class StripeService {
     subscription.canceled_at = stripeSub.canceled_at ? new Date(stripeSub.canceled_at * 1000) : null;
     await subscription.save();
 
+    // Roll usage over if the new billing period closed the current usage window
+    await subscription.resetMonthlyUsage();
+
     const user = subscription.user_id;
     const planName = subscription.plan_id?.name || 'your plan';
 
@@ -376,13 +417,31 @@ class StripeService {
 
     const subscription = await Subscription.findOne({ stripe_subscription_id: invoice.subscription })
       .populate('user_id', 'name email preferred_locale')
-      .populate('plan_id', 'name');
+      .populate('plan_id', 'name limits');
     
     await Subscription.updateOne(
       { stripe_subscription_id: invoice.subscription, status: 'past_due' },
       { status: 'active' }
     );
 
+    // The subscription line carries the period this invoice paid for; invoice.period_*
+    // describe the previous period on renewal invoices, so they are not used here
+    const paidPeriod = invoice.lines?.data?.find((line) => line.type === 'subscription')?.period
+      || invoice.lines?.data?.[0]?.period;
+
+    if (subscription && paidPeriod?.start && paidPeriod?.end) {
+      const periodStart = new Date(paidPeriod.start * 1000);
+
+      // Ignore out-of-order webhooks for an older period
+      if (!subscription.current_period_start || periodStart >= subscription.current_period_start) {
+        subscription.current_period_start = periodStart;
+        subscription.current_period_end = new Date(paidPeriod.end * 1000);
+        await subscription.save();
+      }
+
+      await subscription.resetMonthlyUsage();
+    }
+
     // Send renewal email only for subscription cycle renewals
     if (subscription?.user_id && invoice.billing_reason === 'subscription_cycle') {
       const user = subscription.user_id;
@@ -0,0 +1,139 @@
+import { t } from '../locales/index.js';
+
+/**
+ * Properties per schema.org type, after Google's rich result requirements.
+ * `a|b` is satisfied by either property; `parent.child` by a nested property (or by `child` in microdata).
+ */
+const SCHEMA_RULES = {
+  Article: { required: ['headline'], recommended: ['author', 'datePublished', 'image'] },
+  Product: { required: ['name', 'offers|review|aggregateRating'], recommended: ['image', 'description', 'offers.price', 'offers.priceCurrency'] },
+  LocalBusiness: {
+    required: ['name', 'address'],
+    recommended: ['telephone', 'openingHoursSpecification|openingHours', 'geo', 'url', 'address.streetAddress', 'address.postalCode', 'address.addressLocality'],
+  },
+  Organization: { required: ['name'], recommended: ['url', 'logo'] },
+  Person: { required: ['name'], recommended: [] },
+  FAQPage: { required: ['mainEntity'], recommended: ['mainEntity.name', 'mainEntity.acceptedAnswer'] },
+  BreadcrumbList: { required: ['itemListElement'], recommended: [] },
+  Recipe: { required: ['name', 'image'], recommended: ['recipeIngredient', 'recipeInstructions', 'author'] },
+  Event: { required: ['name', 'startDate', 'location'], recommended: ['endDate', 'image', 'offers', 'description'] },
+  HowTo: { required: ['name', 'step'], recommended: ['image', 'totalTime'] },
+  VideoObject: { required: ['name', 'thumbnailUrl', 'uploadDate'], recommended: ['description', 'duration', 'contentUrl|embedUrl'] },
+  Review: { required: ['itemReviewed', 'author', 'reviewRating'], recommended: ['datePublished'] },
+  JobPosting: { required: ['title', 'description', 'datePosted', 'hiringOrganization', 'jobLocation|jobLocationType'], recommended: ['validThrough', 'baseSalary', 'employmentType'] },
+};
+
+// Types validated with the rules of a more general type
+const RULE_ALIASES = {
+  NewsArticle: 'Article',
+  BlogPosting: 'Article',
+  TechArticle: 'Article',
+  Corporation: 'Organization',
+  NGO: 'Organization',
+  Service: 'Organization',
+};
+
+// LocalBusiness subtypes seen most on small-business sites
+const LOCAL_BUSINESS_TYPES = new Set([
+  'Restaurant', 'FoodEstablishment', 'CafeOrCoffeeShop', 'BarOrPub', 'Bakery', 'Store', 'ClothingStore', 'ElectronicsStore',
+  'FurnitureStore', 'HardwareStore', 'Florist', 'Dentist', 'Physician', 'MedicalBusiness', 'MedicalClinic', 'Pharmacy',
+  'AutoRepair', 'AutomotiveBusiness', 'AutoDealer', 'HomeAndConstructionBusiness', 'Plumber', 'Electrician', 'RoofingContractor',
+  'GeneralContractor', 'HVACBusiness', 'Locksmith', 'LegalService', 'Attorney', 'Notary', 'RealEstateAgent', 'FinancialService',
+  'AccountingService', 'InsuranceAgency', 'HealthAndBeautyBusiness', 'HairSalon', 'BeautySalon', 'DaySpa', 'NailSalon',
+  'LodgingBusiness', 'Hotel', 'BedAndBreakfast', 'ProfessionalService', 'SportsActivityLocation', 'ExerciseGym',
+  'ChildCare', 'EntertainmentBusiness', 'TravelAgency', 'VeterinaryCare',
+]);
+
+// Markup worth adding when a page has none, by DataForSEOService.classifyPageType
+const SUGGESTED_TYPES_BY_PAGE_TYPE = {
+  blog: 'Article, BreadcrumbList',
+  landing: 'Product / Service, FAQPage',
+  category: 'BreadcrumbList, ItemList',
+  other: 'Organization / LocalBusiness, BreadcrumbList',
+};
+
+class StructuredDataService {
+  getRules(type) {
+    if (SCHEMA_RULES[type]) return SCHEMA_RULES[type];
+    if (RULE_ALIASES[type]) return SCHEMA_RULES[RULE_ALIASES[type]];
+    if (LOCAL_BUSINESS_TYPES.has(type)) return SCHEMA_RULES.LocalBusiness;
+    return null;
+  }
+
+  isLocalBusinessType(type) {
+    return type === 'LocalBusiness' || LOCAL_BUSINESS_TYPES.has(type);
+  }
+
+  hasProperty(item, rule) {
+    return rule.split('|').some((property) => {
+      if (item.properties.includes(property)) return true;
+      // Microdata itemprops are not nested by name
+      return item.format === 'microdata' && property.includes('.') && item.properties.includes(property.split('.').pop());
+    });
+  }
+
+  /**
+   * Validate one markup item against the rules of its type
+   * @param {Object} item - { format, type, properties }
+   */
+  validateItem(item) {
+    const rules = this.getRules(item.type);
+    if (!rules) {
+      return { ...item, validated: false, status: 'valid', missingRequired: [], missingRecommended: [] };
+    }
+
+    const missingRequired = rules.required.filter((rule) => !this.hasProperty(item, rule));
+    const missingRecommended = rules.recommended.filter((rule) => !this.hasProperty(item, rule));
+
+    return {
+      ...item,
+      validated: true,
+      status: missingRequired.length > 0 ? 'invalid' : missingRecommended.length > 0 ? 'warning' : 'valid',
+      missingRequired,
+      missingRecommended,
+    };
+  }
+
+  /**
+   * Structured data check of an audited page, from the `custom_js_response` of the on-page crawl
+   * @param {Object|undefined} extras - { structuredData: [{ format, type, properties }], jsonLdErrors }
+   * @param {string} lang
+   */
+  buildCheck(extras, lang) {
+    const label = t(lang, 'seo.checks.schema');
+
+    // Crawled without the extraction script (or the script failed): nothing to judge
+    if (!extras || !Array.isArray(extras.structuredData)) {
+      return { label, available: false, exists: false, existsLabel: t(lang, 'common.notAvailable'), value: null, types: [], items: [] };
+    }
+
+    const items = extras.structuredData.map((item) => this.validateItem(item));
+    const types = [...new Set(items.map((item) => item.type))];
+    const parseErrors = extras.jsonLdErrors || 0;
+
+    let status = 'good';
+    if (parseErrors > 0 || items.some((item) => item.status === 'invalid')) status = 'poor';
+    else if (items.length === 0 || items.some((item) => item.status === 'warning')) status = 'needsImprovement';
+
+    return {
+      label,
+      available: true,
+      exists: items.length > 0,
+      existsLabel: items.length > 0 ? t(lang, 'seo.labels.yes') : t(lang, 'seo.labels.no'),
+      value: types.join(', ') || null,
+      types,
+      count: items.length,
+      countLabel: t(lang, 'seo.labels.count'),
+      parseErrors,
+      items,
+      status,
+      statusLabel: t(lang, `seo.labels.${status}`),
+    };
+  }
+
+  getSuggestedTypes(pageType) {
+    return SUGGESTED_TYPES_BY_PAGE_TYPE[pageType] || SUGGESTED_TYPES_BY_PAGE_TYPE.other;
+  }
+}
+
+export const structuredDataService = new StructuredDataService();
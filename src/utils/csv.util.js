@@ -0,0 +1,70 @@
+/**
+ * Parse CSV text into rows of cells (RFC 4180 quoting). The delimiter is detected from the
+ * first line: Excel in Belgium and France saves with `;`, elsewhere with `,`.
+ * @param {string} text
+ * @returns {string[][]} Non-empty rows
+ */
+export const parseCsv = (text) => {
+  const source = (text || '').replace(/^﻿/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0] || '';
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell.trim());
+  rows.push(row);
+
+  return rows.filter((cells) => cells.some((value) => value !== ''));
+};
+
+// Spreadsheets run a cell starting with one of these as a formula (CSV injection)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote one CSV cell. Text that a spreadsheet would read as a formula is prefixed with `'`;
+ * numbers are left as they are so negative values stay numeric.
+ */
+const toCsvCell = (value) => {
+  let text = String(value ?? '');
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+/**
+ * Serialize rows of values as CSV, quoting every cell
+ * @param {string[]} headers
+ * @param {Array[]} rows
+ */
+export const toCsv = (headers, rows) => [headers, ...rows]
+  .map((cells) => cells.map(toCsvCell).join(','))
+  .join('\n');
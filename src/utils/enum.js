@@ -21,7 +21,92 @@ export const SUBSCRIPTION_STATUS = {
   LIFETIME: 'lifetime'
 };
 
+// Background audit job queue
+export const AUDIT_JOB_TYPES = {
+  SEO: 'seo',
+  GEO: 'geo',
+  GBP: 'gbp',
+  SITE: 'site',
+  HREFLANG: 'hreflang'
+};
+
+export const AUDIT_JOB_STATUS = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// Recurring audits
+export const SCHEDULE_FREQUENCIES = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly'
+};
+
+// Keyword rank tracking
+export const RANK_TRACKING_DEVICES = {
+  DESKTOP: 'desktop',
+  MOBILE: 'mobile'
+};
+
+// SEO scoring profiles per page type
+export const SEO_SCORING_PROFILES = {
+  DEFAULT: 'default',
+  BLOG: 'blog',
+  PRODUCT: 'product',
+  LOCAL: 'local'
+};
+
+// Directories checked for NAP citations of a GEO audit
+export const CITATION_DIRECTORIES = {
+  GOOGLE: 'google',
+  GOLDEN_PAGES: 'goldenpages',
+  PAGES_JAUNES: 'pagesjaunes',
+  DE_TELEFOONGIDS: 'detelefoongids',
+  INFOBEL: 'infobel',
+  YELP: 'yelp',
+  FACEBOOK: 'facebook'
+};
+
+// Credit ledger
+export const CREDIT_TYPES = {
+  SEO_AUDITS: 'seo_audits',
+  GEO_AUDITS: 'geo_audits',
+  GBP_AUDITS: 'gbp_audits',
+  AI_GENERATIONS: 'ai_generations'
+};
+
+// Ledger also tracks the subscription-only SERP search quota
+export const LEDGER_CREDIT_TYPES = {
+  ...CREDIT_TYPES,
+  SEARCHES: 'searches'
+};
+
+export const CREDIT_POOLS = {
+  SUBSCRIPTION: 'subscription',
+  ADDON: 'addon'
+};
+
+export const CREDIT_TRANSACTION_TYPES = {
+  GRANT: 'grant',
+  CONSUMPTION: 'consumption',
+  REFUND: 'refund',
+  RESET: 'reset',
+  ADJUSTMENT: 'adjustment'
+};
+
 // Convert objects to arrays for Mongoose enum validation
 export const getUserTypesArray = () => Object.values(USER_TYPES);
 export const getBillingPeriodsArray = () => Object.values(BILLING_PERIODS);
 export const getSubscriptionStatusArray = () => Object.values(SUBSCRIPTION_STATUS);
+export const getAuditJobTypesArray = () => Object.values(AUDIT_JOB_TYPES);
+export const getAuditJobStatusArray = () => Object.values(AUDIT_JOB_STATUS);
+export const getScheduleFrequenciesArray = () => Object.values(SCHEDULE_FREQUENCIES);
+export const getRankTrackingDevicesArray = () => Object.values(RANK_TRACKING_DEVICES);
+export const getSeoScoringProfilesArray = () => Object.values(SEO_SCORING_PROFILES);
+export const getCitationDirectoriesArray = () => Object.values(CITATION_DIRECTORIES);
+export const getCreditTypesArray = () => Object.values(CREDIT_TYPES);
+export const getLedgerCreditTypesArray = () => Object.values(LEDGER_CREDIT_TYPES);
+export const getCreditPoolsArray = () => Object.values(CREDIT_POOLS);
+export const getCreditTransactionTypesArray = () => Object.values(CREDIT_TRANSACTION_TYPES);
@@ -2,6 +2,9 @@ export { encrypt, decrypt } from './crypto.utils.js';
 export { ApiError } from './ApiError.js';
 export { ApiResponse } from './ApiResponse.js';
 export { paginate } from './pagination.util.js';
+export { parseCsv, toCsv } from './csv.util.js';
+export { isPublicAddress, isFetchableUrl, publicLookup } from './network.util.js';
+export { countryCodeOf, normalizePhone, normalizeAddress, compareAddresses, formatAddress } from './nap.util.js';
 export { Logger } from './logger.js';
 
 // Re-export all enums as named exports
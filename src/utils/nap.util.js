@@ -0,0 +1,218 @@
+/**
+ * Name / address / phone normalization for Belgian, Dutch and French listings, so that the
+ * same business written two ways ("Av. Louise 54 bte 3, 1050 Ixelles" and
+ * "Avenue Louise 54/3, 1050 Bruxelles") compares equal where it matters.
+ */
+
+const COUNTRY_CALLING_CODES = { BE: '32', NL: '31', FR: '33' };
+
+// Country names as users and listings write them
+const COUNTRY_NAMES = {
+  BE: ['belgium', 'belgique', 'belgie', 'belgien'],
+  NL: ['netherlands', 'the netherlands', 'nederland', 'pays bas', 'holland'],
+  FR: ['france', 'frankrijk', 'frankreich'],
+};
+
+const POSTAL_CODE_PATTERNS = {
+  NL: /\b(\d{4})\s?([a-z]{2})\b/,
+  FR: /\b(\d{5})\b/,
+  BE: /\b(?:b-?)?(\d{4})\b/,
+};
+
+// Street type abbreviations, French then Dutch
+const STREET_ABBREVIATIONS = {
+  r: 'rue',
+  av: 'avenue',
+  ave: 'avenue',
+  bd: 'boulevard',
+  bld: 'boulevard',
+  boul: 'boulevard',
+  bvd: 'boulevard',
+  pl: 'place',
+  chee: 'chaussee',
+  chs: 'chaussee',
+  ch: 'chemin',
+  imp: 'impasse',
+  all: 'allee',
+  fg: 'faubourg',
+  qu: 'quai',
+  sq: 'square',
+  rte: 'route',
+  st: 'saint',
+  ste: 'sainte',
+  stwg: 'steenweg',
+  ln: 'laan',
+  pln: 'plein',
+  str: 'straat',
+};
+
+// Box / unit markers: "bte 3", "bus 3", "boîte 3", "54/3"
+const BOX_PATTERN = /\b(?:bte|bt|boite|bus|box|b)\.?\s*(\d+[a-z]?)\b|\/\s*(\d+[a-z]?)\b/;
+
+const stripAccents = (value) => value.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+const clean = (value) => stripAccents(String(value || '')).toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * ISO country code (BE, NL, FR) of a country name or code, or null
+ */
+export const countryCodeOf = (country) => {
+  const value = clean(country).replace(/[^a-z ]/g, ' ').replace(/\s+/g, ' ').trim();
+  if (!value) return null;
+  if (COUNTRY_CALLING_CODES[value.toUpperCase()]) return value.toUpperCase();
+  return Object.keys(COUNTRY_NAMES).find((code) => COUNTRY_NAMES[code].includes(value)) || null;
+};
+
+// "32 (0)2 ..." -> "322 ...": BE, NL and FR numbers never keep the trunk 0 after the calling code
+const dropTrunkZero = (digits) => {
+  const code = Object.values(COUNTRY_CALLING_CODES).find((callingCode) => digits.startsWith(`${callingCode}0`));
+  return code ? `${code}${digits.slice(code.length + 1)}` : digits;
+};
+
+/**
+ * Phone number in international form ("+3221234567"), or null when it has too few digits.
+ * National numbers ("02 123 45 67", "06-12345678", "01 23 45 67 89") need the country.
+ */
+export const normalizePhone = (phone, country = null) => {
+  const raw = String(phone || '').trim();
+  let digits = raw.replace(/\D/g, '');
+  if (digits.length < 8) return null;
+
+  const callingCode = COUNTRY_CALLING_CODES[country];
+  if (raw.startsWith('+')) return `+${dropTrunkZero(digits)}`;
+  if (digits.startsWith('00')) return `+${dropTrunkZero(digits.slice(2))}`;
+
+  // "+32 (0)2 ..." written without the plus
+  if (Object.values(COUNTRY_CALLING_CODES).some((code) => digits.startsWith(`${code}0`)) && digits.length >= 11) {
+    digits = digits.replace(/^(\d{2})0/, '$1');
+    return `+${digits}`;
+  }
+  if (callingCode && digits.startsWith('0')) return `+${callingCode}${digits.slice(1)}`;
+  if (Object.values(COUNTRY_CALLING_CODES).some((code) => digits.startsWith(code)) && digits.length >= 10) return `+${digits}`;
+  return callingCode ? `+${callingCode}${digits}` : digits;
+};
+
+const expandStreet = (street) => street
+  .replace(/[^a-z0-9 ]/g, ' ')
+  .split(' ')
+  .filter(Boolean)
+  .map((token) => {
+    if (STREET_ABBREVIATIONS[token]) return STREET_ABBREVIATIONS[token];
+    // Dutch street names are single words: "Kerkstr" -> "kerkstraat", "Gentsestwg" -> "gentsesteenweg"
+    if (token.length > 4 && token.endsWith('str')) return `${token}aat`;
+    if (token.length > 5 && token.endsWith('stwg')) return token.replace(/stwg$/, 'steenweg');
+    return token;
+  })
+  .join(' ');
+
+/**
+ * Postal code match in an address. A house number can look like a postal code
+ * ("Chaussee de Waterloo 1234, 1180 Uccle"), so a match at the start of the address or
+ * of a comma-separated part wins, then the last match: the postal code comes before the city.
+ */
+const findPostalCode = (value, pattern) => {
+  const matches = [...value.matchAll(new RegExp(pattern.source, 'g'))];
+  const atPartStart = matches.filter((match) => /(^|,)\s*$/.test(value.slice(0, match.index)));
+  return atPartStart.at(-1) || matches.at(-1) || null;
+};
+
+/**
+ * Split an address into comparable parts. Works with the number before the street (France)
+ * or after it (Belgium, Netherlands), with or without commas.
+ * @param {string} address
+ * @param {string} [country] - BE, NL or FR; guessed from the postal code otherwise
+ * @returns {Object|null} { street, number, box, postalCode, city }
+ */
+export const normalizeAddress = (address, country = null) => {
+  let value = clean(address);
+  if (!value) return null;
+
+  // Trailing country name
+  for (const names of Object.values(COUNTRY_NAMES)) {
+    for (const name of names) value = value.replace(new RegExp(`[, ]+${name}$`), '');
+  }
+
+  let postalCode = null;
+  let city = null;
+  const patterns = country && POSTAL_CODE_PATTERNS[country]
+    ? [POSTAL_CODE_PATTERNS[country]]
+    : [POSTAL_CODE_PATTERNS.NL, POSTAL_CODE_PATTERNS.FR, POSTAL_CODE_PATTERNS.BE];
+
+  for (const pattern of patterns) {
+    const match = findPostalCode(value, pattern);
+    if (!match) continue;
+    postalCode = match.slice(1).filter(Boolean).join('');
+    // The city follows the postal code up to the next comma
+    city = value.slice(match.index + match[0].length).split(',')[0].replace(/[^a-z -]/g, '').trim() || null;
+    value = `${value.slice(0, match.index)} ${value.slice(match.index + match[0].length).split(',').slice(1).join(',')}`;
+    break;
+  }
+
+  let box = null;
+  const boxMatch = value.match(BOX_PATTERN);
+  if (boxMatch) {
+    box = boxMatch[1] || boxMatch[2];
+    value = value.replace(BOX_PATTERN, ' ');
+  }
+
+  const streetPart = value.split(',').map((part) => part.trim()).find((part) => /[a-z]/.test(part)) || '';
+  // House number with an optional letter; of a range ("1-5") the first number
+  const numberMatch = streetPart.match(/\b(\d+)([a-z])?(?:\s?-\s?\d+[a-z]?)?\b/);
+  const number = numberMatch ? numberMatch[1] + (numberMatch[2] || '') : null;
+  const street = expandStreet(numberMatch ? streetPart.replace(numberMatch[0], ' ') : streetPart) || null;
+
+  return { street, number, box, postalCode, city };
+};
+
+const similarity = (a, b) => {
+  if (a === b) return 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return 1 - previous[b.length] / Math.max(a.length, b.length, 1);
+};
+
+/**
+ * Compare two addresses part by part. Parts missing on either side are not compared, and
+ * `unknown` means there was nothing left to compare. In Belgium a street can carry a French
+ * and a Dutch name ("Rue Neuve" / "Nieuwstraat"), so there a matching postal code and number
+ * are enough.
+ * @returns {string} 'match' | 'mismatch' | 'unknown'
+ */
+export const compareAddresses = (a, b, country = null) => {
+  const left = typeof a === 'string' ? normalizeAddress(a, country) : a;
+  const right = typeof b === 'string' ? normalizeAddress(b, country) : b;
+  if (!left || !right) return 'unknown';
+
+  let compared = 0;
+  if (left.postalCode && right.postalCode) {
+    if (left.postalCode !== right.postalCode) return 'mismatch';
+    compared++;
+  }
+  if (left.number && right.number) {
+    if (left.number !== right.number) return 'mismatch';
+    compared++;
+  }
+  if (left.street && right.street) {
+    const sameStreet = similarity(left.street.replace(/ /g, ''), right.street.replace(/ /g, '')) >= 0.8;
+    if (!sameStreet && !(country === 'BE' && compared === 2)) return 'mismatch';
+    compared++;
+  }
+
+  return compared ? 'match' : 'unknown';
+};
+
+/**
+ * Single-line form of a normalized address, for display and equality checks
+ */
+export const formatAddress = (parts) => {
+  if (!parts) return null;
+  const street = [parts.street, parts.number && `${parts.number}${parts.box ? `/${parts.box}` : ''}`].filter(Boolean).join(' ');
+  const place = [parts.postalCode, parts.city].filter(Boolean).join(' ');
+  return [street, place].filter(Boolean).join(', ') || null;
+};
@@ -0,0 +1,77 @@
+/**
+ * Guards for requests to user-supplied URLs: an audited site must not make the server
+ * fetch its own network (localhost, cloud metadata, private ranges).
+ */
+import dns from 'dns';
+import net from 'net';
+
+const NON_PUBLIC = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4], // reserved and broadcast
+].forEach(([address, prefix]) => NON_PUBLIC.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96], // NAT64
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+].forEach(([address, prefix]) => NON_PUBLIC.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is reachable on the public internet. BlockList also applies the
+ * IPv4 ranges to IPv4-mapped IPv6 addresses (::ffff:127.0.0.1).
+ * @param {string} address - IPv4 or IPv6 address
+ */
+export const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !NON_PUBLIC.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Whether a URL may be fetched: http(s) and, for an IP literal, a public address.
+ * Host names are checked when they resolve, by publicLookup.
+ */
+export const isFetchableUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return false;
+
+  const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+  return net.isIP(host) === 0 || isPublicAddress(host);
+};
+
+/**
+ * `dns.lookup` replacement for http(s) agents and axios (`lookup` option) that fails when a
+ * host resolves to a non-public address. Checked at connection time, so it also covers
+ * every redirect and a DNS answer that changes between two requests.
+ */
+export const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+      const blocked = new Error(`${hostname} does not resolve to a public address`);
+      blocked.code = 'ENOTPUBLIC';
+      return callback(blocked);
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
@@ -0,0 +1,86 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Settings } from '../src/models/index.js';
+import { citationService } from '../src/services/citation.service.js';
+
+// No admin override of the directories: CITATION_DIRECTORIES from helpers/env.js applies
+Settings.getSetting = async (key, fallback) => fallback;
+
+const business = {
+  name: 'Boulangerie Dupont',
+  address: 'Chaussée de Waterloo 1234, 1180 Uccle',
+  phone: '02 123 45 67',
+  website: 'https://www.boulangerie-dupont.be',
+};
+const context = { country: 'BE', city: 'Uccle', locationName: 'Belgium', languageName: 'French' };
+
+const byDirectory = (citations) => Object.fromEntries(citations.directories.map((result) => [result.directory, result]));
+
+test('checkCitations reads the listings from the fixture provider', async () => {
+  const citations = await citationService.checkCitations(business, context);
+
+  assert.equal(citations.provider, 'fixture');
+  assert.equal(citations.country, 'BE');
+  assert.equal(citations.reference.phone, '+3221234567');
+  assert.equal(citations.reference.website, 'boulangerie-dupont.be');
+  // pagesjaunes only lists French businesses
+  assert.deepEqual(citations.directories.map((result) => result.directory), ['google', 'goldenpages', 'infobel', 'yelp', 'facebook']);
+});
+
+test('listings written differently but with the same NAP are consistent', async () => {
+  const { google, goldenpages } = byDirectory(await citationService.checkCitations(business, context));
+
+  assert.equal(google.status, 'consistent');
+  assert.deepEqual(google.mismatches, []);
+  assert.equal(google.url, 'https://maps.google.com/?cid=1234567890');
+  assert.equal(goldenpages.status, 'consistent');
+  assert.deepEqual(goldenpages.mismatches, []);
+});
+
+test('a listing with another phone and website is inconsistent', async () => {
+  const { infobel } = byDirectory(await citationService.checkCitations(business, context));
+
+  assert.equal(infobel.status, 'inconsistent');
+  assert.deepEqual(infobel.mismatches, [
+    { field: 'phone', expected: '+3221234567', found: '02 765 43 21' },
+    { field: 'website', expected: 'boulangerie-dupont.be', found: 'boulangerie-dupont.com' },
+  ]);
+});
+
+test('a directory listing only another business reports the business missing', async () => {
+  const { facebook } = byDirectory(await citationService.checkCitations(business, context));
+
+  assert.equal(facebook.status, 'missing');
+  assert.equal(facebook.listing, null);
+});
+
+test('a failed directory lookup is an error, left out of the score', async () => {
+  const citations = await citationService.checkCitations(business, context);
+  const { yelp } = byDirectory(citations);
+
+  assert.equal(yelp.status, 'error');
+  assert.equal(yelp.error, 'Directory lookup timed out');
+  assert.deepEqual(citations.summary, {
+    checked: 5,
+    listed: 3,
+    consistent: 2,
+    inconsistent: 1,
+    missing: 1,
+    failed: 1,
+    consistencyScore: 50,
+  });
+});
+
+test('the check feeds the GEO audit NAP and citation issues', async () => {
+  const citations = await citationService.checkCitations(business, context);
+  const napIssues = citationService.toNapIssues(citations, 'en');
+  const citationIssues = citationService.toCitationIssues(citations, 'en');
+
+  assert.equal(napIssues.nameConsistency, true);
+  assert.equal(napIssues.addressConsistency, true);
+  assert.equal(napIssues.phoneConsistency, false);
+  assert.equal(napIssues.issues.length, 2);
+  assert.equal(citationIssues.missingCitations.length, 1);
+  assert.equal(citationIssues.inconsistentData.length, 1);
+});
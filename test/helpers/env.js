@@ -0,0 +1,25 @@
+// Imported first by every test: src/config/env.config.js exits when these are missing
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+const defaults = {
+  MONGO_URI: 'mongodb://127.0.0.1:27017/serpixa-test',
+  CLIENT_URL: 'http://localhost:3000',
+  JWT_SECRET: 'test',
+  ACCESS_TOKEN_SECRET: 'test',
+  REFRESH_TOKEN_SECRET: 'test',
+  STRIPE_SECRET_KEY: 'sk_test_x',
+  STRIPE_WEBHOOK_SECRET: 'whsec_test',
+  ENCRYPTION_KEY_B64: Buffer.alloc(32).toString('base64'),
+};
+
+for (const [key, value] of Object.entries(defaults)) {
+  process.env[key] ??= value;
+}
+
+// Not overridable: the citation tests read their listings from the fixture file
+process.env.CITATION_PROVIDER = 'fixture';
+process.env.CITATION_FIXTURE_FILE = path.join(fixtures, 'citations.json');
+process.env.CITATION_DIRECTORIES = 'google,goldenpages,pagesjaunes,infobel,yelp,facebook';
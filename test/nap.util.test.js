@@ -0,0 +1,52 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizePhone, normalizeAddress, compareAddresses, formatAddress, countryCodeOf } from '../src/utils/nap.util.js';
+
+test('normalizePhone writes national and international forms the same way', () => {
+  const belgian = ['02 123 45 67', '02/123.45.67', '+32 2 123 45 67', '+32 (0)2 123 45 67', '0032 (0)2 123 45 67', '32 (0)2 123 45 67'];
+  for (const phone of belgian) {
+    assert.equal(normalizePhone(phone, 'BE'), '+3221234567', phone);
+  }
+
+  assert.equal(normalizePhone('+33 (0)1 23 45 67 89', 'FR'), '+33123456789');
+  assert.equal(normalizePhone('01 23 45 67 89', 'FR'), '+33123456789');
+  assert.equal(normalizePhone('06-12345678', 'NL'), '+31612345678');
+  assert.equal(normalizePhone('+1 212 555 0100'), '+12125550100');
+  assert.equal(normalizePhone('12 34'), null);
+});
+
+test('normalizeAddress splits Belgian, Dutch and French addresses', () => {
+  assert.deepEqual(normalizeAddress('Av. Louise 54 bte 3, 1050 Ixelles', 'BE'), {
+    street: 'avenue louise', number: '54', box: '3', postalCode: '1050', city: 'ixelles',
+  });
+  assert.deepEqual(normalizeAddress('Kerkstr. 12, 1012 AB Amsterdam', 'NL'), {
+    street: 'kerkstraat', number: '12', box: null, postalCode: '1012ab', city: 'amsterdam',
+  });
+  assert.deepEqual(normalizeAddress('12 rue de Rivoli, 75001 Paris, France'), {
+    street: 'rue de rivoli', number: '12', box: null, postalCode: '75001', city: 'paris',
+  });
+});
+
+test('normalizeAddress does not take a 4-digit house number for the postal code', () => {
+  const expected = { street: 'chaussee de waterloo', number: '1234', box: null, postalCode: '1180', city: 'uccle' };
+
+  assert.deepEqual(normalizeAddress('Chaussée de Waterloo 1234, 1180 Uccle', 'BE'), expected);
+  assert.deepEqual(normalizeAddress('Chaussée de Waterloo 1234 1180 Uccle', 'BE'), expected);
+  assert.deepEqual(normalizeAddress('1180 Uccle, Chaussée de Waterloo 1234', 'BE'), expected);
+  assert.equal(formatAddress(expected), 'chaussee de waterloo 1234, 1180 uccle');
+});
+
+test('compareAddresses matches abbreviations and catches another number', () => {
+  assert.equal(compareAddresses('Chaussée de Waterloo 1234, 1180 Uccle', 'Chée de Waterloo 1234 1180 Uccle', 'BE'), 'match');
+  assert.equal(compareAddresses('Avenue Louise 54/3, 1050 Bruxelles', 'Av. Louise 54 bte 3, 1050 Ixelles', 'BE'), 'match');
+  assert.equal(compareAddresses('Chaussée de Waterloo 1234, 1180 Uccle', 'Chaussée de Waterloo 1236, 1180 Uccle', 'BE'), 'mismatch');
+  assert.equal(compareAddresses('', 'Chaussée de Waterloo 1234, 1180 Uccle', 'BE'), 'unknown');
+});
+
+test('countryCodeOf reads country names in every language', () => {
+  assert.equal(countryCodeOf('Belgique'), 'BE');
+  assert.equal(countryCodeOf('nl'), 'NL');
+  assert.equal(countryCodeOf('Frankrijk'), 'FR');
+  assert.equal(countryCodeOf('Germany'), null);
+});